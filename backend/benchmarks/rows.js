@@ -0,0 +1,71 @@
+// GET /api/rows benchmark: latency must not grow with the page size.
+//
+// Runs the routes against the seeded stand-in database of
+// tests/rowsDatabase.js, where each query costs a fixed round trip, and
+// prints the median latency per page size. A handler that queries per row
+// would add 2 round trips per row; the set-based queries add only the time to
+// build the response. Exits with status 1 when the largest page is slower
+// than that bound allows. Not part of `npm test`, as timings depend on the
+// machine:
+//
+//   npm run benchmark
+const request = require('supertest');
+const express = require('express');
+const rowsDatabase = require('../tests/rowsDatabase');
+
+// Serve the routes from the stand-in instead of PostgreSQL
+const pgPath = require.resolve('pg');
+require.cache[pgPath] = { id: pgPath, filename: pgPath, loaded: true, exports: rowsDatabase.pg };
+
+const routes = require('../routes/index');
+
+const ROUND_TRIP_MS = 5;
+const PAGE_SIZES = [10, 100, 1000];
+const RUNS_PER_SIZE = 3;
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+const measure = async (limit) => {
+  const timings = [];
+  let queries = 0;
+  for (let run = 0; run < RUNS_PER_SIZE; run += 1) {
+    rowsDatabase.stats.queries = 0;
+    const started = process.hrtime.bigint();
+    const response = await request(app).get(`/api/rows?page=1&limit=${limit}`);
+    timings.push(Number(process.hrtime.bigint() - started) / 1e6);
+    queries = rowsDatabase.stats.queries;
+
+    if (response.status !== 200 || response.body.rows.length !== limit) {
+      throw new Error(`GET /api/rows?limit=${limit} answered ${response.status}`);
+    }
+  }
+  timings.sort((a, b) => a - b);
+  return { limit, queries, medianMs: timings[Math.floor(timings.length / 2)] };
+};
+
+async function main() {
+  rowsDatabase.setRoundTrip(ROUND_TRIP_MS);
+
+  const results = [];
+  for (const limit of PAGE_SIZES) {
+    const result = await measure(limit);
+    console.log(`limit ${String(limit).padStart(4)}: ${result.queries} queries, median ${result.medianMs.toFixed(1)} ms`);
+    results.push(result);
+  }
+
+  const smallest = results[0];
+  const largest = results[results.length - 1];
+  const perRowCost = 2 * ROUND_TRIP_MS * (largest.limit - smallest.limit);
+  const growth = largest.medianMs - smallest.medianMs;
+  if (growth >= perRowCost / 10) {
+    console.error(`Latency grew by ${growth.toFixed(1)} ms from ${smallest.limit} to ${largest.limit} rows; at most ${perRowCost / 10} ms is expected`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -1,6 +1,11 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 require('dotenv').config();
 
+// Read DATE columns as their YYYY-MM-DD text. By default they become a
+// JavaScript Date at local midnight, which shifts the day in other timezones.
+const DATE_OID = 1082;
+types.setTypeParser(DATE_OID, value => value);
+
 // PostgreSQL connection pool with proper configuration
 const pool = new Pool({
   user: process.env.DB_USER || 'postgres',
@@ -3,6 +3,7 @@ module.exports = {
   testMatch: ['**/__tests__/**/*.js', '**/?(*.)+(spec|test).js'],
   collectCoverageFrom: [
     'routes/**/*.js',
+    'utils/**/*.js',
     'server.js',
     '!**/node_modules/**',
     '!**/coverage/**'
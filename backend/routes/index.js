@@ -1,7 +1,62 @@
 const express = require('express');
+const multer = require('multer');
+const Cursor = require('pg-cursor');
 const pool = require('../db');
+const { parseFormula, getReferences, renameReferences, evaluateRowFormulas } = require('../utils/formula');
+const { RowQueryError, buildRowFilters, buildRowKeyset } = require('../utils/rowQuery');
+const { positionBetween, positionsBetween } = require('../utils/rowPosition');
+const {
+  CellValueError,
+  validateCellValue,
+  writeCellValue,
+  readCellValue,
+  storedCellValue,
+  insertRowCells,
+  cellKey,
+  validateCellBatch,
+  readCellValues,
+  writeCellValues,
+  groupRowCells
+} = require('../utils/cellValues');
+const {
+  MAX_OPTION_LENGTH,
+  canConvertColumn,
+  conversionOptionLabels,
+  convertCells
+} = require('../utils/columnConversion');
+const { defaultOptionColor } = require('../utils/selectOptions');
+const { DATE_TYPES, validateDisplayFormat, validateDisplayTimezone } = require('../utils/dateTimes');
+const {
+  resolveActor,
+  recordCellChange,
+  recordCellChanges,
+  readRevertedValues,
+  formatHistoryEntry
+} = require('../utils/cellHistory');
+const { resolveClientId, realtime } = require('../utils/realtime');
+const { CsvError, parseCsv } = require('../utils/csv');
+const { ImportError, planImportColumns, coerceImportRows } = require('../utils/tableImport');
+const {
+  EXPORT_FORMATS,
+  EXPORT_ROWS_QUERY,
+  DEFAULT_MULTI_SELECT_SEPARATOR,
+  toExportValues,
+  createExportFormatter
+} = require('../utils/sheetExport');
+const { XlsxError, XLSX_CONTENT_TYPE, readXlsxRecords, createXlsxExportWriter } = require('../utils/xlsx');
 const router = express.Router();
 
+// Routes for the data of one sheet: mounted at /api/sheets/:sheetId and,
+// for clients that predate sheets, at /api on the first sheet. Handlers
+// read the sheet from req.sheet.
+const sheetRouter = express.Router({ mergeParams: true });
+
+// Uploaded import files are kept in memory; they are parsed in one go
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 }
+});
+
 // Helper function for database operations with proper error handling
 async function withDatabaseConnection(operation) {
   const client = await pool.connect();
@@ -43,6 +98,7 @@ router.get('/', (req, res) => {
     message: 'Spreadsheet API',
     version: '1.0.0',
     endpoints: {
+      sheets: '/api/sheets',
       columns: '/api/columns',
       rows: '/api/rows',
       cells: '/api/cells',
@@ -51,46 +107,536 @@ router.get('/', (req, res) => {
   });
 });
 
-// GET /api/columns - Get all columns with their options
-router.get('/columns', async (req, res) => {
+// ============================================================================
+// SHEETS
+// ============================================================================
+
+const SHEET_FIELDS = 'id, name, display_order, created_at, updated_at';
+
+// Resolve :sheetId to an active sheet on req.sheet
+async function loadSheet(req, res, next) {
+  const sheetId = parseInt(req.params.sheetId);
+  if (isNaN(sheetId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Valid sheet ID is required'
+    });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT ${SHEET_FIELDS} FROM sheets WHERE id = $1 AND is_active = TRUE`,
+      [sheetId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sheet not found'
+      });
+    }
+    req.sheet = result.rows[0];
+    next();
+  } catch (err) {
+    console.error('Error loading sheet:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load sheet: ' + err.message
+    });
+  }
+}
+
+// The un-nested routes (/api/columns, /api/rows, ...) act on the first sheet
+async function useDefaultSheet(req, res, next) {
+  try {
+    const result = await pool.query(
+      `SELECT ${SHEET_FIELDS} FROM sheets WHERE is_active = TRUE ORDER BY display_order, id LIMIT 1`
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sheet not found'
+      });
+    }
+    req.sheet = result.rows[0];
+    next();
+  } catch (err) {
+    console.error('Error loading default sheet:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load sheet: ' + err.message
+    });
+  }
+}
+
+const validateSheetName = (name) => {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return 'Sheet name is required';
+  }
+  if (name.trim().length > 255) {
+    return 'Sheet name must be at most 255 characters';
+  }
+  return null;
+};
+
+// Sheet names are unique (case-insensitively) among active sheets
+async function sheetNameTaken(client, name, exceptId = null) {
+  const result = await client.query(
+    'SELECT 1 FROM sheets WHERE is_active = TRUE AND LOWER(name) = LOWER($1) AND id IS DISTINCT FROM $2',
+    [name, exceptId]
+  );
+  return result.rows.length > 0;
+}
+
+// Lock the active sheets until the transaction ends, so a name checked with
+// sheetNameTaken stays free and the sheet count cannot change underneath
+const lockActiveSheets = (client) => client.query('SELECT id FROM sheets WHERE is_active = TRUE FOR UPDATE');
+
+// GET /api/sheets - List the sheets in tab order
+router.get('/sheets', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${SHEET_FIELDS} FROM sheets WHERE is_active = TRUE ORDER BY display_order, id`
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching sheets:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sheets: ' + err.message
+    });
+  }
+});
+
+// Create an empty sheet after the last one, with its row summary
+async function insertSheet(client, name) {
+  const sheetQuery = `
+    INSERT INTO sheets (name, display_order)
+    SELECT $1, COALESCE(MAX(display_order), 0) + 1 FROM sheets WHERE is_active = TRUE
+    RETURNING ${SHEET_FIELDS}
+  `;
+  const sheetResult = await client.query(sheetQuery, [name]);
+  const sheet = sheetResult.rows[0];
+
+  await client.query(
+    'INSERT INTO row_summary (sheet_id, total_rows, active_rows, last_row_number) VALUES ($1, 0, 0, 0)',
+    [sheet.id]
+  );
+  return sheet;
+}
+
+// POST /api/sheets - Create an empty sheet
+router.post('/sheets', async (req, res) => {
+  const nameError = validateSheetName(req.body.name);
+  if (nameError) {
+    return res.status(400).json({
+      success: false,
+      error: nameError
+    });
+  }
+  const name = req.body.name.trim();
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await lockActiveSheets(client);
+
+    if (await sheetNameTaken(client, name)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `A sheet named '${name}' already exists`
+      });
+    }
+
+    const sheet = await insertSheet(client, name);
+    await client.query('COMMIT');
+
+    console.log(`Sheet ${sheet.id} created: ${name}`);
+    res.status(201).json(sheet);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error creating sheet:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create sheet: ' + err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// PATCH /api/sheets/:sheetId - Rename a sheet
+router.patch('/sheets/:sheetId', loadSheet, async (req, res) => {
+  const nameError = validateSheetName(req.body.name);
+  if (nameError) {
+    return res.status(400).json({
+      success: false,
+      error: nameError
+    });
+  }
+  const name = req.body.name.trim();
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await lockActiveSheets(client);
+
+    if (await sheetNameTaken(client, name, req.sheet.id)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `A sheet named '${name}' already exists`
+      });
+    }
+
+    const result = await client.query(
+      `UPDATE sheets SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING ${SHEET_FIELDS}`,
+      [name, req.sheet.id]
+    );
+    await client.query('COMMIT');
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error renaming sheet:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rename sheet: ' + err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Copy every row of a sheet with its values. The column and option arrays
+// map old ids to the ids of the copies. single_select values are copied as
+// they are and remapped by REMAP_SINGLE_SELECT_QUERY afterwards.
+const COPY_SHEET_ROWS_QUERY = `
+  WITH column_map AS (
+    SELECT * FROM UNNEST($3::int[], $4::int[]) AS m(old_id, new_id)
+  ),
+  option_map AS (
+    SELECT * FROM UNNEST($5::int[], $6::int[]) AS m(old_id, new_id)
+  ),
+  source_rows AS (
+    SELECT id, position FROM data_rows WHERE sheet_id = $1 AND is_active = TRUE
+  ),
+  new_rows AS (
+    INSERT INTO data_rows (sheet_id, position)
+    SELECT $2, position FROM source_rows
+    RETURNING id, position
+  ),
+  row_map AS (
+    SELECT s.id AS old_id, n.id AS new_id
+    FROM source_rows s
+    JOIN new_rows n ON n.position = s.position
+  ),
+  copied_cells AS (
+    INSERT INTO cell_values (row_id, column_id, text_value, number_value, datetime_value, single_select_value, boolean_value,
+                             date_value, time_value)
+    SELECT rm.new_id, cm.new_id, cv.text_value, cv.number_value, cv.datetime_value, cv.single_select_value, cv.boolean_value,
+           cv.date_value, cv.time_value
+    FROM cell_values cv
+    JOIN row_map rm ON rm.old_id = cv.row_id
+    JOIN column_map cm ON cm.old_id = cv.column_id
+  ),
+  copied_options AS (
+    INSERT INTO multi_select_values (row_id, column_id, option_id)
+    SELECT rm.new_id, cm.new_id, om.new_id
+    FROM multi_select_values msv
+    JOIN row_map rm ON rm.old_id = msv.row_id
+    JOIN column_map cm ON cm.old_id = msv.column_id
+    JOIN option_map om ON om.old_id = msv.option_id
+  )
+  SELECT COUNT(*) AS row_count FROM new_rows
+`;
+
+// Point copied single_select values at the copied options. Values that are
+// not option ids (older rows store the label) are left as they are.
+const REMAP_SINGLE_SELECT_QUERY = `
+  UPDATE cell_values cv
+  SET single_select_value = m.new_id
+  FROM UNNEST($2::int[], $3::int[]) AS m(old_id, new_id), data_rows dr
+  WHERE dr.id = cv.row_id
+    AND dr.sheet_id = $1
+    AND cv.single_select_value::text = m.old_id::text
+`;
+
+// POST /api/sheets/:sheetId/duplicate - Copy a sheet with its columns and rows
+router.post('/sheets/:sheetId/duplicate', loadSheet, async (req, res) => {
+  const source = req.sheet;
+  let name = req.body && req.body.name !== undefined ? req.body.name : null;
+  if (name !== null) {
+    const nameError = validateSheetName(name);
+    if (nameError) {
+      return res.status(400).json({
+        success: false,
+        error: nameError
+      });
+    }
+    name = name.trim();
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await lockActiveSheets(client);
+
+    if (name === null) {
+      // "Sheet 1 (copy)", "Sheet 1 (copy 2)", ...
+      name = `${source.name} (copy)`;
+      for (let n = 2; await sheetNameTaken(client, name); n++) {
+        name = `${source.name} (copy ${n})`;
+      }
+    } else if (await sheetNameTaken(client, name)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `A sheet named '${name}' already exists`
+      });
+    }
+
+    const sheet = await insertSheet(client, name);
+
+    // Copy columns, then their options (archived ones too, so old values keep their label)
+    const columnsResult = await client.query(
+      `SELECT id, column_name, column_type, formula_expression, display_order, width, allow_new_options,
+              display_format, display_timezone
+       FROM columns_meta WHERE sheet_id = $1 AND is_active = TRUE ORDER BY display_order, id`,
+      [source.id]
+    );
+    const columnMap = [];
+    const optionMap = [];
+    for (const column of columnsResult.rows) {
+      const copyResult = await client.query(
+        `INSERT INTO columns_meta (sheet_id, column_name, column_type, formula_expression, display_order, width, allow_new_options,
+                                   display_format, display_timezone)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+        [
+          sheet.id,
+          column.column_name,
+          column.column_type,
+          column.formula_expression,
+          column.display_order,
+          column.width,
+          column.allow_new_options,
+          column.display_format,
+          column.display_timezone
+        ]
+      );
+      columnMap.push([column.id, copyResult.rows[0].id]);
+
+      const optionsResult = await client.query(
+        'SELECT id, option_value, color, display_order, is_active FROM dropdown_options WHERE column_id = $1 ORDER BY id',
+        [column.id]
+      );
+      for (const option of optionsResult.rows) {
+        const optionCopy = await client.query(
+          `INSERT INTO dropdown_options (column_id, option_value, color, display_order, is_active)
+           VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+          [copyResult.rows[0].id, option.option_value, option.color, option.display_order, option.is_active]
+        );
+        optionMap.push([option.id, optionCopy.rows[0].id]);
+      }
+    }
+
+    const copyResult = await client.query(COPY_SHEET_ROWS_QUERY, [
+      source.id,
+      sheet.id,
+      columnMap.map(([oldId]) => oldId),
+      columnMap.map(([, newId]) => newId),
+      optionMap.map(([oldId]) => oldId),
+      optionMap.map(([, newId]) => newId)
+    ]);
+    const rowCount = parseInt(copyResult.rows[0].row_count);
+
+    if (optionMap.length > 0) {
+      await client.query(REMAP_SINGLE_SELECT_QUERY, [
+        sheet.id,
+        optionMap.map(([oldId]) => oldId),
+        optionMap.map(([, newId]) => newId)
+      ]);
+    }
+
+    await client.query(
+      `UPDATE row_summary SET
+         total_rows = $1,
+         active_rows = $1,
+         last_row_number = $1,
+         last_updated = CURRENT_TIMESTAMP
+       WHERE sheet_id = $2`,
+      [rowCount, sheet.id]
+    );
+
+    await client.query('COMMIT');
+
+    console.log(`Sheet ${source.id} duplicated as ${sheet.id} (${rowCount} rows)`);
+    res.status(201).json({
+      ...sheet,
+      copied_columns: columnMap.length,
+      copied_rows: rowCount
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error duplicating sheet:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to duplicate sheet: ' + err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/sheets/:sheetId - Delete a sheet (the last one cannot be deleted)
+router.delete('/sheets/:sheetId', loadSheet, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Lock the active sheets so two deletes cannot remove the last two at once
+    const activeResult = await lockActiveSheets(client);
+    if (activeResult.rows.length <= 1) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot delete the only sheet'
+      });
+    }
+
+    await client.query(
+      'UPDATE sheets SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [req.sheet.id]
+    );
+    await client.query('COMMIT');
+
+    console.log(`Sheet ${req.sheet.id} deleted`);
+    res.json({
+      success: true,
+      message: 'Sheet deleted successfully'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Delete sheet error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete sheet: ' + err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+const COLUMN_FIELDS = `id, column_name, column_type, formula_expression, display_order, width, allow_new_options,
+  display_format, display_timezone, created_at, updated_at`;
+
+// A column as the columns routes return it, with its options (archived ones
+// too, so the cells that hold them can still show their label)
+const formatColumn = (column, options) => ({
+  id: column.id,
+  column_name: column.column_name,
+  column_type: column.column_type,
+  formula: column.formula_expression || null,
+  display_order: column.display_order,
+  width: column.width,
+  allow_new_options: column.allow_new_options === true,
+  display_format: column.display_format || null,
+  display_timezone: column.display_timezone || null,
+  options: options.map(option => ({
+    id: option.id,
+    label: option.option_value,
+    value: option.option_value,
+    color: option.color || null,
+    is_active: option.is_active !== false
+  })),
+  created_at: column.created_at,
+  updated_at: column.updated_at
+});
+
+const validateColumnName = (name) => {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return 'Column name is required';
+  }
+  if (name.trim().length > 255) {
+    return 'Column name must be at most 255 characters';
+  }
+  // Formulas refer to columns as [Name]
+  if (/[[\]]/.test(name)) {
+    return 'Column name cannot contain [ or ]';
+  }
+  return null;
+};
+
+// Whether another active column of the sheet has the name. Names are unique
+// (case-insensitively) among active columns, as formulas look columns up by name.
+const columnNameTaken = async (client, sheetId, name, exceptId = null) => {
+  const takenResult = await client.query(
+    `SELECT 1 FROM columns_meta
+     WHERE sheet_id = $1 AND is_active = TRUE AND LOWER(column_name) = LOWER($2) AND id IS DISTINCT FROM $3`,
+    [sheetId, name, exceptId]
+  );
+  return takenResult.rows.length > 0;
+};
+
+// The options of a column in their order, archived ones included
+const OPTIONS_QUERY = `
+  SELECT id, option_value, color, display_order, is_active
+  FROM dropdown_options 
+  WHERE column_id = $1 
+  ORDER BY display_order, id
+`;
+
+// Mark a column updated and read it back in the GET /api/columns shape
+async function touchColumn(client, columnId) {
+  const columnResult = await client.query(
+    `UPDATE columns_meta SET updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING ${COLUMN_FIELDS}`,
+    [columnId]
+  );
+  const optionsResult = await client.query(OPTIONS_QUERY, [columnId]);
+  return formatColumn(columnResult.rows[0], optionsResult.rows);
+}
+
+// Error message for the display settings given for a column of `columnType`
+// (see utils/dateTimes), or null. Settings left undefined are not checked.
+const validateDisplaySettings = (columnType, { display_format, display_timezone }) => {
+  if (display_format !== undefined) {
+    if (display_format !== null && !DATE_TYPES.includes(columnType)) {
+      return 'Only datetime, date and time columns take a display_format';
+    }
+    const formatError = validateDisplayFormat(display_format, columnType);
+    if (formatError) return formatError;
+  }
+  if (display_timezone !== undefined) {
+    if (display_timezone !== null && columnType !== 'datetime') {
+      return 'Only datetime columns take a display_timezone';
+    }
+    const timezoneError = validateDisplayTimezone(display_timezone);
+    if (timezoneError) return timezoneError;
+  }
+  return null;
+};
+
+// GET /api/sheets/:sheetId/columns - Get all columns with their options
+sheetRouter.get('/columns', async (req, res) => {
   try {
     const client = await pool.connect();
     
     // Get all active columns
     const columnsQuery = `
-      SELECT id, column_name, column_type, display_order, created_at, updated_at
+      SELECT ${COLUMN_FIELDS}
       FROM columns_meta 
-      WHERE is_active = TRUE 
+      WHERE is_active = TRUE AND sheet_id = $1
       ORDER BY display_order, id
     `;
-    const columnsResult = await client.query(columnsQuery);
+    const columnsResult = await client.query(columnsQuery, [req.sheet.id]);
     console.log('Raw columns from database:', columnsResult.rows.length);
     console.log('Column IDs from database:', columnsResult.rows.map(c => c.id));
     
     // Get options for each column
     const columnsWithOptions = await Promise.all(
       columnsResult.rows.map(async (column) => {
-        const optionsQuery = `
-          SELECT id, option_value, display_order
-          FROM dropdown_options 
-          WHERE column_id = $1 AND is_active = TRUE 
-          ORDER BY display_order, id
-        `;
-        const optionsResult = await client.query(optionsQuery, [column.id]);
+        const optionsResult = await client.query(OPTIONS_QUERY, [column.id]);
         
-        return {
-          id: column.id,
-          column_name: column.column_name,
-          column_type: column.column_type,
-          display_order: column.display_order,
-          options: optionsResult.rows.map(option => ({
-            id: option.id,
-            label: option.option_value,
-            value: option.option_value
-          })),
-          created_at: column.created_at,
-          updated_at: column.updated_at
-        };
+        return formatColumn(column, optionsResult.rows);
       })
     );
     
@@ -112,11 +658,19 @@ router.get('/columns', async (req, res) => {
   }
 });
 
-// POST /api/columns - Create a new column with options
-router.post('/columns', async (req, res) => {
-  const { name, data_type, options = [] } = req.body;
+// POST /api/sheets/:sheetId/columns - Create a new column with options
+sheetRouter.post('/columns', async (req, res) => {
+  const {
+    name,
+    data_type,
+    options = [],
+    formula,
+    allow_new_options = false,
+    display_format = null,
+    display_timezone = null
+  } = req.body;
   
-  console.log('Creating new column:', { name, data_type, options });
+  console.log('Creating new column:', { name, data_type, options, formula, allow_new_options, display_format, display_timezone });
   
   // Validation
   if (!name || !data_type) {
@@ -125,8 +679,15 @@ router.post('/columns', async (req, res) => {
       error: 'name is required' 
     });
   }
+  const nameError = validateColumnName(name);
+  if (nameError) {
+    return res.status(400).json({ 
+      success: false,
+      error: nameError 
+    });
+  }
   
-  const validTypes = ['text', 'number', 'datetime', 'single_select', 'multi_select'];
+  const validTypes = ['text', 'number', 'datetime', 'date', 'time', 'boolean', 'single_select', 'multi_select', 'formula'];
   if (!validTypes.includes(data_type)) {
     return res.status(400).json({ 
       success: false,
@@ -134,6 +695,19 @@ router.post('/columns', async (req, res) => {
     });
   }
   
+  // Validate the expression for formula columns
+  let formulaReferences = [];
+  if (data_type === 'formula') {
+    try {
+      formulaReferences = getReferences(parseFormula(formula));
+    } catch (err) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid formula: ' + err.message 
+      });
+    }
+  }
+  
   // Validate options for select types
   if ((data_type === 'single_select' || data_type === 'multi_select') && (!options || !Array.isArray(options))) {
     return res.status(400).json({ 
@@ -141,73 +715,127 @@ router.post('/columns', async (req, res) => {
       error: 'Options array is required for select types' 
     });
   }
+  const optionColorError = Array.isArray(options)
+    ? options.map(option => (option && option.color !== undefined ? validateOptionColor(option.color) : null)).find(Boolean)
+    : null;
+  if (optionColorError) {
+    return res.status(400).json({ 
+      success: false,
+      error: optionColorError 
+    });
+  }
+  if (typeof allow_new_options !== 'boolean') {
+    return res.status(400).json({ 
+      success: false,
+      error: 'allow_new_options must be true or false' 
+    });
+  }
+  const displayError = validateDisplaySettings(data_type, { display_format, display_timezone });
+  if (displayError) {
+    return res.status(400).json({ 
+      success: false,
+      error: displayError 
+    });
+  }
   
   const client = await pool.connect();
   
   try {
     await client.query('BEGIN');
     
+    if (await columnNameTaken(client, req.sheet.id, name.trim())) {
+      await client.query('ROLLBACK');
+      client.release();
+      return res.status(409).json({ 
+        success: false,
+        error: `A column named '${name.trim()}' already exists` 
+      });
+    }
+    
+    // Every column a formula refers to must already exist
+    if (formulaReferences.length > 0) {
+      const referencesQuery = `
+        SELECT LOWER(column_name) as name
+        FROM columns_meta 
+        WHERE is_active = TRUE AND sheet_id = $1 AND LOWER(column_name) = ANY($2)
+      `;
+      const referencesResult = await client.query(referencesQuery, [req.sheet.id, formulaReferences.map(ref => ref.toLowerCase())]);
+      const existing = referencesResult.rows.map(row => row.name);
+      const missing = formulaReferences.filter(ref => !existing.includes(ref.toLowerCase()));
+      if (missing.length > 0) {
+        await client.query('ROLLBACK');
+        client.release();
+        return res.status(400).json({ 
+          success: false,
+          error: 'Invalid formula: unknown column(s) ' + missing.map(ref => `[${ref}]`).join(', ') 
+        });
+      }
+    }
+    
     // Get next display order
-    const orderQuery = 'SELECT COALESCE(MAX(display_order), 0) + 1 as next_order FROM columns_meta';
-    const orderResult = await client.query(orderQuery);
+    const orderQuery = 'SELECT COALESCE(MAX(display_order), 0) + 1 as next_order FROM columns_meta WHERE sheet_id = $1';
+    const orderResult = await client.query(orderQuery, [req.sheet.id]);
     const nextOrder = orderResult.rows[0].next_order;
     
     // Insert new column
     const columnQuery = `
-      INSERT INTO columns_meta (column_name, column_type, display_order)
-      VALUES ($1, $2, $3)
-      RETURNING id, column_name, column_type, display_order, created_at, updated_at
+      INSERT INTO columns_meta (sheet_id, column_name, column_type, formula_expression, display_order, allow_new_options,
+                                display_format, display_timezone)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING ${COLUMN_FIELDS}
     `;
-    const columnResult = await client.query(columnQuery, [name, data_type, nextOrder]);
+    const columnResult = await client.query(columnQuery, [
+      req.sheet.id,
+      name.trim(),
+      data_type,
+      data_type === 'formula' ? formula.trim() : null,
+      nextOrder,
+      SELECT_COLUMN_TYPES.includes(data_type) && allow_new_options,
+      display_format === null ? null : display_format.trim(),
+      display_timezone
+    ]);
     const column = columnResult.rows[0];
     
-    let columnOptions = [];
+    const insertedOptions = [];
     
     // Insert options if it's a select type
     if (data_type === 'single_select' || data_type === 'multi_select') {
-      for (const option of options) {
+      for (const [index, option] of options.entries()) {
         if (!option.label || !option.value) {
           throw new Error('Each option must have both label and value');
         }
         
         const optionQuery = `
-          INSERT INTO dropdown_options (column_id, option_value, display_order)
-          VALUES ($1, $2, $3)
-          RETURNING id, option_value, display_order
+          INSERT INTO dropdown_options (column_id, option_value, color, display_order)
+          VALUES ($1, $2, $3, $4)
+          RETURNING id, option_value, color, display_order, is_active
         `;
         const optionResult = await client.query(optionQuery, [
           column.id, 
           option.value, 
+          option.color !== undefined ? option.color && option.color.toLowerCase() : defaultOptionColor(index),
           option.display_order || 0
         ]);
         
-        columnOptions.push({
-          id: optionResult.rows[0].id,
-          label: optionResult.rows[0].option_value,
-          value: optionResult.rows[0].option_value
-        });
+        insertedOptions.push(optionResult.rows[0]);
       }
     }
     
     await client.query('COMMIT');
+    client.release();
     
+    const createdColumn = formatColumn(column, insertedOptions);
     console.log('Column created successfully:', {
       id: column.id,
       name: column.column_name,
       data_type: column.column_type,
       display_order: column.display_order,
-      options: columnOptions
+      options: createdColumn.options
     });
     
-    res.status(201).json({
-      id: column.id,
-      column_name: column.column_name,
-      column_type: column.column_type,
-      display_order: column.display_order,
-      options: columnOptions,
-      created_at: column.created_at,
-      updated_at: column.updated_at
-    });
+    publishChange(req, 'column.created', { column: createdColumn });
+    
+    res.status(201).json(createdColumn);
     
   } catch (err) {
     if (client) {
@@ -222,126 +850,343 @@ router.post('/columns', async (req, res) => {
   }
 });
 
-// GET /api/rows - Get rows with their cell values (paginated)
-router.get('/rows', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-    
-    const client = await pool.connect();
-    
-    // Get total count of active rows
-    const countQuery = 'SELECT COUNT(*) as total FROM data_rows WHERE is_active = TRUE';
-    const countResult = await client.query(countQuery);
-    const totalRows = parseInt(countResult.rows[0].total);
-    
-    // Get paginated rows
-    const rowsQuery = `
-      SELECT id, row_number, created_at, updated_at
-      FROM data_rows 
-      WHERE is_active = TRUE 
-      ORDER BY row_number ASC
-      LIMIT $1 OFFSET $2
-    `;
-    const rowsResult = await client.query(rowsQuery, [limit, offset]);
-    
-    // Get cell values for each row
-    const rowsWithCells = await Promise.all(
-      rowsResult.rows.map(async (row) => {
-        // Get cell values from cell_values table
-        const cellValuesQuery = `
-          SELECT 
-            cv.column_id,
-            cm.column_type,
-            cv.text_value,
-            cv.number_value,
-            cv.datetime_value,
-            cv.single_select_value
-          FROM cell_values cv
-          JOIN columns_meta cm ON cv.column_id = cm.id
-          WHERE cv.row_id = $1 AND cm.is_active = TRUE
-        `;
-        const cellValuesResult = await client.query(cellValuesQuery, [row.id]);
-        
-        // Get multi-select values
-        const multiSelectQuery = `
-          SELECT 
-            msv.column_id,
-            msv.option_id
-          FROM multi_select_values msv
-          JOIN columns_meta cm ON msv.column_id = cm.id
-          WHERE msv.row_id = $1 AND cm.is_active = TRUE
-        `;
-        const multiSelectResult = await client.query(multiSelectQuery, [row.id]);
-        
-        // Process cell values
-        const cells = cellValuesResult.rows.map(cell => {
-          let value = null;
-          let dataType = cell.column_type;
-          
-          if (cell.text_value !== null) {
-            value = cell.text_value;
-            dataType = 'text';
-          } else if (cell.number_value !== null) {
-            value = cell.number_value;
-            dataType = 'number';
-          } else if (cell.datetime_value !== null) {
-            value = cell.datetime_value;
-            dataType = 'datetime';
-          } else if (cell.single_select_value !== null) {
-            value = cell.single_select_value;
-            dataType = 'single_select';
-          }
-          
-          return {
-            column_id: cell.column_id,
-            data_type: dataType,
-            value: value
-          };
-        });
-        
-        // Process multi-select values
-        const multiSelectMap = {};
-        multiSelectResult.rows.forEach(ms => {
-          if (!multiSelectMap[ms.column_id]) {
-            multiSelectMap[ms.column_id] = [];
-          }
-          multiSelectMap[ms.column_id].push(ms.option_id);
-        });
-        
-        // Add multi-select cells
-        Object.keys(multiSelectMap).forEach(columnId => {
-          cells.push({
-            column_id: parseInt(columnId),
-            data_type: 'multi_select',
-            value: multiSelectMap[columnId]
-          });
-        });
-        
-        return {
-          id: row.id,
-          row_number: row.row_number,
-          cells: cells,
-          created_at: row.created_at,
-          updated_at: row.updated_at
-        };
-      })
-    );
-    
-    client.release();
-    
+// Load the active columns of a sheet with their options, as needed to
+// resolve filters and to compute formula cells
+async function loadColumnDefinitions(client, sheetId) {
+  const columnsQuery = `
+    SELECT id, column_name, column_type, formula_expression
+    FROM columns_meta 
+    WHERE is_active = TRUE AND sheet_id = $1
+    ORDER BY display_order, id
+  `;
+  const columnsResult = await client.query(columnsQuery, [sheetId]);
+  
+  const optionsQuery = `
+    SELECT id, column_id, option_value, is_active
+    FROM dropdown_options 
+    WHERE column_id = ANY($1)
+    ORDER BY display_order, id
+  `;
+  const optionsResult = await client.query(optionsQuery, [columnsResult.rows.map(column => column.id)]);
+  
+  return columnsResult.rows.map(column => ({
+    id: column.id,
+    column_name: column.column_name,
+    column_type: column.column_type,
+    formula: column.formula_expression,
+    options: optionsResult.rows
+      .filter(option => option.column_id === column.id)
+      .map(option => ({ id: option.id, label: option.option_value, is_active: option.is_active }))
+  }));
+}
+
+// Rows are ordered by data_rows.position (see utils/rowPosition). Row numbers
+// are not stored; a row's number is its place among the active rows of its
+// sheet, counted on read. The rows from the first asked for ($2) to the last
+// are numbered in one pass on top of a single count of the rows before them,
+// so a page is numbered without reading the rest of the sheet.
+const ROW_NUMBERS_QUERY = `
+  WITH asked AS (
+    SELECT MIN(position) AS first_position, MAX(position) AS last_position
+    FROM data_rows
+    WHERE sheet_id = $1 AND is_active = TRUE AND id = ANY($2::uuid[])
+  ), earlier AS (
+    SELECT COUNT(*) AS row_count
+    FROM data_rows e, asked
+    WHERE e.sheet_id = $1 AND e.is_active = TRUE AND e.position < asked.first_position
+  )
+  SELECT span.id, span.row_number
+  FROM (
+    SELECT d.id, (earlier.row_count + ROW_NUMBER() OVER (ORDER BY d.position))::int AS row_number
+    FROM data_rows d, asked, earlier
+    WHERE d.sheet_id = $1 AND d.is_active = TRUE
+      AND d.position BETWEEN asked.first_position AND asked.last_position
+  ) span
+  WHERE span.id = ANY($2::uuid[])
+`;
+
+// Row numbers of active rows of a sheet by row id. Deleted and unknown rows
+// are left out.
+async function loadRowNumbers(client, sheetId, rowIds) {
+  const numbersResult = await client.query(ROW_NUMBERS_QUERY, [sheetId, rowIds]);
+  return new Map(numbersResult.rows.map(row => [row.id, row.row_number]));
+}
+
+// The positions next to a row (deleted rows included, as they keep their
+// place in case they are restored)
+const ROW_NEIGHBOURS_QUERY = `
+  SELECT r.position,
+    (SELECT MAX(n.position) FROM data_rows n WHERE n.sheet_id = r.sheet_id AND n.position < r.position) AS previous_position,
+    (SELECT MIN(n.position) FROM data_rows n WHERE n.sheet_id = r.sheet_id AND n.position > r.position) AS next_position
+  FROM data_rows r
+  WHERE r.id = $1 AND r.sheet_id = $2 AND r.is_active = TRUE
+`;
+
+// Lock the sheet's row summary so concurrent inserts do not pick the same
+// positions. Returns the query result (empty if the summary is missing).
+function lockSheetRows(client, sheetId) {
+  return client.query('SELECT id FROM row_summary WHERE sheet_id = $1 FOR UPDATE', [sheetId]);
+}
+
+// Read where to put rows from a request body: { at: 'top' | 'bottom' },
+// { before: rowId } or { after: rowId }. Returns { placement } (null when
+// the body names none) or { error }.
+function parseRowPlacement(body) {
+  const { at, before, after } = body;
+  const given = [at, before, after].filter(value => value !== undefined);
+  if (given.length === 0) {
+    return { placement: null };
+  }
+  if (given.length > 1) {
+    return { error: 'Give only one of at, before and after' };
+  }
+  if (at !== undefined && !['top', 'bottom'].includes(at)) {
+    return { error: "at must be 'top' or 'bottom'" };
+  }
+  if ((before !== undefined && !UUID_PATTERN.test(before)) || (after !== undefined && !UUID_PATTERN.test(after))) {
+    return { error: 'before and after must be row IDs' };
+  }
+  return { placement: at !== undefined ? { at } : { before, after } };
+}
+
+// The positions a new row goes between, { previous, next } (null at either
+// end), for a placement of { at: 'top' | 'bottom' }, { before: rowId } or
+// { after: rowId }. Returns null when that row is not an active row of the
+// sheet.
+async function findRowGap(client, sheetId, placement) {
+  const rowId = placement.before || placement.after;
+  if (rowId) {
+    const result = await client.query(ROW_NEIGHBOURS_QUERY, [rowId, sheetId]);
+    if (result.rows.length === 0) return null;
+    const { position, previous_position: previousPosition, next_position: nextPosition } = result.rows[0];
+    return placement.before
+      ? { previous: previousPosition, next: position }
+      : { previous: position, next: nextPosition };
+  }
+
+  const result = await client.query(
+    'SELECT MIN(position) AS first_position, MAX(position) AS last_position FROM data_rows WHERE sheet_id = $1',
+    [sheetId]
+  );
+  const { first_position: firstPosition, last_position: lastPosition } = result.rows[0];
+  return placement.at === 'bottom'
+    ? { previous: lastPosition, next: null }
+    : { previous: null, next: firstPosition };
+}
+
+// Load the cell values of rows in the GET /rows shape, in two queries however
+// many rows there are. `formulaColumns` is the sheet's column definitions
+// when it has formula columns, null otherwise.
+async function loadRowsCells(client, rows, formulaColumns) {
+  if (rows.length === 0) return [];
+  const rowIds = rows.map(row => row.id);
+
+  const cellValuesQuery = `
+    SELECT 
+      cv.row_id,
+      cv.column_id,
+      cm.column_type,
+      cv.text_value,
+      cv.number_value,
+      cv.datetime_value,
+      cv.single_select_value,
+      cv.boolean_value,
+      cv.date_value,
+      cv.time_value
+    FROM cell_values cv
+    JOIN columns_meta cm ON cv.column_id = cm.id
+    WHERE cv.row_id = ANY($1::uuid[]) AND cm.is_active = TRUE
+  `;
+  const cellValuesResult = await client.query(cellValuesQuery, [rowIds]);
+
+  const multiSelectQuery = `
+    SELECT 
+      msv.row_id,
+      msv.column_id,
+      msv.option_id
+    FROM multi_select_values msv
+    JOIN columns_meta cm ON msv.column_id = cm.id
+    WHERE msv.row_id = ANY($1::uuid[]) AND cm.is_active = TRUE
+  `;
+  const multiSelectResult = await client.query(multiSelectQuery, [rowIds]);
+
+  const cellsByRow = groupRowCells(cellValuesResult.rows, multiSelectResult.rows);
+
+  return rows.map(row => {
+    const cells = cellsByRow.get(row.id) || [];
+
+    // Add computed formula cells
+    if (formulaColumns) {
+      const rawValues = {};
+      cells.forEach(cell => {
+        rawValues[cell.column_id] = cell.value;
+      });
+      cells.push(...evaluateRowFormulas(formulaColumns, rawValues));
+    }
+
+    return {
+      id: row.id,
+      row_number: row.row_number,
+      cells: cells,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  });
+}
+
+// One active row of a sheet in the GET /rows shape, or null
+async function loadRow(client, sheetId, rowId) {
+  const rowResult = await client.query(
+    `SELECT dr.id, dr.created_at, dr.updated_at
+     FROM data_rows dr WHERE dr.id = $1 AND dr.sheet_id = $2 AND dr.is_active = TRUE`,
+    [rowId, sheetId]
+  );
+  if (rowResult.rows.length === 0) return null;
+  const rowNumbers = await loadRowNumbers(client, sheetId, [rowId]);
+  rowResult.rows[0].row_number = rowNumbers.get(rowId);
+  
+  const columnDefinitions = await loadColumnDefinitions(client, sheetId);
+  const formulaColumns = columnDefinitions.some(column => column.column_type === 'formula')
+    ? columnDefinitions
+    : null;
+  const [row] = await loadRowsCells(client, rowResult.rows, formulaColumns);
+  return row;
+}
+
+// Tell the other clients watching the sheet about a change (see utils/realtime)
+const publishChange = (req, type, payload) => {
+  realtime.publish(req.sheet.id, type, payload, resolveClientId(req));
+};
+
+// Publish a row with its current values. Called after COMMIT, so a failure
+// is only logged.
+async function publishRow(client, req, type, rowId) {
+  if (!realtime.isWatched(req.sheet.id)) return;
+  try {
+    const row = await loadRow(client, req.sheet.id, rowId);
+    if (row) {
+      publishChange(req, type, { row });
+    }
+  } catch (err) {
+    console.error(`Error publishing ${type}:`, err);
+  }
+}
+
+// Rows published one by one after a batch update; beyond this the other
+// clients are told to reload the sheet instead
+const MAX_PUBLISHED_ROWS = 100;
+
+async function publishUpdatedRows(client, req, rowIds) {
+  if (!realtime.isWatched(req.sheet.id)) return;
+  if (rowIds.length > MAX_PUBLISHED_ROWS) {
+    publishChange(req, 'sheet.reloaded', {});
+    return;
+  }
+  for (const rowId of rowIds) {
+    await publishRow(client, req, 'row.updated', rowId);
+  }
+}
+
+// GET /api/sheets/:sheetId/rows - Get rows with their cell values (paginated)
+// Pages by ?page=&limit=, or from a cursor with ?after= or ?before= (the
+// next_cursor and prev_cursor of an earlier page)
+sheetRouter.get('/rows', async (req, res) => {
+  let client;
+  try {
+    const { after, before } = req.query;
+    const isKeyset = after !== undefined || before !== undefined;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = isKeyset ? 0 : (page - 1) * limit;
+    
+    client = await pool.connect();
+    
+    // Column definitions resolve filter names and option labels, and feed
+    // the formula evaluator
+    const columnDefinitions = await loadColumnDefinitions(client, req.sheet.id);
+    const formulaColumns = columnDefinitions.some(column => column.column_type === 'formula')
+      ? columnDefinitions
+      : null;
+    
+    // Filters run in SQL before LIMIT/OFFSET so pagination totals stay correct
+    const params = [req.sheet.id];
+    const { joins, conditions } = buildRowFilters(req.query.filter, columnDefinitions, params);
+    const whereClause = ['dr.is_active = TRUE', 'dr.sheet_id = $1', ...conditions].join('\n        AND ');
+    const fromClause = `
+      FROM data_rows dr
+      ${joins.join('\n      ')}
+      WHERE ${whereClause}
+    `;
+    
+    // Get total count of matching rows
+    const countQuery = `SELECT COUNT(*) as total ${fromClause}`;
+    const countResult = await client.query(countQuery, params);
+    const totalRows = parseInt(countResult.rows[0].total);
+    
+    // Get paginated rows, sorted on the typed cell values when requested.
+    // One extra row is fetched to tell whether another page follows.
+    const sortParams = [...params];
+    const keyset = buildRowKeyset({ sort: req.query.sort, after, before }, columnDefinitions, sortParams);
+    const pageWhere = keyset.condition ? `${whereClause}\n        AND ${keyset.condition}` : whereClause;
+    const pageClause = isKeyset
+      ? `LIMIT $${sortParams.length + 1}`
+      : `LIMIT $${sortParams.length + 1} OFFSET $${sortParams.length + 2}`;
+    const rowsQuery = `
+      SELECT ${['dr.id', 'dr.created_at', 'dr.updated_at', ...keyset.select].join(', ')}
+      FROM data_rows dr
+      ${[...joins, ...keyset.joins].join('\n      ')}
+      WHERE ${pageWhere}
+      ORDER BY ${keyset.orderBy.join(', ')}
+      ${pageClause}
+    `;
+    const rowsParams = isKeyset ? [...sortParams, limit + 1] : [...sortParams, limit + 1, offset];
+    const rowsResult = await client.query(rowsQuery, rowsParams);
+    
+    const hasMore = rowsResult.rows.length > limit;
+    const pageRows = rowsResult.rows.slice(0, limit);
+    if (keyset.reversed) {
+      pageRows.reverse();
+    }
+    const rowNumbers = await loadRowNumbers(client, req.sheet.id, pageRows.map(row => row.id));
+    pageRows.forEach(row => {
+      row.row_number = rowNumbers.get(row.id);
+    });
+    
+    // Cell values of the whole page in a fixed number of queries
+    const rowsWithCells = await loadRowsCells(client, pageRows, formulaColumns);
+    
+    client.release();
+    client = null;
+    
+    // Whether rows come before and after this page. An empty page keeps the
+    // cursor it was asked with so the client can page back.
+    const hasPrevious = before !== undefined ? hasMore : (after !== undefined || offset > 0);
+    const hasNext = before !== undefined ? true : hasMore;
+    const firstRow = pageRows[0];
+    const lastRow = pageRows[pageRows.length - 1];
+    
     res.json({
       rows: rowsWithCells,
       pagination: {
-        page: page,
+        page: isKeyset ? null : page,
         limit: limit,
         total: totalRows,
-        pages: Math.ceil(totalRows / limit)
+        pages: Math.ceil(totalRows / limit),
+        next_cursor: hasNext ? (lastRow ? keyset.cursorFor(lastRow) : before || null) : null,
+        prev_cursor: hasPrevious ? (firstRow ? keyset.cursorFor(firstRow) : after || null) : null
       }
     });
     
   } catch (err) {
+    if (client) {
+      client.release();
+    }
+    if (err instanceof RowQueryError) {
+      return res.status(400).json({ 
+        success: false,
+        error: err.message 
+      });
+    }
     console.error('Error fetching rows:', err);
     res.status(500).json({ 
       success: false,
@@ -350,11 +1195,14 @@ router.get('/rows', async (req, res) => {
   }
 });
 
-// DELETE /api/rows/:id - Delete a row
-router.delete('/rows/:id', async (req, res) => {
+// Row ids are UUIDs
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// DELETE /api/sheets/:sheetId/rows/:id - Delete a row
+sheetRouter.delete('/rows/:id', async (req, res) => {
   const { id } = req.params;
   
-  if (!id || isNaN(parseInt(id))) {
+  if (!id || !UUID_PATTERN.test(id)) {
     return res.status(400).json({ 
       success: false,
       error: 'Valid row ID is required' 
@@ -367,10 +1215,9 @@ router.delete('/rows/:id', async (req, res) => {
     await client.query('BEGIN');
     
     // First, check if row exists
-    const checkQuery = 'SELECT id, row_number FROM data_rows WHERE id = $1 AND is_active = TRUE';
-    const checkResult = await client.query(checkQuery, [id]);
+    const rowNumber = (await loadRowNumbers(client, req.sheet.id, [id])).get(id);
     
-    if (checkResult.rows.length === 0) {
+    if (rowNumber === undefined) {
       await client.query('ROLLBACK');
       client.release();
       return res.status(404).json({ 
@@ -379,33 +1226,26 @@ router.delete('/rows/:id', async (req, res) => {
       });
     }
     
-    const rowNumber = checkResult.rows[0].row_number;
-    
-    // Delete all cell values for this row
-    await client.query('DELETE FROM cell_values WHERE row_id = $1', [id]);
-    
-    // Delete all multi-select values for this row
-    await client.query('DELETE FROM multi_select_values WHERE row_id = $1', [id]);
-    
-    // Mark row as inactive instead of deleting
+    // Mark row as inactive instead of deleting. Its values and position are
+    // kept so POST /rows/:id/restore can bring it back; the rows after it
+    // number themselves one lower on read
     await client.query('UPDATE data_rows SET is_active = FALSE WHERE id = $1', [id]);
     
-    // Update row numbers of remaining rows
-    await client.query('UPDATE data_rows SET row_number = row_number - 1 WHERE row_number > $1 AND is_active = TRUE', [rowNumber]);
-    
     // Update row summary
     const summaryQuery = `
       UPDATE row_summary SET 
         total_rows = total_rows - 1,
         active_rows = active_rows - 1,
         last_updated = CURRENT_TIMESTAMP
+      WHERE sheet_id = $1
     `;
-    await client.query(summaryQuery);
+    await client.query(summaryQuery, [req.sheet.id]);
     
     await client.query('COMMIT');
     client.release();
     
     console.log(`Row ${id} (row number ${rowNumber}) deleted successfully`);
+    publishChange(req, 'row.deleted', { row_id: id, row_number: rowNumber });
     
     res.json({ 
       success: true,
@@ -424,46 +1264,134 @@ router.delete('/rows/:id', async (req, res) => {
   }
 });
 
-// POST /api/rows - Create a new row
-router.post('/rows', async (req, res) => {
+// POST /api/sheets/:sheetId/rows/:id/restore - Bring back a deleted row with its values
+sheetRouter.post('/rows/:id/restore', async (req, res) => {
+  const { id } = req.params;
+  
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Valid row ID is required' 
+    });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    // The row kept its position, so it comes back between the same rows
+    const restoreQuery = `UPDATE data_rows SET is_active = TRUE WHERE id = $1 AND sheet_id = $2 AND is_active = FALSE
+      RETURNING id, created_at, updated_at`;
+    const restoreResult = await client.query(restoreQuery, [id, req.sheet.id]);
+    if (restoreResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ 
+        success: false,
+        error: 'Deleted row not found' 
+      });
+    }
+    
+    const rowNumber = (await loadRowNumbers(client, req.sheet.id, [id])).get(id);
+    
+    const summaryQuery = `
+      UPDATE row_summary SET 
+        total_rows = total_rows + 1,
+        active_rows = active_rows + 1,
+        last_updated = CURRENT_TIMESTAMP
+      WHERE sheet_id = $1
+    `;
+    await client.query(summaryQuery, [req.sheet.id]);
+    
+    await client.query('COMMIT');
+    
+    console.log(`Row ${id} restored at row number ${rowNumber}`);
+    await publishRow(client, req, 'row.restored', id);
+    res.json({
+      success: true,
+      message: 'Row restored successfully',
+      id: id,
+      row_number: rowNumber,
+      created_at: restoreResult.rows[0].created_at,
+      updated_at: restoreResult.rows[0].updated_at
+    });
+    
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Restore row error:', err);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to restore row: ' + err.message 
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/sheets/:sheetId/rows - Create a new row
+// Body (optional): { at: 'top' | 'bottom' }, { before: rowId } or
+// { after: rowId }. New rows go at the top by default.
+sheetRouter.post('/rows', async (req, res) => {
+  const { placement, error } = parseRowPlacement(req.body || {});
+  if (error) {
+    return res.status(400).json({ 
+      success: false,
+      error 
+    });
+  }
+  
   let client;
   try {
     client = await pool.connect();
     
     await client.query('BEGIN');
     
-    // Increment all existing row numbers to make room for new row at top
-    const incrementQuery = 'UPDATE data_rows SET row_number = row_number + 1';
-    await client.query(incrementQuery);
+    // Write one key between the new row's neighbours; no other row changes
+    await lockSheetRows(client, req.sheet.id);
+    const gap = await findRowGap(client, req.sheet.id, placement || { at: 'top' });
+    if (!gap) {
+      await client.query('ROLLBACK');
+      client.release();
+      return res.status(404).json({ 
+        success: false,
+        error: 'Row not found' 
+      });
+    }
     
-    // Insert new row at the top (row number 1)
     const rowQuery = `
-      INSERT INTO data_rows (row_number)
-      VALUES (1)
-      RETURNING id, row_number, created_at, updated_at
+      INSERT INTO data_rows (sheet_id, position)
+      VALUES ($1, $2)
+      RETURNING id, created_at, updated_at
     `;
-    const rowResult = await client.query(rowQuery);
+    const rowResult = await client.query(rowQuery, [req.sheet.id, positionBetween(gap.previous, gap.next)]);
     const newRow = rowResult.rows[0];
     
+    newRow.row_number = (await loadRowNumbers(client, req.sheet.id, [newRow.id])).get(newRow.id);
+    
     // Update row summary
     const summaryQuery = `
       UPDATE row_summary SET 
         total_rows = total_rows + 1,
         active_rows = active_rows + 1,
-        last_row_number = 1,
+        last_row_number = $2,
         last_updated = CURRENT_TIMESTAMP
+      WHERE sheet_id = $1
     `;
-    await client.query(summaryQuery);
+    await client.query(summaryQuery, [req.sheet.id, newRow.row_number]);
     
     await client.query('COMMIT');
+    client.release();
     
-    res.status(201).json({
+    const createdRow = {
       id: newRow.id,
       row_number: newRow.row_number,
       cells: [], // New row starts with no cells
       created_at: newRow.created_at,
       updated_at: newRow.updated_at
-    });
+    };
+    publishChange(req, 'row.created', { row: createdRow });
+    
+    res.status(201).json(createdRow);
     
   } catch (err) {
     if (client) {
@@ -478,9 +1406,210 @@ router.post('/rows', async (req, res) => {
   }
 });
 
-// PATCH /api/cell - Update cell value
-router.patch('/cell', async (req, res) => {
-  const { row_id, column_id, data_type, value } = req.body;
+// Most rows POST /rows/batch creates, or PATCH /rows/:id/position moves, at once
+const MAX_BATCH_ROWS = 1000;
+
+// PATCH /api/sheets/:sheetId/rows/:id/position - Move a row, or a block of rows
+// Body: { before: rowId }, { after: rowId } or { at: 'top' | 'bottom' }, and
+// optionally row_ids, more rows to move along with :id. The rows keep their
+// order among themselves and land next to each other. Only the moved rows
+// are written.
+sheetRouter.patch('/rows/:id/position', async (req, res) => {
+  const { id } = req.params;
+  const body = req.body || {};
+  
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Valid row ID is required' 
+    });
+  }
+  if (body.row_ids !== undefined &&
+      (!Array.isArray(body.row_ids) || !body.row_ids.every(rowId => UUID_PATTERN.test(rowId)))) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'row_ids must be an array of row IDs' 
+    });
+  }
+  const rowIds = Array.from(new Set([id, ...(body.row_ids || [])]));
+  if (rowIds.length > MAX_BATCH_ROWS) {
+    return res.status(400).json({ 
+      success: false,
+      error: `At most ${MAX_BATCH_ROWS} rows can be moved at once` 
+    });
+  }
+  
+  const { placement, error } = parseRowPlacement(body);
+  if (error || !placement) {
+    return res.status(400).json({ 
+      success: false,
+      error: error || 'Give before, after or at' 
+    });
+  }
+  if (rowIds.includes(placement.before || placement.after)) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Rows cannot be moved next to themselves' 
+    });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    await lockSheetRows(client, req.sheet.id);
+    
+    // The moved rows in their current order, with the row each one follows
+    // now so the move can be undone
+    const movingQuery = `
+      SELECT r.id, (
+        SELECT p.id FROM data_rows p
+        WHERE p.sheet_id = r.sheet_id AND p.is_active = TRUE AND p.position < r.position
+        ORDER BY p.position DESC
+        LIMIT 1
+      ) AS previous_row_id
+      FROM data_rows r
+      WHERE r.id = ANY($1::uuid[]) AND r.sheet_id = $2 AND r.is_active = TRUE
+      ORDER BY r.position
+    `;
+    const movingResult = await client.query(movingQuery, [rowIds, req.sheet.id]);
+    const gap = movingResult.rows.length === rowIds.length
+      ? await findRowGap(client, req.sheet.id, placement)
+      : null;
+    if (!gap) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ 
+        success: false,
+        error: 'Row not found' 
+      });
+    }
+    
+    // The new keys fall strictly between two neighbouring keys, so they
+    // cannot clash with any row's key, moved or not
+    const movedIds = movingResult.rows.map(row => row.id);
+    await client.query(
+      `UPDATE data_rows dr SET position = m.position
+       FROM UNNEST($1::uuid[], $2::text[]) AS m(id, position)
+       WHERE dr.id = m.id`,
+      [movedIds, positionsBetween(gap.previous, gap.next, movedIds.length)]
+    );
+    
+    const rowNumbers = await loadRowNumbers(client, req.sheet.id, movedIds);
+    
+    await client.query('COMMIT');
+    
+    const rows = movingResult.rows.map(row => ({
+      id: row.id,
+      row_number: rowNumbers.get(row.id),
+      previous_row_id: row.previous_row_id
+    }));
+    
+    console.log(`Moved ${rows.length} row(s) to row ${rows[0].row_number}`);
+    publishChange(req, 'rows.moved', { rows: rows.map(({ id: rowId, row_number }) => ({ id: rowId, row_number })) });
+    
+    res.json({
+      success: true,
+      rows
+    });
+    
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Move rows error:', err);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to move rows: ' + err.message 
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/sheets/:sheetId/rows/batch - Append empty rows at the bottom
+// (used when a paste runs past the last row)
+sheetRouter.post('/rows/batch', async (req, res) => {
+  const count = req.body.count;
+  
+  if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_ROWS) {
+    return res.status(400).json({ 
+      success: false,
+      error: `count must be an integer from 1 to ${MAX_BATCH_ROWS}` 
+    });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    // Lock the sheet's summary so concurrent appends get distinct positions
+    const summaryResult = await lockSheetRows(client, req.sheet.id);
+    const countResult = await client.query(
+      'SELECT COUNT(*) as count FROM data_rows WHERE sheet_id = $1 AND is_active = TRUE',
+      [req.sheet.id]
+    );
+    const lastRowNumber = parseInt(countResult.rows[0].count);
+    const gap = await findRowGap(client, req.sheet.id, { at: 'bottom' });
+    
+    const rowsQuery = `
+      INSERT INTO data_rows (sheet_id, position)
+      SELECT $1, UNNEST($2::text[])
+      RETURNING id, position, created_at, updated_at
+    `;
+    const rowsResult = await client.query(rowsQuery, [
+      req.sheet.id,
+      positionsBetween(gap.previous, gap.next, count)
+    ]);
+    
+    if (summaryResult.rows.length > 0) {
+      const summaryQuery = `
+        UPDATE row_summary SET 
+          total_rows = total_rows + $1,
+          active_rows = active_rows + $1,
+          last_row_number = $2,
+          last_updated = CURRENT_TIMESTAMP
+        WHERE sheet_id = $3
+      `;
+      await client.query(summaryQuery, [count, lastRowNumber + count, req.sheet.id]);
+    }
+    
+    await client.query('COMMIT');
+    
+    const rows = rowsResult.rows
+      .sort((a, b) => (a.position < b.position ? -1 : 1))
+      .map((row, index) => ({
+        id: row.id,
+        row_number: lastRowNumber + index + 1,
+        cells: [],
+        created_at: row.created_at,
+        updated_at: row.updated_at
+      }));
+    if (rows.length > MAX_PUBLISHED_ROWS) {
+      publishChange(req, 'sheet.reloaded', {});
+    } else {
+      rows.forEach(row => publishChange(req, 'row.created', { row }));
+    }
+    
+    console.log(`Appended ${count} rows after row ${lastRowNumber}`);
+    res.status(201).json({
+      success: true,
+      rows
+    });
+    
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error creating rows:', err);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to create rows: ' + err.message 
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// PATCH /api/sheets/:sheetId/cell - Update cell value
+sheetRouter.patch('/cell', async (req, res) => {
+  const { row_id, column_id, data_type, value, history_id } = req.body;
   
   // Validation
   if (!row_id || !column_id || !data_type) {
@@ -490,7 +1619,7 @@ router.patch('/cell', async (req, res) => {
     });
   }
   
-  const validTypes = ['text', 'number', 'datetime', 'single_select', 'multi_select'];
+  const validTypes = ['text', 'number', 'datetime', 'date', 'time', 'boolean', 'single_select', 'multi_select', 'formula'];
   if (!validTypes.includes(data_type)) {
     return res.status(400).json({ 
       success: false,
@@ -498,14 +1627,21 @@ router.patch('/cell', async (req, res) => {
     });
   }
   
+  if (data_type === 'formula') {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Formula cells are computed and cannot be edited' 
+    });
+  }
+  
   const client = await pool.connect();
   
   try {
     await client.query('BEGIN');
     
     // Validate row exists
-    const rowCheckQuery = 'SELECT id FROM data_rows WHERE id = $1 AND is_active = TRUE';
-    const rowResult = await client.query(rowCheckQuery, [row_id]);
+    const rowCheckQuery = 'SELECT id FROM data_rows WHERE id = $1 AND sheet_id = $2 AND is_active = TRUE';
+    const rowResult = await client.query(rowCheckQuery, [row_id, req.sheet.id]);
     if (rowResult.rows.length === 0) {
       await client.query('ROLLBACK');
       client.release();
@@ -519,9 +1655,9 @@ router.patch('/cell', async (req, res) => {
     const columnQuery = `
       SELECT id, column_type 
       FROM columns_meta 
-      WHERE id = $1 AND is_active = TRUE
+      WHERE id = $1 AND sheet_id = $2 AND is_active = TRUE
     `;
-    const columnResult = await client.query(columnQuery, [column_id]);
+    const columnResult = await client.query(columnQuery, [column_id, req.sheet.id]);
     if (columnResult.rows.length === 0) {
       await client.query('ROLLBACK');
       client.release();
@@ -543,558 +1679,1720 @@ router.patch('/cell', async (req, res) => {
       });
     }
     
-    // Type-specific validation
-    if (data_type === 'text') {
-      if (typeof value !== 'string') {
-        await client.query('ROLLBACK');
-        client.release();
-        return res.status(400).json({ 
-          success: false,
-          error: 'Text value must be a string' 
-        });
-      }
-    } else if (data_type === 'number') {
-      if (typeof value !== 'number' || isNaN(value)) {
-        await client.query('ROLLBACK');
-        client.release();
-        return res.status(400).json({ 
-          success: false,
-          error: 'Invalid number value' 
-        });
+    // Type-specific validation, shared with the import endpoints. Archived
+    // options are loaded too: the cell may keep the ones it already holds.
+    const column = { id: column_id, column_type: columnType, options: [] };
+    if (columnType === 'single_select' || columnType === 'multi_select') {
+      const optionsQuery = `
+        SELECT id, option_value, is_active FROM dropdown_options 
+        WHERE column_id = $1
+      `;
+      const optionsResult = await client.query(optionsQuery, [column_id]);
+      column.options = optionsResult.rows.map(option => ({
+        id: option.id,
+        label: option.option_value,
+        is_active: option.is_active
+      }));
+    }
+    const oldValue = await readCellValue(client, row_id, column_id, columnType);
+    // Undo and restores name the history entry they revert, whose archived
+    // options may be written back too
+    const revertedValues = await readRevertedValues(client, [{ historyId: history_id, rowId: row_id, columnId: column_id }]);
+    
+    try {
+      // null clears the cell
+      if (value !== null) {
+        validateCellValue(column, value, [oldValue, revertedValues.get(history_id)]);
       }
-    } else if (data_type === 'datetime') {
-      if (!value || isNaN(Date.parse(value))) {
+    } catch (validationError) {
+      if (!(validationError instanceof CellValueError)) throw validationError;
+      await client.query('ROLLBACK');
+      client.release();
+      return res.status(400).json({ 
+        success: false,
+        error: validationError.message 
+      });
+    }
+    
+    // Replace the existing value (cell_values or multi_select_values),
+    // keeping the previous one in the cell history
+    await writeCellValue(client, row_id, column_id, columnType, value);
+    const change = await recordCellChange(client, {
+      rowId: row_id,
+      columnId: column_id,
+      columnType,
+      oldValue,
+      newValue: value,
+      actor: resolveActor(req)
+    });
+    
+    await client.query('COMMIT');
+    await publishRow(client, req, 'row.updated', row_id);
+    client.release();
+    
+    res.json({
+      success: true,
+      message: 'Cell updated successfully',
+      row_id: row_id,
+      column_id: column_id,
+      data_type: data_type,
+      value: value,
+      previous_value: oldValue,
+      history_id: change ? Number(change.id) : null
+    });
+    
+  } catch (err) {
+    if (client) {
+      await client.query('ROLLBACK');
+      client.release();
+    }
+    console.error('Error updating cell:', err);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update cell: ' + err.message 
+    });
+  }
+});
+
+// Most cells PATCH /cells/batch updates at once
+const MAX_BATCH_CELLS = 5000;
+
+// PATCH /api/sheets/:sheetId/cells/batch - Update many cells in one transaction.
+// The whole batch is validated first; if any cell is invalid nothing is written.
+sheetRouter.patch('/cells/batch', async (req, res) => {
+  const { cells } = req.body;
+  
+  if (!Array.isArray(cells) || cells.length === 0) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'cells must be a non-empty array' 
+    });
+  }
+  if (cells.length > MAX_BATCH_CELLS) {
+    return res.status(400).json({ 
+      success: false,
+      error: `At most ${MAX_BATCH_CELLS} cells can be updated at once` 
+    });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const columns = await loadColumnDefinitions(client, req.sheet.id);
+    const requestedRowIds = [...new Set(cells
+      .map(cell => String((cell && cell.row_id) || '').toLowerCase())
+      .filter(id => UUID_PATTERN.test(id)))];
+    const rowsResult = await client.query(
+      'SELECT id FROM data_rows WHERE sheet_id = $1 AND is_active = TRUE AND id = ANY($2::uuid[])',
+      [req.sheet.id, requestedRowIds]
+    );
+    
+    const activeRowIds = rowsResult.rows.map(row => row.id);
+    
+    // Current values of the requested cells: select cells may keep the
+    // archived options they hold, and the history records them
+    const targets = new Map();
+    cells.forEach(cell => {
+      if (!cell || typeof cell !== 'object') return;
+      const rowId = String(cell.row_id || '').toLowerCase();
+      const column = columns.find(candidate => String(candidate.id) === String(cell.column_id));
+      if (!activeRowIds.includes(rowId) || !column || column.column_type === 'formula') return;
+      targets.set(cellKey(rowId, column.id), { row_id: rowId, column_id: column.id, column_type: column.column_type });
+    });
+    const previousValues = await readCellValues(client, [...targets.values()]);
+    
+    // Cells written back by undo name the history entry they revert, whose
+    // archived options may be written back too
+    const reverts = cells
+      .filter(cell => cell && typeof cell === 'object' && cell.history_id !== undefined)
+      .map(cell => ({ historyId: cell.history_id, rowId: cell.row_id, columnId: cell.column_id }));
+    const revertedValues = await readRevertedValues(client, reverts);
+    const keptValues = new Map([...targets.keys()].map(key => [key, [previousValues.get(key)]]));
+    reverts.filter(revert => revertedValues.has(revert.historyId)).forEach(revert => {
+      const kept = keptValues.get(cellKey(String(revert.rowId).toLowerCase(), Number(revert.columnId)));
+      if (kept) kept.push(revertedValues.get(revert.historyId));
+    });
+    
+    const { entries, results } = validateCellBatch(cells, columns, activeRowIds, keptValues);
+    const invalidCount = results.filter(result => !result.success).length;
+    if (invalidCount > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ 
+        success: false,
+        error: `${invalidCount} of ${cells.length} cells are invalid; nothing was updated`,
+        results 
+      });
+    }
+    
+    // Replace the values, keeping the previous ones in the cell history
+    await writeCellValues(client, entries);
+    const actor = resolveActor(req);
+    const changes = await recordCellChanges(client, entries.map(entry => ({
+      rowId: entry.row_id,
+      columnId: entry.column_id,
+      columnType: entry.column_type,
+      oldValue: previousValues.get(cellKey(entry.row_id, entry.column_id)),
+      newValue: entry.value,
+      actor
+    })));
+    
+    await client.query('COMMIT');
+    await publishUpdatedRows(client, req, [...new Set(entries.map(entry => entry.row_id))]);
+    
+    console.log(`Batch updated ${entries.length} cells`);
+    const historyIds = new Map(changes.map(change => [cellKey(change.row_id, change.column_id), change.id]));
+    res.json({
+      success: true,
+      message: `${entries.length} cells updated successfully`,
+      updated: entries.length,
+      results: entries.map(entry => ({
+        index: entry.index,
+        row_id: entry.row_id,
+        column_id: entry.column_id,
+        success: true,
+        value: entry.value,
+        previous_value: previousValues.get(cellKey(entry.row_id, entry.column_id)),
+        history_id: historyIds.get(cellKey(entry.row_id, entry.column_id)) || null
+      }))
+    });
+    
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating cells:', err);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update cells: ' + err.message 
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================================================
+// CELL HISTORY
+// ============================================================================
+
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 500;
+
+const parseHistoryLimit = (raw) => {
+  if (raw === undefined) return DEFAULT_HISTORY_LIMIT;
+  const limit = parseInt(raw);
+  return isNaN(limit) || limit < 1 ? null : Math.min(limit, MAX_HISTORY_LIMIT);
+};
+
+// Load history entries (newest first) and describe their values with the
+// sheet's column definitions
+async function loadCellHistory(client, sheetId, conditions, params, limit) {
+  const historyQuery = `
+    SELECT ch.id, ch.row_id, ch.column_id, ch.column_type, ch.old_value, ch.new_value, ch.actor, ch.changed_at
+    FROM cell_history ch
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ch.changed_at DESC, ch.id DESC
+    LIMIT ${limit}
+  `;
+  const historyResult = await client.query(historyQuery, params);
+  const columns = await loadColumnDefinitions(client, sheetId);
+  return historyResult.rows.map(entry =>
+    formatHistoryEntry(entry, columns.find(column => column.id === entry.column_id)));
+}
+
+// GET /api/sheets/:sheetId/rows/:id/history - Changes to every cell of a row
+sheetRouter.get('/rows/:id/history', async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Valid row ID is required'
+    });
+  }
+  const limit = parseHistoryLimit(req.query.limit);
+  if (limit === null) {
+    return res.status(400).json({
+      success: false,
+      error: 'limit must be a positive integer'
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    // Deleted rows keep their history
+    const rowResult = await client.query(
+      'SELECT id FROM data_rows WHERE id = $1 AND sheet_id = $2',
+      [req.params.id, req.sheet.id]
+    );
+    if (rowResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Row not found'
+      });
+    }
+
+    const history = await loadCellHistory(client, req.sheet.id, ['ch.row_id = $1'], [req.params.id], limit);
+    res.json({
+      success: true,
+      row_id: req.params.id,
+      history
+    });
+  } catch (err) {
+    console.error('Error fetching row history:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch row history: ' + err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/sheets/:sheetId/cell/history?row_id=&column_id= - Changes to one cell
+sheetRouter.get('/cell/history', async (req, res) => {
+  const { row_id, column_id } = req.query;
+  if (!row_id || !column_id || isNaN(parseInt(column_id))) {
+    return res.status(400).json({
+      success: false,
+      error: 'row_id and column_id are required'
+    });
+  }
+  if (!UUID_PATTERN.test(row_id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Valid row ID is required'
+    });
+  }
+  const limit = parseHistoryLimit(req.query.limit);
+  if (limit === null) {
+    return res.status(400).json({
+      success: false,
+      error: 'limit must be a positive integer'
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    const cellResult = await client.query(`
+      SELECT dr.id
+      FROM data_rows dr
+      JOIN columns_meta cm ON cm.sheet_id = dr.sheet_id
+      WHERE dr.id = $1 AND cm.id = $2 AND dr.sheet_id = $3
+    `, [row_id, parseInt(column_id), req.sheet.id]);
+    if (cellResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cell not found'
+      });
+    }
+
+    const history = await loadCellHistory(
+      client,
+      req.sheet.id,
+      ['ch.row_id = $1', 'ch.column_id = $2'],
+      [row_id, parseInt(column_id)],
+      limit
+    );
+    res.json({
+      success: true,
+      row_id,
+      column_id: parseInt(column_id),
+      history
+    });
+  } catch (err) {
+    console.error('Error fetching cell history:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch cell history: ' + err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// ==============================================
+// IMPORT
+// ==============================================
+
+const MAX_IMPORT_ROWS = 10000;
+const IMPORT_PREVIEW_ROWS = 10;
+
+// Accept a single uploaded file in the `file` field, answering upload
+// problems (too large, wrong field) with a 400 like other validation errors
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Upload failed: ' + err.message 
+      });
+    }
+    next();
+  });
+};
+
+// Describe an import plan for the client
+const describeImportPlan = (plan) => plan.map(entry => ({
+  header: entry.header,
+  action: entry.action,
+  column_id: entry.column ? entry.column.id || null : null,
+  column_name: entry.column ? entry.column.column_name : null,
+  column_type: entry.column ? entry.column.column_type : null,
+  new_options: entry.action === 'create' ? entry.column.options.map(option => option.label) : []
+}));
+
+// Map, validate and import parsed records (header row first) for the
+// import routes below. Reads the `mapping` and `dry_run` form fields.
+// Rows with invalid values are skipped and reported; the rest are imported
+// at the top of the sheet in file order. `ignoredRows`, answered as
+// ignored_rows when given, counts the rows the reader left out of `records`.
+async function importRecords(req, res, records, source, ignoredRows) {
+  let mapping = {};
+  if (req.body.mapping) {
+    try {
+      mapping = JSON.parse(req.body.mapping);
+    } catch (err) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'mapping must be valid JSON' 
+      });
+    }
+  }
+  
+  const dryRun = req.body.dry_run === 'true';
+  
+  if (records.length < 2) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'The file needs a header row and at least one data row' 
+    });
+  }
+  
+  const [headers, ...dataRecords] = records;
+  if (dataRecords.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ 
+      success: false,
+      error: `Too many rows (${dataRecords.length}). At most ${MAX_IMPORT_ROWS} rows can be imported at once` 
+    });
+  }
+  
+  console.log(`Importing ${source} '${req.file.originalname}':`, { rows: dataRecords.length, headers, dryRun });
+  
+  let client;
+  try {
+    client = await pool.connect();
+    
+    const columns = await loadColumnDefinitions(client, req.sheet.id);
+    const plan = planImportColumns(headers, dataRecords, columns, mapping);
+    const nameError = plan
+      .filter(entry => entry.action === 'create')
+      .map(entry => validateColumnName(entry.column.column_name))
+      .find(Boolean);
+    if (nameError) {
+      throw new ImportError(nameError);
+    }
+    
+    if (dryRun) {
+      // New select columns get placeholder option ids so their values validate
+      let placeholderId = 0;
+      plan.filter(entry => entry.action === 'create').forEach(entry => {
+        entry.column.options = entry.column.options.map(label => ({ id: --placeholderId, label }));
+      });
+      
+      const { rows, errors } = coerceImportRows(dataRecords, plan);
+      client.release();
+      
+      return res.json({
+        success: true,
+        dry_run: true,
+        total_rows: dataRecords.length,
+        valid_rows: rows.length,
+        ignored_rows: ignoredRows,
+        columns: describeImportPlan(plan),
+        headers: headers,
+        preview: dataRecords.slice(0, IMPORT_PREVIEW_ROWS),
+        errors: errors
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    // Create the new columns (and their options) first so values can refer to them
+    const orderQuery = 'SELECT COALESCE(MAX(display_order), 0) as last_order FROM columns_meta WHERE sheet_id = $1';
+    const orderResult = await client.query(orderQuery, [req.sheet.id]);
+    let displayOrder = orderResult.rows[0].last_order;
+    
+    for (const entry of plan.filter(item => item.action === 'create')) {
+      if (await columnNameTaken(client, req.sheet.id, entry.column.column_name)) {
+        await client.query('ROLLBACK');
+        client.release();
+        return res.status(409).json({ 
+          success: false,
+          error: `A column named '${entry.column.column_name}' already exists` 
+        });
+      }
+      
+      const columnQuery = `
+        INSERT INTO columns_meta (sheet_id, column_name, column_type, display_order)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, column_name, column_type
+      `;
+      const columnResult = await client.query(columnQuery, [
+        req.sheet.id,
+        entry.column.column_name,
+        entry.column.column_type,
+        ++displayOrder
+      ]);
+      
+      const options = [];
+      for (const [index, label] of entry.column.options.entries()) {
+        const optionQuery = `
+          INSERT INTO dropdown_options (column_id, option_value, color, display_order)
+          VALUES ($1, $2, $3, $4)
+          RETURNING id, option_value
+        `;
+        const optionResult = await client.query(optionQuery, [
+          columnResult.rows[0].id,
+          label,
+          defaultOptionColor(index),
+          index + 1
+        ]);
+        options.push({ id: optionResult.rows[0].id, label: optionResult.rows[0].option_value });
+      }
+      
+      entry.column = { ...columnResult.rows[0], options };
+    }
+    
+    const { rows, errors } = coerceImportRows(dataRecords, plan);
+    
+    if (rows.length > 0) {
+      // Insert the rows at the top in file order
+      await lockSheetRows(client, req.sheet.id);
+      const gap = await findRowGap(client, req.sheet.id, { at: 'top' });
+      
+      const rowsQuery = `
+        INSERT INTO data_rows (sheet_id, position)
+        SELECT $1, UNNEST($2::text[])
+        RETURNING id, position
+      `;
+      const rowsResult = await client.query(rowsQuery, [
+        req.sheet.id,
+        positionsBetween(gap.previous, gap.next, rows.length)
+      ]);
+      const rowIds = rowsResult.rows
+        .sort((a, b) => (a.position < b.position ? -1 : 1))
+        .map(row => row.id);
+      
+      for (const [index, row] of rows.entries()) {
+        await insertRowCells(client, rowIds[index], row.cells);
+      }
+      
+      // The imported values go in the cell history like edits of empty cells
+      const actor = resolveActor(req);
+      await recordCellChanges(client, rows.flatMap((row, index) => row.cells.map(cell => ({
+        rowId: rowIds[index],
+        columnId: cell.column_id,
+        columnType: cell.column_type,
+        oldValue: null,
+        newValue: cell.value,
+        actor
+      }))));
+      
+      const summaryQuery = `
+        UPDATE row_summary SET 
+          total_rows = total_rows + $1,
+          active_rows = active_rows + $1,
+          last_row_number = 1,
+          last_updated = CURRENT_TIMESTAMP
+        WHERE sheet_id = $2
+      `;
+      await client.query(summaryQuery, [rows.length, req.sheet.id]);
+    }
+    
+    await client.query('COMMIT');
+    client.release();
+    
+    console.log(`${source} import finished: ${rows.length} rows imported, ${errors.length} skipped`);
+    publishChange(req, 'sheet.reloaded', {});
+    
+    res.status(201).json({
+      success: true,
+      total_rows: dataRecords.length,
+      imported_rows: rows.length,
+      skipped_rows: errors.length,
+      ignored_rows: ignoredRows,
+      columns: describeImportPlan(plan),
+      errors: errors
+    });
+    
+  } catch (err) {
+    if (client) {
+      await client.query('ROLLBACK');
+      client.release();
+    }
+    if (err instanceof ImportError) {
+      return res.status(400).json({ 
+        success: false,
+        error: err.message 
+      });
+    }
+    console.error(`${source} import error:`, err);
+    res.status(500).json({ 
+      success: false,
+      error: `Failed to import ${source}: ` + err.message 
+    });
+  }
+}
+
+// POST /api/sheets/:sheetId/import/csv - Import rows from an uploaded CSV file
+// multipart/form-data fields:
+//   file      - the CSV file; the first record is the header row
+//   mapping   - optional JSON object, header -> { action: 'map', column_id } |
+//               { action: 'create', column_type, name } | { action: 'skip' }
+//   delimiter - optional, ',' (default), ';' or 'tab'
+//   dry_run   - 'true' to only return the plan, a preview and the row errors
+sheetRouter.post('/import/csv', uploadFile, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'file is required' 
+    });
+  }
+  
+  const delimiter = req.body.delimiter === 'tab' ? '\t' : (req.body.delimiter || ',');
+  if (![',', ';', '\t'].includes(delimiter)) {
+    return res.status(400).json({ 
+      success: false,
+      error: "Invalid delimiter. Must be one of: ',', ';', 'tab'" 
+    });
+  }
+  
+  let records;
+  try {
+    records = parseCsv(req.file.buffer.toString('utf8'), delimiter);
+  } catch (err) {
+    if (!(err instanceof CsvError)) {
+      console.error('CSV read error:', err);
+      return res.status(500).json({ 
+        success: false,
+        error: 'Failed to import CSV: ' + err.message 
+      });
+    }
+    return res.status(400).json({ 
+      success: false,
+      error: 'Invalid CSV: ' + err.message 
+    });
+  }
+  
+  return importRecords(req, res, records, 'CSV');
+});
+
+// POST /api/sheets/:sheetId/import/xlsx - Import rows from the first worksheet of an .xlsx file
+// Same form fields as the CSV import, without delimiter. Blank rows and the
+// export's summary footer are left out and counted as ignored_rows.
+sheetRouter.post('/import/xlsx', uploadFile, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'file is required' 
+    });
+  }
+  
+  let workbook;
+  try {
+    workbook = await readXlsxRecords(req.file.buffer);
+  } catch (err) {
+    if (!(err instanceof XlsxError)) {
+      console.error('XLSX read error:', err);
+    }
+    return res.status(400).json({ 
+      success: false,
+      error: 'Invalid XLSX: ' + err.message 
+    });
+  }
+  
+  return importRecords(req, res, workbook.records, 'XLSX', workbook.ignoredRows);
+});
+
+// ==============================================
+// EXPORT
+// ==============================================
+
+// Rows read from the export cursor per round trip
+const EXPORT_BATCH_SIZE = 500;
+
+// Resolve once the response can take more data (or the client went away)
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// GET /api/sheets/:sheetId/export - Download the whole sheet
+// Query parameters:
+//   format    - csv (default), tsv, json or xlsx
+//   separator - placed between multi_select labels in csv/tsv/xlsx, default ', '
+sheetRouter.get('/export', async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Invalid format. Must be one of: ' + Object.keys(EXPORT_FORMATS).join(', ') 
+    });
+  }
+  
+  const separator = req.query.separator === undefined ? DEFAULT_MULTI_SELECT_SEPARATOR : req.query.separator;
+  if (typeof separator !== 'string' || separator === '' || separator.length > 10) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'separator must be between 1 and 10 characters' 
+    });
+  }
+  
+  let client;
+  let cursor;
+  try {
+    client = await pool.connect();
+    
+    const columns = await loadColumnDefinitions(client, req.sheet.id);
+    
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+    
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    const fileName = req.sheet.name.replace(/[^\w .-]+/g, '_').trim() || 'spreadsheet';
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}-${date}.${EXPORT_FORMATS[format].extension}"`);
+    
+    // Workbooks are zipped by exceljs; the text formats are written directly
+    const workbook = format === 'xlsx' ? createXlsxExportWriter(res, columns, { separator }) : null;
+    const formatter = workbook ? null : createExportFormatter(format, columns, { separator });
+    if (formatter) {
+      res.write(formatter.header());
+    }
+    
+    // Read rows through a cursor so large sheets are never held in memory
+    cursor = client.query(new Cursor(EXPORT_ROWS_QUERY, [req.sheet.id]));
+    let exportedRows = 0;
+    let rows;
+    do {
+      rows = await cursor.read(EXPORT_BATCH_SIZE);
+      exportedRows += rows.length;
+      if (workbook) {
+        rows.forEach(row => workbook.addRow(toExportValues(columns, row)));
+        continue;
+      }
+      const chunk = rows.map(row => formatter.row(toExportValues(columns, row))).join('');
+      if (chunk && !res.write(chunk)) {
+        await waitForDrain(res);
+      }
+    } while (rows.length > 0 && !closed);
+    
+    await cursor.close();
+    cursor = null;
+    
+    if (closed) {
+      client.release();
+      console.log(`Export cancelled by the client after ${exportedRows} rows`);
+      return;
+    }
+    
+    if (workbook) {
+      // Summaries end the sheet as a footer row
+      const summaries = await loadColumnSummaries(client, req.sheet.id);
+      client.release();
+      client = null;
+      await workbook.finish(summaries);
+    } else {
+      client.release();
+      client = null;
+      res.end(formatter.footer());
+    }
+    console.log(`Exported ${exportedRows} rows as ${format}`);
+    
+  } catch (err) {
+    console.error('Export error:', err);
+    if (cursor) {
+      await cursor.close().catch(() => {});
+    }
+    if (client) {
+      client.release();
+    }
+    if (res.headersSent) {
+      // Too late for an error response; cut the download short instead
+      res.destroy(err);
+    } else {
+      res.status(500).json({ 
+        success: false,
+        error: 'Failed to export: ' + err.message 
+      });
+    }
+  }
+});
+
+// Compute the summary of every active column of a sheet (as returned by
+// GET /api/sheets/:sheetId/summary)
+async function loadColumnSummaries(client, sheetId) {
+  // Get all active columns
+  const columnsQuery = `
+    SELECT id, column_name, column_type, display_order
+    FROM columns_meta 
+    WHERE is_active = TRUE AND sheet_id = $1
+    ORDER BY display_order, id
+  `;
+  const columnsResult = await client.query(columnsQuery, [sheetId]);
+  
+  return Promise.all(
+    columnsResult.rows.map(async (column) => {
+      let summary = null;
+      
+      if (column.column_type === 'text') {
+        // Text columns have no summary
+        summary = null;
+        
+      } else if (column.column_type === 'number') {
+        // Sum, average, and count of all number values
+        const numberQuery = `
+          SELECT 
+            COALESCE(SUM(number_value), 0) as sum_value, 
+            COALESCE(AVG(number_value), 0) as avg_value,
+            COUNT(*) as count
+          FROM cell_values cv
+          JOIN data_rows dr ON dr.id = cv.row_id AND dr.is_active = TRUE
+          WHERE cv.column_id = $1 AND cv.number_value IS NOT NULL
+        `;
+        const numberResult = await client.query(numberQuery, [column.id]);
+        summary = {
+          sum: parseFloat(numberResult.rows[0].sum_value),
+          average: parseFloat(numberResult.rows[0].avg_value),
+          count: parseInt(numberResult.rows[0].count)
+        };
+        
+      } else if (column.column_type === 'datetime') {
+        // Value closest to now
+        const datetimeQuery = `
+          SELECT datetime_value
+          FROM cell_values cv
+          JOIN data_rows dr ON dr.id = cv.row_id AND dr.is_active = TRUE
+          WHERE cv.column_id = $1 AND cv.datetime_value IS NOT NULL
+          ORDER BY ABS(EXTRACT(EPOCH FROM (datetime_value - NOW())))
+          LIMIT 1
+        `;
+        const datetimeResult = await client.query(datetimeQuery, [column.id]);
+        summary = datetimeResult.rows.length > 0 ? datetimeResult.rows[0].datetime_value : null;
+        
+      } else if (column.column_type === 'date') {
+        // Date closest to today
+        const dateQuery = `
+          SELECT date_value
+          FROM cell_values cv
+          JOIN data_rows dr ON dr.id = cv.row_id AND dr.is_active = TRUE
+          WHERE cv.column_id = $1 AND cv.date_value IS NOT NULL
+          ORDER BY ABS(date_value - CURRENT_DATE), date_value
+          LIMIT 1
+        `;
+        const dateResult = await client.query(dateQuery, [column.id]);
+        summary = dateResult.rows.length > 0 ? dateResult.rows[0].date_value : null;
+        
+      } else if (column.column_type === 'time') {
+        // Earliest and latest time of day
+        const timeQuery = `
+          SELECT MIN(time_value) as earliest, MAX(time_value) as latest
+          FROM cell_values cv
+          JOIN data_rows dr ON dr.id = cv.row_id AND dr.is_active = TRUE
+          WHERE cv.column_id = $1 AND cv.time_value IS NOT NULL
+        `;
+        const timeResult = await client.query(timeQuery, [column.id]);
+        summary = timeResult.rows[0].earliest === null ? null : {
+          earliest: timeResult.rows[0].earliest,
+          latest: timeResult.rows[0].latest
+        };
+        
+      } else if (column.column_type === 'boolean') {
+        // Checked rows out of all rows; empty cells count as unchecked
+        const booleanQuery = `
+          SELECT 
+            COUNT(*) FILTER (WHERE cv.boolean_value) as checked,
+            COUNT(*) as total
+          FROM data_rows dr
+          LEFT JOIN cell_values cv ON cv.row_id = dr.id AND cv.column_id = $1
+          WHERE dr.sheet_id = $2 AND dr.is_active = TRUE
+        `;
+        const booleanResult = await client.query(booleanQuery, [column.id, sheetId]);
+        const checked = parseInt(booleanResult.rows[0].checked);
+        const total = parseInt(booleanResult.rows[0].total);
+        summary = {
+          checked: checked,
+          total: total,
+          percentage: total > 0 ? Math.round((checked / total) * 1000) / 10 : 0
+        };
+        
+      } else if (column.column_type === 'single_select') {
+        // Most frequent option - get actual department names from dropdown_options
+        const singleSelectQuery = `
+          SELECT 
+            opt.option_value,
+            COUNT(*) as frequency
+          FROM cell_values cv
+          JOIN data_rows dr ON dr.id = cv.row_id AND dr.is_active = TRUE
+          JOIN dropdown_options opt ON (
+            cv.single_select_value = opt.option_value OR 
+            cv.single_select_value = opt.id::text
+          )
+          WHERE cv.column_id = $1 AND cv.single_select_value IS NOT NULL 
+            AND opt.is_active = TRUE
+          GROUP BY opt.option_value
+          ORDER BY frequency DESC, opt.option_value ASC
+          LIMIT 1
+        `;
+        const singleSelectResult = await client.query(singleSelectQuery, [column.id]);
+        
+        summary = singleSelectResult.rows.length > 0 ? {
+          most_frequent: singleSelectResult.rows[0].option_value,
+          count: parseInt(singleSelectResult.rows[0].frequency)
+        } : null;
+        
+      } else if (column.column_type === 'multi_select') {
+        // Most frequent option(s)
+        const multiSelectQuery = `
+          SELECT 
+            opt.option_value,
+            COUNT(*) as frequency
+          FROM multi_select_values msv
+          JOIN data_rows dr ON dr.id = msv.row_id AND dr.is_active = TRUE
+          JOIN dropdown_options opt ON msv.option_id = opt.id
+          WHERE msv.column_id = $1 AND opt.is_active = TRUE
+          GROUP BY opt.option_value
+          ORDER BY frequency DESC, opt.option_value ASC
+        `;
+        const multiSelectResult = await client.query(multiSelectQuery, [column.id]);
+        
+        if (multiSelectResult.rows.length > 0) {
+          const maxFrequency = multiSelectResult.rows[0].frequency;
+          const mostFrequent = multiSelectResult.rows.filter(row => 
+            parseInt(row.frequency) === parseInt(maxFrequency)
+          );
+          summary = {
+            most_frequent: mostFrequent.map(row => row.option_value),
+            count: parseInt(maxFrequency)
+          };
+        } else {
+          summary = null;
+        }
+      }
+      
+      return {
+        column_id: column.id,
+        column_name: column.column_name,
+        column_type: column.column_type,
+        display_order: column.display_order,
+        summary: summary
+      };
+    })
+  );
+}
+
+// GET /api/sheets/:sheetId/summary - Get column summaries
+sheetRouter.get('/summary', async (req, res) => {
+  try {
+    const client = await pool.connect();
+    
+    const summaries = await loadColumnSummaries(client, req.sheet.id);
+    
+    client.release();
+    
+    res.json({
+      summaries: summaries,
+      total_columns: summaries.length,
+      generated_at: new Date().toISOString()
+    });
+    
+  } catch (err) {
+    console.error('Error generating summary:', err);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to generate summary: ' + err.message 
+    });
+  }
+});
+
+// DELETE /api/sheets/:sheetId/columns/:id - Delete a column
+sheetRouter.delete('/columns/:id', async (req, res) => {
+  const { id } = req.params;
+  
+  if (!id || isNaN(parseInt(id))) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Valid column ID is required' 
+    });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    // First, check if column exists
+    const checkQuery = 'SELECT id, column_name FROM columns_meta WHERE id = $1 AND sheet_id = $2 AND is_active = TRUE';
+    const checkResult = await client.query(checkQuery, [id, req.sheet.id]);
+    
+    if (checkResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      client.release();
+      return res.status(404).json({ 
+        success: false,
+        error: 'Column not found' 
+      });
+    }
+    
+    // Hide the column. Its options and values are kept so
+    // POST /columns/:id/restore can bring it back
+    await client.query('UPDATE columns_meta SET is_active = FALSE WHERE id = $1', [id]);
+    
+    await client.query('COMMIT');
+    client.release();
+    
+    console.log(`Column ${id} deleted successfully`);
+    publishChange(req, 'column.deleted', { column_id: parseInt(id) });
+    
+    res.json({ 
+      success: true,
+      message: 'Column deleted successfully' 
+    });
+    
+  } catch (err) {
+    await client.query('ROLLBACK');
+    client.release();
+    console.error('Delete column error:', err);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to delete column: ' + err.message 
+    });
+  }
+});
+
+// POST /api/sheets/:sheetId/columns/:id/restore - Bring back a deleted column with its data
+sheetRouter.post('/columns/:id/restore', async (req, res) => {
+  const id = parseInt(req.params.id);
+  
+  if (isNaN(id)) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Valid column ID is required' 
+    });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const deletedResult = await client.query(
+      'SELECT column_name FROM columns_meta WHERE id = $1 AND sheet_id = $2 AND is_active = FALSE FOR UPDATE',
+      [id, req.sheet.id]
+    );
+    if (deletedResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ 
+        success: false,
+        error: 'Deleted column not found' 
+      });
+    }
+    
+    // Another column may have taken the name since this one was deleted
+    const name = deletedResult.rows[0].column_name;
+    if (await columnNameTaken(client, req.sheet.id, name, id)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ 
+        success: false,
+        error: `A column named '${name}' already exists; rename it before restoring this one` 
+      });
+    }
+    
+    const restoreQuery = `
+      UPDATE columns_meta SET is_active = TRUE
+      WHERE id = $1
+      RETURNING ${COLUMN_FIELDS}
+    `;
+    const restoreResult = await client.query(restoreQuery, [id]);
+    const column = restoreResult.rows[0];
+    
+    const optionsResult = await client.query(OPTIONS_QUERY, [id]);
+    
+    await client.query('COMMIT');
+    
+    console.log(`Column ${id} restored`);
+    const restoredColumn = formatColumn(column, optionsResult.rows);
+    publishChange(req, 'column.restored', { column: restoredColumn });
+    
+    res.json(restoredColumn);
+    
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Restore column error:', err);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to restore column: ' + err.message 
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Widths a column can be resized to, in pixels (see columns_meta.width)
+const MIN_COLUMN_WIDTH = 60;
+const MAX_COLUMN_WIDTH = 1000;
+
+// Most options a conversion to single_select may create, and most failed
+// cells listed in a conversion report
+const MAX_CONVERSION_OPTIONS = 1000;
+const MAX_REPORTED_FAILURES = 100;
+
+// Where converted values are stored and the array type they are sent as,
+// by the type converted to (multi_select values go to multi_select_values)
+const CONVERTED_VALUE_STORAGE = {
+  text: { field: 'text_value', arrayType: 'text' },
+  number: { field: 'number_value', arrayType: 'numeric' },
+  single_select: { field: 'single_select_value', arrayType: 'int' }
+};
+
+// Read a column's stored values, deleted rows included, and work out
+// converting them to `toType` (see utils/columnConversion). Options the
+// conversion creates have placeholder ids -1, -2, ... until they exist.
+async function planColumnConversion(client, column, toType) {
+  const optionsResult = await client.query(
+    'SELECT id, option_value, is_active FROM dropdown_options WHERE column_id = $1 ORDER BY display_order, id',
+    [column.id]
+  );
+  const source = {
+    ...column,
+    options: optionsResult.rows.map(option => ({ id: option.id, label: option.option_value, is_active: option.is_active }))
+  };
+  
+  const cellsQuery = `
+    SELECT cv.row_id, cv.text_value, cv.number_value, cv.datetime_value, cv.single_select_value, cv.date_value, cv.time_value
+    FROM cell_values cv
+    JOIN data_rows dr ON dr.id = cv.row_id
+    WHERE cv.column_id = $1
+    ORDER BY dr.position
+  `;
+  const cellsResult = await client.query(cellsQuery, [column.id]);
+  const cells = cellsResult.rows
+    .map(cell => ({ row_id: cell.row_id, value: storedCellValue(column.column_type, cell) }))
+    .filter(cell => cell.value !== null);
+  
+  const newLabels = conversionOptionLabels(source, toType, cells);
+  const target = {
+    ...source,
+    column_type: toType,
+    options: [
+      ...source.options.filter(option => option.is_active),
+      ...newLabels.map((label, index) => ({ id: -(index + 1), label }))
+    ]
+  };
+  return { cells, newLabels, optionCount: source.options.length, ...convertCells(source, target, cells) };
+}
+
+// What a conversion does, as PATCH /columns/:id reports it. Failed cells
+// of active rows carry their row number.
+async function conversionReport(client, sheetId, column, toType, plan) {
+  const failures = plan.failures.slice(0, MAX_REPORTED_FAILURES);
+  const rowNumbers = await loadRowNumbers(client, sheetId, failures.map(failure => failure.row_id));
+  return {
+    from: column.column_type,
+    to: toType,
+    cells: plan.cells.length,
+    converted: plan.converted.length,
+    failed: plan.failures.length,
+    new_options: plan.newLabels,
+    failures: failures.map(failure => ({
+      row_id: failure.row_id,
+      row_number: rowNumbers.get(failure.row_id) || null,
+      value: failure.value,
+      error: failure.error
+    }))
+  };
+}
+
+// Write a planned conversion: create its options, store the converted
+// values and empty the cells that ended up without one (failed cells too)
+async function applyColumnConversion(client, column, toType, plan) {
+  const optionIds = new Map();
+  if (plan.newLabels.length > 0) {
+    const optionsQuery = `
+      INSERT INTO dropdown_options (column_id, option_value, color, display_order)
+      SELECT $1, l.label, l.color, (SELECT COALESCE(MAX(display_order), 0) FROM dropdown_options WHERE column_id = $1) + l.n
+      FROM UNNEST($2::text[], $3::text[]) WITH ORDINALITY AS l(label, color, n)
+      RETURNING id, option_value
+    `;
+    const optionsResult = await client.query(optionsQuery, [
+      column.id,
+      plan.newLabels,
+      plan.newLabels.map((label, index) => defaultOptionColor(plan.optionCount + index))
+    ]);
+    optionsResult.rows.forEach(option => optionIds.set(option.option_value, option.id));
+  }
+  const resolve = (value) => (typeof value === 'number' && value < 0 ? optionIds.get(plan.newLabels[-value - 1]) : value);
+  
+  const kept = plan.converted.filter(cell => cell.value !== null);
+  const cleared = [
+    ...plan.converted.filter(cell => cell.value === null),
+    ...plan.failures
+  ].map(cell => cell.row_id);
+  
+  if (toType === 'multi_select') {
+    await client.query(
+      `INSERT INTO multi_select_values (row_id, column_id, option_id)
+       SELECT v.row_id, $1, v.option_id FROM UNNEST($2::uuid[], $3::int[]) AS v(row_id, option_id)`,
+      [column.id, kept.map(cell => cell.row_id), kept.map(cell => resolve(cell.value[0]))]
+    );
+    await client.query('DELETE FROM cell_values WHERE column_id = $1', [column.id]);
+  } else {
+    const { field, arrayType } = CONVERTED_VALUE_STORAGE[toType];
+    await client.query(
+      `UPDATE cell_values cv
+       SET text_value = NULL, number_value = NULL, datetime_value = NULL, single_select_value = NULL,
+           date_value = NULL, time_value = NULL, ${field} = v.value, updated_at = CURRENT_TIMESTAMP
+       FROM UNNEST($2::uuid[], $3::${arrayType}[]) AS v(row_id, value)
+       WHERE cv.column_id = $1 AND cv.row_id = v.row_id`,
+      [column.id, kept.map(cell => cell.row_id), kept.map(cell => resolve(cell.value))]
+    );
+    await client.query(
+      'DELETE FROM cell_values WHERE column_id = $1 AND row_id = ANY($2::uuid[])',
+      [column.id, cleared]
+    );
+  }
+  
+  // The display settings belong to the old type; no conversion makes a
+  // datetime, date or time column
+  await client.query(
+    'UPDATE columns_meta SET column_type = $1, display_format = NULL, display_timezone = NULL WHERE id = $2',
+    [toType, column.id]
+  );
+}
+
+// PATCH /api/sheets/:sheetId/columns/:id - Rename, move, resize or convert a column
+// Body: any of
+//   name          - new name; formulas that refer to the column are rewritten
+//   display_order - 1-based place among the sheet's columns; the others shift
+//   width         - width in pixels, or null for the default
+//   allow_new_options - select columns: whether options can be added by
+//                       typing them in a cell
+//   display_format - datetime, date and time columns: how cells are shown,
+//                    e.g. DD/MM/YYYY HH:mm (see utils/dateTimes), or null
+//   display_timezone - datetime columns: IANA timezone the cells are shown
+//                      in, or null for the viewer's own
+//   column_type   - new type; the stored values are converted (see
+//                   utils/columnConversion). A conversion some cells fail is
+//                   refused unless clear_failed is true, which empties them.
+//                   With dry_run: true nothing is changed and the response
+//                   reports what the conversion would do.
+sheetRouter.patch('/columns/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const body = req.body || {};
+  
+  if (isNaN(id)) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Valid column ID is required' 
+    });
+  }
+  const fields = ['name', 'display_order', 'width', 'column_type', 'allow_new_options', 'display_format', 'display_timezone'];
+  if (!fields.some(field => body[field] !== undefined)) {
+    return res.status(400).json({ 
+      success: false,
+      error: `Give ${fields.slice(0, -1).join(', ')} or ${fields[fields.length - 1]}` 
+    });
+  }
+  if (body.dry_run && body.column_type === undefined) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'dry_run previews a column_type change' 
+    });
+  }
+  
+  const nameError = body.name !== undefined ? validateColumnName(body.name) : null;
+  if (nameError) {
+    return res.status(400).json({ 
+      success: false,
+      error: nameError 
+    });
+  }
+  if (body.display_order !== undefined && (!Number.isInteger(body.display_order) || body.display_order < 1)) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'display_order must be a whole number from 1' 
+    });
+  }
+  if (body.width !== undefined && body.width !== null &&
+      (!Number.isInteger(body.width) || body.width < MIN_COLUMN_WIDTH || body.width > MAX_COLUMN_WIDTH)) {
+    return res.status(400).json({ 
+      success: false,
+      error: `width must be a whole number from ${MIN_COLUMN_WIDTH} to ${MAX_COLUMN_WIDTH}, or null` 
+    });
+  }
+  if (body.allow_new_options !== undefined && typeof body.allow_new_options !== 'boolean') {
+    return res.status(400).json({ 
+      success: false,
+      error: 'allow_new_options must be true or false' 
+    });
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const columnResult = await client.query(
+      `SELECT ${COLUMN_FIELDS} FROM columns_meta WHERE id = $1 AND sheet_id = $2 AND is_active = TRUE FOR UPDATE`,
+      [id, req.sheet.id]
+    );
+    if (columnResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ 
+        success: false,
+        error: 'Column not found' 
+      });
+    }
+    const column = columnResult.rows[0];
+    
+    let conversion = null;
+    let plan = null;
+    if (body.column_type !== undefined && body.column_type !== column.column_type) {
+      if (!canConvertColumn(column.column_type, body.column_type)) {
         await client.query('ROLLBACK');
-        client.release();
         return res.status(400).json({ 
           success: false,
-          error: 'Invalid datetime value' 
+          error: `Cannot convert a ${column.column_type} column to ${body.column_type}` 
         });
       }
-    } else if (data_type === 'single_select') {
-      if (typeof value !== 'number') {
+      
+      plan = await planColumnConversion(client, column, body.column_type);
+      conversion = await conversionReport(client, req.sheet.id, column, body.column_type, plan);
+      if (plan.newLabels.length > MAX_CONVERSION_OPTIONS) {
         await client.query('ROLLBACK');
-        client.release();
         return res.status(400).json({ 
           success: false,
-          error: 'Single select value must be a number' 
+          error: `The column has ${plan.newLabels.length} distinct values; at most ${MAX_CONVERSION_OPTIONS} can become options`,
+          conversion 
         });
       }
-      
-      // Validate option exists
-      const optionQuery = `
-        SELECT id FROM dropdown_options 
-        WHERE column_id = $1 AND id = $2 AND is_active = TRUE
-      `;
-      const optionResult = await client.query(optionQuery, [column_id, value]);
-      if (optionResult.rows.length === 0) {
+      if (body.dry_run) {
         await client.query('ROLLBACK');
-        client.release();
-        return res.status(400).json({ 
+        return res.json({
+          success: true,
+          dry_run: true,
+          conversion
+        });
+      }
+      if (plan.failures.length > 0 && body.clear_failed !== true) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ 
           success: false,
-          error: 'Invalid option ID' 
+          error: `${plan.failures.length} cell(s) cannot be converted to ${body.column_type}; pass clear_failed to empty them`,
+          conversion 
         });
       }
-    } else if (data_type === 'multi_select') {
-      if (!Array.isArray(value)) {
+    } else if (body.dry_run) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ 
+        success: false,
+        error: `The column is already ${column.column_type}` 
+      });
+    }
+    
+    if (body.name !== undefined && body.name.trim() !== column.column_name) {
+      const name = body.name.trim();
+      
+      if (await columnNameTaken(client, req.sheet.id, name, id)) {
         await client.query('ROLLBACK');
-        client.release();
-        return res.status(400).json({ 
+        return res.status(409).json({ 
           success: false,
-          error: 'Multi select value must be an array' 
+          error: `A column named '${name}' already exists` 
         });
       }
       
-      // Validate all option IDs exist
-      if (value.length > 0) {
-        const optionIdsQuery = `
-          SELECT id FROM dropdown_options 
-          WHERE column_id = $1 AND id = ANY($2) AND is_active = TRUE
-        `;
-        const optionIdsResult = await client.query(optionIdsQuery, [column_id, value]);
-        if (optionIdsResult.rows.length !== value.length) {
-          await client.query('ROLLBACK');
-          client.release();
-          return res.status(400).json({ 
-            success: false,
-            error: 'Invalid option IDs' 
-          });
+      // Keep formulas working, deleted formula columns included so they
+      // still work when restored
+      const formulasResult = await client.query(
+        `SELECT id, formula_expression FROM columns_meta
+         WHERE sheet_id = $1 AND column_type = 'formula' AND id <> $2`,
+        [req.sheet.id, id]
+      );
+      for (const formulaColumn of formulasResult.rows) {
+        const expression = renameReferences(formulaColumn.formula_expression, column.column_name, name);
+        if (expression !== formulaColumn.formula_expression) {
+          await client.query(
+            'UPDATE columns_meta SET formula_expression = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [expression, formulaColumn.id]
+          );
         }
       }
+      
+      await client.query('UPDATE columns_meta SET column_name = $1 WHERE id = $2', [name, id]);
     }
     
-    // Delete existing cell value if it exists
-    const deleteCellQuery = 'DELETE FROM cell_values WHERE row_id = $1 AND column_id = $2';
-    await client.query(deleteCellQuery, [row_id, column_id]);
-    
-    // Delete existing multi-select values if they exist
-    const deleteMultiQuery = 'DELETE FROM multi_select_values WHERE row_id = $1 AND column_id = $2';
-    await client.query(deleteMultiQuery, [row_id, column_id]);
+    if (body.width !== undefined) {
+      await client.query('UPDATE columns_meta SET width = $1 WHERE id = $2', [body.width, id]);
+    }
     
-    // Insert new cell value based on type
-    if (data_type === 'text') {
-      const insertQuery = `
-        INSERT INTO cell_values (row_id, column_id, text_value)
-        VALUES ($1, $2, $3)
-      `;
-      await client.query(insertQuery, [row_id, column_id, value]);
-    } else if (data_type === 'number') {
-      const insertQuery = `
-        INSERT INTO cell_values (row_id, column_id, number_value)
-        VALUES ($1, $2, $3)
-      `;
-      await client.query(insertQuery, [row_id, column_id, value]);
-    } else if (data_type === 'datetime') {
-      const insertQuery = `
-        INSERT INTO cell_values (row_id, column_id, datetime_value)
-        VALUES ($1, $2, $3)
-      `;
-      await client.query(insertQuery, [row_id, column_id, value]);
-    } else if (data_type === 'single_select') {
-      const insertQuery = `
-        INSERT INTO cell_values (row_id, column_id, single_select_value)
-        VALUES ($1, $2, $3)
-      `;
-      await client.query(insertQuery, [row_id, column_id, value]);
-    } else if (data_type === 'multi_select') {
-      // Insert multi-select values
-      for (const optionId of value) {
-        const insertQuery = `
-          INSERT INTO multi_select_values (row_id, column_id, option_id)
-          VALUES ($1, $2, $3)
-        `;
-        await client.query(insertQuery, [row_id, column_id, optionId]);
+    if (body.allow_new_options !== undefined) {
+      const columnType = plan ? body.column_type : column.column_type;
+      if (!SELECT_COLUMN_TYPES.includes(columnType)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ 
+          success: false,
+          error: 'Only select columns take new options' 
+        });
       }
+      await client.query('UPDATE columns_meta SET allow_new_options = $1 WHERE id = $2', [body.allow_new_options, id]);
     }
     
-    await client.query('COMMIT');
-    
-    res.json({
-      success: true,
-      message: 'Cell updated successfully',
-      row_id: row_id,
-      column_id: column_id,
-      data_type: data_type,
-      value: value
-    });
+    if (body.display_format !== undefined || body.display_timezone !== undefined) {
+      const columnType = plan ? body.column_type : column.column_type;
+      const displayError = validateDisplaySettings(columnType, body);
+      if (displayError) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ 
+          success: false,
+          error: displayError 
+        });
+      }
+      await client.query(
+        `UPDATE columns_meta
+         SET display_format = CASE WHEN $1 THEN $2 ELSE display_format END,
+             display_timezone = CASE WHEN $3 THEN $4 ELSE display_timezone END
+         WHERE id = $5`,
+        [
+          body.display_format !== undefined,
+          typeof body.display_format === 'string' ? body.display_format.trim() : null,
+          body.display_timezone !== undefined,
+          body.display_timezone === undefined ? null : body.display_timezone,
+          id
+        ]
+      );
+    }
     
-  } catch (err) {
-    if (client) {
-      await client.query('ROLLBACK');
-      client.release();
+    if (plan) {
+      await applyColumnConversion(client, column, body.column_type, plan);
     }
-    console.error('Error updating cell:', err);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to update cell: ' + err.message 
-    });
-  }
-});
-
-// GET /api/summary - Get column summaries
-router.get('/summary', async (req, res) => {
-  try {
-    const client = await pool.connect();
     
+    if (body.display_order !== undefined) {
+      // Number the active columns 1, 2, ... with this one at its new place
+      const orderResult = await client.query(
+        'SELECT id FROM columns_meta WHERE sheet_id = $1 AND is_active = TRUE ORDER BY display_order, id',
+        [req.sheet.id]
+      );
+      const ids = orderResult.rows.map(row => row.id).filter(columnId => columnId !== id);
+      ids.splice(Math.min(body.display_order, ids.length + 1) - 1, 0, id);
+      await client.query(
+        `UPDATE columns_meta c SET display_order = o.display_order
+         FROM UNNEST($1::int[], $2::int[]) AS o(id, display_order)
+         WHERE c.id = o.id AND c.display_order <> o.display_order`,
+        [ids, ids.map((columnId, index) => index + 1)]
+      );
+    }
     
-    // Get all active columns
-    const columnsQuery = `
-      SELECT id, column_name, column_type, display_order
-      FROM columns_meta 
-      WHERE is_active = TRUE 
-      ORDER BY display_order, id
-    `;
-    const columnsResult = await client.query(columnsQuery);
+    const updatedColumn = await touchColumn(client, id);
     
-    const summaries = await Promise.all(
-      columnsResult.rows.map(async (column) => {
-        let summary = null;
-        
-        if (column.column_type === 'text') {
-          // Text columns have no summary
-          summary = null;
-          
-        } else if (column.column_type === 'number') {
-          // Sum, average, and count of all number values
-          const numberQuery = `
-            SELECT 
-              COALESCE(SUM(number_value), 0) as sum_value, 
-              COALESCE(AVG(number_value), 0) as avg_value,
-              COUNT(*) as count
-            FROM cell_values 
-            WHERE column_id = $1 AND number_value IS NOT NULL
-          `;
-          const numberResult = await client.query(numberQuery, [column.id]);
-          summary = {
-            sum: parseFloat(numberResult.rows[0].sum_value),
-            average: parseFloat(numberResult.rows[0].avg_value),
-            count: parseInt(numberResult.rows[0].count)
-          };
-          
-        } else if (column.column_type === 'datetime') {
-          // Value closest to now
-          const datetimeQuery = `
-            SELECT datetime_value
-            FROM cell_values 
-            WHERE column_id = $1 AND datetime_value IS NOT NULL
-            ORDER BY ABS(EXTRACT(EPOCH FROM (datetime_value - NOW())))
-            LIMIT 1
-          `;
-          const datetimeResult = await client.query(datetimeQuery, [column.id]);
-          summary = datetimeResult.rows.length > 0 ? datetimeResult.rows[0].datetime_value : null;
-          
-        } else if (column.column_type === 'single_select') {
-          // Most frequent option - get actual department names from dropdown_options
-          const singleSelectQuery = `
-            SELECT 
-              opt.option_value,
-              COUNT(*) as frequency
-            FROM cell_values cv
-            JOIN dropdown_options opt ON (
-              cv.single_select_value = opt.option_value OR 
-              cv.single_select_value = opt.id::text
-            )
-            WHERE cv.column_id = $1 AND cv.single_select_value IS NOT NULL 
-              AND opt.is_active = TRUE
-            GROUP BY opt.option_value
-            ORDER BY frequency DESC, opt.option_value ASC
-            LIMIT 1
-          `;
-          const singleSelectResult = await client.query(singleSelectQuery, [column.id]);
-          
-          summary = singleSelectResult.rows.length > 0 ? {
-            most_frequent: singleSelectResult.rows[0].option_value,
-            count: parseInt(singleSelectResult.rows[0].frequency)
-          } : null;
-          
-        } else if (column.column_type === 'multi_select') {
-          // Most frequent option(s)
-          const multiSelectQuery = `
-            SELECT 
-              opt.option_value,
-              COUNT(*) as frequency
-            FROM multi_select_values msv
-            JOIN dropdown_options opt ON msv.option_id = opt.id
-            WHERE msv.column_id = $1 AND opt.is_active = TRUE
-            GROUP BY opt.option_value
-            ORDER BY frequency DESC, opt.option_value ASC
-          `;
-          const multiSelectResult = await client.query(multiSelectQuery, [column.id]);
-          
-          if (multiSelectResult.rows.length > 0) {
-            const maxFrequency = multiSelectResult.rows[0].frequency;
-            const mostFrequent = multiSelectResult.rows.filter(row => 
-              parseInt(row.frequency) === parseInt(maxFrequency)
-            );
-            summary = {
-              most_frequent: mostFrequent.map(row => row.option_value),
-              count: parseInt(maxFrequency)
-            };
-          } else {
-            summary = null;
-          }
-        }
-        
-        return {
-          column_id: column.id,
-          column_name: column.column_name,
-          column_type: column.column_type,
-          display_order: column.display_order,
-          summary: summary
-        };
-      })
-    );
+    await client.query('COMMIT');
     
-    client.release();
+    console.log(`Column ${id} updated:`, Object.keys(body).join(', '));
+    publishChange(req, 'column.updated', { column: updatedColumn });
     
-    res.json({
-      summaries: summaries,
-      total_columns: summaries.length,
-      generated_at: new Date().toISOString()
-    });
+    res.json(conversion ? { ...updatedColumn, conversion } : updatedColumn);
     
   } catch (err) {
-    console.error('Error generating summary:', err);
+    await client.query('ROLLBACK');
+    console.error('Update column error:', err);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to generate summary: ' + err.message 
+      error: 'Failed to update column: ' + err.message 
     });
+  } finally {
+    client.release();
   }
 });
 
-// DELETE /api/columns/:id - Delete a column
-router.delete('/columns/:id', async (req, res) => {
-  const { id } = req.params;
+// Options of select columns. Options are not deleted: an archived option
+// (is_active false) is no longer offered in the editors, but the cells that
+// hold it keep it and still show its label.
+
+const SELECT_COLUMN_TYPES = ['single_select', 'multi_select'];
+
+const validateOptionLabel = (label) => {
+  if (typeof label !== 'string' || label.trim() === '') {
+    return 'Option label is required';
+  }
+  if (label.trim().length > MAX_OPTION_LENGTH) {
+    return `Option label must be at most ${MAX_OPTION_LENGTH} characters`;
+  }
+  return null;
+};
+
+const validateOptionColor = (color) => {
+  if (color === null || (typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color))) {
+    return null;
+  }
+  return 'color must be a hex code such as #3b82f6, or null';
+};
+
+// Lock an active column of the sheet while its options change. Resolves to
+// the column, or null when there is none.
+async function lockColumn(client, sheetId, columnId) {
+  const columnResult = await client.query(
+    `SELECT ${COLUMN_FIELDS} FROM columns_meta WHERE id = $1 AND sheet_id = $2 AND is_active = TRUE FOR UPDATE`,
+    [columnId, sheetId]
+  );
+  return columnResult.rows[0] || null;
+}
+
+// Whether another active option of the column has the label
+// (case-insensitively, as cells are pasted and imported by label)
+async function optionLabelTaken(client, columnId, label, optionId = null) {
+  const takenResult = await client.query(
+    `SELECT 1 FROM dropdown_options
+     WHERE column_id = $1 AND is_active = TRUE AND LOWER(option_value) = LOWER($2) AND id IS DISTINCT FROM $3`,
+    [columnId, label, optionId]
+  );
+  return takenResult.rows.length > 0;
+}
+
+// POST /api/sheets/:sheetId/columns/:id/options - Add an option to a select column
+// Body: { label, color }. Without a color the option takes the next one (see
+// utils/selectOptions). Responds with the column and the new option as `option`.
+sheetRouter.post('/columns/:id/options', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const { label, color } = req.body || {};
   
-  if (!id || isNaN(parseInt(id))) {
+  if (isNaN(id)) {
     return res.status(400).json({ 
       success: false,
       error: 'Valid column ID is required' 
     });
   }
+  const fieldError = validateOptionLabel(label) || (color !== undefined ? validateOptionColor(color) : null);
+  if (fieldError) {
+    return res.status(400).json({ 
+      success: false,
+      error: fieldError 
+    });
+  }
   
   const client = await pool.connect();
   
   try {
     await client.query('BEGIN');
     
-    // First, check if column exists
-    const checkQuery = 'SELECT id, column_name FROM columns_meta WHERE id = $1';
-    const checkResult = await client.query(checkQuery, [id]);
-    
-    if (checkResult.rows.length === 0) {
+    const column = await lockColumn(client, req.sheet.id, id);
+    if (!column) {
       await client.query('ROLLBACK');
-      client.release();
       return res.status(404).json({ 
         success: false,
         error: 'Column not found' 
       });
     }
+    if (!SELECT_COLUMN_TYPES.includes(column.column_type)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ 
+        success: false,
+        error: 'Only select columns have options' 
+      });
+    }
+    if (await optionLabelTaken(client, id, label.trim())) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ 
+        success: false,
+        error: `'${label.trim()}' is already an option of ${column.column_name}` 
+      });
+    }
     
-    // Delete all cell values for this column
-    await client.query('DELETE FROM cell_values WHERE column_id = $1', [id]);
-    
-    // Delete all multi-select values for this column
-    await client.query('DELETE FROM multi_select_values WHERE column_id = $1', [id]);
-    
-    // Delete all dropdown options for this column
-    await client.query('DELETE FROM dropdown_options WHERE column_id = $1', [id]);
-    
-    // Delete the column itself
-    await client.query('DELETE FROM columns_meta WHERE id = $1', [id]);
+    const countResult = await client.query(
+      'SELECT COUNT(*)::int AS count FROM dropdown_options WHERE column_id = $1',
+      [id]
+    );
+    const optionResult = await client.query(
+      `INSERT INTO dropdown_options (column_id, option_value, color, display_order)
+       SELECT $1, $2, $3, COALESCE(MAX(display_order), 0) + 1 FROM dropdown_options WHERE column_id = $1
+       RETURNING id`,
+      [id, label.trim(), color !== undefined ? color && color.toLowerCase() : defaultOptionColor(countResult.rows[0].count)]
+    );
+    const optionId = optionResult.rows[0].id;
+    const updatedColumn = await touchColumn(client, id);
     
     await client.query('COMMIT');
-    client.release();
     
-    console.log(`Column ${id} deleted successfully`);
+    console.log(`Option ${optionId} added to column ${id}`);
+    publishChange(req, 'column.updated', { column: updatedColumn });
     
-    res.json({ 
-      success: true,
-      message: 'Column deleted successfully' 
+    res.status(201).json({
+      ...updatedColumn,
+      option: updatedColumn.options.find(option => option.id === optionId)
     });
     
   } catch (err) {
     await client.query('ROLLBACK');
-    client.release();
-    console.error('Delete column error:', err);
+    console.error('Add option error:', err);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to delete column: ' + err.message 
+      error: 'Failed to add option: ' + err.message 
     });
+  } finally {
+    client.release();
   }
 });
 
-// POST /api/cleanup/columns - Remove all columns after Status
-router.post('/cleanup/columns', async (req, res) => {
+// PATCH /api/sheets/:sheetId/columns/:id/options/:optionId - Change an option
+// Body: any of
+//   label         - new label. Cells of older rows that store the label
+//                   rather than the option id are pointed at the option.
+//   color         - hex color such as #3b82f6, or null for the default
+//   display_order - 1-based place among the column's options, archived
+//                   ones included; the others shift
+//   is_active     - false archives the option, true brings it back
+// Responds with the column.
+sheetRouter.patch('/columns/:id/options/:optionId', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const optionId = parseInt(req.params.optionId);
+  const body = req.body || {};
+  
+  if (isNaN(id) || isNaN(optionId)) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Valid column and option IDs are required' 
+    });
+  }
+  if (!['label', 'color', 'display_order', 'is_active'].some(field => body[field] !== undefined)) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Give label, color, display_order or is_active' 
+    });
+  }
+  let fieldError = null;
+  if (body.label !== undefined) {
+    fieldError = validateOptionLabel(body.label);
+  }
+  if (!fieldError && body.color !== undefined) {
+    fieldError = validateOptionColor(body.color);
+  }
+  if (!fieldError && body.display_order !== undefined &&
+      (!Number.isInteger(body.display_order) || body.display_order < 1)) {
+    fieldError = 'display_order must be a whole number from 1';
+  }
+  if (!fieldError && body.is_active !== undefined && typeof body.is_active !== 'boolean') {
+    fieldError = 'is_active must be true or false';
+  }
+  if (fieldError) {
+    return res.status(400).json({ 
+      success: false,
+      error: fieldError 
+    });
+  }
+  
   const client = await pool.connect();
   
   try {
     await client.query('BEGIN');
     
-    // Find the Status column
-    const statusQuery = `
-      SELECT id, display_order 
-      FROM columns_meta 
-      WHERE column_name = 'Status' AND is_active = TRUE
-    `;
-    const statusResult = await client.query(statusQuery);
-    
-    if (statusResult.rows.length === 0) {
+    const column = await lockColumn(client, req.sheet.id, id);
+    if (!column) {
       await client.query('ROLLBACK');
-      client.release();
       return res.status(404).json({ 
         success: false,
-        error: 'Status column not found' 
+        error: 'Column not found' 
+      });
+    }
+    if (!SELECT_COLUMN_TYPES.includes(column.column_type)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ 
+        success: false,
+        error: 'Only select columns have options' 
       });
     }
+    const optionResult = await client.query(
+      'SELECT id, option_value, is_active FROM dropdown_options WHERE id = $1 AND column_id = $2',
+      [optionId, id]
+    );
+    if (optionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ 
+        success: false,
+        error: 'Option not found' 
+      });
+    }
+    const option = optionResult.rows[0];
     
-    const statusColumn = statusResult.rows[0];
-    const statusOrder = statusColumn.display_order;
-    
-    // Find all columns after Status
-    const columnsToDeleteQuery = `
-      SELECT id, column_name 
-      FROM columns_meta 
-      WHERE display_order > $1 AND is_active = TRUE
-      ORDER BY display_order
-    `;
-    const columnsToDelete = await client.query(columnsToDeleteQuery, [statusOrder]);
+    // Active labels stay unique, including when an option is brought back
+    const label = body.label !== undefined ? body.label.trim() : option.option_value;
+    const active = body.is_active !== undefined ? body.is_active : option.is_active;
+    if (active && await optionLabelTaken(client, id, label, optionId)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ 
+        success: false,
+        error: `'${label}' is already an option of ${column.column_name}` 
+      });
+    }
     
-    console.log(`Found ${columnsToDelete.rows.length} columns to delete after Status:`);
-    columnsToDelete.rows.forEach(col => console.log(`- ${col.column_name} (ID: ${col.id})`));
+    const params = [optionId];
+    const changes = [];
+    if (label !== option.option_value) {
+      changes.push(`option_value = $${params.push(label)}`);
+      if (column.column_type === 'single_select') {
+        await client.query(
+          `UPDATE cell_values SET single_select_value = $1, updated_at = CURRENT_TIMESTAMP
+           WHERE column_id = $2 AND LOWER(single_select_value::text) = LOWER($3)`,
+          [String(optionId), id, option.option_value]
+        );
+      }
+    }
+    if (body.color !== undefined) {
+      changes.push(`color = $${params.push(body.color && body.color.toLowerCase())}`);
+    }
+    if (body.is_active !== undefined) {
+      changes.push(`is_active = $${params.push(body.is_active)}`);
+    }
+    if (changes.length > 0) {
+      await client.query(`UPDATE dropdown_options SET ${changes.join(', ')} WHERE id = $1`, params);
+    }
     
-    // Delete each column and its data
-    for (const column of columnsToDelete.rows) {
-      console.log(`Deleting column: ${column.column_name} (ID: ${column.id})`);
-      
-      // Delete all cell values for this column
-      await client.query('DELETE FROM cell_values WHERE column_id = $1', [column.id]);
-      
-      // Delete all multi-select values for this column
-      await client.query('DELETE FROM multi_select_values WHERE column_id = $1', [column.id]);
-      
-      // Delete all dropdown options for this column
-      await client.query('DELETE FROM dropdown_options WHERE column_id = $1', [column.id]);
-      
-      // Delete the column itself
-      await client.query('DELETE FROM columns_meta WHERE id = $1', [column.id]);
+    if (body.display_order !== undefined) {
+      // Number the column's options 1, 2, ... with this one at its new place
+      const orderResult = await client.query(
+        'SELECT id FROM dropdown_options WHERE column_id = $1 ORDER BY display_order, id',
+        [id]
+      );
+      const ids = orderResult.rows.map(row => row.id).filter(existingId => existingId !== optionId);
+      ids.splice(Math.min(body.display_order, ids.length + 1) - 1, 0, optionId);
+      await client.query(
+        `UPDATE dropdown_options o SET display_order = n.display_order
+         FROM UNNEST($1::int[], $2::int[]) AS n(id, display_order)
+         WHERE o.id = n.id AND o.display_order <> n.display_order`,
+        [ids, ids.map((existingId, index) => index + 1)]
+      );
     }
     
+    const updatedColumn = await touchColumn(client, id);
+    
     await client.query('COMMIT');
-    client.release();
     
-    res.json({ 
-      success: true,
-      message: `Deleted ${columnsToDelete.rows.length} columns after Status`,
-      deleted_columns: columnsToDelete.rows.map(col => ({
-        id: col.id,
-        name: col.column_name
-      }))
-    });
+    console.log(`Option ${optionId} of column ${id} updated:`, Object.keys(body).join(', '));
+    publishChange(req, 'column.updated', { column: updatedColumn });
+    
+    res.json(updatedColumn);
     
   } catch (err) {
     await client.query('ROLLBACK');
-    client.release();
-    console.error('Cleanup columns error:', err);
+    console.error('Update option error:', err);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to cleanup columns: ' + err.message 
-    });
-  }
-});
-
-// Debug endpoint to check all columns
-router.get('/debug/columns', async (req, res) => {
-  try {
-    const client = await pool.connect();
-    
-    // Get all columns from database
-    const result = await client.query(`
-      SELECT 
-        id, column_name, column_type, display_order, is_active, created_at
-      FROM columns_meta 
-      ORDER BY display_order, id
-    `);
-    
-    // Get active columns only
-    const activeResult = await client.query(`
-      SELECT 
-        id, column_name, column_type, display_order, is_active, created_at
-      FROM columns_meta 
-      WHERE is_active = TRUE
-      ORDER BY display_order, id
-    `);
-    
-    client.release();
-    
-    res.json({
-      total_columns: result.rows.length,
-      active_columns: activeResult.rows.length,
-      all_columns: result.rows,
-      active_columns_only: activeResult.rows,
-      message: 'All columns from database'
-    });
-    
-  } catch (err) {
-    console.error('Debug columns error:', err);
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// Debug endpoint to check department data
-router.get('/debug/department', async (req, res) => {
-  try {
-    const client = await pool.connect();
-    
-    // Check what's actually in the department column
-    const result = await client.query(`
-      SELECT 
-        cv.row_id,
-        cv.single_select_value,
-        dr.row_number
-      FROM cell_values cv
-      JOIN data_rows dr ON cv.row_id = dr.id
-      WHERE cv.column_id = 4
-      ORDER BY dr.row_number
-    `);
-    
-    // Check if we need to fix the data
-    const needsFix = result.rows.some(row => 
-      !isNaN(parseInt(row.single_select_value)) && 
-      parseInt(row.single_select_value) > 0 && 
-      parseInt(row.single_select_value) <= 10
-    );
-    
-    client.release();
-    
-    res.json({
-      department_data: result.rows,
-      total_records: result.rows.length,
-      needs_fix: needsFix,
-      message: needsFix ? 'Data appears to be stored as numbers instead of department names' : 'Data looks correct'
+      error: 'Failed to update option: ' + err.message 
     });
-    
-  } catch (err) {
-    console.error('Debug department error:', err);
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// Fix department data endpoint
-router.post('/fix/department', async (req, res) => {
-  try {
-    const client = await pool.connect();
-    
-    // First, check what data we have
-    const checkQuery = `
-      SELECT single_select_value, COUNT(*) as count
-      FROM cell_values 
-      WHERE column_id = 4 AND single_select_value IS NOT NULL 
-      GROUP BY single_select_value
-    `;
-    const checkResult = await client.query(checkQuery);
-    console.log('Before fix - Department data:', checkResult.rows);
-    
-    // Department mapping: number -> department name
-    const departmentMap = {
-      '1': 'Engineering',
-      '2': 'Marketing', 
-      '3': 'Sales',
-      '4': 'HR',
-      '5': 'Finance'
-    };
-    
-    let updateCount = 0;
-    
-    // Update all department values
-    for (const [number, name] of Object.entries(departmentMap)) {
-      const updateResult = await client.query(`
-        UPDATE cell_values 
-        SET single_select_value = $1 
-        WHERE column_id = 4 AND single_select_value = $2
-      `, [name, number]);
-      updateCount += updateResult.rowCount;
-      console.log(`Updated ${updateResult.rowCount} records from ${number} to ${name}`);
-    }
-    
-    // Check the result
-    const afterResult = await client.query(checkQuery);
-    console.log('After fix - Department data:', afterResult.rows);
-    
+  } finally {
     client.release();
-    
-    res.json({
-      success: true,
-      message: 'Department data has been fixed',
-      updated_mappings: departmentMap,
-      records_updated: updateCount,
-      before_data: checkResult.rows,
-      after_data: afterResult.rows
-    });
-    
-  } catch (err) {
-    console.error('Fix department error:', err);
-    res.status(500).json({ error: err.message });
   }
 });
 
@@ -1103,8 +3401,9 @@ router.get('/cells', (req, res) => {
   res.json({ message: 'Get cells - to be implemented' });
 });
 
-router.put('/cells', (req, res) => {
-  res.json({ message: 'Update cell - to be implemented' });
-});
+// Sheet data routes, nested under a sheet and (for older clients) on the
+// first sheet. Registered last so the routes above take precedence.
+router.use('/sheets/:sheetId', loadSheet, sheetRouter);
+router.use(useDefaultSheet, sheetRouter);
 
 module.exports = router;
@@ -0,0 +1,189 @@
+// Cell edit history tests
+const {
+  resolveActor,
+  normalizeHistoryValue,
+  sameCellValue,
+  recordCellChange,
+  recordCellChanges,
+  describeHistoryValue,
+  formatHistoryEntry
+} = require('../utils/cellHistory');
+
+describe('Cell History', () => {
+  const single = {
+    id: 4,
+    column_name: 'Department',
+    column_type: 'single_select',
+    options: [
+      { id: 10, label: 'Engineering', is_active: true },
+      { id: 12, label: 'Legacy', is_active: false }
+    ]
+  };
+  const multi = {
+    id: 5,
+    column_name: 'Skills',
+    column_type: 'multi_select',
+    options: [{ id: 20, label: 'SQL' }, { id: 21, label: 'React' }]
+  };
+
+  describe('Actor', () => {
+    const request = (actor) => ({ get: (name) => (name === 'X-Actor' ? actor : undefined) });
+
+    it('should take the actor from the X-Actor header', () => {
+      expect(resolveActor(request('  Ada  '))).toBe('Ada');
+    });
+
+    it('should fall back to anonymous', () => {
+      expect(resolveActor(request(undefined))).toBe('anonymous');
+      expect(resolveActor(request('   '))).toBe('anonymous');
+    });
+
+    it('should strip control characters and cap the length', () => {
+      expect(resolveActor(request('Ada\r\nLovelace'))).toBe('Ada Lovelace');
+      expect(resolveActor(request('x'.repeat(300)))).toHaveLength(255);
+    });
+  });
+
+  describe('Comparing values', () => {
+    it('should treat an empty option list as no value', () => {
+      expect(normalizeHistoryValue('multi_select', [])).toBeNull();
+      expect(normalizeHistoryValue('text', undefined)).toBeNull();
+      expect(normalizeHistoryValue('text', '')).toBe('');
+    });
+
+    it('should compare option lists regardless of order', () => {
+      expect(sameCellValue('multi_select', [20, 21], [21, 20])).toBe(true);
+      expect(sameCellValue('multi_select', [20], [20, 21])).toBe(false);
+      expect(sameCellValue('multi_select', [], null)).toBe(true);
+    });
+
+    it('should compare numbers, datetimes and times by value', () => {
+      expect(sameCellValue('number', 5, 5.0)).toBe(true);
+      expect(sameCellValue('datetime', '2024-01-15T10:00:00Z', '2024-01-15T10:00:00.000Z')).toBe(true);
+      expect(sameCellValue('time', '09:30', '09:30:00')).toBe(true);
+      expect(sameCellValue('text', 'a', null)).toBe(false);
+    });
+  });
+
+  describe('Recording changes', () => {
+    it('should insert the old and new value as JSON', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: '1' }] }) };
+
+      await recordCellChange(client, {
+        rowId: 'uuid-1',
+        columnId: 5,
+        columnType: 'multi_select',
+        oldValue: [],
+        newValue: [20, 21],
+        actor: 'Ada'
+      });
+
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(client.query.mock.calls[0][1]).toEqual(['uuid-1', 5, 'multi_select', null, '[20,21]', 'Ada']);
+    });
+
+    it('should skip changes that keep the same value', async () => {
+      const client = { query: jest.fn() };
+
+      const entry = await recordCellChange(client, {
+        rowId: 'uuid-1',
+        columnId: 1,
+        columnType: 'text',
+        oldValue: 'Ada',
+        newValue: 'Ada',
+        actor: 'Ada'
+      });
+
+      expect(entry).toBeNull();
+      expect(client.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Recording batches', () => {
+    it('should insert every change in one statement, skipping unchanged cells', async () => {
+      const client = {
+        query: jest.fn().mockResolvedValue({
+          rows: [{ id: '7', row_id: 'uuid-1', column_id: 2 }, { id: '8', row_id: 'uuid-2', column_id: 5 }]
+        })
+      };
+
+      const recorded = await recordCellChanges(client, [
+        { rowId: 'uuid-1', columnId: 1, columnType: 'text', oldValue: 'Ada', newValue: 'Ada', actor: 'Bob' },
+        { rowId: 'uuid-1', columnId: 2, columnType: 'number', oldValue: null, newValue: 5, actor: 'Bob' },
+        { rowId: 'uuid-2', columnId: 5, columnType: 'multi_select', oldValue: [20], newValue: [], actor: 'Bob' }
+      ]);
+
+      expect(recorded).toEqual([{ id: 7, row_id: 'uuid-1', column_id: 2 }, { id: 8, row_id: 'uuid-2', column_id: 5 }]);
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(client.query.mock.calls[0][1]).toEqual([
+        ['uuid-1', 'uuid-2'],
+        [2, 5],
+        ['number', 'multi_select'],
+        [null, '[20]'],
+        ['5', null],
+        ['Bob', 'Bob']
+      ]);
+    });
+
+    it('should not query when nothing changed', async () => {
+      const client = { query: jest.fn() };
+      expect(await recordCellChanges(client, [])).toEqual([]);
+      expect(client.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Formatting entries', () => {
+    it('should describe select values by label, archived options included', () => {
+      expect(describeHistoryValue(single, 12)).toBe('Legacy');
+      expect(describeHistoryValue(single, 'Marketing')).toBe('Marketing');
+      expect(describeHistoryValue(multi, [21, 20])).toBe('React, SQL');
+      expect(describeHistoryValue(multi, null)).toBeNull();
+      expect(describeHistoryValue({ column_type: 'boolean', options: [] }, false)).toBe('Unchecked');
+    });
+
+    it('should shape an entry for the API', () => {
+      const entry = formatHistoryEntry({
+        id: '7',
+        row_id: 'uuid-1',
+        column_id: 4,
+        column_type: 'single_select',
+        old_value: null,
+        new_value: 10,
+        actor: 'Ada',
+        changed_at: '2024-01-15T10:00:00.000Z'
+      }, single);
+
+      expect(entry).toEqual({
+        id: 7,
+        row_id: 'uuid-1',
+        column_id: 4,
+        column_name: 'Department',
+        column_type: 'single_select',
+        old_value: null,
+        new_value: 10,
+        old_display: null,
+        new_display: 'Engineering',
+        actor: 'Ada',
+        changed_at: '2024-01-15T10:00:00.000Z'
+      });
+    });
+
+    it('should describe entries by the type they were recorded with', () => {
+      // Department was a single_select before it was converted
+      const entry = formatHistoryEntry({
+        id: '8',
+        row_id: 'uuid-1',
+        column_id: 4,
+        column_type: 'single_select',
+        old_value: 12,
+        new_value: 10,
+        actor: 'Ada',
+        changed_at: '2024-01-15T10:00:00.000Z'
+      }, { ...single, column_type: 'multi_select' });
+
+      expect(entry.column_type).toBe('single_select');
+      expect(entry.old_display).toBe('Legacy');
+      expect(entry.new_display).toBe('Engineering');
+    });
+  });
+});
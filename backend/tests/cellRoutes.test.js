@@ -0,0 +1,125 @@
+// Cell route tests (PATCH /cell and /cells/batch) against a stand-in database
+const request = require('supertest');
+const express = require('express');
+const { respondWith, queries } = require('./mockDatabase');
+
+jest.mock('pg', () => require('./mockDatabase').pg);
+
+const routes = require('../routes/index');
+
+describe('Cell Routes', () => {
+  const rowId = '6f1c2d3e-0000-4000-8000-000000000001';
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api', routes);
+  });
+
+  describe('Archived options', () => {
+    // Skills (column 5) has SQL and Perl, and Perl has been archived
+    const options = [
+      { id: 20, column_id: 5, option_value: 'SQL', is_active: true },
+      { id: 22, column_id: 5, option_value: 'Perl', is_active: false }
+    ];
+    // Entry 9 records the cell going from Perl to SQL, entry 10 another row
+    const history = [
+      { id: '9', row_id: rowId, column_id: 5, old_value: [22] },
+      { id: '10', row_id: '6f1c2d3e-0000-4000-8000-000000000002', column_id: 5, old_value: [22] }
+    ];
+    const sheet = (storedIds) => (sql) => {
+      if (/FROM sheets/.test(sql)) return [{ id: 1, name: 'Sheet 1', display_order: 1 }];
+      if (/FROM cell_history/.test(sql)) return history;
+      if (/FROM data_rows/.test(sql)) return [{ id: rowId }];
+      if (/FROM columns_meta/.test(sql)) {
+        return [{ id: 5, column_name: 'Skills', column_type: 'multi_select', formula_expression: null }];
+      }
+      if (/FROM dropdown_options/.test(sql)) return options;
+      if (/array_agg\(msv\.option_id/.test(sql)) {
+        return storedIds.length > 0 ? [{ row_id: rowId, column_id: 5, option_ids: storedIds }] : [];
+      }
+      if (/FROM multi_select_values msv/.test(sql)) return storedIds.map(id => ({ option_id: id }));
+      return [];
+    };
+    const written = () => queries.find(({ sql }) => /INSERT INTO multi_select_values/.test(sql));
+
+    it('should keep an archived option the cell holds when it is edited', async () => {
+      respondWith(sheet([20, 22]));
+      const response = await request(app)
+        .patch('/api/sheets/1/cell')
+        .send({ row_id: rowId, column_id: 5, data_type: 'multi_select', value: [22] });
+
+      expect(response.status).toBe(200);
+      expect(written().params).toEqual([rowId, 5, [22]]);
+    });
+
+    it('should not add an archived option to a cell', async () => {
+      respondWith(sheet([20]));
+      const response = await request(app)
+        .patch('/api/sheets/1/cell')
+        .send({ row_id: rowId, column_id: 5, data_type: 'multi_select', value: [20, 22] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid option IDs');
+      expect(written()).toBeUndefined();
+    });
+
+    it('should keep an archived option the cell holds in a batch', async () => {
+      respondWith(sheet([22]));
+      const response = await request(app)
+        .patch('/api/sheets/1/cells/batch')
+        .send({ cells: [{ row_id: rowId, column_id: 5, data_type: 'multi_select', value: [22, 20] }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.results[0].previous_value).toEqual([22]);
+    });
+
+    it('should write back an archived option the reverted entry says the cell held', async () => {
+      respondWith(sheet([20]));
+      const response = await request(app)
+        .patch('/api/sheets/1/cell')
+        .send({ row_id: rowId, column_id: 5, data_type: 'multi_select', value: [22], history_id: 9 });
+
+      expect(response.status).toBe(200);
+      expect(written().params).toEqual([rowId, 5, [22]]);
+    });
+
+    it('should write back an archived option the reverted entry names in a batch', async () => {
+      respondWith(sheet([20]));
+      const cell = { row_id: rowId, column_id: 5, data_type: 'multi_select', value: [22] };
+      const refused = await request(app).patch('/api/sheets/1/cells/batch').send({ cells: [cell] });
+      const reverted = await request(app)
+        .patch('/api/sheets/1/cells/batch')
+        .send({ cells: [{ ...cell, history_id: 9 }] });
+
+      expect(refused.status).toBe(400);
+      expect(reverted.status).toBe(200);
+      expect(reverted.body.results[0].previous_value).toEqual([20]);
+    });
+
+    it('should not take archived options from an entry of another cell', async () => {
+      respondWith(sheet([20]));
+      const response = await request(app)
+        .patch('/api/sheets/1/cell')
+        .send({ row_id: rowId, column_id: 5, data_type: 'multi_select', value: [22], history_id: 10 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid option IDs');
+      expect(written()).toBeUndefined();
+    });
+  });
+
+  describe('History', () => {
+    it('should refuse row ids that are not UUIDs', async () => {
+      respondWith((sql) => (/FROM sheets/.test(sql) ? [{ id: 1, name: 'Sheet 1', display_order: 1 }] : []));
+
+      for (const path of ['/api/sheets/1/rows/42/history', '/api/sheets/1/cell/history?row_id=42&column_id=5']) {
+        const response = await request(app).get(path);
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Valid row ID is required');
+      }
+      expect(queries.filter(({ sql }) => /data_rows|cell_history/.test(sql))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,266 @@
+// Cell value validation and coercion tests
+const {
+  CellValueError,
+  validateCellValue,
+  coerceCellValue,
+  validateCellBatch,
+  readCellValues,
+  writeCellValues,
+  groupRowCells
+} = require('../utils/cellValues');
+
+describe('Cell Values', () => {
+  const text = { id: 1, column_name: 'Name', column_type: 'text', options: [] };
+  const number = { id: 2, column_name: 'Salary', column_type: 'number', options: [] };
+  const datetime = { id: 3, column_name: 'Join Date', column_type: 'datetime', options: [] };
+  const single = {
+    id: 4,
+    column_name: 'Department',
+    column_type: 'single_select',
+    options: [
+      { id: 10, label: 'Engineering', is_active: true },
+      { id: 11, label: 'Sales', is_active: true },
+      { id: 12, label: 'Legacy', is_active: false }
+    ]
+  };
+  const checkbox = { id: 7, column_name: 'Remote', column_type: 'boolean', options: [] };
+  const date = { id: 8, column_name: 'Birthday', column_type: 'date', options: [] };
+  const time = { id: 9, column_name: 'Shift Start', column_type: 'time', options: [] };
+  const multi = {
+    id: 5,
+    column_name: 'Skills',
+    column_type: 'multi_select',
+    options: [{ id: 20, label: 'SQL' }, { id: 21, label: 'React' }]
+  };
+
+  describe('Validation', () => {
+    it('should accept values of the column type', () => {
+      expect(() => validateCellValue(text, 'Ada')).not.toThrow();
+      expect(() => validateCellValue(number, 42.5)).not.toThrow();
+      expect(() => validateCellValue(datetime, '2024-01-15T10:00:00Z')).not.toThrow();
+      expect(() => validateCellValue(single, 10)).not.toThrow();
+      expect(() => validateCellValue(multi, [20, 21])).not.toThrow();
+      expect(() => validateCellValue(checkbox, false)).not.toThrow();
+      expect(() => validateCellValue(date, '2024-02-29')).not.toThrow();
+      expect(() => validateCellValue(time, '08:30')).not.toThrow();
+    });
+
+    it('should reject values with the PATCH /api/cell messages', () => {
+      expect(() => validateCellValue(text, 5)).toThrow('Text value must be a string');
+      expect(() => validateCellValue(number, '5')).toThrow('Invalid number value');
+      expect(() => validateCellValue(datetime, 'soon')).toThrow('Invalid datetime value');
+      expect(() => validateCellValue(single, '10')).toThrow('Single select value must be a number');
+      expect(() => validateCellValue(single, 12)).toThrow('Invalid option ID');
+      expect(() => validateCellValue(multi, 20)).toThrow('Multi select value must be an array');
+      expect(() => validateCellValue(multi, [20, 99])).toThrow('Invalid option IDs');
+      expect(() => validateCellValue(checkbox, 'true')).toThrow('Boolean value must be true or false');
+      expect(() => validateCellValue(date, '2024-02-30')).toThrow('Date value must be a date as YYYY-MM-DD');
+      expect(() => validateCellValue(time, '8:30')).toThrow('Time value must be a time as HH:mm or HH:mm:ss');
+    });
+
+    it('should only accept archived options the cell already holds', () => {
+      const tags = { ...multi, options: [...multi.options, { id: 22, label: 'Perl', is_active: false }] };
+
+      expect(() => validateCellValue(single, 12, 12)).not.toThrow();
+      expect(() => validateCellValue(single, 12, 10)).toThrow('Invalid option ID');
+      expect(() => validateCellValue(tags, [22, 21], [20, 22])).not.toThrow();
+      expect(() => validateCellValue(tags, [20, 22], [20])).toThrow('Invalid option IDs');
+    });
+  });
+
+  describe('Coercion', () => {
+    it('should treat empty text as no value', () => {
+      expect(coerceCellValue(number, '  ')).toBeNull();
+      expect(coerceCellValue(single, undefined)).toBeNull();
+    });
+
+    it('should read yes/no words as booleans', () => {
+      expect(coerceCellValue(checkbox, 'Yes')).toBe(true);
+      expect(coerceCellValue(checkbox, ' x ')).toBe(true);
+      expect(coerceCellValue(checkbox, 'FALSE')).toBe(false);
+      expect(coerceCellValue(checkbox, '0')).toBe(false);
+      expect(() => coerceCellValue(checkbox, 'maybe')).toThrow("'maybe' is not true or false");
+    });
+
+    it('should keep dates and times as written', () => {
+      expect(coerceCellValue(date, '2024-03-31T23:00:00-05:00')).toBe('2024-03-31');
+      expect(coerceCellValue(date, new Date('2024-01-15T00:00:00Z'))).toBe('2024-01-15');
+      expect(coerceCellValue(time, '5:45 pm')).toBe('17:45:00');
+      expect(() => coerceCellValue(date, 'later')).toThrow("'later' is not a valid date");
+      expect(() => coerceCellValue(time, 'noon')).toThrow("'noon' is not a valid time");
+    });
+
+    it('should parse numbers with separators and currency symbols', () => {
+      expect(coerceCellValue(number, '$1,250.50')).toBe(1250.5);
+      expect(coerceCellValue(number, '-3')).toBe(-3);
+      expect(() => coerceCellValue(number, 'ten')).toThrow(CellValueError);
+    });
+
+    it('should normalize datetimes to ISO 8601', () => {
+      expect(coerceCellValue(datetime, '2024-01-15T10:00:00Z')).toBe('2024-01-15T10:00:00.000Z');
+      expect(() => coerceCellValue(datetime, 'someday')).toThrow("'someday' is not a valid date");
+      expect(coerceCellValue(datetime, new Date('2024-01-15T10:00:00Z'))).toBe('2024-01-15T10:00:00.000Z');
+      expect(coerceCellValue(number, 2.5)).toBe(2.5);
+    });
+
+    it('should resolve option labels to ids', () => {
+      expect(coerceCellValue(single, 'sales')).toBe(11);
+      expect(() => coerceCellValue(single, '10')).toThrow("'10' is not an option of Department");
+      expect(() => coerceCellValue(multi, 'SQL, 21')).toThrow("'21' not an option of Skills");
+      expect(() => coerceCellValue(single, 'Legacy')).toThrow('not an option of Department');
+      expect(coerceCellValue(multi, 'SQL; react, SQL')).toEqual([20, 21]);
+      expect(() => coerceCellValue(multi, 'SQL|Go')).toThrow("'Go' not an option of Skills");
+    });
+  });
+
+  describe('Batch updates', () => {
+    const rowA = '6f1c2d3e-0000-4000-8000-000000000001';
+    const rowB = '6f1c2d3e-0000-4000-8000-000000000002';
+    const formula = { id: 6, column_name: 'Bonus', column_type: 'formula', options: [] };
+    const columns = [text, number, single, multi, formula];
+
+    it('should accept a valid batch', () => {
+      const { entries, results } = validateCellBatch([
+        { row_id: rowA, column_id: 1, data_type: 'text', value: 'Ada' },
+        { row_id: rowB.toUpperCase(), column_id: '4', data_type: 'single_select', value: 10 },
+        { row_id: rowB, column_id: 5, data_type: 'multi_select', value: null }
+      ], columns, [rowA, rowB]);
+
+      expect(results.every(result => result.success)).toBe(true);
+      expect(entries[1]).toEqual({ index: 1, row_id: rowB, column_id: 4, column_type: 'single_select', value: 10 });
+    });
+
+    it('should report every invalid cell', () => {
+      const { entries, results } = validateCellBatch([
+        { row_id: rowA, column_id: 2, data_type: 'number', value: 5 },
+        { row_id: 'missing', column_id: 1, data_type: 'text', value: 'x' },
+        { row_id: rowA, column_id: 99, data_type: 'text', value: 'x' },
+        { row_id: rowA, column_id: 1, data_type: 'number', value: 5 },
+        { row_id: rowA, column_id: 6, data_type: 'formula', value: null },
+        { row_id: rowA, column_id: 2, data_type: 'number', value: 6 },
+        { row_id: rowA, column_id: 4, data_type: 'single_select' },
+        null
+      ], columns, [rowA]);
+
+      expect(entries).toHaveLength(1);
+      expect(results.map(result => result.error)).toEqual([
+        undefined,
+        'Row not found',
+        'Column not found',
+        "Data type 'number' does not match column type 'text'",
+        'Formula cells are computed and cannot be edited',
+        'Cell appears more than once in the batch',
+        'value is required (null clears the cell)',
+        'Cell must be an object'
+      ]);
+    });
+
+    it('should keep archived options a cell already holds', () => {
+      const cells = [
+        { row_id: rowA, column_id: 4, data_type: 'single_select', value: 12 },
+        { row_id: rowB, column_id: 4, data_type: 'single_select', value: 12 }
+      ];
+      const storedValues = new Map([[`${rowA}:4`, 12], [`${rowB}:4`, 10]]);
+      const { results } = validateCellBatch(cells, columns, [rowA, rowB], storedValues);
+
+      expect(results.map(result => result.error)).toEqual([undefined, 'Invalid option ID']);
+    });
+
+    it('should read many cells in one query per storage table', async () => {
+      const client = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [
+            { row_id: rowA, column_id: 2, text_value: null, number_value: '12.5', datetime_value: null, single_select_value: null, boolean_value: null, date_value: null, time_value: null },
+            { row_id: rowB, column_id: 7, text_value: null, number_value: null, datetime_value: null, single_select_value: null, boolean_value: false, date_value: null, time_value: null }
+          ] })
+          .mockResolvedValueOnce({ rows: [{ row_id: rowA, column_id: 5, option_ids: [21, 20] }] })
+      };
+
+      const values = await readCellValues(client, [
+        { row_id: rowA, column_id: 2, column_type: 'number' },
+        { row_id: rowB, column_id: 1, column_type: 'text' },
+        { row_id: rowB, column_id: 7, column_type: 'boolean' },
+        { row_id: rowA, column_id: 5, column_type: 'multi_select' }
+      ]);
+
+      expect(client.query).toHaveBeenCalledTimes(2);
+      expect(values.get(`${rowA}:2`)).toBe(12.5);
+      expect(values.get(`${rowB}:1`)).toBeNull();
+      expect(values.get(`${rowB}:7`)).toBe(false);
+      expect(values.get(`${rowA}:5`)).toEqual([21, 20]);
+    });
+
+    it('should write many cells in a fixed number of statements', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      await writeCellValues(client, [
+        { row_id: rowA, column_id: 1, column_type: 'text', value: 'Ada' },
+        { row_id: rowA, column_id: 4, column_type: 'single_select', value: 10 },
+        { row_id: rowB, column_id: 2, column_type: 'number', value: null },
+        { row_id: rowB, column_id: 7, column_type: 'boolean', value: true },
+        { row_id: rowB, column_id: 8, column_type: 'date', value: '2024-01-15' },
+        { row_id: rowB, column_id: 5, column_type: 'multi_select', value: [20, 21] }
+      ]);
+
+      expect(client.query).toHaveBeenCalledTimes(4);
+      const [, , scalarInsert, optionInsert] = client.query.mock.calls;
+      expect(scalarInsert[1]).toEqual([
+        [rowA, rowA, rowB, rowB],
+        [1, 4, 7, 8],
+        ['Ada', null, null, null],
+        [null, null, null, null],
+        [null, null, null, null],
+        [null, 10, null, null],
+        [null, null, true, null],
+        [null, null, null, '2024-01-15'],
+        [null, null, null, null]
+      ]);
+      expect(optionInsert[1]).toEqual([[rowB, rowB], [5, 5], [20, 21]]);
+    });
+
+    it('should group the stored values of many rows into their cells', () => {
+      const stored = (rowId, columnId, columnType, values) => ({
+        row_id: rowId,
+        column_id: columnId,
+        column_type: columnType,
+        text_value: null,
+        number_value: null,
+        datetime_value: null,
+        single_select_value: null,
+        boolean_value: null,
+        date_value: null,
+        time_value: null,
+        ...values
+      });
+
+      const cellsByRow = groupRowCells(
+        [
+          stored(rowA, 1, 'text', { text_value: 'Ada' }),
+          stored(rowB, 2, 'number', { number_value: 12.5 }),
+          stored(rowB, 7, 'boolean', { boolean_value: false }),
+          stored(rowB, 8, 'date', { date_value: '2024-01-15' }),
+          stored(rowA, 4, 'single_select', { single_select_value: 10 }),
+          stored(rowB, 1, 'text', {})
+        ],
+        [
+          { row_id: rowA, column_id: 6, option_id: 30 },
+          { row_id: rowA, column_id: 5, option_id: 21 },
+          { row_id: rowA, column_id: 5, option_id: 20 }
+        ]
+      );
+
+      expect(cellsByRow.get(rowA)).toEqual([
+        { column_id: 1, data_type: 'text', value: 'Ada' },
+        { column_id: 4, data_type: 'single_select', value: 10 },
+        { column_id: 5, data_type: 'multi_select', value: [21, 20] },
+        { column_id: 6, data_type: 'multi_select', value: [30] }
+      ]);
+      expect(cellsByRow.get(rowB)).toEqual([
+        { column_id: 2, data_type: 'number', value: 12.5 },
+        { column_id: 7, data_type: 'boolean', value: false },
+        { column_id: 8, data_type: 'date', value: '2024-01-15' },
+        { column_id: 1, data_type: 'text', value: null }
+      ]);
+    });
+  });
+});
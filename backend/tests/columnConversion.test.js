@@ -0,0 +1,95 @@
+// Column type conversion tests
+const {
+  canConvertColumn,
+  conversionOptionLabels,
+  convertCells
+} = require('../utils/columnConversion');
+
+describe('Column Conversion', () => {
+  const textColumn = { id: 1, column_name: 'Notes', column_type: 'text', options: [] };
+  const cells = (...values) => values.map((value, index) => ({ row_id: `r${index + 1}`, value }));
+
+  it('should only allow the supported conversions', () => {
+    expect(canConvertColumn('text', 'number')).toBe(true);
+    expect(canConvertColumn('single_select', 'multi_select')).toBe(true);
+    expect(canConvertColumn('number', 'datetime')).toBe(false);
+    expect(canConvertColumn('formula', 'text')).toBe(false);
+  });
+
+  describe('Text to number', () => {
+    it('should convert numbers and report the rest', () => {
+      const target = { ...textColumn, column_type: 'number' };
+      const { converted, failures } = convertCells(textColumn, target, cells('42', '$1,500.50', 'n/a', '  '));
+
+      expect(converted).toEqual([
+        { row_id: 'r1', value: 42 },
+        { row_id: 'r2', value: 1500.5 },
+        { row_id: 'r4', value: null }
+      ]);
+      expect(failures).toEqual([{ row_id: 'r3', value: 'n/a', error: "'n/a' is not a number" }]);
+    });
+  });
+
+  describe('Text to single select', () => {
+    it('should make an option of each distinct value', () => {
+      const labels = conversionOptionLabels(textColumn, 'single_select', cells('Open', ' open ', 'Closed', '', 'Open'));
+
+      expect(labels).toEqual(['Open', 'Closed']);
+    });
+
+    it('should reuse the active options the column already has', () => {
+      const column = {
+        ...textColumn,
+        options: [{ id: 5, label: 'Open', is_active: true }, { id: 6, label: 'Closed', is_active: false }]
+      };
+
+      expect(conversionOptionLabels(column, 'single_select', cells('open', 'Closed'))).toEqual(['Closed']);
+      expect(conversionOptionLabels(column, 'number', cells('open'))).toEqual([]);
+    });
+
+    it('should point each cell at its option', () => {
+      const target = {
+        ...textColumn,
+        column_type: 'single_select',
+        options: [{ id: 10, label: 'Open' }, { id: 11, label: 'Closed' }]
+      };
+      const tooLong = 'x'.repeat(501);
+      const { converted, failures } = convertCells(textColumn, target, cells('OPEN', 'Closed', tooLong));
+
+      expect(converted).toEqual([{ row_id: 'r1', value: 10 }, { row_id: 'r2', value: 11 }]);
+      expect(failures[0].error).toMatch('cannot be an option');
+      expect(conversionOptionLabels(textColumn, 'single_select', cells(tooLong))).toEqual([]);
+    });
+  });
+
+  describe('Single select to multi select', () => {
+    it('should keep each option, labels of older rows included', () => {
+      const column = {
+        id: 2,
+        column_name: 'Level',
+        column_type: 'single_select',
+        options: [{ id: 10, label: 'Junior', is_active: true }, { id: 11, label: 'Senior', is_active: false }]
+      };
+      const target = { ...column, column_type: 'multi_select' };
+      const { converted, failures } = convertCells(column, target, cells(11, 'junior', 'Lead'));
+
+      expect(converted).toEqual([{ row_id: 'r1', value: [11] }, { row_id: 'r2', value: [10] }]);
+      expect(failures).toEqual([{ row_id: 'r3', value: 'Lead', error: "'Lead' is not an option of Level" }]);
+    });
+  });
+
+  describe('To text', () => {
+    it('should write numbers, datetimes and dates as text', () => {
+      const number = { id: 3, column_name: 'Salary', column_type: 'number', options: [] };
+      const datetime = { id: 4, column_name: 'Start', column_type: 'datetime', options: [] };
+      const date = { id: 5, column_name: 'Birthday', column_type: 'date', options: [] };
+
+      expect(convertCells(number, { ...number, column_type: 'text' }, cells(1500.5, 0)).converted)
+        .toEqual([{ row_id: 'r1', value: '1500.5' }, { row_id: 'r2', value: '0' }]);
+      expect(convertCells(datetime, { ...datetime, column_type: 'text' }, cells('2024-01-15T10:30:00.000Z')).converted)
+        .toEqual([{ row_id: 'r1', value: '2024-01-15T10:30:00.000Z' }]);
+      expect(convertCells(date, { ...date, column_type: 'text' }, cells('2024-01-15')).converted)
+        .toEqual([{ row_id: 'r1', value: '2024-01-15' }]);
+    });
+  });
+});
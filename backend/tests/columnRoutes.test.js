@@ -0,0 +1,90 @@
+// Column route tests (creating columns, directly and by import) against a stand-in database
+const request = require('supertest');
+const express = require('express');
+const { respondWith, queries } = require('./mockDatabase');
+
+jest.mock('pg', () => require('./mockDatabase').pg);
+
+const routes = require('../routes/index');
+
+describe('Column Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api', routes);
+  });
+
+  // A sheet with one column, Salary
+  const sheet = (sql, params) => {
+    if (/FROM sheets/.test(sql)) return [{ id: 1, name: 'Sheet 1', display_order: 1 }];
+    if (/SELECT 1 FROM columns_meta/.test(sql)) {
+      return params[1].toLowerCase() === 'salary' ? [{ '?column?': 1 }] : [];
+    }
+    if (/FROM columns_meta/.test(sql)) return [{ id: 3, column_name: 'Salary', column_type: 'number', formula_expression: null }];
+    return [];
+  };
+  const created = () => queries.filter(({ sql }) => /INSERT INTO columns_meta/.test(sql));
+
+  describe('POST /columns', () => {
+    it('should refuse names with brackets', async () => {
+      respondWith(sheet);
+      const response = await request(app)
+        .post('/api/sheets/1/columns')
+        .send({ name: 'Bonus [%]', data_type: 'number' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Column name cannot contain [ or ]');
+      expect(created()).toEqual([]);
+    });
+
+    it('should refuse a name another column has in any case', async () => {
+      respondWith(sheet);
+      const response = await request(app)
+        .post('/api/sheets/1/columns')
+        .send({ name: ' salary ', data_type: 'number' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe("A column named 'salary' already exists");
+      expect(created()).toEqual([]);
+    });
+  });
+
+  describe('POST /columns/:id/restore', () => {
+    it('should not bring back a column whose name another column has taken', async () => {
+      respondWith((sql, params) => (/FOR UPDATE/.test(sql) ? [{ column_name: 'SALARY' }] : sheet(sql, params)));
+      const response = await request(app).post('/api/sheets/1/columns/8/restore');
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toMatch(/^A column named 'SALARY' already exists/);
+      expect(queries.filter(({ sql }) => /UPDATE columns_meta/.test(sql))).toEqual([]);
+    });
+  });
+
+  describe('POST /import/csv', () => {
+    const importCsv = (csv, fields = {}) => {
+      const upload = request(app).post('/api/sheets/1/import/csv');
+      Object.entries(fields).forEach(([name, value]) => upload.field(name, value));
+      return upload.attach('file', Buffer.from(csv), 'people.csv');
+    };
+
+    it('should refuse new column names with brackets', async () => {
+      respondWith(sheet);
+      const response = await importCsv('Name,Bonus [%]\nAda,10\n', { dry_run: 'true' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Column name cannot contain [ or ]');
+    });
+
+    it('should refuse a new column name another column has in any case', async () => {
+      // Salary is added after the import planned its columns
+      respondWith((sql, params) => (/FROM columns_meta\s+WHERE is_active/.test(sql) ? [] : sheet(sql, params)));
+      const response = await importCsv('SALARY\n100\n');
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe("A column named 'SALARY' already exists");
+      expect(created()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+// CSV parsing and formatting tests
+const { CsvError, parseCsv, formatCsvField, formatCsvRecord } = require('../utils/csv');
+
+describe('CSV', () => {
+  it('should split records and fields', () => {
+    expect(parseCsv('Name,Age\nAda,36\nAlan,41\n')).toEqual([
+      ['Name', 'Age'],
+      ['Ada', '36'],
+      ['Alan', '41']
+    ]);
+  });
+
+  it('should handle quoted fields with delimiters, quotes and line breaks', () => {
+    expect(parseCsv('Name,Notes\r\n"Lovelace, Ada","Said ""hi""\ntwice"\r\n')).toEqual([
+      ['Name', 'Notes'],
+      ['Lovelace, Ada', 'Said "hi"\ntwice']
+    ]);
+  });
+
+  it('should keep empty fields and skip blank lines', () => {
+    expect(parseCsv('a,b,c\n\n1,,3\n,,\n')).toEqual([
+      ['a', 'b', 'c'],
+      ['1', '', '3'],
+      ['', '', '']
+    ]);
+  });
+
+  it('should strip a byte order mark and accept other delimiters', () => {
+    expect(parseCsv('﻿Name;Age\nAda;36', ';')).toEqual([['Name', 'Age'], ['Ada', '36']]);
+    expect(parseCsv('Name\tAge\nAda\t36', '\t')).toEqual([['Name', 'Age'], ['Ada', '36']]);
+  });
+
+  it('should reject an unterminated quoted field', () => {
+    expect(() => parseCsv('Name\n"Ada')).toThrow(CsvError);
+  });
+
+  describe('Formatting', () => {
+    it('should only quote fields that need it', () => {
+      expect(formatCsvField('Ada')).toBe('Ada');
+      expect(formatCsvField('Lovelace, Ada')).toBe('"Lovelace, Ada"');
+      expect(formatCsvField('Said "hi"')).toBe('"Said ""hi"""');
+      expect(formatCsvField('two\nlines')).toBe('"two\nlines"');
+      expect(formatCsvField(' padded')).toBe('" padded"');
+      expect(formatCsvField(null)).toBe('');
+      expect(formatCsvField(12.5)).toBe('12.5');
+    });
+
+    it('should round-trip through the parser', () => {
+      const records = [['Name', 'Notes'], ['Lovelace, Ada', 'Said "hi"\ntwice'], ['', 'x;y']];
+      const text = records.map(record => formatCsvRecord(record)).join('');
+
+      expect(text.endsWith('\r\n')).toBe(true);
+      expect(parseCsv(text)).toEqual(records);
+    });
+  });
+});
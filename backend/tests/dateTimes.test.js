@@ -0,0 +1,57 @@
+// Date and time column tests
+const {
+  isDateValue,
+  isTimeValue,
+  parseDateText,
+  parseTimeText,
+  validateDisplayFormat,
+  validateDisplayTimezone
+} = require('../utils/dateTimes');
+
+describe('Date Times', () => {
+  it('should only accept real calendar dates', () => {
+    expect(isDateValue('2024-02-29')).toBe(true);
+    expect(isDateValue('2023-02-29')).toBe(false);
+    expect(isDateValue('2024-2-1')).toBe(false);
+    expect(isDateValue(20240101)).toBe(false);
+  });
+
+  it('should accept times with or without seconds', () => {
+    expect(isTimeValue('09:30')).toBe(true);
+    expect(isTimeValue('23:59:59')).toBe(true);
+    expect(isTimeValue('24:00')).toBe(false);
+    expect(isTimeValue('9:30')).toBe(false);
+  });
+
+  it('should keep the date of ISO text as written', () => {
+    expect(parseDateText('2024-01-15')).toBe('2024-01-15');
+    expect(parseDateText('2024-01-15T23:30:00-05:00')).toBe('2024-01-15');
+    expect(parseDateText('2024-13-01')).toBeNull();
+    expect(parseDateText('soon')).toBeNull();
+  });
+
+  it('should read 24-hour, AM/PM and workbook times', () => {
+    expect(parseTimeText('9:05')).toBe('09:05:00');
+    expect(parseTimeText('12:15 am')).toBe('00:15:00');
+    expect(parseTimeText('1:30:15 P.M.')).toBe('13:30:15');
+    expect(parseTimeText('1899-12-30T07:45:00.000Z')).toBe('07:45:00');
+    expect(parseTimeText('13:00 PM')).toBeNull();
+    expect(parseTimeText('25:00')).toBeNull();
+  });
+
+  it('should check display formats against the column type', () => {
+    expect(validateDisplayFormat('DD/MM/YYYY HH:mm', 'datetime')).toBeNull();
+    expect(validateDisplayFormat(null, 'date')).toBeNull();
+    expect(validateDisplayFormat('DD.MM.YYYY', 'date')).toBeNull();
+    expect(validateDisplayFormat('YYYY HH:mm', 'date')).toBe('display_format of a date column cannot use HH');
+    expect(validateDisplayFormat('hh:mm A', 'time')).toBeNull();
+    expect(validateDisplayFormat('today', 'datetime')).toMatch('at least one of');
+    expect(validateDisplayFormat('', 'datetime')).toMatch('non-empty');
+  });
+
+  it('should only accept known timezones', () => {
+    expect(validateDisplayTimezone('Europe/Paris')).toBeNull();
+    expect(validateDisplayTimezone(null)).toBeNull();
+    expect(validateDisplayTimezone('Mars/Olympus')).toBe("Unknown timezone 'Mars/Olympus'");
+  });
+});
@@ -0,0 +1,176 @@
+// Formula engine tests
+const {
+  ERRORS,
+  FormulaError,
+  parseFormula,
+  getReferences,
+  renameReferences,
+  evaluateFormula,
+  evaluateRowFormulas
+} = require('../utils/formula');
+
+describe('Formula Engine', () => {
+  const evaluate = (source, values = {}) =>
+    evaluateFormula(parseFormula(source), (name) => {
+      if (!(name in values)) {
+        throw new FormulaError(ERRORS.REF, `Unknown column '${name}'`);
+      }
+      return values[name];
+    });
+
+  describe('Parsing', () => {
+    it('should parse arithmetic with operator precedence', () => {
+      expect(evaluate('=1 + 2 * 3')).toBe(7);
+      expect(evaluate('=(1 + 2) * 3')).toBe(9);
+      expect(evaluate('=2 ^ 3 ^ 2')).toBe(64);
+      expect(evaluate('=-2 ^ 2')).toBe(4);
+    });
+
+    it('should accept expressions without a leading equals sign', () => {
+      expect(evaluate('10 / 4')).toBe(2.5);
+    });
+
+    it('should collect column references', () => {
+      const ast = parseFormula('=IF([Age] > 30, [Salary] * 0.1, [Salary])');
+      expect(getReferences(ast)).toEqual(['Age', 'Salary']);
+    });
+
+    it('should rewrite references to a renamed column', () => {
+      expect(renameReferences('=[Salary] * 0.1 + [ salary ]', 'Salary', 'Pay')).toBe('=[Pay] * 0.1 + [Pay]');
+      expect(renameReferences('=[Age] & "[Salary]"', 'Salary', 'Pay')).toBe('=[Age] & "[Salary]"');
+      expect(renameReferences('="a""[Salary]" & [Salary]', 'Salary', 'Pay')).toBe('="a""[Salary]" & [Pay]');
+      expect(renameReferences('=[Salary', 'Salary', 'Pay')).toBe('=[Salary');
+    });
+
+    it('should reject unknown functions', () => {
+      expect(() => parseFormula('=EVAL("1")')).toThrow(FormulaError);
+      expect(() => parseFormula('=constructor()')).toThrow("Unknown function 'CONSTRUCTOR'");
+    });
+
+    it('should reject malformed expressions', () => {
+      expect(() => parseFormula('')).toThrow(FormulaError);
+      expect(() => parseFormula('=1 +')).toThrow(FormulaError);
+      expect(() => parseFormula('=(1 + 2')).toThrow(FormulaError);
+      expect(() => parseFormula('=[Salary')).toThrow(FormulaError);
+      expect(() => parseFormula('="abc')).toThrow(FormulaError);
+      expect(() => parseFormula('=1 2')).toThrow(FormulaError);
+      expect(() => parseFormula('=IF(1)')).toThrow('Wrong number of arguments');
+    });
+
+    it('should reject excessively nested expressions', () => {
+      const nested = '='.concat('('.repeat(100), '1', ')'.repeat(100));
+      expect(() => parseFormula(nested)).toThrow('nested too deeply');
+    });
+  });
+
+  describe('Evaluation', () => {
+    it('should read column values', () => {
+      expect(evaluate('=[Salary] * 0.1', { Salary: 50000 })).toBe(5000);
+    });
+
+    it('should only evaluate the IF branch it returns', () => {
+      const values = { Age: 42 };
+      expect(evaluate('=IF([Age] > 30, "Senior", "Junior")', values)).toBe('Senior');
+      expect(evaluate('=IF([Age] > 50, [Missing], "Junior")', values)).toBe('Junior');
+    });
+
+    it('should concatenate text', () => {
+      expect(evaluate('=[First] & " " & [Last]', { First: 'Ada', Last: 'Lovelace' })).toBe('Ada Lovelace');
+      expect(evaluate('=CONCAT("a", 1, TRUE)')).toBe('a1TRUE');
+    });
+
+    it('should compare text case-insensitively', () => {
+      expect(evaluate('=[Department] = "engineering"', { Department: 'Engineering' })).toBe(true);
+      expect(evaluate('=[Department] <> "Sales"', { Department: 'Engineering' })).toBe(true);
+    });
+
+    it('should treat blank cells as zero in arithmetic', () => {
+      expect(evaluate('=[Bonus] + 1', { Bonus: null })).toBe(1);
+      expect(evaluate('=ISBLANK([Bonus])', { Bonus: null })).toBe(true);
+    });
+
+    it('should support the built-in functions', () => {
+      expect(evaluate('=SUM(1, 2, 3)')).toBe(6);
+      expect(evaluate('=AVERAGE(2, 4)')).toBe(3);
+      expect(evaluate('=MIN(4, 2, 8)')).toBe(2);
+      expect(evaluate('=MAX(4, 2, 8)')).toBe(8);
+      expect(evaluate('=ROUND(3.14159, 2)')).toBe(3.14);
+      expect(evaluate('=ABS(-5)')).toBe(5);
+      expect(evaluate('=LEN("hello")')).toBe(5);
+      expect(evaluate('=UPPER("a") & LOWER("B")')).toBe('Ab');
+      expect(evaluate('=AND(TRUE, NOT(FALSE))')).toBe(true);
+      expect(evaluate('=OR(FALSE, 1 > 2)')).toBe(false);
+    });
+
+    it('should round to any number of places without overflowing', () => {
+      expect(evaluate('=ROUND(3.14159, 400)')).toBe(3.14159);
+      expect(evaluate('=ROUND(1E300, 20)')).toBe(1e300);
+      expect(evaluate('=ROUND(123456, -400)')).toBe(0);
+      expect(evaluate('=ROUND(1234.5678, 1.9)')).toBe(1234.6);
+      expect(evaluate('=ROUND(1250, -2)')).toBe(1300);
+    });
+
+    it('should raise spreadsheet error codes', () => {
+      expect(() => evaluate('=1 / 0')).toThrow(expect.objectContaining({ code: ERRORS.DIV0 }));
+      expect(() => evaluate('=[Name] * 2', { Name: 'Ada' })).toThrow(expect.objectContaining({ code: ERRORS.VALUE }));
+      expect(() => evaluate('=[Nope]')).toThrow(expect.objectContaining({ code: ERRORS.REF }));
+    });
+  });
+
+  describe('Row Evaluation', () => {
+    const columns = [
+      { id: 1, column_name: 'Name', column_type: 'text' },
+      { id: 2, column_name: 'Salary', column_type: 'number' },
+      {
+        id: 3,
+        column_name: 'Department',
+        column_type: 'single_select',
+        options: [{ id: 10, label: 'Engineering' }, { id: 11, label: 'Sales' }]
+      },
+      {
+        id: 4,
+        column_name: 'Skills',
+        column_type: 'multi_select',
+        options: [{ id: 20, label: 'SQL' }, { id: 21, label: 'React' }]
+      },
+      { id: 5, column_name: 'Bonus', column_type: 'formula', formula: '=[Salary] * 0.1' },
+      { id: 6, column_name: 'Total', column_type: 'formula', formula: '=[Salary] + [Bonus]' },
+      { id: 7, column_name: 'Label', column_type: 'formula', formula: '=[Department] & ": " & [Skills]' }
+    ];
+
+    it('should compute formula cells from stored values', () => {
+      const cells = evaluateRowFormulas(columns, {
+        1: 'Ada',
+        2: '50000.0000000000',
+        3: 10,
+        4: [20, 21]
+      });
+
+      expect(cells).toEqual([
+        { column_id: 5, data_type: 'formula', value: 5000, error: null },
+        { column_id: 6, data_type: 'formula', value: 55000, error: null },
+        { column_id: 7, data_type: 'formula', value: 'Engineering: SQL, React', error: null }
+      ]);
+    });
+
+    it('should report errors per cell', () => {
+      const cells = evaluateRowFormulas([
+        { id: 1, column_name: 'Salary', column_type: 'number' },
+        { id: 2, column_name: 'Ratio', column_type: 'formula', formula: '=100 / [Salary]' },
+        { id: 3, column_name: 'Double', column_type: 'formula', formula: '=[Ratio] * 2' }
+      ], { 1: '0' });
+
+      expect(cells[0]).toEqual({ column_id: 2, data_type: 'formula', value: null, error: ERRORS.DIV0 });
+      expect(cells[1]).toEqual({ column_id: 3, data_type: 'formula', value: null, error: ERRORS.DIV0 });
+    });
+
+    it('should detect circular references', () => {
+      const cells = evaluateRowFormulas([
+        { id: 1, column_name: 'A', column_type: 'formula', formula: '=[B] + 1' },
+        { id: 2, column_name: 'B', column_type: 'formula', formula: '=[A] + 1' }
+      ], {});
+
+      expect(cells.map(cell => cell.error)).toEqual([ERRORS.CIRCULAR, ERRORS.CIRCULAR]);
+    });
+  });
+});
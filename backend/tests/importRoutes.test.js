@@ -0,0 +1,58 @@
+// Import route tests (POST /import/csv) against a stand-in database
+const request = require('supertest');
+const express = require('express');
+const { respondWith, queries } = require('./mockDatabase');
+
+jest.mock('pg', () => require('./mockDatabase').pg);
+jest.mock('../utils/csv', () => {
+  const csv = jest.requireActual('../utils/csv');
+  return { ...csv, parseCsv: jest.fn(csv.parseCsv) };
+});
+
+const { parseCsv } = require('../utils/csv');
+const routes = require('../routes/index');
+
+describe('Import Routes', () => {
+  const rowIds = ['6f1c2d3e-0000-4000-8000-000000000001', '6f1c2d3e-0000-4000-8000-000000000002'];
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api', routes);
+  });
+
+  // A sheet with one text column, Name, and no rows yet
+  const sheet = (sql, params) => {
+    if (/FROM sheets/.test(sql)) return [{ id: 1, name: 'Sheet 1', display_order: 1 }];
+    if (/last_order/.test(sql)) return [{ last_order: 1 }];
+    if (/FROM columns_meta/.test(sql)) return [{ id: 1, column_name: 'Name', column_type: 'text', formula_expression: null }];
+    if (/first_position/.test(sql)) return [{ first_position: null, last_position: null }];
+    if (/INSERT INTO data_rows/.test(sql)) return params[1].map((position, index) => ({ id: rowIds[index], position }));
+    return [];
+  };
+  const importCsv = (csv) => request(app)
+    .post('/api/sheets/1/import/csv')
+    .set('X-Actor', 'Grace')
+    .attach('file', Buffer.from(csv), 'people.csv');
+
+  it('should record the imported values in the cell history', async () => {
+    respondWith(sheet);
+    const response = await importCsv('Name\nAda\nAlan\n');
+
+    expect(response.status).toBe(201);
+    const history = queries.find(({ sql }) => /INSERT INTO cell_history/.test(sql));
+    expect(history.params).toEqual([rowIds, [1, 1], ['text', 'text'], [null, null], ['"Ada"', '"Alan"'], ['Grace', 'Grace']]);
+  });
+
+  it('should answer a failure to read the file with a 500', async () => {
+    respondWith(sheet);
+    parseCsv.mockImplementationOnce(() => {
+      throw new TypeError('Cannot read the file');
+    });
+    const response = await importCsv('Name\nAda\n');
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ success: false, error: 'Failed to import CSV: Cannot read the file' });
+  });
+});
@@ -0,0 +1,40 @@
+// Stand-in for the pg module in route tests. There is no database in the
+// test run: every query, on the pool or on a client, is answered by the
+// responder a test sets with respondWith(), and logged in `queries`.
+//
+//   jest.mock('pg', () => require('./mockDatabase').pg);
+
+const queries = [];
+let responder = () => [];
+
+const query = async (sql, params = []) => {
+  queries.push({ sql, params });
+  if (/^\s*(BEGIN|COMMIT|ROLLBACK)\b/.test(sql)) return { rows: [] };
+  const rows = await responder(sql, params);
+  return { rows: rows || [], rowCount: rows ? rows.length : 0 };
+};
+
+const pool = {
+  connect: async () => ({ query, release: () => {} }),
+  query,
+  on: () => {},
+  end: async () => {}
+};
+
+// Answer each query with the rows respond(sql, params) returns (none when
+// it returns nothing) and forget the queries logged so far
+const respondWith = (respond) => {
+  responder = respond;
+  queries.length = 0;
+};
+
+module.exports = {
+  pg: {
+    Pool: function Pool() {
+      return pool;
+    },
+    types: { setTypeParser: () => {} }
+  },
+  respondWith,
+  queries
+};
@@ -0,0 +1,144 @@
+// Real-time hub tests
+const http = require('http');
+const WebSocket = require('ws');
+const { createRealtimeHub, resolveClientId, attachRealtime } = require('../utils/realtime');
+
+describe('Realtime', () => {
+  const createSocket = () => ({
+    readyState: 1,
+    sent: [],
+    send(data) {
+      this.sent.push(JSON.parse(data));
+    }
+  });
+
+  describe('Client id', () => {
+    const request = (id) => ({ get: (name) => (name === 'X-Client-Id' ? id : undefined) });
+
+    it('should take the client id from the X-Client-Id header', () => {
+      expect(resolveClientId(request('tab-1a2b'))).toBe('tab-1a2b');
+      expect(resolveClientId(request('<tab>'))).toBe('tab');
+      expect(resolveClientId(request(undefined))).toBeNull();
+    });
+  });
+
+  describe('Publishing', () => {
+    it('should send changes to the other clients watching the sheet', () => {
+      const hub = createRealtimeHub();
+      const mine = createSocket();
+      const theirs = createSocket();
+      const otherSheet = createSocket();
+      hub.join(mine, { sheetId: 1, clientId: 'a', name: 'Ada' });
+      hub.join(theirs, { sheetId: 1, clientId: 'b', name: 'Bob' });
+      hub.join(otherSheet, { sheetId: 2, clientId: 'c', name: 'Cy' });
+
+      hub.publish(1, 'row.deleted', { row_id: 'uuid-1', row_number: 3 }, 'a');
+
+      expect(theirs.sent).toContainEqual({ type: 'row.deleted', sheet_id: 1, row_id: 'uuid-1', row_number: 3 });
+      expect(mine.sent.map(message => message.type)).toEqual(['welcome']);
+      expect(otherSheet.sent.map(message => message.type)).toEqual(['welcome']);
+    });
+
+    it('should skip sockets that are not open', () => {
+      const hub = createRealtimeHub();
+      const closing = createSocket();
+      hub.join(closing, { sheetId: 1, clientId: 'a' });
+      closing.readyState = 2;
+
+      hub.publish(1, 'sheet.reloaded');
+
+      expect(closing.sent).toHaveLength(1);
+    });
+
+    it('should know whether a sheet is watched', () => {
+      const hub = createRealtimeHub();
+      const connection = hub.join(createSocket(), { sheetId: 1, clientId: 'a' });
+      expect(hub.isWatched(1)).toBe(true);
+
+      hub.leave(connection);
+      expect(hub.isWatched(1)).toBe(false);
+    });
+  });
+
+  describe('Presence', () => {
+    it('should share a client\'s active cell with the others', () => {
+      const hub = createRealtimeHub();
+      const mine = createSocket();
+      const theirs = createSocket();
+      const connection = hub.join(mine, { sheetId: 1, clientId: 'a', name: 'Ada' });
+      hub.join(theirs, { sheetId: 1, clientId: 'b', name: 'Bob' });
+
+      hub.receive(connection, JSON.stringify({ type: 'presence', row_id: 'uuid-1', column_id: 4 }));
+
+      expect(theirs.sent).toContainEqual({
+        type: 'presence', sheet_id: 1, client_id: 'a', name: 'Ada', row_id: 'uuid-1', column_id: 4
+      });
+      expect(mine.sent).toHaveLength(1);
+    });
+
+    it('should list active cells to clients that join later', () => {
+      const hub = createRealtimeHub();
+      const connection = hub.join(createSocket(), { sheetId: 1, clientId: 'a', name: 'Ada' });
+      hub.join(createSocket(), { sheetId: 1, clientId: 'b', name: 'Bob' });
+      hub.receive(connection, JSON.stringify({ type: 'presence', row_id: 'uuid-1', column_id: 4 }));
+
+      const late = createSocket();
+      hub.join(late, { sheetId: 1, clientId: 'c' });
+
+      expect(late.sent).toEqual([{
+        type: 'welcome',
+        sheet_id: 1,
+        presence: [{ client_id: 'a', name: 'Ada', row_id: 'uuid-1', column_id: 4 }]
+      }]);
+    });
+
+    it('should announce when a client with an active cell leaves', () => {
+      const hub = createRealtimeHub();
+      const connection = hub.join(createSocket(), { sheetId: 1, clientId: 'a' });
+      const theirs = createSocket();
+      hub.join(theirs, { sheetId: 1, clientId: 'b' });
+      hub.receive(connection, JSON.stringify({ type: 'presence', row_id: 'uuid-1', column_id: 4 }));
+
+      hub.leave(connection);
+
+      expect(theirs.sent[theirs.sent.length - 1]).toEqual({ type: 'presence.left', sheet_id: 1, client_id: 'a' });
+    });
+
+    it('should ignore malformed messages', () => {
+      const hub = createRealtimeHub();
+      const connection = hub.join(createSocket(), { sheetId: 1, clientId: 'a' });
+      const theirs = createSocket();
+      hub.join(theirs, { sheetId: 1, clientId: 'b' });
+
+      hub.receive(connection, 'not json');
+      hub.receive(connection, JSON.stringify({ type: 'row.deleted', row_id: 'uuid-1' }));
+
+      expect(theirs.sent).toHaveLength(1);
+    });
+  });
+
+  describe('Server', () => {
+    it('should close only the connection that sends an oversized message', async () => {
+      const server = http.createServer();
+      const wss = attachRealtime(server, createRealtimeHub());
+      await new Promise(resolve => server.listen(0, resolve));
+      const url = `ws://localhost:${server.address().port}/ws?sheet=1`;
+      const connect = (clientId) => new Promise(resolve => {
+        const socket = new WebSocket(`${url}&client=${clientId}`);
+        socket.on('open', () => resolve(socket));
+      });
+
+      const sender = await connect('a');
+      const other = await connect('b');
+      const closed = new Promise(resolve => sender.on('close', resolve));
+      sender.send('x'.repeat(100000));
+
+      expect(await closed).toBe(1009);
+      expect(other.readyState).toBe(WebSocket.OPEN);
+
+      other.terminate();
+      wss.close();
+      await new Promise(resolve => server.close(resolve));
+    });
+  });
+});
@@ -11,7 +11,8 @@ const mockPool = {
 
 // Mock the pg module
 jest.mock('pg', () => ({
-  Pool: jest.fn(() => mockPool)
+  Pool: jest.fn(() => mockPool),
+  types: { setTypeParser: jest.fn() }
 }));
 
 // Import routes after mocking
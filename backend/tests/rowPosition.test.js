@@ -0,0 +1,76 @@
+// Row position tests
+const { PositionError, validatePosition, positionBetween, positionsBetween } = require('../utils/rowPosition');
+
+describe('Row Positions', () => {
+  const isAscending = (keys) => keys.every((key, index) => index === 0 || keys[index - 1] < key);
+
+  describe('positionBetween', () => {
+    it('should start an empty sheet at a0', () => {
+      expect(positionBetween(null, null)).toBe('a0');
+    });
+
+    it('should step the integer at either end', () => {
+      expect(positionBetween('a0', null)).toBe('a1');
+      expect(positionBetween(null, 'a0')).toBe('Zz');
+      expect(positionBetween('az', null)).toBe('b00');
+      expect(positionBetween(null, 'b00')).toBe('az');
+    });
+
+    it('should split the fraction between neighbours', () => {
+      expect(positionBetween('a0', 'a1')).toBe('a0V');
+      expect(positionBetween('a0V', 'a1')).toBe('a0l');
+      expect(positionBetween('a0', 'a0V')).toBe('a0G');
+      expect(positionBetween('a0', 'a01')).toBe('a00V');
+    });
+
+    it('should always find a key between two others', () => {
+      let low = 'a0';
+      let high = 'a1';
+      for (let i = 0; i < 200; i += 1) {
+        const middle = positionBetween(low, high);
+        expect(low < middle && middle < high).toBe(true);
+        if (i % 2 === 0) low = middle; else high = middle;
+      }
+    });
+
+    it('should keep keys short when rows are added at the ends', () => {
+      let top = 'a0';
+      let bottom = 'a0';
+      for (let i = 0; i < 10000; i += 1) {
+        top = positionBetween(null, top);
+        bottom = positionBetween(bottom, null);
+      }
+      expect(top.length).toBeLessThanOrEqual(4);
+      expect(bottom.length).toBeLessThanOrEqual(4);
+    });
+
+    it('should reject keys out of order or malformed', () => {
+      expect(() => positionBetween('a1', 'a0')).toThrow(PositionError);
+      expect(() => positionBetween('a1', 'a1')).toThrow(PositionError);
+      expect(() => positionBetween('a10', null)).toThrow('Invalid position');
+      expect(() => positionBetween(null, 'b1')).toThrow('Invalid position');
+      expect(() => validatePosition('a!')).toThrow('Invalid position');
+      expect(() => validatePosition('')).toThrow('Invalid position');
+    });
+  });
+
+  describe('positionsBetween', () => {
+    it('should return keys in order inside the gap', () => {
+      const keys = positionsBetween('a0', 'a1', 50);
+
+      expect(keys).toHaveLength(50);
+      expect(isAscending(['a0', ...keys, 'a1'])).toBe(true);
+      expect(Math.max(...keys.map(key => key.length))).toBeLessThanOrEqual(5);
+    });
+
+    it('should fill the ends of the sheet', () => {
+      const top = positionsBetween(null, 'a0', 3);
+      const bottom = positionsBetween('a5', null, 3);
+
+      expect(top).toEqual(['Zx', 'Zy', 'Zz']);
+      expect(bottom).toEqual(['a6', 'a7', 'a8']);
+      expect(positionsBetween(null, null, 2)).toEqual(['a0', 'a1']);
+      expect(positionsBetween('a0', null, 0)).toEqual([]);
+    });
+  });
+});
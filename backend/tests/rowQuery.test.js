@@ -0,0 +1,283 @@
+// Row query builder tests
+const { RowQueryError, buildRowFilters, buildRowKeyset } = require('../utils/rowQuery');
+
+describe('Row Query Builder', () => {
+  const columns = [
+    { id: 1, column_name: 'Name', column_type: 'text', options: [] },
+    { id: 2, column_name: 'Salary', column_type: 'number', options: [] },
+    { id: 3, column_name: 'Join Date', column_type: 'datetime', options: [] },
+    {
+      id: 4,
+      column_name: 'Department',
+      column_type: 'single_select',
+      options: [{ id: 10, label: 'Engineering' }, { id: 11, label: 'Sales' }]
+    },
+    {
+      id: 5,
+      column_name: 'Skills',
+      column_type: 'multi_select',
+      options: [{ id: 20, label: 'SQL' }, { id: 21, label: 'React' }]
+    },
+    { id: 6, column_name: 'Bonus', column_type: 'formula', formula: '=[Salary] * 0.1', options: [] },
+    { id: 7, column_name: 'Remote', column_type: 'boolean', options: [] },
+    { id: 8, column_name: 'Birthday', column_type: 'date', options: [] },
+    { id: 9, column_name: 'Shift Start', column_type: 'time', options: [] }
+  ];
+
+  const build = (filter) => {
+    const params = [];
+    const result = buildRowFilters(filter, columns, params);
+    return { ...result, params };
+  };
+
+  describe('Filters', () => {
+    it('should return nothing without a filter', () => {
+      expect(build(undefined)).toEqual({ joins: [], conditions: [], params: [] });
+    });
+
+    it('should match text with a bare value as case-insensitive equality', () => {
+      const { joins, conditions, params } = build({ Name: 'Ada' });
+
+      expect(joins).toEqual(['LEFT JOIN cell_values f0 ON f0.row_id = dr.id AND f0.column_id = $1']);
+      expect(conditions).toEqual(['LOWER(f0.text_value) = LOWER($2)']);
+      expect(params).toEqual([1, 'Ada']);
+    });
+
+    it('should escape LIKE wildcards in text contains', () => {
+      const { conditions, params } = build({ Name: { contains: '50%_off' } });
+
+      expect(conditions).toEqual(['f0.text_value ILIKE $2']);
+      expect(params[1]).toBe('%50\\%\\_off%');
+    });
+
+    it('should combine number comparisons on one column', () => {
+      const { joins, conditions, params } = build({ salary: { gt: '50000', lte: '90000' } });
+
+      expect(joins).toHaveLength(1);
+      expect(conditions).toEqual(['f0.number_value > $2', 'f0.number_value <= $3']);
+      expect(params).toEqual([2, 50000, 90000]);
+    });
+
+    it('should filter datetime ranges', () => {
+      const { conditions, params } = build({ 'Join Date': { gte: '2024-01-01', lt: '2024-02-01' } });
+
+      expect(conditions).toEqual(['f0.datetime_value >= $2', 'f0.datetime_value < $3']);
+      expect(params[1]).toBe('2024-01-01T00:00:00.000Z');
+    });
+
+    it('should resolve single_select labels to option ids', () => {
+      const { conditions, params } = build({ Department: 'engineering,Sales' });
+
+      expect(conditions).toEqual(['f0.single_select_value::text = ANY($2)']);
+      expect(params[1]).toEqual(['10', '11', 'Engineering', 'Sales']);
+    });
+
+    it('should compare dates and times as written', () => {
+      const dates = build({ Birthday: { gte: '2024-01-01T23:00:00-05:00' } });
+      expect(dates.conditions).toEqual(['f0.date_value >= $2']);
+      expect(dates.params[1]).toBe('2024-01-01');
+      expect(build({ 'Shift Start': { lt: '9:30 am' } }).params[1]).toBe('09:30:00');
+      expect(() => build({ Birthday: 'someday' })).toThrow("Invalid date 'someday'");
+    });
+
+    it('should count empty boolean cells as unchecked', () => {
+      expect(build({ Remote: 'true' }).conditions).toEqual(['f0.boolean_value IS TRUE']);
+      expect(build({ Remote: { eq: 'FALSE' } }).conditions).toEqual(['f0.boolean_value IS NOT TRUE']);
+      expect(() => build({ Remote: 'yes' })).toThrow("expected true or false");
+    });
+
+    it('should build has_any and has_all over multi_select_values', () => {
+      const { joins, conditions, params } = build({ Skills: { has_any: 'SQL', has_all: ['SQL', 'React'] } });
+
+      expect(joins).toEqual([]);
+      expect(conditions[0]).toContain('msv.option_id = ANY($2)');
+      expect(conditions[1]).toContain('COUNT(DISTINCT msv.option_id)');
+      expect(conditions[1]).toContain('= $4');
+      expect(params).toEqual([5, [20], [20, 21], 2]);
+    });
+
+    it('should filter empty cells', () => {
+      expect(build({ Salary: { empty: 'true' } }).conditions).toEqual(['f0.number_value IS NULL']);
+      expect(build({ Skills: { empty: 'false' } }).conditions[0]).toMatch(/^EXISTS/);
+    });
+
+    it('should give each filtered column its own join', () => {
+      const { joins } = build({ Name: 'Ada', Salary: { gt: '1' } });
+
+      expect(joins[0]).toContain('cell_values f0');
+      expect(joins[1]).toContain('cell_values f1');
+    });
+  });
+
+  describe('Validation', () => {
+    it('should reject unknown columns', () => {
+      expect(() => build({ Nope: 'x' })).toThrow(RowQueryError);
+    });
+
+    it('should reject operators that do not fit the column type', () => {
+      expect(() => build({ Name: { gt: '1' } })).toThrow("Invalid operator 'gt'");
+      expect(() => build({ Skills: { in: 'SQL' } })).toThrow("Invalid operator 'in'");
+    });
+
+    it('should reject invalid values', () => {
+      expect(() => build({ Salary: { gt: 'lots' } })).toThrow('Invalid number');
+      expect(() => build({ 'Join Date': { gt: 'someday' } })).toThrow('Invalid datetime');
+      expect(() => build({ Department: 'Legal' })).toThrow("Unknown option 'Legal'");
+    });
+
+    it('should reject filters on formula columns', () => {
+      expect(() => build({ Bonus: { gt: '1' } })).toThrow('not supported');
+    });
+
+    it('should reject a filter that is not an object', () => {
+      expect(() => build('Name=Ada')).toThrow(RowQueryError);
+    });
+  });
+
+  describe('Sorting', () => {
+    const sortBy = (sort) => {
+      const params = [];
+      const { joins, orderBy } = buildRowKeyset({ sort }, columns, params);
+      return { joins, orderBy, params };
+    };
+
+    it('should fall back to row position order', () => {
+      expect(sortBy(undefined)).toEqual({ joins: [], orderBy: ['dr.position ASC'], params: [] });
+    });
+
+    it('should sort on typed columns with empty cells last', () => {
+      const { joins, orderBy, params } = sortBy('Salary:desc,Name:asc');
+
+      expect(joins).toEqual([
+        'LEFT JOIN cell_values s0 ON s0.row_id = dr.id AND s0.column_id = $1',
+        'LEFT JOIN cell_values s1 ON s1.row_id = dr.id AND s1.column_id = $2'
+      ]);
+      expect(orderBy).toEqual([
+        's0.number_value DESC NULLS LAST',
+        "LOWER(NULLIF(s1.text_value, '')) ASC NULLS LAST",
+        'dr.position ASC'
+      ]);
+      expect(params).toEqual([2, 1]);
+    });
+
+    it('should default to ascending and accept column ids', () => {
+      expect(sortBy('3').orderBy[0]).toBe('s0.datetime_value ASC NULLS LAST');
+      expect(sortBy('Join Date:DESC').orderBy[0]).toBe('s0.datetime_value DESC NULLS LAST');
+      expect(sortBy('Remote:desc').orderBy[0]).toBe('s0.boolean_value DESC NULLS LAST');
+    });
+
+    it('should sort single_select by option order', () => {
+      const { joins, orderBy } = sortBy('Department:asc');
+
+      expect(joins[1]).toContain('LEFT JOIN dropdown_options s0_opt');
+      expect(orderBy[0]).toBe('s0_opt.display_order ASC NULLS LAST');
+    });
+
+    it('should append placeholders after existing parameters', () => {
+      const params = ['existing'];
+      const { joins } = buildRowKeyset({ sort: 'Name' }, columns, params);
+
+      expect(joins[0]).toContain('$2');
+    });
+
+    it('should reject unsupported or repeated sort keys', () => {
+      expect(() => sortBy('Nope:asc')).toThrow("Unknown sort column 'Nope'");
+      expect(() => sortBy('Skills:asc')).toThrow('not supported');
+      expect(() => sortBy('Bonus:asc')).toThrow('not supported');
+      expect(() => sortBy('Name,Name:desc')).toThrow('more than once');
+      expect(() => sortBy(['Name', 'Salary'])).toThrow(RowQueryError);
+    });
+  });
+
+  describe('Keyset pages', () => {
+    const rowId = '6f1c2a1e-8d0b-4c3e-9a57-1b2c3d4e5f60';
+    const keyset = (query) => {
+      const params = [];
+      const result = buildRowKeyset(query, columns, params);
+      return { ...result, params };
+    };
+    const cursorOf = (sort, row) => keyset({ sort }).cursorFor({ id: rowId, ...row });
+
+    it('should order by position without a cursor', () => {
+      const { orderBy, select, condition, reversed } = keyset({});
+
+      expect(orderBy).toEqual(['dr.position ASC']);
+      expect(select).toEqual([]);
+      expect(condition).toBeNull();
+      expect(reversed).toBe(false);
+    });
+
+    it('should start after the position of the cursor row', () => {
+      const { condition, params } = keyset({ after: cursorOf(undefined, {}) });
+
+      expect(condition).toBe('((dr.position > (SELECT c.position FROM data_rows c WHERE c.id = $1)))');
+      expect(condition).toContain('WHERE c.id = $1');
+      expect(params).toEqual([rowId]);
+    });
+
+    it('should compare sort values with empty cells last', () => {
+      const after = cursorOf('Salary:desc', { sort_key_0: '50000.0000000000' });
+      const { select, orderBy, condition, params } = keyset({ sort: 'Salary:desc', after });
+
+      expect(select).toEqual(['s0.number_value::text AS sort_key_0']);
+      expect(orderBy).toEqual(['s0.number_value DESC NULLS LAST', 'dr.position ASC']);
+      expect(condition).toContain('((s0.number_value < $2::numeric OR s0.number_value IS NULL))');
+      expect(condition).toContain('(s0.number_value = $2::numeric AND dr.position >');
+      expect(params).toEqual([2, '50000.0000000000', rowId]);
+    });
+
+    it('should keep datetime sort values to the microsecond', () => {
+      const after = cursorOf('Join Date', { sort_key_0: '2024-01-15 10:30:00.123456+00' });
+      const { select, condition, params } = keyset({ sort: 'Join Date', after });
+
+      expect(select).toEqual(['s0.datetime_value::text AS sort_key_0']);
+      expect(condition).toContain('(s0.datetime_value = $2::timestamptz AND dr.position >');
+      expect(params).toEqual([3, '2024-01-15 10:30:00.123456+00', rowId]);
+    });
+
+    it('should page backwards in reverse order from a before cursor', () => {
+      const before = cursorOf('Name', { sort_key_0: null });
+      const { orderBy, condition, reversed } = keyset({ sort: 'Name', before });
+
+      expect(reversed).toBe(true);
+      expect(orderBy).toEqual(["LOWER(NULLIF(s0.text_value, '')) DESC NULLS FIRST", 'dr.position DESC']);
+      expect(condition).toContain("(LOWER(NULLIF(s0.text_value, '')) IS NOT NULL)");
+      expect(condition).toContain("(LOWER(NULLIF(s0.text_value, '')) IS NULL AND dr.position <");
+    });
+
+    it('should not page past an empty cell going forwards', () => {
+      const after = cursorOf('Name', { sort_key_0: null });
+      const { condition } = keyset({ sort: 'Name', after });
+
+      expect(condition).not.toContain('IS NOT NULL');
+      expect(condition).toMatch(/^\(\(LOWER\(NULLIF\(s0\.text_value, ''\)\) IS NULL AND dr\.position >/);
+    });
+
+    it('should keep two keys for single_select sorts', () => {
+      const after = cursorOf('Department', { sort_key_0: 1, sort_key_1: 'engineering' });
+      const { select, params } = keyset({ sort: 'Department', after });
+
+      expect(select).toHaveLength(2);
+      expect(params).toEqual([4, 1, 'engineering', rowId]);
+    });
+
+    it('should reject cursor values its sort keys cannot hold', () => {
+      expect(() => keyset({ sort: 'Salary', after: cursorOf('Salary', { sort_key_0: 'lots' }) })).toThrow('Invalid cursor');
+      expect(() => keyset({ sort: 'Join Date', after: cursorOf('Join Date', { sort_key_0: 'yesterday' }) })).toThrow('Invalid cursor');
+      expect(() => keyset({ sort: 'Join Date', after: cursorOf('Join Date', { sort_key_0: '2024-02-30 10:00:00+00' }) })).toThrow(RowQueryError);
+      expect(() => keyset({ sort: 'Birthday', after: cursorOf('Birthday', { sort_key_0: '2024-13-01' }) })).toThrow('Invalid cursor');
+      expect(() => keyset({ sort: 'Remote', after: cursorOf('Remote', { sort_key_0: 'maybe' }) })).toThrow('Invalid cursor');
+      expect(() => keyset({ sort: 'Department', after: cursorOf('Department', { sort_key_0: '1.5', sort_key_1: 'sales' }) })).toThrow('Invalid cursor');
+
+      expect(() => keyset({ sort: 'Salary', after: cursorOf('Salary', { sort_key_0: 50000 }) })).not.toThrow();
+      expect(() => keyset({ sort: 'Shift Start', after: cursorOf('Shift Start', { sort_key_0: '09:30:00' }) })).not.toThrow();
+      expect(() => keyset({ sort: 'Join Date', after: cursorOf('Join Date', { sort_key_0: '2024-01-15T10:00:00.000Z' }) })).not.toThrow();
+    });
+
+    it('should reject bad cursors', () => {
+      expect(() => keyset({ after: 'not a cursor' })).toThrow('Invalid cursor');
+      expect(() => keyset({ after: cursorOf(undefined, {}), sort: 'Name' })).toThrow('does not match the sort');
+      expect(() => keyset({ after: cursorOf(undefined, {}), before: cursorOf(undefined, {}) })).toThrow(RowQueryError);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+// GET /api/rows query count: a page is loaded in the same number of queries
+// whatever its size, so latency does not grow with the page size.
+//
+// There is no database in the test run, so the pool is the seeded stand-in
+// of tests/rowsDatabase.js. Timings are left to `npm run benchmark`
+// (benchmarks/rows.js), as they depend on the machine.
+const request = require('supertest');
+const express = require('express');
+const { SEEDED_ROWS, stats } = require('./rowsDatabase');
+
+jest.mock('pg', () => require('./rowsDatabase').pg);
+
+const routes = require('../routes/index');
+
+const PAGE_SIZES = [10, 100, 1000];
+
+describe('GET /api/rows queries', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api', routes);
+  });
+
+  it('should make the same number of queries for every page size', async () => {
+    const queryCounts = [];
+    for (const limit of PAGE_SIZES) {
+      stats.queries = 0;
+      const response = await request(app).get(`/api/rows?page=1&limit=${limit}`);
+      queryCounts.push(stats.queries);
+
+      expect(response.status).toBe(200);
+      expect(response.body.rows).toHaveLength(limit);
+      expect(response.body.pagination.total).toBe(SEEDED_ROWS);
+    }
+
+    expect(new Set(queryCounts).size).toBe(1);
+    // sheet, columns, options, count, rows, row numbers, cell values,
+    // multi-select values
+    expect(queryCounts[0]).toBe(8);
+  });
+
+  it('should return the same cells as the stored values', async () => {
+    const response = await request(app).get('/api/rows?page=2&limit=3');
+
+    expect(response.body.rows.map(row => row.row_number)).toEqual([4, 5, 6]);
+    expect(response.body.rows[0].cells).toEqual([
+      { column_id: 1, data_type: 'text', value: 'Person 3' },
+      { column_id: 2, data_type: 'number', value: 1003 },
+      { column_id: 3, data_type: 'single_select', value: 11 },
+      { column_id: 4, data_type: 'multi_select', value: [20, 21] }
+    ]);
+    expect(response.body.rows[1].cells[3]).toEqual({ column_id: 4, data_type: 'multi_select', value: [20] });
+  });
+});
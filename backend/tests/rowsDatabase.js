@@ -0,0 +1,133 @@
+// Seeded stand-in for the pg module that answers the queries GET /api/rows
+// makes, for tests/rowsBenchmark.test.js and benchmarks/rows.js. Queries on
+// a client run one after another, as they do on a pg connection, and each
+// can be given a fixed round trip with setRoundTrip() so a handler that
+// queries per row shows up as latency. `stats.queries` counts them.
+//
+//   jest.mock('pg', () => require('./rowsDatabase').pg);
+
+const SEEDED_ROWS = 3000;
+
+const seedDatabase = () => {
+  const columns = [
+    { id: 1, column_name: 'Name', column_type: 'text', formula_expression: null },
+    { id: 2, column_name: 'Salary', column_type: 'number', formula_expression: null },
+    { id: 3, column_name: 'Level', column_type: 'single_select', formula_expression: null },
+    { id: 4, column_name: 'Skills', column_type: 'multi_select', formula_expression: null }
+  ];
+  const options = [
+    { id: 10, column_id: 3, option_value: 'Junior', is_active: true },
+    { id: 11, column_id: 3, option_value: 'Senior', is_active: true },
+    { id: 20, column_id: 4, option_value: 'SQL', is_active: true },
+    { id: 21, column_id: 4, option_value: 'React', is_active: true }
+  ];
+  const rows = [];
+  const cells = [];
+  const multiSelect = [];
+  for (let i = 0; i < SEEDED_ROWS; i += 1) {
+    const id = `00000000-0000-4000-8000-${String(i).padStart(12, '0')}`;
+    rows.push({ id, created_at: new Date(0), updated_at: new Date(0) });
+    const cell = (columnId, columnType, values) => ({
+      row_id: id,
+      column_id: columnId,
+      column_type: columnType,
+      text_value: null,
+      number_value: null,
+      datetime_value: null,
+      single_select_value: null,
+      boolean_value: null,
+      date_value: null,
+      time_value: null,
+      ...values
+    });
+    cells.push(
+      cell(1, 'text', { text_value: `Person ${i}` }),
+      cell(2, 'number', { number_value: 1000 + i }),
+      cell(3, 'single_select', { single_select_value: i % 2 === 0 ? 10 : 11 })
+    );
+    multiSelect.push({ row_id: id, column_id: 4, option_id: 20 });
+    if (i % 3 === 0) {
+      multiSelect.push({ row_id: id, column_id: 4, option_id: 21 });
+    }
+  }
+  return { columns, options, rows, cells, multiSelect };
+};
+
+const database = seedDatabase();
+const stats = { queries: 0 };
+let roundTripMs = 0;
+
+const answer = (sql, params = []) => {
+  if (/FROM sheets/.test(sql)) {
+    return [{ id: 1, name: 'Sheet 1', display_order: 1 }];
+  }
+  if (/FROM columns_meta\s/.test(sql) && /formula_expression/.test(sql)) {
+    return database.columns;
+  }
+  if (/FROM dropdown_options/.test(sql)) {
+    return database.options;
+  }
+  if (/ROW_NUMBER\(\)/.test(sql)) {
+    const rowIds = new Set(params[1]);
+    return database.rows
+      .map((row, index) => ({ id: row.id, row_number: index + 1 }))
+      .filter(row => rowIds.has(row.id));
+  }
+  if (/COUNT\(\*\)/.test(sql)) {
+    return [{ total: String(database.rows.length) }];
+  }
+  if (/FROM data_rows dr\s/.test(sql)) {
+    const [limit, offset] = params.slice(-2);
+    return database.rows.slice(offset, offset + limit);
+  }
+  if (/FROM cell_values cv/.test(sql)) {
+    const rowIds = new Set(Array.isArray(params[0]) ? params[0] : [params[0]]);
+    return database.cells.filter(cell => rowIds.has(cell.row_id));
+  }
+  if (/FROM multi_select_values msv/.test(sql)) {
+    const rowIds = new Set(Array.isArray(params[0]) ? params[0] : [params[0]]);
+    return database.multiSelect.filter(selected => rowIds.has(selected.row_id));
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+// Queries on one client wait for the one before, like on a pg connection
+const createClient = () => {
+  let queue = Promise.resolve();
+  const query = (sql, params) => {
+    const result = queue.then(async () => {
+      stats.queries += 1;
+      if (roundTripMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, roundTripMs));
+      }
+      return { rows: answer(sql, params) };
+    });
+    queue = result.catch(() => {});
+    return result;
+  };
+  return { query, release: () => {} };
+};
+
+const pool = {
+  connect: async () => createClient(),
+  query: (sql, params) => createClient().query(sql, params),
+  on: () => {},
+  end: async () => {}
+};
+
+// Milliseconds each query takes from now on
+const setRoundTrip = (ms) => {
+  roundTripMs = ms;
+};
+
+module.exports = {
+  SEEDED_ROWS,
+  pg: {
+    Pool: function Pool() {
+      return pool;
+    },
+    types: { setTypeParser: () => {} }
+  },
+  stats,
+  setRoundTrip
+};
@@ -0,0 +1,11 @@
+// Select option color tests
+const { OPTION_COLORS, defaultOptionColor } = require('../utils/selectOptions');
+
+describe('Select Options', () => {
+  it('should give neighbouring options different colors and cycle through them', () => {
+    expect(defaultOptionColor(0)).toBe(OPTION_COLORS[0]);
+    expect(defaultOptionColor(1)).not.toBe(defaultOptionColor(0));
+    expect(defaultOptionColor(OPTION_COLORS.length + 2)).toBe(OPTION_COLORS[2]);
+    OPTION_COLORS.forEach(color => expect(color).toMatch(/^#[0-9a-f]{6}$/));
+  });
+});
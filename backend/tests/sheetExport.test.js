@@ -0,0 +1,99 @@
+// Sheet export tests
+const { toExportValues, createExportFormatter } = require('../utils/sheetExport');
+
+describe('Sheet Export', () => {
+  const columns = [
+    { id: 1, column_name: 'Name', column_type: 'text', options: [] },
+    { id: 2, column_name: 'Salary', column_type: 'number', options: [] },
+    { id: 3, column_name: 'Join Date', column_type: 'datetime', options: [] },
+    {
+      id: 4,
+      column_name: 'Department',
+      column_type: 'single_select',
+      options: [{ id: 10, label: 'Engineering' }, { id: 11, label: 'Sales' }]
+    },
+    {
+      id: 5,
+      column_name: 'Skills',
+      column_type: 'multi_select',
+      options: [{ id: 20, label: 'SQL' }, { id: 21, label: 'React' }]
+    },
+    { id: 6, column_name: 'Bonus', column_type: 'formula', formula: '=[Salary] * 0.1', options: [] }
+  ];
+
+  // Row as returned by EXPORT_ROWS_QUERY
+  const row = {
+    id: 'row-1',
+    row_number: 1,
+    cells: {
+      1: { t: 'Lovelace, Ada', n: null, d: null, s: null },
+      2: { t: null, n: 50000.0000000000, d: null, s: null },
+      3: { t: null, n: null, d: '2024-01-15T10:00:00+00:00', s: null },
+      4: { t: null, n: null, d: null, s: '10' }
+    },
+    multi: { 5: [20, 21] }
+  };
+
+  describe('Values', () => {
+    it('should resolve stored values for export', () => {
+      expect(toExportValues(columns, row)).toEqual({
+        1: 'Lovelace, Ada',
+        2: 50000,
+        3: '2024-01-15T10:00:00.000Z',
+        4: 'Engineering',
+        5: ['SQL', 'React'],
+        6: 5000
+      });
+    });
+
+    it('should leave empty cells empty', () => {
+      expect(toExportValues(columns, { id: 'row-2', row_number: 2, cells: {}, multi: {} })).toEqual({
+        1: null,
+        2: null,
+        3: null,
+        4: null,
+        5: [],
+        6: 0
+      });
+    });
+
+    it('should keep labels stored by older rows', () => {
+      const legacy = { ...row, cells: { 4: { t: null, n: null, d: null, s: 'Sales' } }, multi: {} };
+      expect(toExportValues(columns, legacy)[4]).toBe('Sales');
+    });
+  });
+
+  describe('Formats', () => {
+    const write = (format, options) => {
+      const formatter = createExportFormatter(format, columns, options);
+      return formatter.header() + formatter.row(toExportValues(columns, row)) + formatter.footer();
+    };
+
+    it('should write CSV with headers in column order', () => {
+      expect(write('csv')).toBe(
+        'Name,Salary,Join Date,Department,Skills,Bonus\r\n' +
+        '"Lovelace, Ada",50000,2024-01-15T10:00:00.000Z,Engineering,"SQL, React",5000\r\n'
+      );
+    });
+
+    it('should use the configured multi_select separator', () => {
+      expect(write('tsv', { separator: '|' })).toBe(
+        'Name\tSalary\tJoin Date\tDepartment\tSkills\tBonus\n' +
+        'Lovelace, Ada\t50000\t2024-01-15T10:00:00.000Z\tEngineering\tSQL|React\t5000\n'
+      );
+    });
+
+    it('should write a JSON array of records', () => {
+      expect(JSON.parse(write('json'))).toEqual([{
+        Name: 'Lovelace, Ada',
+        Salary: 50000,
+        'Join Date': '2024-01-15T10:00:00.000Z',
+        Department: 'Engineering',
+        Skills: ['SQL', 'React'],
+        Bonus: 5000
+      }]);
+      const empty = createExportFormatter('json', columns);
+      expect(JSON.parse(empty.header() + empty.footer())).toEqual([]);
+    });
+  });
+});
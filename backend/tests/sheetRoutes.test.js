@@ -0,0 +1,58 @@
+// Sheet scoping tests: data routes act on one sheet only
+const request = require('supertest');
+const express = require('express');
+const { respondWith, queries } = require('./mockDatabase');
+
+jest.mock('pg', () => require('./mockDatabase').pg);
+
+const routes = require('../routes/index');
+
+describe('Sheet Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api', routes);
+  });
+
+  it('should have no routes that change columns across every sheet', async () => {
+    respondWith((sql) => (/FROM sheets/.test(sql) ? [{ id: 1, name: 'Sheet 1', display_order: 1 }] : []));
+
+    for (const path of ['/api/cleanup/columns', '/api/fix/department']) {
+      const response = await request(app).post(path);
+      expect(response.status).toBe(404);
+    }
+    expect(queries.filter(({ sql }) => /DELETE|UPDATE/.test(sql))).toEqual([]);
+  });
+
+  describe('PATCH /sheets/:sheetId', () => {
+    it('should check the new name while holding the sheets locked', async () => {
+      respondWith((sql) => {
+        if (/UPDATE sheets/.test(sql)) return [{ id: 1, name: 'Budget', display_order: 1 }];
+        if (/FROM sheets/.test(sql) && !/LOWER\(name\)/.test(sql)) return [{ id: 1, name: 'Sheet 1', display_order: 1 }];
+        return [];
+      });
+      const response = await request(app).patch('/api/sheets/1').send({ name: 'Budget' });
+
+      expect(response.status).toBe(200);
+      const steps = queries.map(({ sql }) => sql.trim().split(/\s+/)[0]);
+      const locked = queries.findIndex(({ sql }) => /FOR UPDATE/.test(sql));
+      const checked = queries.findIndex(({ sql }) => /LOWER\(name\)/.test(sql));
+      expect(steps.indexOf('BEGIN')).toBeLessThan(locked);
+      expect(locked).toBeLessThan(checked);
+      expect(checked).toBeLessThan(steps.indexOf('UPDATE'));
+      expect(steps[steps.length - 1]).toBe('COMMIT');
+    });
+
+    it('should roll back when the new name is taken', async () => {
+      respondWith(() => [{ id: 1, name: 'Sheet 1', display_order: 1 }]);
+      const response = await request(app).patch('/api/sheets/1').send({ name: 'Budget' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe("A sheet named 'Budget' already exists");
+      expect(queries.map(({ sql }) => sql)).toContain('ROLLBACK');
+      expect(queries.filter(({ sql }) => /UPDATE sheets/.test(sql))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+// Table import planning tests
+const {
+  ImportError,
+  inferColumnType,
+  planImportColumns,
+  coerceImportRows
+} = require('../utils/tableImport');
+
+describe('Table Import', () => {
+  const columns = [
+    { id: 1, column_name: 'Name', column_type: 'text', options: [] },
+    { id: 2, column_name: 'Salary', column_type: 'number', options: [] },
+    {
+      id: 3,
+      column_name: 'Department',
+      column_type: 'single_select',
+      options: [{ id: 10, label: 'Engineering' }, { id: 11, label: 'Sales' }]
+    },
+    { id: 4, column_name: 'Bonus', column_type: 'formula', formula: '=[Salary] * 0.1', options: [] }
+  ];
+
+  describe('Type Inference', () => {
+    it('should infer numbers and datetimes', () => {
+      expect(inferColumnType(['1', '2.5', '$1,000', ''])).toBe('number');
+      expect(inferColumnType(['2024-01-15', '2024-02-01 09:30'])).toBe('datetime');
+    });
+
+    it('should use the cell types of workbook values', () => {
+      expect(inferColumnType([100000, 2.5, ''])).toBe('number');
+      expect(inferColumnType([new Date('2024-01-15T10:00:00Z'), ''])).toBe('datetime');
+      expect(inferColumnType([1, 'Ada'])).toBe('text');
+    });
+
+    it('should suggest single_select for repeating values', () => {
+      expect(inferColumnType(['Red', 'Blue', 'red', 'Blue'])).toBe('single_select');
+    });
+
+    it('should fall back to text', () => {
+      expect(inferColumnType(['Ada', 'Alan', 'Grace'])).toBe('text');
+      expect(inferColumnType(['', ''])).toBe('text');
+      expect(inferColumnType(['Room 1', 'Room 2', '12'])).toBe('text');
+    });
+  });
+
+  describe('Column Planning', () => {
+    it('should match headers to columns by name and create the rest', () => {
+      const plan = planImportColumns(
+        ['name', 'Salary', 'City'],
+        [['Ada', '10', 'Paris'], ['Alan', '20', 'Paris']],
+        columns
+      );
+
+      expect(plan.map(entry => entry.action)).toEqual(['map', 'map', 'create']);
+      expect(plan[0].column.id).toBe(1);
+      expect(plan[2].column).toEqual({ column_name: 'City', column_type: 'single_select', options: ['Paris'] });
+    });
+
+    it('should not match headers to columns by id', () => {
+      const plan = planImportColumns(['2'], [['x'], ['y']], columns);
+
+      expect(plan[0].action).toBe('create');
+      expect(plan[0].column.column_name).toBe('2');
+    });
+
+    it('should follow an explicit mapping', () => {
+      const plan = planImportColumns(
+        ['Full Name', 'Tags', 'Ignore'],
+        [['Ada', 'a;b']],
+        columns,
+        {
+          'Full Name': { action: 'map', column_id: 1 },
+          Tags: { action: 'create', column_type: 'multi_select', name: 'Labels' },
+          Ignore: { action: 'skip' }
+        }
+      );
+
+      expect(plan[0].column.column_name).toBe('Name');
+      expect(plan[1].column).toEqual({ column_name: 'Labels', column_type: 'multi_select', options: ['a', 'b'] });
+      expect(plan[2].action).toBe('skip');
+    });
+
+    it('should reject invalid plans', () => {
+      expect(() => planImportColumns(['Name', 'name'], [], columns)).toThrow('appears more than once');
+      expect(() => planImportColumns([''], [], columns)).toThrow('empty header');
+      expect(() => planImportColumns(['X'], [], columns, { X: { action: 'map', column_id: 99 } })).toThrow(ImportError);
+      expect(() => planImportColumns(['X'], [], columns, { X: { action: 'map', column_id: 4 } })).toThrow('formula column');
+      expect(() => planImportColumns(['X', 'Y'], [], columns, {
+        X: { action: 'map', column_id: 1 },
+        Y: { action: 'map', column_id: 1 }
+      })).toThrow('more than one header');
+      expect(() => planImportColumns(['X'], [], columns, { X: { action: 'create', name: 'Salary' } })).toThrow('already exists');
+      expect(() => planImportColumns(['X'], [], columns, { Z: { action: 'skip' } })).toThrow('unknown header');
+    });
+
+    it('should not map a header onto a formula column by name', () => {
+      const plan = planImportColumns(['Bonus'], [['5']], columns, { Bonus: { action: 'skip' } });
+      expect(plan[0].action).toBe('skip');
+      expect(() => planImportColumns(['Bonus'], [['5']], columns)).toThrow('already exists');
+    });
+  });
+
+  describe('Row Coercion', () => {
+    it('should keep valid rows and report invalid ones per cell', () => {
+      const plan = planImportColumns(['Name', 'Salary', 'Department'], [], columns);
+      const { rows, errors } = coerceImportRows([
+        ['Ada', '1,000', 'engineering'],
+        ['Alan', 'lots', 'Legal'],
+        ['Grace', '', '']
+      ], plan);
+
+      expect(rows).toEqual([
+        {
+          row: 1,
+          cells: [
+            { column_id: 1, column_type: 'text', value: 'Ada' },
+            { column_id: 2, column_type: 'number', value: 1000 },
+            { column_id: 3, column_type: 'single_select', value: 10 }
+          ]
+        },
+        { row: 3, cells: [{ column_id: 1, column_type: 'text', value: 'Grace' }] }
+      ]);
+      expect(errors).toEqual([
+        {
+          row: 2,
+          errors: [
+            { column: 'Salary', value: 'lots', error: "'lots' is not a number" },
+            { column: 'Department', value: 'Legal', error: "'Legal' is not an option of Department" }
+          ]
+        }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// Excel workbook import/export tests
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const {
+  XlsxError,
+  readXlsxRecords,
+  formatSummaryValue,
+  createXlsxExportWriter
+} = require('../utils/xlsx');
+
+describe('XLSX', () => {
+  const columns = [
+    { id: 1, column_name: 'Name', column_type: 'text', options: [] },
+    { id: 2, column_name: 'Salary', column_type: 'number', options: [] },
+    { id: 3, column_name: 'Join Date', column_type: 'datetime', options: [] },
+    {
+      id: 4,
+      column_name: 'Department',
+      column_type: 'single_select',
+      options: [
+        { id: 10, label: 'Engineering', is_active: true },
+        { id: 11, label: 'Sales', is_active: true },
+        { id: 12, label: 'Legacy', is_active: false }
+      ]
+    },
+    {
+      id: 5,
+      column_name: 'Skills',
+      column_type: 'multi_select',
+      options: [{ id: 20, label: 'SQL' }, { id: 21, label: 'React' }]
+    }
+  ];
+
+  const summaries = [
+    { column_id: 1, column_type: 'text', summary: null },
+    { column_id: 2, column_type: 'number', summary: { sum: 150000, average: 75000, count: 2 } },
+    { column_id: 3, column_type: 'datetime', summary: '2024-01-15T10:00:00.000Z' },
+    { column_id: 4, column_type: 'single_select', summary: { most_frequent: 'Engineering', count: 2 } },
+    { column_id: 5, column_type: 'multi_select', summary: { most_frequent: ['SQL'], count: 2 } }
+  ];
+
+  // Export rows into an in-memory workbook buffer
+  const exportWorkbook = async (rows) => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise(resolve => stream.on('end', resolve));
+
+    const writer = createXlsxExportWriter(stream, columns, { separator: '; ' });
+    rows.forEach(values => writer.addRow(values));
+    await writer.finish(summaries);
+    await finished;
+    return Buffer.concat(chunks);
+  };
+
+  const rows = [
+    { 1: 'Ada', 2: 100000, 3: '2024-01-15T10:00:00.000Z', 4: 'Engineering', 5: ['SQL', 'React'] },
+    { 1: 'Alan', 2: 50000, 3: null, 4: 'Engineering', 5: [] }
+  ];
+
+  it('should write typed cells, select lists and a summary footer', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await exportWorkbook(rows));
+
+    const sheet = workbook.getWorksheet('Sheet');
+    expect(sheet.getRow(1).values.slice(1)).toEqual(['Name', 'Salary', 'Join Date', 'Department', 'Skills']);
+    expect(sheet.getCell('B2').value).toBe(100000);
+    expect(sheet.getCell('C2').value).toEqual(new Date('2024-01-15T10:00:00.000Z'));
+    expect(sheet.getCell('E2').value).toBe('SQL; React');
+    expect(sheet.getCell('E3').value).toBeNull();
+
+    expect(sheet.getCell('D2').dataValidation).toEqual(expect.objectContaining({
+      type: 'list',
+      formulae: ["'Options'!$A$2:$A$3"]
+    }));
+
+    // Footer after an empty row
+    expect(sheet.getCell('A4').value).toBeNull();
+    expect(sheet.getCell('B5').value).toBe('Sum: 150000, Average: 75000, Count: 2');
+    expect(sheet.getCell('D5').value).toBe('Most frequent: Engineering (2)');
+
+    const options = workbook.getWorksheet('Options');
+    expect(options.state).toBe('hidden');
+    expect(options.getColumn(1).values.slice(1)).toEqual(['Department', 'Engineering', 'Sales']);
+  });
+
+  it('should read back the exported data without the footer', async () => {
+    const { records, ignoredRows } = await readXlsxRecords(await exportWorkbook(rows));
+
+    expect(records).toEqual([
+      ['Name', 'Salary', 'Join Date', 'Department', 'Skills'],
+      ['Ada', 100000, new Date('2024-01-15T10:00:00.000Z'), 'Engineering', 'SQL; React'],
+      ['Alan', 50000, '', 'Engineering', '']
+    ]);
+    expect(ignoredRows).toBe(2);
+  });
+
+  it('should read past blank rows and count them as ignored', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Data');
+    sheet.addRow(['Name', 'Team']);
+    sheet.addRow(['Ada', 'Engineering']);
+    sheet.addRow([]);
+    sheet.addRow(['Grace', 'Sales']);
+    sheet.addRow([]);
+    sheet.addRow(['Alan', 'Sales']).font = { italic: false };
+
+    const { records, ignoredRows } = await readXlsxRecords(await workbook.xlsx.writeBuffer());
+    expect(records).toEqual([['Name', 'Team'], ['Ada', 'Engineering'], ['Grace', 'Sales'], ['Alan', 'Sales']]);
+    expect(ignoredRows).toBe(2);
+  });
+
+  it('should read formula results and rich text as plain values', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Data');
+    sheet.addRow(['Total', 'Note', 'Flag']);
+    sheet.addRow([{ formula: '1+1', result: 2 }, { richText: [{ text: 'Hello ' }, { text: 'there' }] }, true]);
+
+    const { records } = await readXlsxRecords(await workbook.xlsx.writeBuffer());
+    expect(records).toEqual([['Total', 'Note', 'Flag'], [2, 'Hello there', 'TRUE']]);
+  });
+
+  it('should reject files that are not workbooks', async () => {
+    await expect(readXlsxRecords(Buffer.from('Name,Age\nAda,36'))).rejects.toThrow(XlsxError);
+  });
+
+  it('should format summaries for the footer', () => {
+    expect(formatSummaryValue(summaries[0])).toBeNull();
+    expect(formatSummaryValue(summaries[2])).toEqual(new Date('2024-01-15T10:00:00.000Z'));
+    expect(formatSummaryValue(summaries[4])).toBe('Most frequent: SQL (2)');
+    expect(formatSummaryValue({ column_type: 'boolean', summary: { checked: 3, total: 4, percentage: 75 } }))
+      .toBe('Checked: 3 of 4 (75%)');
+    expect(formatSummaryValue({ column_type: 'date', summary: '2024-03-01' })).toEqual(new Date('2024-03-01T00:00:00Z'));
+    expect(formatSummaryValue({ column_type: 'time', summary: { earliest: '08:00:00', latest: '17:30:00' } }))
+      .toBe('Earliest: 08:00:00, Latest: 17:30:00');
+  });
+});
@@ -0,0 +1,194 @@
+// Cell edit history (GET /api/rows/:id/history and /api/cell/history)
+//
+// Every change made through PATCH /api/cell and /cells/batch, and every
+// imported value, is recorded in cell_history with the value before and
+// after it, in the same form the API accepts: text, a number, an ISO 8601
+// datetime, a date, a time, an option id or an array of option ids.
+// A null value means the cell was empty.
+
+const { normalizeTimeValue } = require('./dateTimes');
+
+// Longest actor name stored (cell_history.actor is VARCHAR(255))
+const MAX_ACTOR_LENGTH = 255;
+const DEFAULT_ACTOR = 'anonymous';
+
+// Clean up a client-supplied name: no control characters, at most
+// MAX_ACTOR_LENGTH long, and DEFAULT_ACTOR when blank
+function normalizeActor(name) {
+  const actor = String(name || '').replace(/[\x00-\x1f\x7f]+/g, ' ').trim();
+  return actor === '' ? DEFAULT_ACTOR : actor.slice(0, MAX_ACTOR_LENGTH);
+}
+
+// Name of whoever made the request, from the X-Actor header. There are no
+// user accounts, so this is whatever name the client sends.
+function resolveActor(req) {
+  return normalizeActor(req.get ? req.get('X-Actor') : null);
+}
+
+// A missing value and an empty option list are both stored as null
+function normalizeHistoryValue(columnType, value) {
+  if (value === null || value === undefined) return null;
+  if (columnType === 'multi_select') {
+    return Array.isArray(value) && value.length > 0 ? value : null;
+  }
+  return value;
+}
+
+// Whether two values of a column are the same cell content. Option lists
+// compare regardless of order, datetimes by instant and times with or
+// without their seconds.
+function sameCellValue(columnType, a, b) {
+  const left = normalizeHistoryValue(columnType, a);
+  const right = normalizeHistoryValue(columnType, b);
+  if (left === null || right === null) return left === right;
+
+  switch (columnType) {
+    case 'multi_select': {
+      const sortIds = (ids) => ids.map(String).sort();
+      return JSON.stringify(sortIds(left)) === JSON.stringify(sortIds(right));
+    }
+    case 'number':
+      return Number(left) === Number(right);
+    case 'datetime':
+      return new Date(left).getTime() === new Date(right).getTime();
+    case 'time':
+      return normalizeTimeValue(String(left)) === normalizeTimeValue(String(right));
+    default:
+      return String(left) === String(right);
+  }
+}
+
+const toJson = (value) => (value === null ? null : JSON.stringify(value));
+
+// Record one cell change. Nothing is stored when the value did not change.
+// Returns the inserted history row, or null.
+async function recordCellChange(client, { rowId, columnId, columnType, oldValue, newValue, actor }) {
+  if (sameCellValue(columnType, oldValue, newValue)) {
+    return null;
+  }
+
+  const insertQuery = `
+    INSERT INTO cell_history (row_id, column_id, column_type, old_value, new_value, actor)
+    VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, $6)
+    RETURNING id, row_id, column_id, column_type, old_value, new_value, actor, changed_at
+  `;
+  const result = await client.query(insertQuery, [
+    rowId,
+    columnId,
+    columnType,
+    toJson(normalizeHistoryValue(columnType, oldValue)),
+    toJson(normalizeHistoryValue(columnType, newValue)),
+    actor || DEFAULT_ACTOR
+  ]);
+  return result.rows[0];
+}
+
+// Record the changes of a batch update in one statement. Each change has
+// the fields recordCellChange takes; unchanged values are skipped. Returns
+// the recorded entries as { id, row_id, column_id }.
+async function recordCellChanges(client, changes) {
+  const changed = changes.filter(change =>
+    !sameCellValue(change.columnType, change.oldValue, change.newValue));
+  if (changed.length === 0) {
+    return [];
+  }
+
+  const insertQuery = `
+    INSERT INTO cell_history (row_id, column_id, column_type, old_value, new_value, actor)
+    SELECT * FROM UNNEST($1::uuid[], $2::int[], $3::varchar[], $4::jsonb[], $5::jsonb[], $6::varchar[])
+    RETURNING id, row_id, column_id
+  `;
+  const result = await client.query(insertQuery, [
+    changed.map(change => change.rowId),
+    changed.map(change => change.columnId),
+    changed.map(change => change.columnType),
+    changed.map(change => toJson(normalizeHistoryValue(change.columnType, change.oldValue))),
+    changed.map(change => toJson(normalizeHistoryValue(change.columnType, change.newValue))),
+    changed.map(change => change.actor || DEFAULT_ACTOR)
+  ]);
+  return result.rows.map(row => ({ id: Number(row.id), row_id: row.row_id, column_id: row.column_id }));
+}
+
+// What cells held before the changes undo or a restore reverts. Such a
+// request names the entry it reverts (history_id) so the archived options
+// the cell held then can be written back. `reverts` are { historyId, rowId,
+// columnId }; returns a Map of historyId -> old_value for the ids that are
+// changes of the named cell.
+async function readRevertedValues(client, reverts) {
+  const named = reverts.filter(revert => Number.isInteger(revert.historyId) && revert.historyId > 0);
+  if (named.length === 0) {
+    return new Map();
+  }
+
+  const result = await client.query(
+    'SELECT id, row_id, column_id, old_value FROM cell_history WHERE id = ANY($1::bigint[])',
+    [named.map(revert => revert.historyId)]
+  );
+  const entries = new Map(result.rows.map(entry => [Number(entry.id), entry]));
+  const reverted = new Map();
+  named.forEach(({ historyId, rowId, columnId }) => {
+    const entry = entries.get(historyId);
+    if (entry && entry.row_id === String(rowId).toLowerCase() && String(entry.column_id) === String(columnId)) {
+      reverted.set(historyId, entry.old_value);
+    }
+  });
+  return reverted;
+}
+
+const optionLabel = (column, id) => {
+  const option = (column.options || []).find(opt => String(opt.id) === String(id));
+  // Older rows store the option label rather than its id
+  return option ? option.label : String(id);
+};
+
+// Text shown for a recorded value: option labels for select columns
+// (archived options included), Checked or Unchecked for booleans,
+// everything else as stored
+function describeHistoryValue(column, value) {
+  if (value === null || value === undefined) return null;
+
+  switch (column.column_type) {
+    case 'boolean':
+      return value ? 'Checked' : 'Unchecked';
+    case 'single_select':
+      return optionLabel(column, value);
+    case 'multi_select':
+      return value.map(id => optionLabel(column, id)).join(', ');
+    default:
+      return String(value);
+  }
+}
+
+// Shape of a history entry in API responses. `column` is the definition
+// with all its options, or undefined for a column that no longer exists.
+// Values are described by the type the column had when they were recorded,
+// as a converted column keeps its older entries.
+function formatHistoryEntry(entry, column) {
+  const definition = { column_name: null, options: [], ...column, column_type: entry.column_type };
+  return {
+    id: Number(entry.id),
+    row_id: entry.row_id,
+    column_id: entry.column_id,
+    column_name: definition.column_name,
+    column_type: entry.column_type,
+    old_value: entry.old_value,
+    new_value: entry.new_value,
+    old_display: describeHistoryValue(definition, entry.old_value),
+    new_display: describeHistoryValue(definition, entry.new_value),
+    actor: entry.actor,
+    changed_at: entry.changed_at
+  };
+}
+
+module.exports = {
+  DEFAULT_ACTOR,
+  normalizeActor,
+  resolveActor,
+  normalizeHistoryValue,
+  sameCellValue,
+  recordCellChange,
+  recordCellChanges,
+  readRevertedValues,
+  describeHistoryValue,
+  formatHistoryEntry
+};
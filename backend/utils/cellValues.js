@@ -0,0 +1,572 @@
+// Cell value validation, coercion and storage
+//
+// PATCH /api/cell, PATCH /api/cells/batch and the import endpoints share
+// these rules so a value is accepted (or rejected) the same way whichever
+// path writes it.
+
+const { isDateValue, isTimeValue, parseDateText, parseTimeText } = require('./dateTimes');
+
+class CellValueError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CellValueError';
+  }
+}
+
+const activeOptions = (column) => (column.options || []).filter(option => option.is_active !== false);
+
+// Ids of the options a select cell may hold: the active ones, plus archived
+// ones the cell already holds (`storedValue`, as readCellValue returns it)
+function allowedOptionIds(column, storedValue) {
+  const stored = [storedValue].flat(2)
+    .filter(id => id !== null && id !== undefined)
+    .map(String);
+  return (column.options || [])
+    .filter(option => option.is_active !== false || stored.includes(String(option.id)))
+    .map(option => option.id);
+}
+
+// Validate an already-typed value for a column. Select columns need their
+// options loaded ({ id, label, is_active }); archived options are only
+// accepted when the cell already holds them (`storedValue`, which may be a
+// list of such values). Throws CellValueError.
+function validateCellValue(column, value, storedValue = null) {
+  switch (column.column_type) {
+    case 'text':
+      if (typeof value !== 'string') {
+        throw new CellValueError('Text value must be a string');
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || isNaN(value)) {
+        throw new CellValueError('Invalid number value');
+      }
+      break;
+    case 'datetime':
+      if (!value || isNaN(Date.parse(value))) {
+        throw new CellValueError('Invalid datetime value');
+      }
+      break;
+    case 'date':
+      if (!isDateValue(value)) {
+        throw new CellValueError('Date value must be a date as YYYY-MM-DD');
+      }
+      break;
+    case 'time':
+      if (!isTimeValue(value)) {
+        throw new CellValueError('Time value must be a time as HH:mm or HH:mm:ss');
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw new CellValueError('Boolean value must be true or false');
+      }
+      break;
+    case 'single_select':
+      if (typeof value !== 'number') {
+        throw new CellValueError('Single select value must be a number');
+      }
+      if (!allowedOptionIds(column, storedValue).includes(value)) {
+        throw new CellValueError('Invalid option ID');
+      }
+      break;
+    case 'multi_select': {
+      if (!Array.isArray(value)) {
+        throw new CellValueError('Multi select value must be an array');
+      }
+      const validIds = allowedOptionIds(column, storedValue);
+      if (!value.every(id => validIds.includes(id)) || new Set(value).size !== value.length) {
+        throw new CellValueError('Invalid option IDs');
+      }
+      break;
+    }
+    case 'formula':
+      throw new CellValueError('Formula cells are computed and cannot be edited');
+    default:
+      throw new CellValueError(`Unsupported column type '${column.column_type}'`);
+  }
+}
+
+// Find an active option by label (case-insensitive). Text is never read as
+// an option id, so a value like '12' is only ever the label 12.
+function findOption(column, raw) {
+  const lowered = String(raw).trim().toLowerCase();
+  return activeOptions(column).find(option => option.label.toLowerCase() === lowered);
+}
+
+// Separators accepted between multi_select labels in imported text
+const MULTI_SELECT_SEPARATOR = /[;,|]/;
+
+// Text read as a checked or unchecked boolean cell (case-insensitive)
+const TRUE_WORDS = ['true', 'yes', 'y', '1', 'x', 'checked'];
+const FALSE_WORDS = ['false', 'no', 'n', '0', 'unchecked'];
+
+// Convert raw text (from a CSV file or a paste) into the typed value the
+// column stores, then validate it. Empty text becomes null, meaning "no value".
+// Numbers and dates read from a workbook arrive already typed.
+function coerceCellValue(column, raw) {
+  if (raw === null || raw === undefined) return null;
+  if (raw instanceof Date) {
+    return coerceCellValue(column, isNaN(raw.getTime()) ? '' : raw.toISOString());
+  }
+  const text = String(raw).trim();
+  if (text === '') return null;
+
+  let value;
+  switch (column.column_type) {
+    case 'text':
+      value = String(raw);
+      break;
+    case 'number': {
+      // Allow thousands separators and a leading currency symbol
+      const cleaned = text.replace(/^[$€£]/, '').replace(/,/g, '');
+      value = cleaned === '' ? NaN : Number(cleaned);
+      if (isNaN(value)) {
+        throw new CellValueError(`'${text}' is not a number`);
+      }
+      break;
+    }
+    case 'datetime':
+      if (isNaN(Date.parse(text))) {
+        throw new CellValueError(`'${text}' is not a valid date`);
+      }
+      value = new Date(text).toISOString();
+      break;
+    case 'date':
+      value = parseDateText(text);
+      if (value === null) {
+        throw new CellValueError(`'${text}' is not a valid date`);
+      }
+      break;
+    case 'time':
+      value = parseTimeText(text);
+      if (value === null) {
+        throw new CellValueError(`'${text}' is not a valid time`);
+      }
+      break;
+    case 'boolean': {
+      const lowered = text.toLowerCase();
+      if (!TRUE_WORDS.includes(lowered) && !FALSE_WORDS.includes(lowered)) {
+        throw new CellValueError(`'${text}' is not true or false`);
+      }
+      value = TRUE_WORDS.includes(lowered);
+      break;
+    }
+    case 'single_select': {
+      const option = findOption(column, text);
+      if (!option) {
+        throw new CellValueError(`'${text}' is not an option of ${column.column_name}`);
+      }
+      value = option.id;
+      break;
+    }
+    case 'multi_select': {
+      const labels = text.split(MULTI_SELECT_SEPARATOR).map(label => label.trim()).filter(Boolean);
+      const unknown = labels.filter(label => !findOption(column, label));
+      if (unknown.length > 0) {
+        throw new CellValueError(`${unknown.map(label => `'${label}'`).join(', ')} not an option of ${column.column_name}`);
+      }
+      value = Array.from(new Set(labels.map(label => findOption(column, label).id)));
+      break;
+    }
+    default:
+      value = text;
+  }
+
+  validateCellValue(column, value);
+  return value;
+}
+
+const VALUE_FIELDS = {
+  text: 'text_value',
+  number: 'number_value',
+  datetime: 'datetime_value',
+  single_select: 'single_select_value',
+  boolean: 'boolean_value',
+  date: 'date_value',
+  time: 'time_value'
+};
+
+// Replace the stored value of one cell. `value` must already be validated;
+// null clears the cell.
+async function writeCellValue(client, rowId, columnId, columnType, value) {
+  // Delete existing cell value if it exists
+  await client.query('DELETE FROM cell_values WHERE row_id = $1 AND column_id = $2', [rowId, columnId]);
+
+  // Delete existing multi-select values if they exist
+  await client.query('DELETE FROM multi_select_values WHERE row_id = $1 AND column_id = $2', [rowId, columnId]);
+
+  if (value === null || value === undefined) {
+    return;
+  }
+
+  if (columnType === 'multi_select') {
+    if (value.length > 0) {
+      const insertQuery = `
+        INSERT INTO multi_select_values (row_id, column_id, option_id)
+        SELECT $1, $2, UNNEST($3::int[])
+      `;
+      await client.query(insertQuery, [rowId, columnId, value]);
+    }
+    return;
+  }
+
+  const field = VALUE_FIELDS[columnType];
+  const insertQuery = `
+    INSERT INTO cell_values (row_id, column_id, ${field})
+    VALUES ($1, $2, $3)
+  `;
+  await client.query(insertQuery, [rowId, columnId, value]);
+}
+
+// A cell_values row in the form PATCH /api/cell accepts, or null
+function storedCellValue(columnType, cell) {
+  if (!cell) return null;
+
+  switch (columnType) {
+    case 'text':
+      return cell.text_value;
+    case 'number':
+      return cell.number_value === null ? null : Number(cell.number_value);
+    case 'datetime':
+      return cell.datetime_value === null ? null : new Date(cell.datetime_value).toISOString();
+    case 'date':
+      return cell.date_value;
+    case 'time':
+      return cell.time_value;
+    case 'boolean':
+      return cell.boolean_value;
+    case 'single_select': {
+      const stored = cell.single_select_value;
+      if (stored === null) return null;
+      // Older rows store the option label rather than its id
+      return /^\d+$/.test(String(stored)) ? Number(stored) : stored;
+    }
+    default:
+      return null;
+  }
+}
+
+// Read the stored value of one cell in the form PATCH /api/cell accepts,
+// or null when the cell is empty
+async function readCellValue(client, rowId, columnId, columnType) {
+  if (columnType === 'multi_select') {
+    const optionsQuery = `
+      SELECT msv.option_id
+      FROM multi_select_values msv
+      JOIN dropdown_options opt ON opt.id = msv.option_id
+      WHERE msv.row_id = $1 AND msv.column_id = $2
+      ORDER BY opt.display_order, opt.id
+    `;
+    const optionsResult = await client.query(optionsQuery, [rowId, columnId]);
+    return optionsResult.rows.length > 0 ? optionsResult.rows.map(row => row.option_id) : null;
+  }
+
+  const cellQuery = `
+    SELECT text_value, number_value, datetime_value, single_select_value, boolean_value, date_value, time_value
+    FROM cell_values
+    WHERE row_id = $1 AND column_id = $2
+  `;
+  const cellResult = await client.query(cellQuery, [rowId, columnId]);
+  return storedCellValue(columnType, cellResult.rows[0]);
+}
+
+// Insert the values of a freshly created row in at most two statements.
+// `cells` is [{ column_id, column_type, value }] with validated, non-null values.
+async function insertRowCells(client, rowId, cells) {
+  const params = [rowId];
+  const scalarRows = [];
+  const optionRows = [];
+
+  cells.forEach(cell => {
+    if (cell.column_type === 'multi_select') {
+      cell.value.forEach(optionId => {
+        optionRows.push([cell.column_id, optionId]);
+      });
+      return;
+    }
+    const columnParam = `$${params.push(cell.column_id)}`;
+    const valueParam = `$${params.push(cell.value)}`;
+    const fields = ['text_value', 'number_value', 'datetime_value', 'single_select_value', 'boolean_value', 'date_value', 'time_value']
+      .map(field => (field === VALUE_FIELDS[cell.column_type] ? valueParam : 'NULL'));
+    scalarRows.push(`($1, ${columnParam}, ${fields.join(', ')})`);
+  });
+
+  if (scalarRows.length > 0) {
+    const insertQuery = `
+      INSERT INTO cell_values (row_id, column_id, text_value, number_value, datetime_value, single_select_value, boolean_value,
+        date_value, time_value)
+      VALUES ${scalarRows.join(',\n             ')}
+    `;
+    await client.query(insertQuery, params);
+  }
+
+  if (optionRows.length > 0) {
+    const insertQuery = `
+      INSERT INTO multi_select_values (row_id, column_id, option_id)
+      SELECT $1, UNNEST($2::int[]), UNNEST($3::int[])
+    `;
+    await client.query(insertQuery, [
+      rowId,
+      optionRows.map(([columnId]) => columnId),
+      optionRows.map(([, optionId]) => optionId)
+    ]);
+  }
+}
+
+// Key of a cell in the maps returned by readCellValues
+const cellKey = (rowId, columnId) => `${rowId}:${columnId}`;
+
+// Validate a PATCH /api/cells/batch request: every cell must name an active
+// row (one of activeRowIds) and column, match the column type and hold a
+// valid value (or null to clear), and appear only once. `storedValues` (as
+// readCellValues returns them) lets select cells keep archived options they
+// already hold. Returns the valid cells as entries ({ index, row_id,
+// column_id, column_type, value }) and a result per requested cell
+// ({ index, row_id, column_id, success, error }).
+function validateCellBatch(cells, columns, activeRowIds, storedValues = new Map()) {
+  const rowIds = new Set(activeRowIds);
+  const seen = new Set();
+  const entries = [];
+
+  const results = cells.map((cell, index) => {
+    const result = {
+      index,
+      row_id: cell && cell.row_id !== undefined ? cell.row_id : null,
+      column_id: cell && cell.column_id !== undefined ? cell.column_id : null
+    };
+    try {
+      if (!cell || typeof cell !== 'object') {
+        throw new CellValueError('Cell must be an object');
+      }
+      const { data_type, value } = cell;
+      if (!cell.row_id || !cell.column_id || !data_type) {
+        throw new CellValueError('row_id, column_id and data_type are required');
+      }
+      const rowId = String(cell.row_id).toLowerCase();
+      if (!rowIds.has(rowId)) {
+        throw new CellValueError('Row not found');
+      }
+      const column = columns.find(candidate => String(candidate.id) === String(cell.column_id));
+      if (!column) {
+        throw new CellValueError('Column not found');
+      }
+      if (data_type !== column.column_type) {
+        throw new CellValueError(`Data type '${data_type}' does not match column type '${column.column_type}'`);
+      }
+      if (column.column_type === 'formula') {
+        throw new CellValueError('Formula cells are computed and cannot be edited');
+      }
+      if (value === undefined) {
+        throw new CellValueError('value is required (null clears the cell)');
+      }
+      const key = cellKey(rowId, column.id);
+      if (value !== null) {
+        validateCellValue(column, value, storedValues.get(key));
+      }
+      if (seen.has(key)) {
+        throw new CellValueError('Cell appears more than once in the batch');
+      }
+      seen.add(key);
+
+      entries.push({ index, row_id: rowId, column_id: column.id, column_type: column.column_type, value });
+      return { ...result, success: true };
+    } catch (err) {
+      if (!(err instanceof CellValueError)) throw err;
+      return { ...result, success: false, error: err.message };
+    }
+  });
+
+  return { entries, results };
+}
+
+// Read the stored values of many cells ([{ row_id, column_id, column_type }])
+// in two queries. Returns a Map from cellKey(row_id, column_id) to the value
+// in the form PATCH /api/cell accepts (null for empty cells).
+async function readCellValues(client, cells) {
+  const values = new Map();
+  const types = new Map();
+  cells.forEach(cell => {
+    values.set(cellKey(cell.row_id, cell.column_id), null);
+    types.set(cellKey(cell.row_id, cell.column_id), cell.column_type);
+  });
+
+  const scalarCells = cells.filter(cell => cell.column_type !== 'multi_select');
+  if (scalarCells.length > 0) {
+    const cellsQuery = `
+      SELECT cv.row_id, cv.column_id, cv.text_value, cv.number_value, cv.datetime_value, cv.single_select_value,
+        cv.boolean_value, cv.date_value, cv.time_value
+      FROM cell_values cv
+      JOIN UNNEST($1::uuid[], $2::int[]) AS target(row_id, column_id)
+        ON cv.row_id = target.row_id AND cv.column_id = target.column_id
+    `;
+    const cellsResult = await client.query(cellsQuery, [
+      scalarCells.map(cell => cell.row_id),
+      scalarCells.map(cell => cell.column_id)
+    ]);
+    cellsResult.rows.forEach(cell => {
+      const key = cellKey(cell.row_id, cell.column_id);
+      values.set(key, storedCellValue(types.get(key), cell));
+    });
+  }
+
+  const multiCells = cells.filter(cell => cell.column_type === 'multi_select');
+  if (multiCells.length > 0) {
+    const optionsQuery = `
+      SELECT msv.row_id, msv.column_id, array_agg(msv.option_id ORDER BY opt.display_order, opt.id) AS option_ids
+      FROM multi_select_values msv
+      JOIN dropdown_options opt ON opt.id = msv.option_id
+      JOIN UNNEST($1::uuid[], $2::int[]) AS target(row_id, column_id)
+        ON msv.row_id = target.row_id AND msv.column_id = target.column_id
+      GROUP BY msv.row_id, msv.column_id
+    `;
+    const optionsResult = await client.query(optionsQuery, [
+      multiCells.map(cell => cell.row_id),
+      multiCells.map(cell => cell.column_id)
+    ]);
+    optionsResult.rows.forEach(cell => {
+      values.set(cellKey(cell.row_id, cell.column_id), cell.option_ids);
+    });
+  }
+
+  return values;
+}
+
+// Group the cell_values and multi_select_values rows of many data rows into
+// each row's cells in the GET /rows shape: [{ column_id, data_type, value }].
+// The type is that of the filled value column; multi-select cells follow the
+// others in column order. Returns a Map from row id to its cells.
+function groupRowCells(cellValueRows, multiSelectRows) {
+  const cellsByRow = new Map();
+  const cellsOf = (rowId) => {
+    if (!cellsByRow.has(rowId)) cellsByRow.set(rowId, []);
+    return cellsByRow.get(rowId);
+  };
+
+  cellValueRows.forEach(cell => {
+    let value = null;
+    let dataType = cell.column_type;
+
+    if (cell.text_value !== null) {
+      value = cell.text_value;
+      dataType = 'text';
+    } else if (cell.number_value !== null) {
+      value = cell.number_value;
+      dataType = 'number';
+    } else if (cell.datetime_value !== null) {
+      value = cell.datetime_value;
+      dataType = 'datetime';
+    } else if (cell.single_select_value !== null) {
+      value = cell.single_select_value;
+      dataType = 'single_select';
+    } else if (cell.boolean_value !== null) {
+      value = cell.boolean_value;
+      dataType = 'boolean';
+    } else if (cell.date_value !== null) {
+      value = cell.date_value;
+      dataType = 'date';
+    } else if (cell.time_value !== null) {
+      value = cell.time_value;
+      dataType = 'time';
+    }
+
+    cellsOf(cell.row_id).push({
+      column_id: cell.column_id,
+      data_type: dataType,
+      value: value
+    });
+  });
+
+  // row id -> column id -> option ids
+  const optionsByRow = new Map();
+  multiSelectRows.forEach(selected => {
+    if (!optionsByRow.has(selected.row_id)) optionsByRow.set(selected.row_id, new Map());
+    const columns = optionsByRow.get(selected.row_id);
+    if (!columns.has(selected.column_id)) columns.set(selected.column_id, []);
+    columns.get(selected.column_id).push(selected.option_id);
+  });
+  optionsByRow.forEach((columns, rowId) => {
+    const cells = cellsOf(rowId);
+    Array.from(columns.keys())
+      .sort((a, b) => a - b)
+      .forEach(columnId => {
+        cells.push({
+          column_id: columnId,
+          data_type: 'multi_select',
+          value: columns.get(columnId)
+        });
+      });
+  });
+
+  return cellsByRow;
+}
+
+// Replace the stored values of many cells in at most four statements.
+// `entries` ([{ row_id, column_id, column_type, value }]) must already be
+// validated; a null value clears the cell.
+async function writeCellValues(client, entries) {
+  const targets = [entries.map(entry => entry.row_id), entries.map(entry => entry.column_id)];
+  await client.query(`
+    DELETE FROM cell_values cv
+    USING UNNEST($1::uuid[], $2::int[]) AS target(row_id, column_id)
+    WHERE cv.row_id = target.row_id AND cv.column_id = target.column_id
+  `, targets);
+  await client.query(`
+    DELETE FROM multi_select_values msv
+    USING UNNEST($1::uuid[], $2::int[]) AS target(row_id, column_id)
+    WHERE msv.row_id = target.row_id AND msv.column_id = target.column_id
+  `, targets);
+
+  const scalarEntries = entries.filter(entry => entry.column_type !== 'multi_select' && entry.value !== null);
+  if (scalarEntries.length > 0) {
+    const valuesOf = (columnType) => scalarEntries.map(entry => (entry.column_type === columnType ? entry.value : null));
+    const insertQuery = `
+      INSERT INTO cell_values (row_id, column_id, text_value, number_value, datetime_value, single_select_value, boolean_value,
+        date_value, time_value)
+      SELECT * FROM UNNEST($1::uuid[], $2::int[], $3::text[], $4::numeric[], $5::timestamptz[], $6::int[], $7::boolean[],
+        $8::date[], $9::time[])
+    `;
+    await client.query(insertQuery, [
+      scalarEntries.map(entry => entry.row_id),
+      scalarEntries.map(entry => entry.column_id),
+      valuesOf('text'),
+      valuesOf('number'),
+      valuesOf('datetime'),
+      valuesOf('single_select'),
+      valuesOf('boolean'),
+      valuesOf('date'),
+      valuesOf('time')
+    ]);
+  }
+
+  const optionRows = [];
+  entries
+    .filter(entry => entry.column_type === 'multi_select' && entry.value !== null)
+    .forEach(entry => {
+      entry.value.forEach(optionId => {
+        optionRows.push([entry.row_id, entry.column_id, optionId]);
+      });
+    });
+  if (optionRows.length > 0) {
+    const insertQuery = `
+      INSERT INTO multi_select_values (row_id, column_id, option_id)
+      SELECT * FROM UNNEST($1::uuid[], $2::int[], $3::int[])
+    `;
+    await client.query(insertQuery, [0, 1, 2].map(field => optionRows.map(row => row[field])));
+  }
+}
+
+module.exports = {
+  CellValueError,
+  validateCellValue,
+  coerceCellValue,
+  writeCellValue,
+  readCellValue,
+  storedCellValue,
+  insertRowCells,
+  cellKey,
+  validateCellBatch,
+  readCellValues,
+  writeCellValues,
+  groupRowCells
+};
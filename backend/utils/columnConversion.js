@@ -0,0 +1,101 @@
+// Column type conversion (PATCH /api/columns/:id with column_type)
+//
+// Changing a column's type converts the values already stored in it. Each
+// conversion reads the cells in the form PATCH /api/cell accepts and turns
+// them into values of the new type; cells that cannot be converted are
+// reported rather than dropped, so a dry run can show them first.
+
+const { CellValueError, coerceCellValue } = require('./cellValues');
+
+// The types each column type can be converted to
+const CONVERSIONS = {
+  text: ['number', 'single_select'],
+  number: ['text'],
+  datetime: ['text'],
+  date: ['text'],
+  time: ['text'],
+  single_select: ['multi_select']
+};
+
+// Longest option label (dropdown_options.option_value is VARCHAR(500))
+const MAX_OPTION_LENGTH = 500;
+
+const canConvertColumn = (fromType, toType) => (CONVERSIONS[fromType] || []).includes(toType);
+
+// The options a text column needs to become a single_select column: its
+// distinct values, trimmed, in the order they first appear. Values differing
+// only in case share the first spelling, and values the column already has
+// as an active option are left out. Values too long for a label are skipped
+// (convertCells reports them).
+function conversionOptionLabels(column, toType, cells) {
+  if (column.column_type !== 'text' || toType !== 'single_select') return [];
+
+  const seen = new Set((column.options || [])
+    .filter(option => option.is_active !== false)
+    .map(option => option.label.toLowerCase()));
+  const labels = [];
+  cells.forEach(cell => {
+    const label = String(cell.value).trim();
+    const key = label.toLowerCase();
+    if (label === '' || label.length > MAX_OPTION_LENGTH || seen.has(key)) return;
+    seen.add(key);
+    labels.push(label);
+  });
+  return labels;
+}
+
+// The value one cell takes in the new type, or null when it ends up empty.
+// `target` is the column as it will be, with its options. Throws
+// CellValueError when the value cannot be converted.
+function convertCellValue(column, target, value) {
+  switch (`${column.column_type}:${target.column_type}`) {
+    case 'number:text':
+      return String(value);
+    case 'datetime:text':
+      return new Date(value).toISOString();
+    case 'text:single_select':
+      if (String(value).trim().length > MAX_OPTION_LENGTH) {
+        throw new CellValueError(`Text longer than ${MAX_OPTION_LENGTH} characters cannot be an option`);
+      }
+      return coerceCellValue(target, value);
+    case 'single_select:multi_select': {
+      // The option stays as it is, archived or not. Older rows store the
+      // option label rather than its id.
+      if (typeof value === 'number') return [value];
+      const label = String(value).trim().toLowerCase();
+      const option = (column.options || []).find(candidate => candidate.label.toLowerCase() === label);
+      if (!option) {
+        throw new CellValueError(`'${value}' is not an option of ${column.column_name}`);
+      }
+      return [option.id];
+    }
+    default:
+      return coerceCellValue(target, value);
+  }
+}
+
+// Convert the stored values of `column` ([{ row_id, value }], empty cells
+// left out) for `target`, the column as it will be. Returns
+//   converted - [{ row_id, value }] with the new values (null to clear)
+//   failures  - [{ row_id, value, error }] for cells that cannot be converted
+function convertCells(column, target, cells) {
+  const converted = [];
+  const failures = [];
+  cells.forEach(cell => {
+    try {
+      converted.push({ row_id: cell.row_id, value: convertCellValue(column, target, cell.value) });
+    } catch (err) {
+      if (!(err instanceof CellValueError)) throw err;
+      failures.push({ row_id: cell.row_id, value: cell.value, error: err.message });
+    }
+  });
+  return { converted, failures };
+}
+
+module.exports = {
+  CONVERSIONS,
+  MAX_OPTION_LENGTH,
+  canConvertColumn,
+  conversionOptionLabels,
+  convertCells
+};
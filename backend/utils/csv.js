@@ -0,0 +1,105 @@
+// Minimal RFC 4180 CSV reading and writing
+//
+// Fields may be quoted with double quotes; a quoted field can contain the
+// delimiter, line breaks and "" as an escaped quote. Both \n and \r\n line
+// endings are accepted.
+
+class CsvError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CsvError';
+  }
+}
+
+// Parse CSV text into an array of records (arrays of strings)
+function parseCsv(text, delimiter = ',') {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let fieldStarted = false;
+  let line = 1;
+
+  // Strip a UTF-8 byte order mark written by Excel
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+    fieldStarted = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    // Skip blank lines
+    if (!(record.length === 1 && record[0] === '')) {
+      records.push(record);
+    }
+    record = [];
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && !fieldStarted) {
+      inQuotes = true;
+      fieldStarted = true;
+    } else if (ch === delimiter) {
+      endField();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+    } else {
+      field += ch;
+      fieldStarted = true;
+    }
+  }
+
+  if (inQuotes) {
+    throw new CsvError(`Unterminated quoted field starting before line ${line}`);
+  }
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+// Quote a field when it contains the delimiter, a quote, a line break or
+// surrounding spaces that a reader would otherwise trim
+function formatCsvField(value, delimiter = ',') {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+    return '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+// Format one record, terminated by CRLF as RFC 4180 asks
+function formatCsvRecord(values, delimiter = ',') {
+  return values.map(value => formatCsvField(value, delimiter)).join(delimiter) + '\r\n';
+}
+
+module.exports = {
+  CsvError,
+  parseCsv,
+  formatCsvField,
+  formatCsvRecord
+};
@@ -0,0 +1,121 @@
+// Date and time columns
+//
+// `datetime` cells hold an instant (ISO 8601 in UTC), `date` cells a
+// calendar date (YYYY-MM-DD) and `time` cells a time of day (HH:mm:ss).
+// Dates and times are wall-clock values: they are stored and returned as
+// written, never shifted by a timezone.
+//
+// Each of these columns may set how its cells are shown: display_format,
+// built from the tokens below (e.g. DD/MM/YYYY HH:mm), and for datetime
+// columns display_timezone, an IANA name such as Europe/Paris. The API only
+// stores them; the client formats the values.
+
+const DATE_TYPES = ['datetime', 'date', 'time'];
+
+// Tokens of a display format; anything else is shown as written
+const FORMAT_TOKENS = /YYYY|MM|DD|HH|hh|mm|ss|A/g;
+const DATE_TOKENS = ['YYYY', 'MM', 'DD'];
+const TIME_TOKENS = ['HH', 'hh', 'mm', 'ss', 'A'];
+
+// Longest display format and timezone name (VARCHAR(64) in columns_meta)
+const MAX_DISPLAY_SETTING_LENGTH = 64;
+
+const DATE_VALUE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_VALUE = /^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Whether `value` is a YYYY-MM-DD string naming a real calendar day
+function isDateValue(value) {
+  const match = typeof value === 'string' && value.match(DATE_VALUE);
+  if (!match) return false;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Whether `value` is an HH:mm or HH:mm:ss string (24-hour clock)
+const isTimeValue = (value) => typeof value === 'string' && TIME_VALUE.test(value);
+
+// A time value with its seconds, as the database returns it
+const normalizeTimeValue = (value) => (value.length === 5 ? `${value}:00` : value);
+
+// The calendar date in imported or pasted text, or null. ISO dates and
+// datetimes keep the date as written; other text is read as a local date.
+function parseDateText(text) {
+  const iso = String(text).trim().match(/^(\d{4}-\d{2}-\d{2})(?:[ T]|$)/);
+  if (iso) return isDateValue(iso[1]) ? iso[1] : null;
+  const parsed = new Date(text);
+  if (isNaN(parsed.getTime())) return null;
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+}
+
+// The time of day in imported or pasted text as HH:mm:ss, or null.
+// Accepts 24-hour times, times with AM/PM, and ISO datetimes (as workbook
+// time cells arrive), whose time is taken as written.
+function parseTimeText(text) {
+  const trimmed = String(text).trim();
+  const clock = trimmed.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([ap])\.?m\.?)?$/i);
+  if (clock) {
+    let hours = Number(clock[1]);
+    const minutes = Number(clock[2]);
+    const seconds = Number(clock[3] || 0);
+    const meridiem = clock[4] ? clock[4].toLowerCase() : null;
+    if (meridiem) {
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+  }
+  const iso = trimmed.match(/^\d{4}-\d{2}-\d{2}T(\d{2}:\d{2}:\d{2})/);
+  return iso && isTimeValue(iso[1]) ? iso[1] : null;
+}
+
+// Error message for an invalid display format of a column type, or null.
+// null clears the format.
+function validateDisplayFormat(format, columnType) {
+  if (format === null) return null;
+  if (typeof format !== 'string' || format.trim() === '') {
+    return 'display_format must be a non-empty string or null';
+  }
+  if (format.length > MAX_DISPLAY_SETTING_LENGTH) {
+    return `display_format must be at most ${MAX_DISPLAY_SETTING_LENGTH} characters`;
+  }
+  const tokens = format.match(FORMAT_TOKENS) || [];
+  if (tokens.length === 0) {
+    return 'display_format must contain at least one of YYYY, MM, DD, HH, hh, mm, ss, A';
+  }
+  const unusable = columnType === 'date' ? TIME_TOKENS : columnType === 'time' ? DATE_TOKENS : [];
+  const misplaced = tokens.find(token => unusable.includes(token));
+  if (misplaced) {
+    return `display_format of a ${columnType} column cannot use ${misplaced}`;
+  }
+  return null;
+}
+
+// Error message for an invalid display timezone, or null. null shows the
+// values in the viewer's own timezone.
+function validateDisplayTimezone(timezone) {
+  if (timezone === null) return null;
+  if (typeof timezone !== 'string' || timezone.length > MAX_DISPLAY_SETTING_LENGTH) {
+    return 'display_timezone must be an IANA timezone name or null';
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (err) {
+    return `Unknown timezone '${timezone}'`;
+  }
+  return null;
+}
+
+module.exports = {
+  DATE_TYPES,
+  isDateValue,
+  isTimeValue,
+  normalizeTimeValue,
+  parseDateText,
+  parseTimeText,
+  validateDisplayFormat,
+  validateDisplayTimezone
+};
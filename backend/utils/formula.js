@@ -0,0 +1,602 @@
+// Formula engine for computed columns
+//
+// Expressions reference other columns of the same row by name, e.g.
+//   =[Salary] * 0.1
+//   =IF([Age] > 30, "Senior", "Junior")
+//
+// The source is tokenized and parsed into a small AST which is then walked
+// by the evaluator. Nothing is ever handed to eval() or new Function(), and
+// only the whitelisted functions below can be called.
+
+const MAX_FORMULA_LENGTH = 2000;
+const MAX_DEPTH = 64;
+
+// Error codes surfaced to the client, spreadsheet style
+const ERRORS = {
+  VALUE: '#VALUE!',
+  DIV0: '#DIV/0!',
+  REF: '#REF!',
+  NAME: '#NAME?',
+  NUM: '#NUM!',
+  CIRCULAR: '#CIRCULAR!'
+};
+
+class FormulaError extends Error {
+  constructor(code, message) {
+    super(message || code);
+    this.name = 'FormulaError';
+    this.code = code;
+  }
+}
+
+// ==============================================
+// TOKENIZER
+// ==============================================
+
+const OPERATORS = ['<=', '>=', '<>', '+', '-', '*', '/', '^', '&', '=', '<', '>'];
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Numbers: 12, 3.5, .5
+    if (/[0-9.]/.test(ch)) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+      if (!match) {
+        throw new FormulaError(ERRORS.VALUE, `Invalid number at position ${i + 1}`);
+      }
+      tokens.push({ type: 'number', value: parseFloat(match[0]) });
+      i += match[0].length;
+      continue;
+    }
+
+    // Strings: "text", with "" as an escaped quote
+    if (ch === '"') {
+      let value = '';
+      i++;
+      while (true) {
+        if (i >= source.length) {
+          throw new FormulaError(ERRORS.VALUE, 'Unterminated string literal');
+        }
+        if (source[i] === '"') {
+          if (source[i + 1] === '"') {
+            value += '"';
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        value += source[i];
+        i++;
+      }
+      tokens.push({ type: 'string', value });
+      continue;
+    }
+
+    // Column references: [Column Name]
+    if (ch === '[') {
+      const end = source.indexOf(']', i + 1);
+      if (end === -1) {
+        throw new FormulaError(ERRORS.REF, 'Unterminated column reference');
+      }
+      const name = source.slice(i + 1, end).trim();
+      if (!name) {
+        throw new FormulaError(ERRORS.REF, 'Empty column reference');
+      }
+      tokens.push({ type: 'ref', value: name });
+      i = end + 1;
+      continue;
+    }
+
+    // Identifiers: function names and TRUE/FALSE
+    if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+      tokens.push({ type: 'ident', value: match[0].toUpperCase() });
+      i += match[0].length;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')' || ch === ',') {
+      tokens.push({ type: ch });
+      i++;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'op', value: operator });
+      i += operator.length;
+      continue;
+    }
+
+    throw new FormulaError(ERRORS.VALUE, `Unexpected character '${ch}' at position ${i + 1}`);
+  }
+
+  return tokens;
+}
+
+// ==============================================
+// PARSER (recursive descent)
+// ==============================================
+
+const COMPARISON_OPERATORS = ['=', '<>', '<', '>', '<=', '>='];
+
+function parseFormula(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new FormulaError(ERRORS.VALUE, 'Formula expression is required');
+  }
+  if (source.length > MAX_FORMULA_LENGTH) {
+    throw new FormulaError(ERRORS.VALUE, `Formula must be at most ${MAX_FORMULA_LENGTH} characters`);
+  }
+
+  // The leading '=' is conventional but optional
+  const body = source.trim().replace(/^=/, '');
+  const tokens = tokenize(body);
+  let position = 0;
+  let depth = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const isOperator = (values) => peek() && peek().type === 'op' && values.includes(peek().value);
+
+  const expect = (type) => {
+    const token = next();
+    if (!token || token.type !== type) {
+      throw new FormulaError(ERRORS.VALUE, `Expected '${type}'`);
+    }
+    return token;
+  };
+
+  const enter = () => {
+    depth++;
+    if (depth > MAX_DEPTH) {
+      throw new FormulaError(ERRORS.VALUE, 'Formula is nested too deeply');
+    }
+  };
+
+  const parseBinary = (operators, parseOperand) => {
+    let left = parseOperand();
+    while (isOperator(operators)) {
+      const operator = next().value;
+      const right = parseOperand();
+      left = { type: 'binary', operator, left, right };
+    }
+    return left;
+  };
+
+  const parseExpression = () => {
+    enter();
+    const node = parseBinary(COMPARISON_OPERATORS, parseConcat);
+    depth--;
+    return node;
+  };
+
+  const parseConcat = () => parseBinary(['&'], parseAdditive);
+  const parseAdditive = () => parseBinary(['+', '-'], parseTerm);
+  const parseTerm = () => parseBinary(['*', '/'], parsePower);
+
+  // As in Excel, negation binds tighter than '^' and '^' is left-associative
+  const parsePower = () => parseBinary(['^'], parseUnary);
+
+  const parseUnary = () => {
+    if (isOperator(['-', '+'])) {
+      const operator = next().value;
+      enter();
+      const operand = parseUnary();
+      depth--;
+      return { type: 'unary', operator, operand };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) {
+      throw new FormulaError(ERRORS.VALUE, 'Unexpected end of formula');
+    }
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'number', value: token.value };
+      case 'string':
+        return { type: 'string', value: token.value };
+      case 'ref':
+        return { type: 'ref', name: token.value };
+      case '(': {
+        const inner = parseExpression();
+        expect(')');
+        return inner;
+      }
+      case 'ident': {
+        if (token.value === 'TRUE' || token.value === 'FALSE') {
+          return { type: 'boolean', value: token.value === 'TRUE' };
+        }
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+          throw new FormulaError(ERRORS.NAME, `Unknown function '${token.value}'`);
+        }
+        expect('(');
+        const args = [];
+        if (peek() && peek().type === ')') {
+          next();
+        } else {
+          while (true) {
+            args.push(parseExpression());
+            const separator = next();
+            if (separator && separator.type === ')') break;
+            if (!separator || separator.type !== ',') {
+              throw new FormulaError(ERRORS.VALUE, `Expected ',' or ')' in ${token.value}()`);
+            }
+          }
+        }
+        const { minArgs, maxArgs } = FUNCTIONS[token.value];
+        if (args.length < minArgs || (maxArgs !== undefined && args.length > maxArgs)) {
+          throw new FormulaError(ERRORS.VALUE, `Wrong number of arguments to ${token.value}()`);
+        }
+        return { type: 'call', name: token.value, args };
+      }
+      default:
+        throw new FormulaError(ERRORS.VALUE, `Unexpected token '${token.value || token.type}'`);
+    }
+  };
+
+  const ast = parseExpression();
+  if (position < tokens.length) {
+    const token = tokens[position];
+    throw new FormulaError(ERRORS.VALUE, `Unexpected token '${token.value || token.type}'`);
+  }
+  return ast;
+}
+
+// Collect the distinct column names an expression refers to
+function getReferences(ast) {
+  const names = new Set();
+  const walk = (node) => {
+    switch (node.type) {
+      case 'ref':
+        names.add(node.name);
+        break;
+      case 'unary':
+        walk(node.operand);
+        break;
+      case 'binary':
+        walk(node.left);
+        walk(node.right);
+        break;
+      case 'call':
+        node.args.forEach(walk);
+        break;
+      default:
+        break;
+    }
+  };
+  walk(ast);
+  return Array.from(names);
+}
+
+// Rewrite the references to a column in an expression after it is renamed.
+// Everything else, strings included, is left as it was written.
+function renameReferences(source, oldName, newName) {
+  const target = oldName.toLowerCase();
+  let result = '';
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === '"') {
+      // Copy the string literal through its closing quote ("" is an escape)
+      let end = i + 1;
+      while (end < source.length) {
+        if (source[end] === '"' && source[end + 1] === '"') {
+          end += 2;
+        } else if (source[end] === '"') {
+          break;
+        } else {
+          end++;
+        }
+      }
+      result += source.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '[') {
+      const end = source.indexOf(']', i + 1);
+      if (end !== -1 && source.slice(i + 1, end).trim().toLowerCase() === target) {
+        result += `[${newName}]`;
+        i = end + 1;
+        continue;
+      }
+    }
+
+    result += ch;
+    i++;
+  }
+
+  return result;
+}
+
+// ==============================================
+// EVALUATOR
+// ==============================================
+
+const isBlank = (value) => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+function toNumber(value) {
+  if (isBlank(value)) return 0;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  throw new FormulaError(ERRORS.VALUE, `Expected a number but got '${toText(value)}'`);
+}
+
+function toText(value) {
+  if (isBlank(value)) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  return String(value);
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (isBlank(value)) return false;
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value === 'string') {
+    if (value.toUpperCase() === 'TRUE') return true;
+    if (value.toUpperCase() === 'FALSE') return false;
+  }
+  throw new FormulaError(ERRORS.VALUE, `Expected TRUE or FALSE but got '${toText(value)}'`);
+}
+
+function checkNumber(result) {
+  if (!Number.isFinite(result)) {
+    throw new FormulaError(ERRORS.NUM, 'Result is not a finite number');
+  }
+  return result;
+}
+
+function compare(left, right) {
+  // Numbers compare numerically, everything else case-insensitively as text
+  const bothNumeric = [left, right].every(v =>
+    typeof v === 'number' || typeof v === 'boolean' || isBlank(v) ||
+    (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v)))
+  );
+  if (bothNumeric) {
+    return toNumber(left) - toNumber(right);
+  }
+  return toText(left).toLowerCase().localeCompare(toText(right).toLowerCase());
+}
+
+// Places ROUND works to: a double holds about 15 significant digits, so
+// rounding any further changes nothing
+const MAX_ROUND_DIGITS = 15;
+
+const numericArgs = (values) => values
+  .flatMap(v => (Array.isArray(v) ? v : [v]))
+  .filter(v => !isBlank(v))
+  .map(toNumber);
+
+// Whitelisted functions. Lazy functions receive thunks so that IF only
+// evaluates the branch it returns.
+const FUNCTIONS = {
+  IF: {
+    minArgs: 2,
+    maxArgs: 3,
+    lazy: true,
+    fn: ([condition, whenTrue, whenFalse]) =>
+      (toBoolean(condition()) ? whenTrue() : (whenFalse ? whenFalse() : false))
+  },
+  AND: { minArgs: 1, fn: (args) => args.every(toBoolean) },
+  OR: { minArgs: 1, fn: (args) => args.some(toBoolean) },
+  NOT: { minArgs: 1, maxArgs: 1, fn: ([value]) => !toBoolean(value) },
+  SUM: { minArgs: 1, fn: (args) => numericArgs(args).reduce((sum, n) => sum + n, 0) },
+  MIN: { minArgs: 1, fn: (args) => { const n = numericArgs(args); return n.length ? Math.min(...n) : 0; } },
+  MAX: { minArgs: 1, fn: (args) => { const n = numericArgs(args); return n.length ? Math.max(...n) : 0; } },
+  AVERAGE: {
+    minArgs: 1,
+    fn: (args) => {
+      const numbers = numericArgs(args);
+      if (numbers.length === 0) {
+        throw new FormulaError(ERRORS.DIV0, 'AVERAGE of no values');
+      }
+      return numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
+    }
+  },
+  ROUND: {
+    minArgs: 1,
+    maxArgs: 2,
+    fn: ([value, digits]) => {
+      const places = digits === undefined ? 0 : Math.trunc(toNumber(digits));
+      const factor = Math.pow(10, Math.min(Math.max(places, -MAX_ROUND_DIGITS), MAX_ROUND_DIGITS));
+      const number = toNumber(value);
+      const scaled = number * factor;
+      // Too large to have digits at that place
+      if (!Number.isFinite(scaled)) return number;
+      return Math.round(scaled) / factor;
+    }
+  },
+  ABS: { minArgs: 1, maxArgs: 1, fn: ([value]) => Math.abs(toNumber(value)) },
+  CONCAT: { minArgs: 1, fn: (args) => args.map(toText).join('') },
+  LEN: { minArgs: 1, maxArgs: 1, fn: ([value]) => toText(value).length },
+  UPPER: { minArgs: 1, maxArgs: 1, fn: ([value]) => toText(value).toUpperCase() },
+  LOWER: { minArgs: 1, maxArgs: 1, fn: ([value]) => toText(value).toLowerCase() },
+  ISBLANK: { minArgs: 1, maxArgs: 1, fn: ([value]) => isBlank(value) }
+};
+
+// Evaluate a parsed formula. `resolve(name)` returns the value of the named
+// column in the current row and throws a FormulaError for unknown columns.
+function evaluateFormula(ast, resolve) {
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'number':
+      case 'string':
+      case 'boolean':
+        return node.value;
+
+      case 'ref':
+        return resolve(node.name);
+
+      case 'unary': {
+        const operand = toNumber(evaluate(node.operand));
+        return node.operator === '-' ? -operand : operand;
+      }
+
+      case 'binary': {
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        switch (node.operator) {
+          case '+': return checkNumber(toNumber(left) + toNumber(right));
+          case '-': return checkNumber(toNumber(left) - toNumber(right));
+          case '*': return checkNumber(toNumber(left) * toNumber(right));
+          case '/': {
+            const divisor = toNumber(right);
+            if (divisor === 0) {
+              throw new FormulaError(ERRORS.DIV0, 'Division by zero');
+            }
+            return checkNumber(toNumber(left) / divisor);
+          }
+          case '^': return checkNumber(Math.pow(toNumber(left), toNumber(right)));
+          case '&': return toText(left) + toText(right);
+          case '=': return compare(left, right) === 0;
+          case '<>': return compare(left, right) !== 0;
+          case '<': return compare(left, right) < 0;
+          case '>': return compare(left, right) > 0;
+          case '<=': return compare(left, right) <= 0;
+          case '>=': return compare(left, right) >= 0;
+          default:
+            throw new FormulaError(ERRORS.VALUE, `Unknown operator '${node.operator}'`);
+        }
+      }
+
+      case 'call': {
+        const definition = FUNCTIONS[node.name];
+        if (definition.lazy) {
+          return definition.fn(node.args.map(arg => () => evaluate(arg)));
+        }
+        return definition.fn(node.args.map(evaluate));
+      }
+
+      default:
+        throw new FormulaError(ERRORS.VALUE, `Unknown expression node '${node.type}'`);
+    }
+  };
+
+  return evaluate(ast);
+}
+
+// ==============================================
+// ROW EVALUATION
+// ==============================================
+
+// Convert a stored cell value into the value a formula sees: numbers as
+// numbers, select option ids as their labels, datetimes as ISO strings.
+function toFormulaValue(column, rawValue) {
+  if (rawValue === null || rawValue === undefined) return null;
+
+  const optionLabel = (id) => {
+    const option = (column.options || []).find(opt => String(opt.id) === String(id));
+    return option ? option.label : String(id);
+  };
+
+  switch (column.column_type) {
+    case 'number':
+      return parseFloat(rawValue);
+    case 'datetime':
+      return rawValue instanceof Date ? rawValue.toISOString() : String(rawValue);
+    case 'single_select':
+      return optionLabel(rawValue);
+    case 'multi_select':
+      return Array.isArray(rawValue) ? rawValue.map(optionLabel) : [];
+    default:
+      return rawValue;
+  }
+}
+
+// Compute every formula column for one row.
+//   columns   - active columns ({ id, column_name, column_type, formula, options })
+//   rawValues - map of column_id -> stored value for this row
+// Returns cells shaped like the ones in GET /api/rows, with `error` set to a
+// spreadsheet error code when a formula cannot be evaluated.
+function evaluateRowFormulas(columns, rawValues) {
+  const columnsByName = new Map();
+  columns.forEach(column => columnsByName.set(column.column_name.toLowerCase(), column));
+
+  const computed = new Map();
+  const inProgress = new Set();
+
+  const valueOf = (column) => {
+    if (column.column_type !== 'formula') {
+      return toFormulaValue(column, rawValues[column.id]);
+    }
+    if (computed.has(column.id)) {
+      const result = computed.get(column.id);
+      if (result.error) throw new FormulaError(result.error);
+      return result.value;
+    }
+    if (inProgress.has(column.id)) {
+      throw new FormulaError(ERRORS.CIRCULAR, `Circular reference through '${column.column_name}'`);
+    }
+
+    inProgress.add(column.id);
+    let result;
+    try {
+      const ast = parseFormula(column.formula);
+      const value = evaluateFormula(ast, (name) => {
+        const referenced = columnsByName.get(name.toLowerCase());
+        if (!referenced) {
+          throw new FormulaError(ERRORS.REF, `Unknown column '${name}'`);
+        }
+        return valueOf(referenced);
+      });
+      result = { value: isBlank(value) ? null : value, error: null };
+    } catch (err) {
+      if (!(err instanceof FormulaError)) throw err;
+      result = { value: null, error: err.code };
+    } finally {
+      inProgress.delete(column.id);
+    }
+
+    computed.set(column.id, result);
+    if (result.error) throw new FormulaError(result.error);
+    return result.value;
+  };
+
+  return columns
+    .filter(column => column.column_type === 'formula')
+    .map(column => {
+      try {
+        valueOf(column);
+      } catch (err) {
+        if (!(err instanceof FormulaError)) throw err;
+      }
+      const result = computed.get(column.id) || { value: null, error: ERRORS.CIRCULAR };
+      return {
+        column_id: column.id,
+        data_type: 'formula',
+        value: result.value,
+        error: result.error
+      };
+    });
+}
+
+module.exports = {
+  ERRORS,
+  FormulaError,
+  parseFormula,
+  getReferences,
+  renameReferences,
+  evaluateFormula,
+  evaluateRowFormulas
+};
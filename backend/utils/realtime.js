@@ -0,0 +1,197 @@
+// Real-time sheet updates (WebSocket at /ws)
+//
+// Clients connect to /ws?sheet=<id>&client=<id>&name=<name> and receive the
+// changes other clients make to that sheet as JSON messages
+// { type, sheet_id, ...payload }. The client id is also sent with every API
+// request (X-Client-Id header), so a change is not echoed back to the tab
+// that made it.
+//
+//   row.created, row.restored      { row }        as returned by GET /rows
+//   row.updated                    { row }        after a cell edit, formulas included
+//   row.deleted                    { row_id, row_number }
+//   rows.moved                     { rows: [{ id, row_number }] }
+//   column.created, column.restored { column }    as returned by GET /columns
+//   column.updated                 { column }     renamed, moved, resized, converted
+//                                                 or its options changed
+//   column.deleted                 { column_id }
+//   sheet.reloaded                 {}             many changes at once (imports)
+//   presence                       { client_id, name, row_id, column_id }
+//   presence.left                  { client_id }
+//
+// Clients send { type: 'presence', row_id, column_id } when their active
+// cell changes (both null when they have none). On connecting they get
+// { type: 'welcome', presence: [...] } with everyone else's active cell.
+
+const { WebSocketServer } = require('ws');
+const { normalizeActor } = require('./cellHistory');
+
+const REALTIME_PATH = '/ws';
+const HEARTBEAT_INTERVAL = 30000;
+const MAX_CLIENT_ID_LENGTH = 64;
+const SOCKET_OPEN = 1;
+// Clients only send presence messages, which are tiny; ws closes the
+// connection on anything larger
+const MAX_MESSAGE_BYTES = 4096;
+
+const normalizeClientId = (raw) => {
+  const id = String(raw || '').replace(/[^A-Za-z0-9_-]/g, '').slice(0, MAX_CLIENT_ID_LENGTH);
+  return id === '' ? null : id;
+};
+
+// Id of the client that made an API request, from the X-Client-Id header
+function resolveClientId(req) {
+  return normalizeClientId(req.get ? req.get('X-Client-Id') : null);
+}
+
+// Keeps track of the sockets watching each sheet and what they are pointing at.
+// Sockets only need send() and readyState, so tests can pass plain objects.
+function createRealtimeHub() {
+  const sheets = new Map(); // sheet id -> Set of connections
+
+  const send = (connection, message) => {
+    if (connection.socket.readyState === SOCKET_OPEN) {
+      connection.socket.send(JSON.stringify(message));
+    }
+  };
+
+  const sendToSheet = (sheetId, message, exceptClientId) => {
+    const connections = sheets.get(sheetId);
+    if (!connections) return;
+    connections.forEach(connection => {
+      if (exceptClientId && connection.clientId === exceptClientId) return;
+      send(connection, message);
+    });
+  };
+
+  const presenceOf = (connection) => ({
+    client_id: connection.clientId,
+    name: connection.name,
+    row_id: connection.cell ? connection.cell.row_id : null,
+    column_id: connection.cell ? connection.cell.column_id : null
+  });
+
+  // Start sending a socket the changes to a sheet. Returns the connection
+  // to pass to receive() and leave().
+  const join = (socket, { sheetId, clientId, name }) => {
+    const connection = { socket, sheetId, clientId, name: normalizeActor(name), cell: null };
+    if (!sheets.has(sheetId)) {
+      sheets.set(sheetId, new Set());
+    }
+    const connections = sheets.get(sheetId);
+
+    const presence = [...connections]
+      .filter(other => other.cell && other.clientId !== clientId)
+      .map(presenceOf);
+    send(connection, { type: 'welcome', sheet_id: sheetId, presence });
+
+    connections.add(connection);
+    return connection;
+  };
+
+  const leave = (connection) => {
+    const connections = sheets.get(connection.sheetId);
+    if (!connections || !connections.delete(connection)) return;
+    if (connections.size === 0) {
+      sheets.delete(connection.sheetId);
+    }
+
+    // A reconnecting tab may already have a new connection
+    const stillConnected = connections.size > 0 &&
+      [...connections].some(other => other.clientId === connection.clientId);
+    if (connection.cell && !stillConnected) {
+      sendToSheet(connection.sheetId, {
+        type: 'presence.left',
+        sheet_id: connection.sheetId,
+        client_id: connection.clientId
+      });
+    }
+  };
+
+  const setPresence = (connection, { row_id, column_id }) => {
+    const rowId = typeof row_id === 'string' && row_id !== '' ? row_id : null;
+    const columnId = Number.isInteger(column_id) ? column_id : null;
+    connection.cell = rowId && columnId ? { row_id: rowId, column_id: columnId } : null;
+
+    sendToSheet(connection.sheetId, {
+      type: 'presence',
+      sheet_id: connection.sheetId,
+      ...presenceOf(connection)
+    }, connection.clientId);
+  };
+
+  // Handle a message from a client. Anything that is not a known message
+  // is ignored.
+  const receive = (connection, data) => {
+    let message;
+    try {
+      message = JSON.parse(String(data));
+    } catch (err) {
+      return;
+    }
+    if (message && message.type === 'presence') {
+      setPresence(connection, message);
+    }
+  };
+
+  // Send a change to every client watching the sheet except the one that made it
+  const publish = (sheetId, type, payload = {}, originClientId = null) => {
+    sendToSheet(sheetId, { type, sheet_id: sheetId, ...payload }, originClientId);
+  };
+
+  // Whether anyone is watching the sheet; lets routes skip building events
+  const isWatched = (sheetId) => sheets.has(sheetId);
+
+  return { join, leave, receive, publish, isWatched };
+}
+
+const realtime = createRealtimeHub();
+
+// Serve the WebSocket endpoint on an HTTP server
+function attachRealtime(server, hub = realtime) {
+  const wss = new WebSocketServer({ server, path: REALTIME_PATH, maxPayload: MAX_MESSAGE_BYTES });
+
+  wss.on('connection', (socket, req) => {
+    // Malformed or oversized frames end this connection, not the server
+    socket.on('error', (err) => {
+      console.error('Realtime socket error:', err.message);
+      socket.terminate();
+    });
+
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const sheetId = parseInt(params.get('sheet'));
+    const clientId = normalizeClientId(params.get('client'));
+    if (!(sheetId > 0) || !clientId) {
+      socket.close(1008, 'sheet and client are required');
+      return;
+    }
+
+    const connection = hub.join(socket, { sheetId, clientId, name: params.get('name') });
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('message', (data) => hub.receive(connection, data));
+    socket.on('close', () => hub.leave(connection));
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+module.exports = {
+  REALTIME_PATH,
+  resolveClientId,
+  createRealtimeHub,
+  realtime,
+  attachRealtime
+};
@@ -0,0 +1,180 @@
+// Row positions (data_rows.position)
+//
+// Rows are ordered by a text key rather than a contiguous row number, so a
+// row can be added anywhere by writing one key, without renumbering the rows
+// around it. Keys compare character by character (the column is
+// COLLATE "C"), and a new key can always be made between any two.
+//
+// A key is an integer part followed by a fraction. The integer part starts
+// with a head letter giving its length ('a' is 2 characters long, 'b' 3, ...;
+// 'Z', 'Y', ... are the negative integers) and adding rows at either end only
+// steps the integer, so keys stay short however many rows are added there.
+// Keys between two neighbours lengthen the fraction instead. The fraction
+// never ends in '0', so there is always room below it.
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const ZERO = DIGITS[0];
+const INTEGER_ZERO = 'a' + ZERO;
+const SMALLEST_INTEGER = 'A' + ZERO.repeat(26);
+
+class PositionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PositionError';
+  }
+}
+
+function integerLength(head) {
+  if (head >= 'a' && head <= 'z') return head.charCodeAt(0) - 'a'.charCodeAt(0) + 2;
+  if (head >= 'A' && head <= 'Z') return 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+  throw new PositionError(`Invalid position '${head}'`);
+}
+
+function integerPart(key) {
+  const length = integerLength(key[0]);
+  if (length > key.length) {
+    throw new PositionError(`Invalid position '${key}'`);
+  }
+  return key.slice(0, length);
+}
+
+function validatePosition(key) {
+  if (typeof key !== 'string' || key === '' || key === SMALLEST_INTEGER) {
+    throw new PositionError(`Invalid position '${key}'`);
+  }
+  const fraction = key.slice(integerPart(key).length);
+  if (fraction.endsWith(ZERO) || [...key.slice(1)].some(char => !DIGITS.includes(char))) {
+    throw new PositionError(`Invalid position '${key}'`);
+  }
+}
+
+// The integer after (or before) `integer`, or null past the last one
+function stepInteger(integer, step) {
+  const [head, ...digits] = integer.split('');
+  const last = step > 0 ? ZERO : DIGITS[DIGITS.length - 1];
+  let carry = true;
+  for (let i = digits.length - 1; carry && i >= 0; i -= 1) {
+    const digit = DIGITS.indexOf(digits[i]) + step;
+    if (digit === DIGITS.length || digit === -1) {
+      digits[i] = last;
+    } else {
+      digits[i] = DIGITS[digit];
+      carry = false;
+    }
+  }
+  if (!carry) return head + digits.join('');
+
+  // Every digit wrapped, so the integer changes length
+  if (step > 0) {
+    if (head === 'Z') return 'a' + ZERO;
+    if (head === 'z') return null;
+    const next = String.fromCharCode(head.charCodeAt(0) + 1);
+    if (next > 'a') digits.push(ZERO); else digits.pop();
+    return next + digits.join('');
+  }
+  if (head === 'a') return 'Z' + DIGITS[DIGITS.length - 1];
+  if (head === 'A') return null;
+  const previous = String.fromCharCode(head.charCodeAt(0) - 1);
+  if (previous < 'Z') digits.push(DIGITS[DIGITS.length - 1]); else digits.pop();
+  return previous + digits.join('');
+}
+
+// A fraction between `a` and `b` ('' is the lowest, null above all)
+function midpoint(a, b) {
+  if (b !== null) {
+    // Keep the digits both share and split after them
+    let shared = 0;
+    while ((a[shared] || ZERO) === b[shared]) shared += 1;
+    if (shared > 0) {
+      return b.slice(0, shared) + midpoint(a.slice(shared), b.slice(shared));
+    }
+  }
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  if (b !== null && b.length > 1) {
+    return b.slice(0, 1);
+  }
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+// A position after `before` and ahead of `after`. Either may be null for
+// the start or the end of the sheet.
+function positionBetween(before, after) {
+  if (before !== null) validatePosition(before);
+  if (after !== null) validatePosition(after);
+  if (before !== null && after !== null && before >= after) {
+    throw new PositionError(`Position '${before}' is not ahead of '${after}'`);
+  }
+
+  if (before === null) {
+    if (after === null) return INTEGER_ZERO;
+    const integer = integerPart(after);
+    if (integer === SMALLEST_INTEGER) {
+      return integer + midpoint('', after.slice(integer.length));
+    }
+    if (integer < after) return integer;
+    const previous = stepInteger(integer, -1);
+    if (previous === null) {
+      throw new PositionError('No position left at the start of the sheet');
+    }
+    return previous;
+  }
+
+  const integer = integerPart(before);
+  const fraction = before.slice(integer.length);
+  if (after === null) {
+    const next = stepInteger(integer, 1);
+    return next === null ? integer + midpoint(fraction, null) : next;
+  }
+
+  const afterInteger = integerPart(after);
+  if (integer === afterInteger) {
+    return integer + midpoint(fraction, after.slice(afterInteger.length));
+  }
+  const next = stepInteger(integer, 1);
+  if (next !== null && next < after) return next;
+  return integer + midpoint(fraction, null);
+}
+
+// `count` positions in order, all after `before` and ahead of `after`
+function positionsBetween(before, after, count) {
+  if (count <= 0) return [];
+  if (count === 1) return [positionBetween(before, after)];
+
+  const positions = [];
+  if (after === null) {
+    let position = before;
+    for (let i = 0; i < count; i += 1) {
+      position = positionBetween(position, null);
+      positions.push(position);
+    }
+    return positions;
+  }
+  if (before === null) {
+    let position = after;
+    for (let i = 0; i < count; i += 1) {
+      position = positionBetween(null, position);
+      positions.unshift(position);
+    }
+    return positions;
+  }
+
+  // Split the gap in half each time so keys grow with log(count)
+  const middle = Math.floor(count / 2);
+  const position = positionBetween(before, after);
+  return [
+    ...positionsBetween(before, position, middle),
+    position,
+    ...positionsBetween(position, after, count - middle - 1)
+  ];
+}
+
+module.exports = {
+  PositionError,
+  validatePosition,
+  positionBetween,
+  positionsBetween
+};
@@ -0,0 +1,456 @@
+// Query building for GET /api/rows
+//
+// Filters arrive through the query string as
+//   ?filter[Department]=Engineering&filter[Salary][gt]=50000
+// which Express parses into { Department: 'Engineering', Salary: { gt: '50000' } }.
+// Each filter becomes a join over cell_values (or a subquery over
+// multi_select_values) so it runs in SQL before LIMIT/OFFSET.
+//
+// Sorting arrives as ?sort=Salary:desc,Name:asc and becomes one join per
+// sort key plus an ORDER BY on the matching typed column.
+//
+// Keyset pages arrive as ?after=<cursor> or ?before=<cursor>. A cursor names
+// the row at the edge of the previous page and its sort values, so the next
+// page starts right after that row wherever it has moved to.
+
+const { isDateValue, parseDateText, parseTimeText } = require('./dateTimes');
+
+class RowQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RowQueryError';
+  }
+}
+
+// Operators accepted per column type. A bare value (filter[Name]=x) uses
+// the first operator listed.
+const FILTER_OPERATORS = {
+  text: ['eq', 'ne', 'contains', 'empty'],
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'empty'],
+  datetime: ['eq', 'gt', 'gte', 'lt', 'lte', 'empty'],
+  date: ['eq', 'gt', 'gte', 'lt', 'lte', 'empty'],
+  time: ['eq', 'gt', 'gte', 'lt', 'lte', 'empty'],
+  boolean: ['eq'],
+  single_select: ['in', 'eq', 'ne', 'empty'],
+  multi_select: ['has_any', 'has_all', 'empty']
+};
+
+const COMPARISONS = { eq: '=', ne: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Comma separated lists, or repeated keys (filter[Skills][has_any][]=a)
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(item => item !== '');
+
+const toBoolean = (value) => {
+  const normalized = String(value).toLowerCase();
+  if (normalized === 'true' || normalized === '1') return true;
+  if (normalized === 'false' || normalized === '0') return false;
+  throw new RowQueryError(`Invalid value '${value}' for empty filter, expected true or false`);
+};
+
+// Find a column by name (case-insensitive) or by numeric id
+function findColumn(columns, key) {
+  const lowered = String(key).trim().toLowerCase();
+  return columns.find(column => column.column_name.toLowerCase() === lowered) ||
+    columns.find(column => String(column.id) === lowered);
+}
+
+// Resolve option labels (or ids) to option ids for select filters
+function resolveOptionIds(column, values) {
+  return values.map(value => {
+    const lowered = value.toLowerCase();
+    const option = column.options.find(opt => opt.label.toLowerCase() === lowered) ||
+      column.options.find(opt => String(opt.id) === value);
+    if (!option) {
+      throw new RowQueryError(`Unknown option '${value}' for column '${column.column_name}'`);
+    }
+    return option.id;
+  });
+}
+
+// Build the joins and WHERE conditions for a parsed `filter` query object.
+//   filter  - req.query.filter
+//   columns - active columns with options ({ id, column_name, column_type, options })
+//   params  - query parameter array; placeholders are appended to it
+// Returns { joins: [...sql], conditions: [...sql] }
+function buildRowFilters(filter, columns, params) {
+  const joins = [];
+  const conditions = [];
+
+  if (filter === undefined || filter === null || filter === '') {
+    return { joins, conditions };
+  }
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new RowQueryError('filter must be given as filter[Column]=value or filter[Column][operator]=value');
+  }
+
+  const param = (value) => `$${params.push(value)}`;
+
+  Object.entries(filter).forEach(([key, spec], index) => {
+    const column = findColumn(columns, key);
+    if (!column) {
+      throw new RowQueryError(`Unknown filter column '${key}'`);
+    }
+
+    const allowed = FILTER_OPERATORS[column.column_type];
+    if (!allowed) {
+      throw new RowQueryError(`Filtering on ${column.column_type} column '${column.column_name}' is not supported`);
+    }
+
+    const clauses = (spec !== null && typeof spec === 'object' && !Array.isArray(spec))
+      ? Object.entries(spec)
+      : [[allowed[0], spec]];
+
+    const alias = `f${index}`;
+    const columnParam = param(column.id);
+    if (column.column_type !== 'multi_select') {
+      joins.push(`LEFT JOIN cell_values ${alias} ON ${alias}.row_id = dr.id AND ${alias}.column_id = ${columnParam}`);
+    }
+
+    clauses.forEach(([operator, rawValue]) => {
+      if (!allowed.includes(operator)) {
+        throw new RowQueryError(
+          `Invalid operator '${operator}' for ${column.column_type} column '${column.column_name}'. ` +
+          `Use one of: ${allowed.join(', ')}`
+        );
+      }
+
+      if (operator === 'empty') {
+        const isEmpty = toBoolean(rawValue);
+        if (column.column_type === 'multi_select') {
+          conditions.push(`${isEmpty ? 'NOT ' : ''}EXISTS (
+            SELECT 1 FROM multi_select_values msv
+            WHERE msv.row_id = dr.id AND msv.column_id = ${columnParam}
+          )`);
+        } else {
+          const valueField = {
+            text: 'text_value',
+            number: 'number_value',
+            datetime: 'datetime_value',
+            date: 'date_value',
+            time: 'time_value',
+            single_select: 'single_select_value'
+          }[column.column_type];
+          conditions.push(`${alias}.${valueField} IS ${isEmpty ? '' : 'NOT '}NULL`);
+        }
+        return;
+      }
+
+      switch (column.column_type) {
+        case 'text': {
+          const value = String(rawValue);
+          if (operator === 'contains') {
+            const escaped = value.replace(/[\\%_]/g, match => '\\' + match);
+            conditions.push(`${alias}.text_value ILIKE ${param(`%${escaped}%`)}`);
+          } else if (operator === 'eq') {
+            conditions.push(`LOWER(${alias}.text_value) = LOWER(${param(value)})`);
+          } else {
+            conditions.push(`(${alias}.text_value IS NULL OR LOWER(${alias}.text_value) <> LOWER(${param(value)}))`);
+          }
+          break;
+        }
+
+        case 'number': {
+          const value = Number(rawValue);
+          if (rawValue === '' || Array.isArray(rawValue) || isNaN(value)) {
+            throw new RowQueryError(`Invalid number '${rawValue}' for column '${column.column_name}'`);
+          }
+          conditions.push(`${alias}.number_value ${COMPARISONS[operator]} ${param(value)}`);
+          break;
+        }
+
+        case 'datetime': {
+          if (Array.isArray(rawValue) || isNaN(Date.parse(rawValue))) {
+            throw new RowQueryError(`Invalid datetime '${rawValue}' for column '${column.column_name}'`);
+          }
+          const value = new Date(rawValue).toISOString();
+          conditions.push(`${alias}.datetime_value ${COMPARISONS[operator]} ${param(value)}`);
+          break;
+        }
+
+        case 'date': {
+          const value = Array.isArray(rawValue) ? null : parseDateText(rawValue);
+          if (value === null) {
+            throw new RowQueryError(`Invalid date '${rawValue}' for column '${column.column_name}'`);
+          }
+          conditions.push(`${alias}.date_value ${COMPARISONS[operator]} ${param(value)}`);
+          break;
+        }
+
+        case 'time': {
+          const value = Array.isArray(rawValue) ? null : parseTimeText(rawValue);
+          if (value === null) {
+            throw new RowQueryError(`Invalid time '${rawValue}' for column '${column.column_name}'`);
+          }
+          conditions.push(`${alias}.time_value ${COMPARISONS[operator]} ${param(value)}`);
+          break;
+        }
+
+        case 'boolean': {
+          // Empty cells count as unchecked
+          const normalized = String(rawValue).toLowerCase();
+          if (normalized !== 'true' && normalized !== 'false') {
+            throw new RowQueryError(`Invalid value '${rawValue}' for column '${column.column_name}', expected true or false`);
+          }
+          conditions.push(`${alias}.boolean_value IS ${normalized === 'true' ? '' : 'NOT '}TRUE`);
+          break;
+        }
+
+        case 'single_select': {
+          const ids = resolveOptionIds(column, toList(rawValue));
+          if (operator === 'eq' && ids.length !== 1) {
+            throw new RowQueryError(`eq expects a single option for column '${column.column_name}', use in for several`);
+          }
+          // Older rows store the option label rather than its id
+          const labels = ids.map(id => column.options.find(opt => opt.id === id).label);
+          const matches = `${alias}.single_select_value::text = ANY(${param(ids.map(String).concat(labels))})`;
+          conditions.push(operator === 'ne'
+            ? `(${alias}.single_select_value IS NULL OR NOT (${matches}))`
+            : matches);
+          break;
+        }
+
+        case 'multi_select': {
+          const ids = resolveOptionIds(column, toList(rawValue));
+          if (ids.length === 0) {
+            throw new RowQueryError(`${operator} expects at least one option for column '${column.column_name}'`);
+          }
+          if (operator === 'has_any') {
+            conditions.push(`EXISTS (
+              SELECT 1 FROM multi_select_values msv
+              WHERE msv.row_id = dr.id AND msv.column_id = ${columnParam}
+                AND msv.option_id = ANY(${param(ids)})
+            )`);
+          } else {
+            const distinctIds = Array.from(new Set(ids));
+            conditions.push(`(
+              SELECT COUNT(DISTINCT msv.option_id) FROM multi_select_values msv
+              WHERE msv.row_id = dr.id AND msv.column_id = ${columnParam}
+                AND msv.option_id = ANY(${param(distinctIds)})
+            ) = ${param(distinctIds.length)}`);
+          }
+          break;
+        }
+
+        default:
+          break;
+      }
+    });
+  });
+
+  return { joins, conditions };
+}
+
+// Sort expression per column type. Empty text sorts with the empty cells;
+// select options sort in their display order.
+const SORT_EXPRESSIONS = {
+  text: (alias) => `LOWER(NULLIF(${alias}.text_value, ''))`,
+  number: (alias) => `${alias}.number_value`,
+  datetime: (alias) => `${alias}.datetime_value`,
+  date: (alias) => `${alias}.date_value`,
+  time: (alias) => `${alias}.time_value`,
+  boolean: (alias) => `${alias}.boolean_value`,
+  single_select: (alias) => `${alias}_opt.display_order`
+};
+
+// SQL type of each sort expression, used to cast cursor values back from text
+const SORT_TYPES = {
+  text: 'text',
+  number: 'numeric',
+  datetime: 'timestamptz',
+  date: 'date',
+  time: 'time',
+  boolean: 'boolean',
+  single_select: 'integer'
+};
+
+// Parse a `sort` query value into joins and sort keys
+// ({ expression, direction, type }), not counting the position tiebreak
+function parseRowSort(sort, columns, params) {
+  const joins = [];
+  const keys = [];
+
+  if (sort !== undefined && sort !== null && sort !== '') {
+    if (typeof sort !== 'string') {
+      throw new RowQueryError('sort must be given as sort=Column:asc,Other:desc');
+    }
+
+    const param = (value) => `$${params.push(value)}`;
+    const seen = new Set();
+
+    sort.split(',').map(key => key.trim()).filter(Boolean).forEach((key, index) => {
+      // Split on the last ':' so the direction is optional
+      const separator = key.lastIndexOf(':');
+      const suffix = separator === -1 ? '' : key.slice(separator + 1).trim().toLowerCase();
+      const hasDirection = suffix === 'asc' || suffix === 'desc';
+      const name = hasDirection ? key.slice(0, separator) : key;
+      const direction = hasDirection ? suffix.toUpperCase() : 'ASC';
+
+      const column = findColumn(columns, name);
+      if (!column) {
+        throw new RowQueryError(`Unknown sort column '${name}'`);
+      }
+      if (!SORT_EXPRESSIONS[column.column_type]) {
+        throw new RowQueryError(`Sorting on ${column.column_type} column '${column.column_name}' is not supported`);
+      }
+      if (seen.has(column.id)) {
+        throw new RowQueryError(`Column '${column.column_name}' appears more than once in sort`);
+      }
+      seen.add(column.id);
+
+      const alias = `s${index}`;
+      joins.push(`LEFT JOIN cell_values ${alias} ON ${alias}.row_id = dr.id AND ${alias}.column_id = ${param(column.id)}`);
+      keys.push({
+        expression: SORT_EXPRESSIONS[column.column_type](alias),
+        direction,
+        type: SORT_TYPES[column.column_type]
+      });
+      if (column.column_type === 'single_select') {
+        joins.push(`LEFT JOIN dropdown_options ${alias}_opt ON ${alias}_opt.column_id = ${alias}.column_id AND ${alias}_opt.id::text = ${alias}.single_select_value::text`);
+        // Older rows store the option label rather than its id
+        keys.push({
+          expression: `LOWER(COALESCE(${alias}_opt.option_value, ${alias}.single_select_value::text))`,
+          direction,
+          type: 'text'
+        });
+      }
+    });
+  }
+
+  return { joins, keys };
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const NUMERIC_TEXT = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const TIMESTAMP_TEXT = /^(\d{4}-\d{2}-\d{2})[ T]([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2}){0,2})$/;
+const TIME_TEXT = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d{1,6})?)?$/;
+const MAX_INTEGER = 2147483647;
+
+// Whether a cursor value can be cast to the SQL type of its sort key, so a
+// tampered or stale cursor is refused here rather than failing in the
+// database. Values are the ::text of the key; cursors made before that
+// carried JSON numbers and booleans, which are still accepted.
+const CURSOR_VALUE_CHECKS = {
+  text: (value) => typeof value === 'string',
+  numeric: (value) => (typeof value === 'number' && isFinite(value)) ||
+    (typeof value === 'string' && NUMERIC_TEXT.test(value)),
+  timestamptz: (value) => {
+    const match = typeof value === 'string' && value.match(TIMESTAMP_TEXT);
+    return Boolean(match) && isDateValue(match[1]);
+  },
+  date: (value) => isDateValue(value),
+  time: (value) => typeof value === 'string' && TIME_TEXT.test(value),
+  boolean: (value) => typeof value === 'boolean' || value === 'true' || value === 'false',
+  integer: (value) => (typeof value === 'number' || (typeof value === 'string' && /^-?\d+$/.test(value))) &&
+    Number.isInteger(Number(value)) && Math.abs(Number(value)) <= MAX_INTEGER
+};
+
+// Cursors are base64url JSON of { id, values }: the edge row of a page and
+// its sort key values. They only page through the sort they were made for.
+function encodeRowCursor(row, keyCount) {
+  const values = [];
+  for (let index = 0; index < keyCount; index += 1) {
+    const value = row[`sort_key_${index}`];
+    values.push(value === undefined ? null : value);
+  }
+  return Buffer.from(JSON.stringify({ id: row.id, values })).toString('base64url');
+}
+
+function decodeRowCursor(cursor, keys) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    decoded = null;
+  }
+  if (!decoded || typeof decoded !== 'object' || !UUID_PATTERN.test(decoded.id) ||
+      !Array.isArray(decoded.values)) {
+    throw new RowQueryError('Invalid cursor');
+  }
+  if (decoded.values.length !== keys.length) {
+    throw new RowQueryError('Cursor does not match the sort order, start again without after or before');
+  }
+  if (!decoded.values.every((value, index) => value === null || CURSOR_VALUE_CHECKS[keys[index].type](value))) {
+    throw new RowQueryError('Invalid cursor');
+  }
+  return decoded;
+}
+
+// Build the joins, ORDER BY, selected sort keys and WHERE condition for one
+// keyset page.
+//   options - { sort, after, before } from req.query
+//   columns - active columns ({ id, column_name, column_type })
+//   params  - query parameter array; placeholders are appended to it
+// Returns { joins, orderBy, select, condition, reversed, cursorFor }.
+// `before` pages are fetched in reverse order (`reversed`), so the caller
+// flips the rows back. `cursorFor(row)` makes the cursor of a fetched row.
+// Ties are broken by the position of the cursor row, looked up through its
+// id, so rows added or removed elsewhere do not shift the page.
+function buildRowKeyset({ sort, after, before }, columns, params) {
+  if (after !== undefined && before !== undefined) {
+    throw new RowQueryError('Use either after or before, not both');
+  }
+  const { joins, keys } = parseRowSort(sort, columns, params);
+  const cursor = after !== undefined ? after : before;
+  const reversed = before !== undefined;
+
+  // Sort keys are read as text and cast back when compared, so cursors keep
+  // values a JS type would round (microseconds of datetimes, long numerics)
+  const select = keys.map((key, index) => `${key.expression}::text AS sort_key_${index}`);
+  const orderBy = reversed
+    ? keys.map(key => `${key.expression} ${key.direction === 'ASC' ? 'DESC' : 'ASC'} NULLS FIRST`)
+    : keys.map(key => `${key.expression} ${key.direction} NULLS LAST`);
+  orderBy.push(reversed ? 'dr.position DESC' : 'dr.position ASC');
+
+  const cursorFor = (row) => encodeRowCursor(row, keys.length);
+
+  if (cursor === undefined) {
+    return { joins, orderBy, select, condition: null, reversed, cursorFor };
+  }
+
+  const { id, values } = decodeRowCursor(cursor, keys);
+  const param = (value) => `$${params.push(value)}`;
+
+  // For each key: SQL for "same value as the cursor row" and for "strictly
+  // past it" in the paging direction. Empty cells sort last.
+  const terms = keys.map((key, index) => {
+    const value = values[index];
+    if (value === null) {
+      return {
+        equal: `${key.expression} IS NULL`,
+        past: reversed ? `${key.expression} IS NOT NULL` : null
+      };
+    }
+    const placeholder = `${param(value)}::${key.type}`;
+    const ascending = (key.direction === 'ASC') !== reversed;
+    const comparison = `${key.expression} ${ascending ? '>' : '<'} ${placeholder}`;
+    return {
+      equal: `${key.expression} = ${placeholder}`,
+      past: reversed ? comparison : `(${comparison} OR ${key.expression} IS NULL)`
+    };
+  });
+
+  // Deleted rows keep their position, so a deleted cursor row still works
+  const position = `(SELECT c.position FROM data_rows c WHERE c.id = ${param(id)})`;
+  terms.push({ equal: null, past: `dr.position ${reversed ? '<' : '>'} ${position}` });
+
+  const alternatives = [];
+  terms.forEach((term, index) => {
+    if (term.past === null) return;
+    const equalBefore = terms.slice(0, index).map(previous => previous.equal);
+    alternatives.push([...equalBefore, term.past].join(' AND '));
+  });
+  const condition = `(${alternatives.map(alternative => `(${alternative})`).join('\n          OR ')})`;
+
+  return { joins, orderBy, select, condition, reversed, cursorFor };
+}
+
+module.exports = {
+  RowQueryError,
+  FILTER_OPERATORS,
+  findColumn,
+  buildRowFilters,
+  buildRowKeyset
+};
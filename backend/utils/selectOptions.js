@@ -0,0 +1,26 @@
+// Colors of select options
+//
+// Every option has a color, shown on its chips. An option created without
+// one takes the next color of OPTION_COLORS by its place among the column's
+// options, so neighbouring options differ. The options editor offers the
+// same colors (frontend/src/utils/selectOptions.js).
+
+const OPTION_COLORS = [
+  '#bfdbfe', // blue
+  '#bbf7d0', // green
+  '#fef08a', // yellow
+  '#fed7aa', // orange
+  '#fecaca', // red
+  '#ddd6fe', // purple
+  '#fbcfe8', // pink
+  '#99f6e4', // teal
+  '#e5e7eb' // gray
+];
+
+// The color of a new option at `index` (0-based) among its column's options
+const defaultOptionColor = (index) => OPTION_COLORS[index % OPTION_COLORS.length];
+
+module.exports = {
+  OPTION_COLORS,
+  defaultOptionColor
+};
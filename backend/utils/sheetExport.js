@@ -0,0 +1,179 @@
+// Whole-sheet export (GET /api/sheets/:sheetId/export)
+//
+// EXPORT_ROWS_QUERY returns one result row per sheet row with all of its
+// values aggregated as JSON, so the route can read it through a cursor in
+// batches instead of loading every row (or querying once per row).
+
+const { evaluateRowFormulas } = require('./formula');
+const { formatCsvRecord } = require('./csv');
+const { XLSX_CONTENT_TYPE } = require('./xlsx');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  tsv: { contentType: 'text/tab-separated-values; charset=utf-8', extension: 'tsv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  // Written by createXlsxExportWriter in ./xlsx rather than a text formatter
+  xlsx: { contentType: XLSX_CONTENT_TYPE, extension: 'xlsx' }
+};
+
+const DEFAULT_MULTI_SELECT_SEPARATOR = ', ';
+
+// cells: { [column_id]: { t, n, d, dt, tm, s, b } } with one typed field set
+// multi: { [column_id]: [option_id, ...] } in option display order
+// $1 is the sheet id
+const EXPORT_ROWS_QUERY = `
+  SELECT
+    dr.id,
+    ROW_NUMBER() OVER (ORDER BY dr.position)::int as row_number,
+    COALESCE((
+      SELECT json_object_agg(cv.column_id, json_build_object(
+        't', cv.text_value,
+        'n', cv.number_value,
+        'd', cv.datetime_value,
+        'dt', cv.date_value,
+        'tm', cv.time_value,
+        's', cv.single_select_value,
+        'b', cv.boolean_value
+      ))
+      FROM cell_values cv
+      WHERE cv.row_id = dr.id
+    ), '{}') as cells,
+    COALESCE((
+      SELECT json_object_agg(m.column_id, m.option_ids)
+      FROM (
+        SELECT msv.column_id, array_agg(msv.option_id ORDER BY opt.display_order, opt.id) as option_ids
+        FROM multi_select_values msv
+        JOIN dropdown_options opt ON opt.id = msv.option_id
+        WHERE msv.row_id = dr.id
+        GROUP BY msv.column_id
+      ) m
+    ), '{}') as multi
+  FROM data_rows dr
+  WHERE dr.is_active = TRUE AND dr.sheet_id = $1
+  ORDER BY dr.position
+`;
+
+const optionLabel = (column, id) => {
+  const option = column.options.find(opt => String(opt.id) === String(id));
+  // Older rows store the option label rather than its id
+  return option ? option.label : String(id);
+};
+
+// Resolve one exported row to display values keyed by column id: text and
+// labels as strings, numbers and booleans as themselves, datetimes as ISO
+// 8601 strings, dates as YYYY-MM-DD and times as HH:mm:ss, multi_select as an array of labels and formulas as their result (or error code)
+function toExportValues(columns, row) {
+  const cells = row.cells || {};
+  const multi = row.multi || {};
+  const rawValues = {};
+  const values = {};
+
+  columns.forEach(column => {
+    const cell = cells[column.id];
+    let raw = null;
+    let value = null;
+
+    switch (column.column_type) {
+      case 'text':
+        raw = value = cell ? cell.t : null;
+        break;
+      case 'number':
+        raw = cell && cell.n !== null ? Number(cell.n) : null;
+        value = raw;
+        break;
+      case 'datetime':
+        raw = value = cell && cell.d ? new Date(cell.d).toISOString() : null;
+        break;
+      case 'date':
+        raw = value = cell ? cell.dt : null;
+        break;
+      case 'time':
+        raw = value = cell ? cell.tm : null;
+        break;
+      case 'boolean':
+        raw = value = cell && cell.b !== null ? cell.b : null;
+        break;
+      case 'single_select':
+        raw = cell ? cell.s : null;
+        value = raw === null ? null : optionLabel(column, raw);
+        break;
+      case 'multi_select':
+        raw = multi[column.id] || [];
+        value = raw.map(id => optionLabel(column, id));
+        break;
+      default:
+        break;
+    }
+
+    rawValues[column.id] = raw;
+    values[column.id] = value;
+  });
+
+  evaluateRowFormulas(columns, rawValues).forEach(cell => {
+    values[cell.column_id] = cell.error || cell.value;
+  });
+
+  return values;
+}
+
+const toText = (value, separator) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(separator);
+  return String(value);
+};
+
+// Build the pieces of an export document. Returns { header(), row(values), footer() },
+// each producing the text to write next.
+//   format  - 'csv', 'tsv' or 'json'
+//   columns - active columns in display order
+//   options - { separator } placed between multi_select labels in csv/tsv;
+//             json keeps them as arrays
+function createExportFormatter(format, columns, { separator = DEFAULT_MULTI_SELECT_SEPARATOR } = {}) {
+  const names = columns.map(column => column.column_name);
+
+  switch (format) {
+    case 'csv':
+      return {
+        header: () => formatCsvRecord(names),
+        row: (values) => formatCsvRecord(columns.map(column => toText(values[column.id], separator))),
+        footer: () => ''
+      };
+
+    case 'tsv': {
+      // Tabs and line breaks cannot be escaped in TSV, so they become spaces
+      const clean = (text) => text.replace(/[\t\r\n]+/g, ' ');
+      const line = (fields) => fields.map(clean).join('\t') + '\n';
+      return {
+        header: () => line(names),
+        row: (values) => line(columns.map(column => toText(values[column.id], separator))),
+        footer: () => ''
+      };
+    }
+
+    case 'json': {
+      let rowCount = 0;
+      return {
+        header: () => '[',
+        row: (values) => {
+          const record = {};
+          columns.forEach(column => {
+            record[column.column_name] = values[column.id] === undefined ? null : values[column.id];
+          });
+          return (rowCount++ === 0 ? '\n' : ',\n') + JSON.stringify(record);
+        },
+        footer: () => (rowCount === 0 ? ']\n' : '\n]\n')
+      };
+    }
+
+    default:
+      throw new Error(`Unsupported export format '${format}'`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_ROWS_QUERY,
+  DEFAULT_MULTI_SELECT_SEPARATOR,
+  toExportValues,
+  createExportFormatter
+};
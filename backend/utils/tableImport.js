@@ -0,0 +1,206 @@
+// Planning for table imports (POST /api/import/csv and /api/import/xlsx)
+//
+// An import is a header row plus data records of raw values. Each header is
+// either mapped onto an existing column, turned into a new column, or
+// skipped. Values are then coerced with the same rules as PATCH /api/cell,
+// and rows that fail are reported instead of aborting the whole import.
+
+const { CellValueError, coerceCellValue } = require('./cellValues');
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+const IMPORTABLE_TYPES = ['text', 'number', 'datetime', 'date', 'time', 'boolean', 'single_select', 'multi_select'];
+
+// A column with at most this many distinct values (repeating on average)
+// is suggested as single_select
+const MAX_INFERRED_OPTIONS = 20;
+
+const NUMBER_PATTERN = /^[$€£]?-?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?$/;
+const DATE_PATTERN = /^(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}\/\d{1,2}\/\d{2,4})([ T]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Suggest a column type from the raw values of one import column. Values
+// are text, or numbers and Dates when they come from a workbook.
+function inferColumnType(values) {
+  const typed = values.filter(value => typeof value === 'number' || value instanceof Date);
+  const filled = values.map(value => (value instanceof Date ? value.toISOString() : String(value === null || value === undefined ? '' : value).trim()))
+    .filter(value => value !== '');
+  if (filled.length === 0) return 'text';
+
+  if (typed.length === filled.length) {
+    if (typed.every(value => typeof value === 'number')) return 'number';
+    if (typed.every(value => value instanceof Date)) return 'datetime';
+  }
+
+  if (filled.every(value => NUMBER_PATTERN.test(value) && /\d/.test(value))) {
+    return 'number';
+  }
+  if (filled.every(value => DATE_PATTERN.test(value) && !isNaN(Date.parse(value)))) {
+    return 'datetime';
+  }
+
+  const distinct = new Set(filled.map(value => value.toLowerCase()));
+  if (distinct.size <= MAX_INFERRED_OPTIONS && distinct.size <= filled.length / 2) {
+    return 'single_select';
+  }
+  return 'text';
+}
+
+// Distinct option labels for a new select column, in order of appearance
+function collectOptionLabels(columnType, values) {
+  const labels = new Map();
+  values.forEach(value => {
+    const text = String(value === null || value === undefined ? '' : value).trim();
+    if (text === '') return;
+    const parts = columnType === 'multi_select'
+      ? text.split(/[;,|]/).map(part => part.trim()).filter(Boolean)
+      : [text];
+    parts.forEach(part => {
+      if (!labels.has(part.toLowerCase())) labels.set(part.toLowerCase(), part);
+    });
+  });
+  return Array.from(labels.values());
+}
+
+// Decide what happens to each header.
+//   headers - the first record of the file
+//   records - the data records (used to infer types and option labels)
+//   columns - active column definitions ({ id, column_name, column_type, options })
+//   mapping - optional { [header]: { action: 'map', column_id } |
+//             { action: 'create', column_type, name } | { action: 'skip' } }
+// Headers without an explicit mapping are matched to a column by name, or
+// else create a new column with an inferred type.
+// Returns [{ index, header, action, column }] where `column` is the existing
+// definition for 'map' and a pending { column_name, column_type, options }
+// for 'create'.
+function planImportColumns(headers, records, columns, mapping = {}) {
+  if (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new ImportError('mapping must be an object keyed by header');
+  }
+
+  const seenHeaders = new Set();
+  const mappedColumns = new Set();
+  const newNames = new Set(columns.map(column => column.column_name.toLowerCase()));
+
+  const plan = headers.map((rawHeader, index) => {
+    const header = String(rawHeader).trim();
+    if (header === '') {
+      throw new ImportError(`Column ${index + 1} has an empty header`);
+    }
+    if (seenHeaders.has(header.toLowerCase())) {
+      throw new ImportError(`Header '${header}' appears more than once`);
+    }
+    seenHeaders.add(header.toLowerCase());
+
+    const values = records.map(record => record[index]);
+    // By name only: a header such as '7' is not column id 7
+    const existing = columns.find(column => column.column_name.toLowerCase() === header.toLowerCase());
+    const requested = mapping[header] || (existing && existing.column_type !== 'formula'
+      ? { action: 'map', column_id: existing.id }
+      : { action: 'create' });
+
+    switch (requested.action) {
+      case 'skip':
+        return { index, header, action: 'skip', column: null };
+
+      case 'map': {
+        const column = columns.find(col => String(col.id) === String(requested.column_id));
+        if (!column) {
+          throw new ImportError(`Header '${header}' is mapped to unknown column ${requested.column_id}`);
+        }
+        if (column.column_type === 'formula') {
+          throw new ImportError(`Header '${header}' cannot be imported into formula column '${column.column_name}'`);
+        }
+        if (mappedColumns.has(column.id)) {
+          throw new ImportError(`Column '${column.column_name}' is mapped from more than one header`);
+        }
+        mappedColumns.add(column.id);
+        return { index, header, action: 'map', column };
+      }
+
+      case 'create': {
+        const columnType = requested.column_type || inferColumnType(values);
+        if (!IMPORTABLE_TYPES.includes(columnType)) {
+          throw new ImportError(`Invalid column type '${columnType}' for header '${header}'`);
+        }
+        const name = String(requested.name || header).trim();
+        if (newNames.has(name.toLowerCase())) {
+          throw new ImportError(`A column named '${name}' already exists`);
+        }
+        newNames.add(name.toLowerCase());
+        return {
+          index,
+          header,
+          action: 'create',
+          column: {
+            column_name: name,
+            column_type: columnType,
+            options: (columnType === 'single_select' || columnType === 'multi_select')
+              ? collectOptionLabels(columnType, values)
+              : []
+          }
+        };
+      }
+
+      default:
+        throw new ImportError(`Invalid mapping action '${requested.action}' for header '${header}'`);
+    }
+  });
+
+  const unknownHeaders = Object.keys(mapping).filter(header => !seenHeaders.has(header.trim().toLowerCase()));
+  if (unknownHeaders.length > 0) {
+    throw new ImportError(`mapping refers to unknown header(s): ${unknownHeaders.join(', ')}`);
+  }
+
+  return plan;
+}
+
+// Coerce every record against the planned columns. Columns still being
+// created need ids on their options; in a dry run the caller gives them
+// placeholder ids. Returns { rows, errors } where rows are
+// { row, cells: [{ column_id, column_type, value }] } for valid records and
+// errors are { row, errors: [{ column, value, error }] }. `row` counts data
+// records from 1.
+function coerceImportRows(records, plan) {
+  const targets = plan.filter(entry => entry.action !== 'skip');
+  const rows = [];
+  const errors = [];
+
+  records.forEach((record, recordIndex) => {
+    const cells = [];
+    const cellErrors = [];
+
+    targets.forEach(({ index, column }) => {
+      const raw = record[index];
+      try {
+        const value = coerceCellValue(column, raw);
+        if (value !== null && !(Array.isArray(value) && value.length === 0)) {
+          cells.push({ column_id: column.id, column_type: column.column_type, value });
+        }
+      } catch (err) {
+        if (!(err instanceof CellValueError)) throw err;
+        cellErrors.push({ column: column.column_name, value: raw === undefined ? null : raw, error: err.message });
+      }
+    });
+
+    if (cellErrors.length > 0) {
+      errors.push({ row: recordIndex + 1, errors: cellErrors });
+    } else {
+      rows.push({ row: recordIndex + 1, cells });
+    }
+  });
+
+  return { rows, errors };
+}
+
+module.exports = {
+  ImportError,
+  IMPORTABLE_TYPES,
+  inferColumnType,
+  planImportColumns,
+  coerceImportRows
+};
@@ -0,0 +1,248 @@
+// Excel workbook (.xlsx) reading and writing, done locally with exceljs
+//
+// Import reads the first worksheet into the same header + records shape
+// as parseCsv, keeping numbers and dates typed so imports can map them onto
+// number and datetime columns. Export streams rows into a worksheet, adds
+// drop-down validation for single_select columns and ends with the column
+// summaries as a footer row.
+
+const ExcelJS = require('exceljs');
+
+class XlsxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'XlsxError';
+  }
+}
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Sheet holding the option lists the drop-down validations refer to
+const OPTIONS_SHEET_NAME = 'Options';
+
+const DATETIME_FORMAT = 'yyyy-mm-dd hh:mm';
+const DATE_FORMAT = 'yyyy-mm-dd';
+
+const COLUMN_FORMATS = { datetime: DATETIME_FORMAT, date: DATE_FORMAT };
+
+// A date value (YYYY-MM-DD) as a workbook date. Workbook dates carry no
+// timezone, so midnight UTC lands on the same day.
+const dateOf = (value) => new Date(`${value}T00:00:00Z`);
+
+// Plain value of an exceljs cell value: numbers and dates stay typed,
+// everything else becomes text
+function toPlainValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' || value instanceof Date) return value;
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return toPlainValue(value.result);
+    if ('text' in value) return toPlainValue(value.text);
+    if (value.error) return '';
+  }
+  return String(value);
+}
+
+const isBlankRecord = (record) => record.every(value => value === '');
+
+// Whether every filled cell of a row is in italics, as in the summary
+// footer written by export
+const isItalicRow = (row, width) => {
+  const cells = [];
+  for (let col = 1; col <= width; col++) {
+    const cell = row.getCell(col);
+    if (toPlainValue(cell.value) !== '') cells.push(cell);
+  }
+  return cells.length > 0 && cells.every(cell => Boolean(cell.font && cell.font.italic));
+};
+
+// Read the first worksheet of a workbook into records (arrays of values).
+// The first row is the header. Blank rows are skipped, and so is a last row
+// in italics below a blank row: the summary footer written by export.
+// Returns { records, ignoredRows } with the number of rows left out.
+async function readXlsxRecords(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw new XlsxError('Could not read the workbook: ' + err.message);
+  }
+
+  const worksheet = workbook.worksheets.find(sheet => sheet.state === 'visible') || workbook.worksheets[0];
+  if (!worksheet) {
+    throw new XlsxError('The workbook has no worksheets');
+  }
+
+  const headerRow = worksheet.getRow(1);
+  const width = headerRow.cellCount;
+  const readRecord = (row) => {
+    const record = [];
+    for (let col = 1; col <= width; col++) {
+      record.push(toPlainValue(row.getCell(col).value));
+    }
+    return record;
+  };
+
+  const records = [];
+  const header = readRecord(headerRow).map(value => (value instanceof Date ? value.toISOString() : String(value)));
+  if (width === 0 || isBlankRecord(header)) {
+    return { records, ignoredRows: 0 };
+  }
+  records.push(header);
+
+  let ignoredRows = 0;
+  let afterBlank = false;
+  let lastIsFooter = false;
+  for (let rowNumber = 2; rowNumber <= worksheet.rowCount; rowNumber++) {
+    const row = worksheet.getRow(rowNumber);
+    const record = readRecord(row);
+    if (isBlankRecord(record)) {
+      ignoredRows++;
+      afterBlank = true;
+      continue;
+    }
+    lastIsFooter = afterBlank && isItalicRow(row, width);
+    afterBlank = false;
+    records.push(record);
+  }
+
+  if (lastIsFooter) {
+    records.pop();
+    ignoredRows++;
+  }
+
+  return { records, ignoredRows };
+}
+
+// Footer text (or date) for one column summary from GET /api/summary
+function formatSummaryValue(entry) {
+  if (!entry || !entry.summary) return null;
+  const summary = entry.summary;
+
+  switch (entry.column_type) {
+    case 'number':
+      return `Sum: ${summary.sum}, Average: ${summary.average}, Count: ${summary.count}`;
+    case 'datetime':
+      return new Date(summary);
+    case 'date':
+      return dateOf(summary);
+    case 'time':
+      return `Earliest: ${summary.earliest}, Latest: ${summary.latest}`;
+    case 'boolean':
+      return `Checked: ${summary.checked} of ${summary.total} (${summary.percentage}%)`;
+    case 'single_select':
+      return `Most frequent: ${summary.most_frequent} (${summary.count})`;
+    case 'multi_select':
+      return `Most frequent: ${summary.most_frequent.join(', ')} (${summary.count})`;
+    default:
+      return null;
+  }
+}
+
+// Quote a sheet name for use in a formula reference
+const sheetReference = (name) => `'${name.replace(/'/g, "''")}'`;
+
+// Column letters for a 1-based column index (1 -> A, 27 -> AA)
+function columnLetter(index) {
+  let letters = '';
+  let remaining = index;
+  while (remaining > 0) {
+    const offset = (remaining - 1) % 26;
+    letters = String.fromCharCode(65 + offset) + letters;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return letters;
+}
+
+// Start a streamed workbook on `stream`. Rows are committed as they are
+// added so only the current one is held in memory.
+//   columns - active columns in display order
+//   options - { separator } placed between multi_select labels
+// Returns { addRow(values), finish(summaries) } where values are keyed by
+// column id as produced by toExportValues.
+function createXlsxExportWriter(stream, columns, { separator = ', ' } = {}) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+  const worksheet = workbook.addWorksheet('Sheet', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  worksheet.columns = columns.map(column => ({
+    header: column.column_name,
+    key: String(column.id),
+    width: Math.min(Math.max(column.column_name.length + 4, 12), 40),
+    style: COLUMN_FORMATS[column.column_type] ? { numFmt: COLUMN_FORMATS[column.column_type] } : {}
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  let rowCount = 0;
+
+  const addRow = (values) => {
+    const cells = columns.map(column => {
+      const value = values[column.id];
+      if (value === null || value === undefined) return null;
+      if (Array.isArray(value)) return value.length > 0 ? value.join(separator) : null;
+      if (column.column_type === 'datetime') return new Date(value);
+      if (column.column_type === 'date') return dateOf(value);
+      return value;
+    });
+    worksheet.addRow(cells).commit();
+    rowCount++;
+  };
+
+  const finish = async (summaries = []) => {
+    const selectColumns = columns
+      .map((column, index) => ({ column, letter: columnLetter(index + 1) }))
+      .filter(({ column }) => column.column_type === 'single_select' &&
+        column.options.some(option => option.is_active !== false));
+
+    // Drop-down lists on the data rows of single_select columns
+    selectColumns.forEach(({ column, letter }, listIndex) => {
+      if (rowCount === 0) return;
+      const optionCount = column.options.filter(option => option.is_active !== false).length;
+      const listLetter = columnLetter(listIndex + 1);
+      worksheet.dataValidations.add(`${letter}2:${letter}${rowCount + 1}`, {
+        type: 'list',
+        allowBlank: true,
+        formulae: [`${sheetReference(OPTIONS_SHEET_NAME)}!$${listLetter}$2:$${listLetter}$${optionCount + 1}`],
+        showErrorMessage: true,
+        errorTitle: column.column_name,
+        error: `Choose one of the ${column.column_name} options`
+      });
+    });
+
+    // Summary footer, separated from the data by an empty row
+    const footer = columns.map(column => formatSummaryValue(summaries.find(entry => entry.column_id === column.id)));
+    if (footer.some(value => value !== null)) {
+      worksheet.addRow([]).commit();
+      const footerRow = worksheet.addRow(footer);
+      footerRow.font = { italic: true };
+      footerRow.commit();
+    }
+    worksheet.commit();
+
+    if (selectColumns.length > 0) {
+      const optionsSheet = workbook.addWorksheet(OPTIONS_SHEET_NAME, { state: 'hidden' });
+      const lists = selectColumns.map(({ column }) => [
+        column.column_name,
+        ...column.options.filter(option => option.is_active !== false).map(option => option.label)
+      ]);
+      const height = Math.max(...lists.map(list => list.length));
+      for (let row = 0; row < height; row++) {
+        optionsSheet.addRow(lists.map(list => (row < list.length ? list[row] : null))).commit();
+      }
+      optionsSheet.commit();
+    }
+
+    await workbook.commit();
+  };
+
+  return { addRow, finish };
+}
+
+module.exports = {
+  XlsxError,
+  XLSX_CONTENT_TYPE,
+  readXlsxRecords,
+  formatSummaryValue,
+  createXlsxExportWriter
+};
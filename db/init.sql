@@ -8,12 +8,28 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 -- CORE TABLES
 -- ==============================================
 
+-- Table to store sheets (tabs); every column and row belongs to one sheet
+CREATE TABLE sheets (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    display_order INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Table to store column metadata and definitions
 CREATE TABLE columns_meta (
     id SERIAL PRIMARY KEY,
+    sheet_id INTEGER NOT NULL REFERENCES sheets(id) ON DELETE CASCADE,
     column_name VARCHAR(255) NOT NULL,
-    column_type VARCHAR(50) NOT NULL CHECK (column_type IN ('text', 'number', 'datetime', 'single_select', 'multi_select')),
+    column_type VARCHAR(50) NOT NULL CHECK (column_type IN ('text', 'number', 'datetime', 'date', 'time', 'boolean', 'single_select', 'multi_select', 'formula')),
+    formula_expression TEXT, -- Expression for formula columns, e.g. =[Salary] * 0.1
     display_order INTEGER NOT NULL DEFAULT 0,
+    width INTEGER CHECK (width IS NULL OR width BETWEEN 60 AND 1000), -- Width in pixels; NULL for the default
+    allow_new_options BOOLEAN NOT NULL DEFAULT FALSE, -- Select columns: options can be added by typing them in a cell
+    display_format VARCHAR(64), -- Date and time columns: how values are shown, e.g. DD/MM/YYYY HH:mm; NULL for the default
+    display_timezone VARCHAR(64), -- Datetime columns: IANA timezone values are shown in; NULL for the viewer's own
     is_active BOOLEAN NOT NULL DEFAULT TRUE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
@@ -24,15 +40,19 @@ CREATE TABLE dropdown_options (
     id SERIAL PRIMARY KEY,
     column_id INTEGER NOT NULL REFERENCES columns_meta(id) ON DELETE CASCADE,
     option_value VARCHAR(500) NOT NULL,
+    color VARCHAR(7) CHECK (color IS NULL OR color ~ '^#[0-9a-f]{6}$'), -- Hex color; NULL for the default
     display_order INTEGER NOT NULL DEFAULT 0,
-    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE, -- FALSE when archived; cells keep archived options
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
--- Table to store data rows (each row has a UUID)
+-- Table to store data rows (each row has a UUID). Rows are ordered by
+-- position, a text key (see backend/utils/rowPosition.js); row numbers are
+-- counted from it on read
 CREATE TABLE data_rows (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    row_number INTEGER NOT NULL,
+    sheet_id INTEGER NOT NULL REFERENCES sheets(id) ON DELETE CASCADE,
+    position TEXT COLLATE "C" NOT NULL,
     is_active BOOLEAN NOT NULL DEFAULT TRUE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
@@ -46,17 +66,16 @@ CREATE TABLE cell_values (
     text_value TEXT,
     number_value DECIMAL(20, 10),
     datetime_value TIMESTAMP WITH TIME ZONE,
+    date_value DATE, -- Date columns: a calendar date, no timezone
+    time_value TIME, -- Time columns: a time of day, no timezone
     single_select_value VARCHAR(500),
+    boolean_value BOOLEAN, -- Boolean columns; an empty cell counts as unchecked
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     
     -- Ensure only one value type is set per cell
     CONSTRAINT check_single_value_type CHECK (
-        (text_value IS NOT NULL AND number_value IS NULL AND datetime_value IS NULL AND single_select_value IS NULL) OR
-        (text_value IS NULL AND number_value IS NOT NULL AND datetime_value IS NULL AND single_select_value IS NULL) OR
-        (text_value IS NULL AND number_value IS NULL AND datetime_value IS NOT NULL AND single_select_value IS NULL) OR
-        (text_value IS NULL AND number_value IS NULL AND datetime_value IS NULL AND single_select_value IS NOT NULL) OR
-        (text_value IS NULL AND number_value IS NULL AND datetime_value IS NULL AND single_select_value IS NULL)
+        num_nonnulls(text_value, number_value, datetime_value, date_value, time_value, single_select_value, boolean_value) <= 1
     ),
     
     -- Unique constraint to prevent duplicate cells
@@ -75,6 +94,19 @@ CREATE TABLE multi_select_values (
     UNIQUE(row_id, column_id, option_id)
 );
 
+-- Table to store the edit history of cells (one row per change made through PATCH /api/cell)
+-- Values are JSON in the form the API accepts; NULL means the cell was empty
+CREATE TABLE cell_history (
+    id BIGSERIAL PRIMARY KEY,
+    row_id UUID NOT NULL REFERENCES data_rows(id) ON DELETE CASCADE,
+    column_id INTEGER NOT NULL REFERENCES columns_meta(id) ON DELETE CASCADE,
+    column_type VARCHAR(50) NOT NULL,
+    old_value JSONB,
+    new_value JSONB,
+    actor VARCHAR(255) NOT NULL DEFAULT 'anonymous',
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ==============================================
 -- SUMMARY HELPER TABLES (for optimization)
 -- ==============================================
@@ -93,9 +125,10 @@ CREATE TABLE column_summary (
     last_updated TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
--- Summary table for row statistics
+-- Summary table for row statistics (one per sheet)
 CREATE TABLE row_summary (
     id SERIAL PRIMARY KEY,
+    sheet_id INTEGER NOT NULL UNIQUE REFERENCES sheets(id) ON DELETE CASCADE,
     total_rows INTEGER NOT NULL DEFAULT 0,
     active_rows INTEGER NOT NULL DEFAULT 0,
     last_row_number INTEGER NOT NULL DEFAULT 0,
@@ -116,7 +149,11 @@ CREATE TABLE dropdown_usage_summary (
 -- INDEXES FOR PERFORMANCE
 -- ==============================================
 
+-- Indexes for sheets
+CREATE INDEX idx_sheets_active ON sheets(is_active);
+
 -- Indexes for columns_meta
+CREATE INDEX idx_columns_meta_sheet ON columns_meta(sheet_id);
 CREATE INDEX idx_columns_meta_type ON columns_meta(column_type);
 CREATE INDEX idx_columns_meta_active ON columns_meta(is_active);
 CREATE INDEX idx_columns_meta_order ON columns_meta(display_order);
@@ -127,7 +164,7 @@ CREATE INDEX idx_dropdown_options_active ON dropdown_options(is_active);
 CREATE INDEX idx_dropdown_options_order ON dropdown_options(display_order);
 
 -- Indexes for data_rows
-CREATE INDEX idx_data_rows_number ON data_rows(row_number);
+CREATE UNIQUE INDEX idx_data_rows_sheet_position ON data_rows(sheet_id, position);
 CREATE INDEX idx_data_rows_active ON data_rows(is_active);
 CREATE INDEX idx_data_rows_created ON data_rows(created_at);
 
@@ -137,6 +174,8 @@ CREATE INDEX idx_cell_values_column ON cell_values(column_id);
 CREATE INDEX idx_cell_values_text ON cell_values(text_value) WHERE text_value IS NOT NULL;
 CREATE INDEX idx_cell_values_number ON cell_values(number_value) WHERE number_value IS NOT NULL;
 CREATE INDEX idx_cell_values_datetime ON cell_values(datetime_value) WHERE datetime_value IS NOT NULL;
+CREATE INDEX idx_cell_values_date ON cell_values(date_value) WHERE date_value IS NOT NULL;
+CREATE INDEX idx_cell_values_time ON cell_values(time_value) WHERE time_value IS NOT NULL;
 CREATE INDEX idx_cell_values_single_select ON cell_values(single_select_value) WHERE single_select_value IS NOT NULL;
 
 -- Indexes for multi_select_values
@@ -144,6 +183,10 @@ CREATE INDEX idx_multi_select_row ON multi_select_values(row_id);
 CREATE INDEX idx_multi_select_column ON multi_select_values(column_id);
 CREATE INDEX idx_multi_select_option ON multi_select_values(option_id);
 
+-- Indexes for cell_history
+CREATE INDEX idx_cell_history_cell ON cell_history(row_id, column_id, changed_at DESC);
+CREATE INDEX idx_cell_history_column ON cell_history(column_id);
+
 -- ==============================================
 -- TRIGGERS FOR AUTOMATIC UPDATES
 -- ==============================================
@@ -158,6 +201,10 @@ END;
 $$ language 'plpgsql';
 
 -- Apply triggers to tables with updated_at columns
+CREATE TRIGGER update_sheets_updated_at 
+    BEFORE UPDATE ON sheets 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_columns_meta_updated_at 
     BEFORE UPDATE ON columns_meta 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -174,9 +221,12 @@ CREATE TRIGGER update_cell_values_updated_at
 -- INITIAL DATA
 -- ==============================================
 
--- Insert initial row summary
-INSERT INTO row_summary (total_rows, active_rows, last_row_number) 
-VALUES (0, 0, 0);
+-- Insert the first sheet and its row summary
+INSERT INTO sheets (name, display_order) 
+VALUES ('Sheet 1', 1);
+
+INSERT INTO row_summary (sheet_id, total_rows, active_rows, last_row_number) 
+VALUES (1, 0, 0, 0);
 
 -- ==============================================
 -- USEFUL VIEWS FOR QUERYING
@@ -192,7 +242,10 @@ SELECT
     cv.text_value,
     cv.number_value,
     cv.datetime_value,
+    cv.date_value,
+    cv.time_value,
     cv.single_select_value,
+    cv.boolean_value,
     cv.created_at,
     cv.updated_at
 FROM cell_values cv
@@ -219,10 +272,14 @@ SELECT
     dr.row_number,
     cm.column_name,
     cm.column_type,
-    COALESCE(cv.text_value, cv.number_value::text, cv.datetime_value::text, cv.single_select_value) as cell_value,
+    COALESCE(cv.text_value, cv.number_value::text, cv.datetime_value::text, cv.date_value::text, cv.time_value::text, cv.single_select_value, cv.boolean_value::text) as cell_value,
     cv.created_at as cell_created_at
-FROM data_rows dr
+FROM (
+    SELECT d.*, ROW_NUMBER() OVER (PARTITION BY d.sheet_id ORDER BY d.position) as row_number
+    FROM data_rows d
+    WHERE d.is_active = TRUE
+) dr
 CROSS JOIN columns_meta cm
 LEFT JOIN cell_values cv ON dr.id = cv.row_id AND cm.id = cv.column_id
-WHERE dr.is_active = TRUE AND cm.is_active = TRUE
-ORDER BY dr.row_number, cm.display_order;
+WHERE cm.is_active = TRUE AND cm.sheet_id = dr.sheet_id
+ORDER BY dr.sheet_id, dr.row_number, cm.display_order;
@@ -0,0 +1,61 @@
+-- Migration to add the boolean (checkbox) column type
+-- A boolean cell stores TRUE or FALSE in cell_values.boolean_value; an
+-- empty cell counts as unchecked
+
+-- Step 1: Allow the new column type
+ALTER TABLE columns_meta DROP CONSTRAINT IF EXISTS columns_meta_column_type_check;
+ALTER TABLE columns_meta ADD CONSTRAINT columns_meta_column_type_check CHECK (
+    column_type IN ('text', 'number', 'datetime', 'boolean', 'single_select', 'multi_select', 'formula')
+);
+
+-- Step 2: Store the value of boolean cells
+ALTER TABLE cell_values ADD COLUMN IF NOT EXISTS boolean_value BOOLEAN;
+
+-- Step 3: Keep at most one value type per cell, boolean_value included
+ALTER TABLE cell_values DROP CONSTRAINT IF EXISTS check_single_value_type;
+ALTER TABLE cell_values ADD CONSTRAINT check_single_value_type CHECK (
+    (text_value IS NOT NULL AND number_value IS NULL AND datetime_value IS NULL AND single_select_value IS NULL AND boolean_value IS NULL) OR
+    (text_value IS NULL AND number_value IS NOT NULL AND datetime_value IS NULL AND single_select_value IS NULL AND boolean_value IS NULL) OR
+    (text_value IS NULL AND number_value IS NULL AND datetime_value IS NOT NULL AND single_select_value IS NULL AND boolean_value IS NULL) OR
+    (text_value IS NULL AND number_value IS NULL AND datetime_value IS NULL AND single_select_value IS NOT NULL AND boolean_value IS NULL) OR
+    (text_value IS NULL AND number_value IS NULL AND datetime_value IS NULL AND single_select_value IS NULL AND boolean_value IS NOT NULL) OR
+    (text_value IS NULL AND number_value IS NULL AND datetime_value IS NULL AND single_select_value IS NULL AND boolean_value IS NULL)
+);
+
+-- Step 4: Show boolean values in the views
+DROP VIEW IF EXISTS cell_data_view;
+CREATE VIEW cell_data_view AS
+SELECT 
+    cv.row_id,
+    cv.column_id,
+    cm.column_name,
+    cm.column_type,
+    cv.text_value,
+    cv.number_value,
+    cv.datetime_value,
+    cv.single_select_value,
+    cv.boolean_value,
+    cv.created_at,
+    cv.updated_at
+FROM cell_values cv
+JOIN columns_meta cm ON cv.column_id = cm.id
+WHERE cm.is_active = TRUE;
+
+DROP VIEW IF EXISTS complete_row_data;
+CREATE VIEW complete_row_data AS
+SELECT 
+    dr.id as row_id,
+    dr.row_number,
+    cm.column_name,
+    cm.column_type,
+    COALESCE(cv.text_value, cv.number_value::text, cv.datetime_value::text, cv.single_select_value::text, cv.boolean_value::text) as cell_value,
+    cv.created_at as cell_created_at
+FROM (
+    SELECT d.id, d.sheet_id, ROW_NUMBER() OVER (PARTITION BY d.sheet_id ORDER BY d.position) as row_number
+    FROM data_rows d
+    WHERE d.is_active = TRUE
+) dr
+CROSS JOIN columns_meta cm
+LEFT JOIN cell_values cv ON dr.id = cv.row_id AND cm.id = cv.column_id
+WHERE cm.is_active = TRUE AND cm.sheet_id = dr.sheet_id
+ORDER BY dr.sheet_id, dr.row_number;
@@ -0,0 +1,19 @@
+-- Migration to add the cell edit history
+-- PATCH /api/cell records every change with the old and new value, when it
+-- happened and who made it (the X-Actor request header)
+
+-- Step 1: Create the history table
+CREATE TABLE IF NOT EXISTS cell_history (
+    id BIGSERIAL PRIMARY KEY,
+    row_id UUID NOT NULL REFERENCES data_rows(id) ON DELETE CASCADE,
+    column_id INTEGER NOT NULL REFERENCES columns_meta(id) ON DELETE CASCADE,
+    column_type VARCHAR(50) NOT NULL,
+    old_value JSONB,
+    new_value JSONB,
+    actor VARCHAR(255) NOT NULL DEFAULT 'anonymous',
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Step 2: Index it for per-cell and per-row lookups
+CREATE INDEX IF NOT EXISTS idx_cell_history_cell ON cell_history(row_id, column_id, changed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_cell_history_column ON cell_history(column_id);
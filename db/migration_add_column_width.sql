@@ -0,0 +1,12 @@
+-- Migration to store column widths
+-- Columns can be resized from the table header. The width is kept per
+-- column; NULL means the default width
+
+-- Step 1: Add the width column
+ALTER TABLE columns_meta ADD COLUMN IF NOT EXISTS width INTEGER;
+
+-- Step 2: Keep widths within what the table can show
+ALTER TABLE columns_meta DROP CONSTRAINT IF EXISTS columns_meta_width_check;
+ALTER TABLE columns_meta ADD CONSTRAINT columns_meta_width_check CHECK (
+    width IS NULL OR width BETWEEN 60 AND 1000
+);
@@ -0,0 +1,69 @@
+-- Migration to add date-only and time-only column types, and the display
+-- settings of date and time columns
+-- A date cell stores a calendar date in cell_values.date_value and a time
+-- cell a time of day in cell_values.time_value; neither has a timezone.
+-- display_format (e.g. DD/MM/YYYY HH:mm) and display_timezone (an IANA
+-- name, datetime columns only) set how the client shows the values
+
+-- Step 1: Allow the new column types
+ALTER TABLE columns_meta DROP CONSTRAINT IF EXISTS columns_meta_column_type_check;
+ALTER TABLE columns_meta ADD CONSTRAINT columns_meta_column_type_check CHECK (
+    column_type IN ('text', 'number', 'datetime', 'date', 'time', 'boolean', 'single_select', 'multi_select', 'formula')
+);
+
+-- Step 2: Store the display settings of date and time columns
+ALTER TABLE columns_meta ADD COLUMN IF NOT EXISTS display_format VARCHAR(64);
+ALTER TABLE columns_meta ADD COLUMN IF NOT EXISTS display_timezone VARCHAR(64);
+
+-- Step 3: Store the value of date and time cells
+ALTER TABLE cell_values ADD COLUMN IF NOT EXISTS date_value DATE;
+ALTER TABLE cell_values ADD COLUMN IF NOT EXISTS time_value TIME;
+
+-- Step 4: Keep at most one value type per cell, date_value and time_value included
+ALTER TABLE cell_values DROP CONSTRAINT IF EXISTS check_single_value_type;
+ALTER TABLE cell_values ADD CONSTRAINT check_single_value_type CHECK (
+    num_nonnulls(text_value, number_value, datetime_value, date_value, time_value, single_select_value, boolean_value) <= 1
+);
+
+CREATE INDEX IF NOT EXISTS idx_cell_values_date ON cell_values(date_value) WHERE date_value IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_cell_values_time ON cell_values(time_value) WHERE time_value IS NOT NULL;
+
+-- Step 5: Show date and time values in the views
+DROP VIEW IF EXISTS cell_data_view;
+CREATE VIEW cell_data_view AS
+SELECT 
+    cv.row_id,
+    cv.column_id,
+    cm.column_name,
+    cm.column_type,
+    cv.text_value,
+    cv.number_value,
+    cv.datetime_value,
+    cv.date_value,
+    cv.time_value,
+    cv.single_select_value,
+    cv.boolean_value,
+    cv.created_at,
+    cv.updated_at
+FROM cell_values cv
+JOIN columns_meta cm ON cv.column_id = cm.id
+WHERE cm.is_active = TRUE;
+
+DROP VIEW IF EXISTS complete_row_data;
+CREATE VIEW complete_row_data AS
+SELECT 
+    dr.id as row_id,
+    dr.row_number,
+    cm.column_name,
+    cm.column_type,
+    COALESCE(cv.text_value, cv.number_value::text, cv.datetime_value::text, cv.date_value::text, cv.time_value::text, cv.single_select_value::text, cv.boolean_value::text) as cell_value,
+    cv.created_at as cell_created_at
+FROM (
+    SELECT d.id, d.sheet_id, ROW_NUMBER() OVER (PARTITION BY d.sheet_id ORDER BY d.position) as row_number
+    FROM data_rows d
+    WHERE d.is_active = TRUE
+) dr
+CROSS JOIN columns_meta cm
+LEFT JOIN cell_values cv ON dr.id = cv.row_id AND cm.id = cv.column_id
+WHERE cm.is_active = TRUE AND cm.sheet_id = dr.sheet_id
+ORDER BY dr.sheet_id, dr.row_number;
@@ -0,0 +1,12 @@
+-- Migration to add the formula column type
+-- Formula columns store an expression (e.g. =[Salary] * 0.1) and are computed
+-- per row by the API; they never have rows in cell_values
+
+-- Step 1: Store the expression on the column definition
+ALTER TABLE columns_meta ADD COLUMN IF NOT EXISTS formula_expression TEXT;
+
+-- Step 2: Allow the new column type
+ALTER TABLE columns_meta DROP CONSTRAINT IF EXISTS columns_meta_column_type_check;
+ALTER TABLE columns_meta ADD CONSTRAINT columns_meta_column_type_check CHECK (
+    column_type IN ('text', 'number', 'datetime', 'single_select', 'multi_select', 'formula')
+);
@@ -0,0 +1,20 @@
+-- Migration to color every option and let select columns take new options
+-- from their cells
+-- Options are shown as colored chips. Options created from now on get a
+-- color (see backend/utils/selectOptions.js); this colors the existing ones
+-- the same way. A select column with allow_new_options set lets people add
+-- an option by typing it in a cell
+
+-- Step 1: Add the setting to columns
+ALTER TABLE columns_meta ADD COLUMN IF NOT EXISTS allow_new_options BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Step 2: Color the options that have no color, cycling through the colors
+-- by their place among the column's options
+WITH numbered AS (
+    SELECT id, (ROW_NUMBER() OVER (PARTITION BY column_id ORDER BY display_order, id) - 1)::int AS place
+    FROM dropdown_options
+)
+UPDATE dropdown_options o
+SET color = (ARRAY['#bfdbfe', '#bbf7d0', '#fef08a', '#fed7aa', '#fecaca', '#ddd6fe', '#fbcfe8', '#99f6e4', '#e5e7eb'])[n.place % 9 + 1]
+FROM numbered n
+WHERE o.id = n.id AND o.color IS NULL;
@@ -0,0 +1,12 @@
+-- Migration to store option colors
+-- Options of select columns can be recolored from the options editor. The
+-- color is a hex code such as #3b82f6; NULL means the default color
+
+-- Step 1: Add the color column
+ALTER TABLE dropdown_options ADD COLUMN IF NOT EXISTS color VARCHAR(7);
+
+-- Step 2: Only allow lowercase #rrggbb colors
+ALTER TABLE dropdown_options DROP CONSTRAINT IF EXISTS dropdown_options_color_check;
+ALTER TABLE dropdown_options ADD CONSTRAINT dropdown_options_color_check CHECK (
+    color IS NULL OR color ~ '^#[0-9a-f]{6}$'
+);
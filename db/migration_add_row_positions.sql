@@ -0,0 +1,54 @@
+-- Migration to order rows by a position key instead of row_number
+-- Adding or deleting a row used to renumber every row after it. Rows now
+-- keep a text key that sorts them (see backend/utils/rowPosition.js), new
+-- rows get a key between their neighbours, and row numbers are counted on read
+
+-- Step 1: Add the position column
+ALTER TABLE data_rows ADD COLUMN IF NOT EXISTS position TEXT COLLATE "C";
+
+-- Step 2: Give every row a key in its current order. Keys are 'd' plus four
+-- base 62 digits (room for 14 million rows per sheet). A deleted row goes
+-- ahead of the active row that took over its number.
+WITH ordered AS (
+    SELECT id, ROW_NUMBER() OVER (
+        PARTITION BY sheet_id
+        ORDER BY row_number, is_active, created_at, id
+    ) AS n
+    FROM data_rows
+)
+UPDATE data_rows dr
+SET position = 'd' ||
+    substr('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz', (o.n / 238328 % 62)::int + 1, 1) ||
+    substr('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz', (o.n / 3844 % 62)::int + 1, 1) ||
+    substr('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz', (o.n / 62 % 62)::int + 1, 1) ||
+    substr('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz', (o.n % 62)::int + 1, 1)
+FROM ordered o
+WHERE dr.id = o.id;
+
+ALTER TABLE data_rows ALTER COLUMN position SET NOT NULL;
+
+-- Step 3: Count row numbers from the position in the complete row view
+DROP VIEW IF EXISTS complete_row_data;
+CREATE VIEW complete_row_data AS
+SELECT 
+    dr.id as row_id,
+    dr.row_number,
+    cm.column_name,
+    cm.column_type,
+    COALESCE(cv.text_value, cv.number_value::text, cv.datetime_value::text, cv.single_select_value::text) as cell_value,
+    cv.created_at as cell_created_at
+FROM (
+    SELECT d.id, d.sheet_id, ROW_NUMBER() OVER (PARTITION BY d.sheet_id ORDER BY d.position) as row_number
+    FROM data_rows d
+    WHERE d.is_active = TRUE
+) dr
+CROSS JOIN columns_meta cm
+LEFT JOIN cell_values cv ON dr.id = cv.row_id AND cm.id = cv.column_id
+WHERE cm.is_active = TRUE AND cm.sheet_id = dr.sheet_id
+ORDER BY dr.sheet_id, dr.row_number;
+
+-- Step 4: Replace the row_number indexes and column
+DROP INDEX IF EXISTS idx_data_rows_sheet_number;
+DROP INDEX IF EXISTS idx_data_rows_number;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_data_rows_sheet_position ON data_rows(sheet_id, position);
+ALTER TABLE data_rows DROP COLUMN IF EXISTS row_number;
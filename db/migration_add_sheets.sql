@@ -0,0 +1,66 @@
+-- Migration to add sheets (tabs)
+-- Every column and row belongs to a sheet; existing data moves to a first
+-- sheet named 'Sheet 1' and row_summary gets one row per sheet
+
+-- Step 1: Create the sheets table with the first sheet
+CREATE TABLE IF NOT EXISTS sheets (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    display_order INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO sheets (name, display_order)
+SELECT 'Sheet 1', 1
+WHERE NOT EXISTS (SELECT 1 FROM sheets);
+
+CREATE INDEX IF NOT EXISTS idx_sheets_active ON sheets(is_active);
+
+DROP TRIGGER IF EXISTS update_sheets_updated_at ON sheets;
+CREATE TRIGGER update_sheets_updated_at 
+    BEFORE UPDATE ON sheets 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Step 2: Add sheet_id to columns, rows and the row summary
+ALTER TABLE columns_meta ADD COLUMN IF NOT EXISTS sheet_id INTEGER REFERENCES sheets(id) ON DELETE CASCADE;
+ALTER TABLE data_rows ADD COLUMN IF NOT EXISTS sheet_id INTEGER REFERENCES sheets(id) ON DELETE CASCADE;
+ALTER TABLE row_summary ADD COLUMN IF NOT EXISTS sheet_id INTEGER REFERENCES sheets(id) ON DELETE CASCADE;
+
+-- Step 3: Move existing data to the first sheet
+UPDATE columns_meta SET sheet_id = (SELECT MIN(id) FROM sheets) WHERE sheet_id IS NULL;
+UPDATE data_rows SET sheet_id = (SELECT MIN(id) FROM sheets) WHERE sheet_id IS NULL;
+
+-- Keep a single row summary for the first sheet
+DELETE FROM row_summary WHERE sheet_id IS NULL AND id <> (SELECT MIN(id) FROM row_summary);
+UPDATE row_summary SET sheet_id = (SELECT MIN(id) FROM sheets) WHERE sheet_id IS NULL;
+INSERT INTO row_summary (sheet_id, total_rows, active_rows, last_row_number)
+SELECT s.id, 0, 0, 0 FROM sheets s
+WHERE NOT EXISTS (SELECT 1 FROM row_summary rs WHERE rs.sheet_id = s.id);
+
+-- Step 4: Require a sheet and index by it
+ALTER TABLE columns_meta ALTER COLUMN sheet_id SET NOT NULL;
+ALTER TABLE data_rows ALTER COLUMN sheet_id SET NOT NULL;
+ALTER TABLE row_summary ALTER COLUMN sheet_id SET NOT NULL;
+
+ALTER TABLE row_summary DROP CONSTRAINT IF EXISTS row_summary_sheet_id_key;
+ALTER TABLE row_summary ADD CONSTRAINT row_summary_sheet_id_key UNIQUE (sheet_id);
+
+CREATE INDEX IF NOT EXISTS idx_columns_meta_sheet ON columns_meta(sheet_id);
+CREATE INDEX IF NOT EXISTS idx_data_rows_sheet_number ON data_rows(sheet_id, row_number);
+
+-- Step 5: Only join cells of the same sheet in the complete row view
+CREATE OR REPLACE VIEW complete_row_data AS
+SELECT 
+    dr.id as row_id,
+    dr.row_number,
+    cm.column_name,
+    cm.column_type,
+    COALESCE(cv.text_value, cv.number_value::text, cv.datetime_value::text, cv.single_select_value::text) as cell_value,
+    cv.created_at as cell_created_at
+FROM data_rows dr
+CROSS JOIN columns_meta cm
+LEFT JOIN cell_values cv ON dr.id = cv.row_id AND cm.id = cv.column_id
+WHERE dr.is_active = TRUE AND cm.is_active = TRUE AND cm.sheet_id = dr.sheet_id
+ORDER BY dr.sheet_id, dr.row_number;
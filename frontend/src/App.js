@@ -1,6 +1,9 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import TablePage from './components/TablePage';
+import SheetTabs from './components/SheetTabs';
+import { useSheets } from './hooks/useApi';
+import { SheetContext } from './hooks/useSheetId';
 import './App.css';
 
 // Create a client
@@ -13,6 +16,45 @@ const queryClient = new QueryClient({
   },
 });
 
+// Sheet tab bar above the table of the selected sheet
+function Workbook() {
+  const { data: sheets = [], isLoading, error } = useSheets();
+  const [selectedSheetId, setSelectedSheetId] = useState(null);
+
+  // Fall back to the first sheet until one is picked (or when the picked one is deleted)
+  const activeSheet = sheets.find(sheet => sheet.id === selectedSheetId) || sheets[0];
+
+  if (error) {
+    return (
+      <div className="error">
+        <h2>Error loading sheets</h2>
+        <p>{error.message}</p>
+      </div>
+    );
+  }
+
+  if (isLoading || !activeSheet) {
+    return (
+      <div className="loading">
+        <h2>Loading sheets...</h2>
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <SheetContext.Provider value={activeSheet.id}>
+      <SheetTabs
+        sheets={sheets}
+        activeSheetId={activeSheet.id}
+        onSelect={setSelectedSheetId}
+      />
+      {/* Keyed by sheet so paging and sorting start over on another sheet */}
+      <TablePage key={activeSheet.id} />
+    </SheetContext.Provider>
+  );
+}
+
 function App() {
   return (
     <QueryClientProvider client={queryClient}>
@@ -22,7 +64,7 @@ function App() {
         </header>
         
         <main className="App-main">
-          <TablePage />
+          <Workbook />
         </main>
       </div>
     </QueryClientProvider>
@@ -0,0 +1,26 @@
+// Name sent with every request as X-Actor and recorded in the cell history.
+// There are no accounts, so each browser picks a guest name once and keeps
+// it in localStorage.
+const STORAGE_KEY = 'spreadsheet-actor';
+
+export const getActorName = () => {
+  try {
+    let name = window.localStorage.getItem(STORAGE_KEY);
+    if (!name) {
+      name = `Guest ${Math.floor(1000 + Math.random() * 9000)}`;
+      window.localStorage.setItem(STORAGE_KEY, name);
+    }
+    return name;
+  } catch (error) {
+    // Storage can be unavailable (private mode, blocked cookies)
+    return 'Guest';
+  }
+};
+
+export const setActorName = (name) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, name);
+  } catch (error) {
+    console.error('Could not save actor name:', error);
+  }
+};
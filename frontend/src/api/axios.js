@@ -1,4 +1,6 @@
 import axios from 'axios';
+import { getActorName } from './actor';
+import { getClientId } from './realtime';
 
 // Create axios instance with base configuration
 const api = axios.create({
@@ -12,6 +14,8 @@ const api = axios.create({
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
+    config.headers['X-Actor'] = getActorName();
+    config.headers['X-Client-Id'] = getClientId();
     console.log(`Making ${config.method?.toUpperCase()} request to ${config.url}`);
     return config;
   },
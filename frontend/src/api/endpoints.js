@@ -1,37 +1,168 @@
 import api from './axios';
 
+// Build the query string for GET /rows. Filters are nested objects such as
+// { Department: 'Engineering', Salary: { gt: 50000 } } and are sent as
+// filter[Department]=Engineering&filter[Salary][gt]=50000; sort is a string
+// such as 'Salary:desc,Name:asc'
+export const buildRowsQuery = (page, limit, { filters, sort } = {}) => {
+  const params = new URLSearchParams({ page, limit });
+  if (sort) {
+    params.append('sort', sort);
+  }
+  Object.entries(filters || {}).forEach(([columnName, spec]) => {
+    if (spec !== null && typeof spec === 'object' && !Array.isArray(spec)) {
+      Object.entries(spec).forEach(([operator, value]) => {
+        params.append(`filter[${columnName}][${operator}]`, Array.isArray(value) ? value.join(',') : value);
+      });
+    } else {
+      params.append(`filter[${columnName}]`, Array.isArray(spec) ? spec.join(',') : spec);
+    }
+  });
+  return params.toString();
+};
+
+// Path of a sheet's data route. Without a sheet id the un-nested route is
+// used, which the API serves from the first sheet
+const sheetPath = (sheetId, path) => (sheetId ? `/sheets/${sheetId}${path}` : path);
+
+// Sheets API
+export const sheetsApi = {
+  // Get all sheets in tab order
+  getSheets: () => api.get('/sheets'),
+  
+  // Create an empty sheet
+  createSheet: (data) => api.post('/sheets', data),
+  
+  // Rename a sheet
+  renameSheet: (id, data) => api.patch(`/sheets/${id}`, data),
+  
+  // Copy a sheet with its columns and rows
+  duplicateSheet: (id, data = {}) => api.post(`/sheets/${id}/duplicate`, data),
+  
+  // Delete sheet
+  deleteSheet: (id) => api.delete(`/sheets/${id}`),
+};
+
 // Columns API
 export const columnsApi = {
   // Get all columns with options
-  getColumns: () => api.get('/columns'),
+  getColumns: (sheetId) => api.get(sheetPath(sheetId, '/columns')),
   
   // Create new column
-  createColumn: (data) => api.post('/columns', data),
+  createColumn: (sheetId, data) => api.post(sheetPath(sheetId, '/columns'), data),
+  
+  // Rename, move or resize a column: { name, display_order, width }
+  updateColumn: (sheetId, id, changes) => api.patch(sheetPath(sheetId, `/columns/${id}`), changes),
+  
+  // Add an option to a select column: { label, color }
+  addOption: (sheetId, columnId, option) => api.post(sheetPath(sheetId, `/columns/${columnId}/options`), option),
+  
+  // Rename, recolor, move or archive an option: { label, color, display_order, is_active }
+  updateOption: (sheetId, columnId, optionId, changes) =>
+    api.patch(sheetPath(sheetId, `/columns/${columnId}/options/${optionId}`), changes),
   
   // Delete column
-  deleteColumn: (id) => api.delete(`/columns/${id}`),
+  deleteColumn: (sheetId, id) => api.delete(sheetPath(sheetId, `/columns/${id}`)),
+  
+  // Bring back a deleted column with its data
+  restoreColumn: (sheetId, id) => api.post(sheetPath(sheetId, `/columns/${id}/restore`)),
 };
 
 // Rows API
 export const rowsApi = {
-  // Get rows with pagination
-  getRows: (page = 1, limit = 10) => api.get(`/rows?page=${page}&limit=${limit}`),
+  // Get rows with pagination and optional filters and sort
+  getRows: (sheetId, page = 1, limit = 10, options = {}) =>
+    api.get(sheetPath(sheetId, `/rows?${buildRowsQuery(page, limit, options)}`)),
+  
+  // Create a new row, at the top unless placement is { at: 'bottom' },
+  // { before: rowId } or { after: rowId }
+  createRow: (sheetId, placement) => api.post(sheetPath(sheetId, '/rows'), placement),
   
-  // Create new row
-  createRow: () => api.post('/rows'),
+  // Move rows (the first id and the rest as a block) to a placement:
+  // { before: rowId }, { after: rowId } or { at: 'top' | 'bottom' }
+  moveRows: (sheetId, rowIds, placement) => api.patch(
+    sheetPath(sheetId, `/rows/${rowIds[0]}/position`),
+    { ...placement, row_ids: rowIds.slice(1) }
+  ),
+  
+  // Append empty rows at the bottom
+  appendRows: (sheetId, count) => api.post(sheetPath(sheetId, '/rows/batch'), { count }),
   
   // Delete row
-  deleteRow: (id) => api.delete(`/rows/${id}`),
+  deleteRow: (sheetId, id) => api.delete(sheetPath(sheetId, `/rows/${id}`)),
+  
+  // Bring back a deleted row with its values
+  restoreRow: (sheetId, id) => api.post(sheetPath(sheetId, `/rows/${id}/restore`)),
+  
+  // Get the changes made to every cell of a row, newest first
+  getRowHistory: (sheetId, id) => api.get(sheetPath(sheetId, `/rows/${id}/history`)),
 };
 
 // Cell API
 export const cellApi = {
   // Update cell value
-  updateCell: (data) => api.patch('/cell', data),
+  updateCell: (sheetId, data) => api.patch(sheetPath(sheetId, '/cell'), data),
+  
+  // Update many cells in one transaction: cells is [{ row_id, column_id, data_type, value }]
+  updateCells: (sheetId, cells) => api.patch(sheetPath(sheetId, '/cells/batch'), { cells }),
+  
+  // Get the changes made to one cell, newest first
+  getCellHistory: (sheetId, rowId, columnId) => api.get(sheetPath(sheetId, '/cell/history'), {
+    params: { row_id: rowId, column_id: columnId },
+  }),
 };
 
 // Summary API
 export const summaryApi = {
   // Get column summaries
-  getSummary: () => api.get('/summary'),
+  getSummary: (sheetId) => api.get(sheetPath(sheetId, '/summary')),
+};
+
+// Import API
+// Post an import file with its form fields as multipart/form-data
+const uploadImport = (path, file, fields) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  Object.entries(fields).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) {
+      formData.append(name, value);
+    }
+  });
+  return api.post(path, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 60000,
+  });
+};
+
+export const importApi = {
+  // Upload a CSV file. options: { mapping, delimiter, dryRun }
+  importCsv: (sheetId, file, { mapping, delimiter, dryRun = false } = {}) => uploadImport(sheetPath(sheetId, '/import/csv'), file, {
+    mapping: mapping ? JSON.stringify(mapping) : null,
+    delimiter,
+    dry_run: dryRun ? 'true' : 'false',
+  }),
+  
+  // Upload an Excel workbook (.xlsx). options: { mapping, dryRun }
+  importXlsx: (sheetId, file, { mapping, dryRun = false } = {}) => uploadImport(sheetPath(sheetId, '/import/xlsx'), file, {
+    mapping: mapping ? JSON.stringify(mapping) : null,
+    dry_run: dryRun ? 'true' : 'false',
+  }),
+  
+  // Pick the import endpoint from the file extension
+  importFile: (sheetId, file, options = {}) => (/\.xlsx$/i.test(file.name)
+    ? importApi.importXlsx(sheetId, file, options)
+    : importApi.importCsv(sheetId, file, options)),
+};
+
+// Export API
+export const exportApi = {
+  // URL that downloads the whole sheet as csv, tsv, json or xlsx. Used as a
+  // link target so the browser streams the file straight to disk
+  getExportUrl: (sheetId, format = 'csv', { separator } = {}) => {
+    const params = new URLSearchParams({ format });
+    if (separator) {
+      params.append('separator', separator);
+    }
+    return `${api.defaults.baseURL}${sheetPath(sheetId, '/export')}?${params.toString()}`;
+  },
 };
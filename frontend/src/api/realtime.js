@@ -0,0 +1,85 @@
+// WebSocket connection to the server's live updates for one sheet. The
+// messages are described in backend/utils/realtime.js.
+import { getActorName } from './actor';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+// Wait before each reconnection attempt; the last one repeats
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000];
+
+// Identifies this tab. API requests send it as X-Client-Id so the server
+// does not echo our own changes back to us.
+const CLIENT_ID = `tab-${Math.random().toString(36).slice(2, 10)}${Date.now().toString(36)}`;
+
+export const getClientId = () => CLIENT_ID;
+
+// ws://host/ws for an API served at http://host/api (wss for https)
+export const getRealtimeUrl = (sheetId) => {
+  const url = new URL(API_URL, window.location.href);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  url.pathname = `${url.pathname.replace(/\/api\/?$/, '')}/ws`;
+  url.search = new URLSearchParams({ sheet: sheetId, client: CLIENT_ID, name: getActorName() }).toString();
+  return url.toString();
+};
+
+// Connect to a sheet's live updates, reconnecting whenever the connection
+// drops. onMessage receives every message from the server; onOpen is called
+// each time the connection opens. Returns { setPresence, close }.
+export const connectRealtime = (sheetId, { onMessage, onOpen }) => {
+  let socket = null;
+  let closed = false;
+  let attempt = 0;
+  let reconnectTimer = null;
+  let presence = { row_id: null, column_id: null };
+
+  const sendPresence = () => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'presence', ...presence }));
+    }
+  };
+
+  const connect = () => {
+    socket = new WebSocket(getRealtimeUrl(sheetId));
+
+    socket.onopen = () => {
+      attempt = 0;
+      // The server forgets our active cell when the connection drops
+      sendPresence();
+      if (onOpen) onOpen();
+    };
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        console.error('Invalid realtime message:', event.data);
+        return;
+      }
+      onMessage(message);
+    };
+
+    socket.onclose = () => {
+      if (closed) return;
+      const delay = RECONNECT_DELAYS[Math.min(attempt, RECONNECT_DELAYS.length - 1)];
+      attempt += 1;
+      reconnectTimer = setTimeout(connect, delay);
+    };
+  };
+
+  connect();
+
+  return {
+    // Share the cell we are on with the others (nulls for none)
+    setPresence: (rowId, columnId) => {
+      presence = { row_id: rowId || null, column_id: columnId || null };
+      sendPresence();
+    },
+
+    close: () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      socket.close();
+    }
+  };
+};
@@ -0,0 +1,96 @@
+import React, { useEffect, useRef } from 'react';
+import { useCellHistory } from '../hooks/useApi';
+import { DATE_TYPES, formatDateValue } from '../utils/dateTime';
+import './CellHistoryPopover.css';
+
+// Dates and times are shown as the column shows them, by the type the
+// cell had when it changed
+const formatValue = (column, entry, display) => {
+  if (display === null || display === undefined || display === '') return '(empty)';
+  if (DATE_TYPES.includes(entry.column_type)) {
+    return formatDateValue({ ...column, column_type: entry.column_type }, display);
+  }
+  return display;
+};
+
+// Past values of one cell, newest first. Each change can be undone by
+// restoring the value it replaced: onRestore(value, historyId).
+const CellHistoryPopover = ({ row, column, onRestore, onClose, isRestoring = false }) => {
+  const { data: history, isLoading, error } = useCellHistory(row.id, column.id);
+  const popoverRef = useRef(null);
+
+  // Close when clicking anywhere else or pressing Escape
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (popoverRef.current && !popoverRef.current.contains(e.target)) {
+        onClose();
+      }
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  const renderBody = () => {
+    if (isLoading) {
+      return <div className="cell-history-status">Loading history...</div>;
+    }
+    if (error) {
+      return <div className="cell-history-status error">Failed to load history</div>;
+    }
+    if (!history || history.length === 0) {
+      return <div className="cell-history-status">No changes yet</div>;
+    }
+    return (
+      <ul className="cell-history-list">
+        {history.map(entry => (
+          <li key={entry.id} className="cell-history-entry">
+            <div className="cell-history-change">
+              <span className="cell-history-old">{formatValue(column, entry, entry.old_display)}</span>
+              <span className="cell-history-arrow">→</span>
+              <span className="cell-history-new">{formatValue(column, entry, entry.new_display)}</span>
+            </div>
+            <div className="cell-history-meta">
+              <span>{entry.actor} · {new Date(entry.changed_at).toLocaleString()}</span>
+              <button
+                type="button"
+                className="cell-history-restore"
+                onClick={() => onRestore(entry.old_value, entry.id)}
+                disabled={isRestoring}
+                title={`Restore ${formatValue(column, entry, entry.old_display)}`}
+              >
+                Restore
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <div
+      className="cell-history-popover"
+      ref={popoverRef}
+      role="dialog"
+      aria-label={`History of ${column.column_name}`}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="cell-history-header">
+        <span>History</span>
+        <button type="button" className="cell-history-close" onClick={onClose} aria-label="Close history">
+          ×
+        </button>
+      </div>
+      {renderBody()}
+    </div>
+  );
+};
+
+export default CellHistoryPopover;
@@ -6,7 +6,8 @@ const ColumnAddModal = ({ isOpen, onClose, onSuccess }) => {
   const [formData, setFormData] = useState({
     name: '',
     data_type: 'text',
-    options: []
+    options: [],
+    formula: ''
   });
   
   const createColumnMutation = useAddColumn();
@@ -26,18 +27,23 @@ const ColumnAddModal = ({ isOpen, onClose, onSuccess }) => {
       return;
     }
 
+    if (formData.data_type === 'formula' && !formData.formula.trim()) {
+      alert('A formula expression is required');
+      return;
+    }
+
     console.log('Calling createColumnMutation.mutate...');
     createColumnMutation.mutate(formData, {
       onSuccess: (data) => {
         console.log('Column created successfully:', data);
-        setFormData({ name: '', data_type: 'text', options: [] });
+        setFormData({ name: '', data_type: 'text', options: [], formula: '' });
         if (onSuccess) onSuccess(data);
         onClose();
         // Don't auto-refresh, let React Query handle the update
       },
       onError: (error) => {
         console.error('Error creating column:', error);
-        alert('Error creating column: ' + (error.message || 'Unknown error'));
+        alert('Error creating column: ' + (error.response?.data?.error || error.message || 'Unknown error'));
       }
     });
   };
@@ -98,11 +104,33 @@ const ColumnAddModal = ({ isOpen, onClose, onSuccess }) => {
               <option value="text">Text</option>
               <option value="number">Number</option>
               <option value="datetime">Date/Time</option>
+              <option value="date">Date</option>
+              <option value="time">Time</option>
+              <option value="boolean">Checkbox</option>
               <option value="single_select">Single Select</option>
               <option value="multi_select">Multi Select</option>
+              <option value="formula">Formula</option>
             </select>
           </div>
 
+          {formData.data_type === 'formula' && (
+            <div className="form-group">
+              <label htmlFor="column-formula">Formula</label>
+              <input
+                id="column-formula"
+                type="text"
+                value={formData.formula}
+                onChange={(e) => setFormData(prev => ({ ...prev, formula: e.target.value }))}
+                placeholder='e.g. =IF([Age] > 30, "Senior", "Junior")'
+                required
+              />
+              <div className="form-hint">
+                Reference other columns as [Column Name]. Supports + - * / ^ &amp;, comparisons,
+                and IF, AND, OR, NOT, SUM, MIN, MAX, AVERAGE, ROUND, ABS, CONCAT, LEN, UPPER, LOWER, ISBLANK.
+              </div>
+            </div>
+          )}
+
           {(formData.data_type === 'single_select' || formData.data_type === 'multi_select') && (
             <div className="form-group">
               <label>Options</label>
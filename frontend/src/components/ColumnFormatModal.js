@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { useUpdateColumn } from '../hooks/useApi';
+import { FORMAT_PRESETS, formatDateValue, timeZoneNames } from '../utils/dateTime';
+import './ColumnAddModal.css';
+import './ColumnFormatModal.css';
+
+// Set how the cells of a datetime, date or time column are shown: a display
+// format and, for datetimes, the timezone they are shown and edited in.
+// The stored values do not change. It is mounted per column (keyed by its
+// id), so the fields start from the column's settings.
+const ColumnFormatModal = ({ isOpen, column, onClose }) => {
+  const [format, setFormat] = useState(column?.display_format || '');
+  const [timeZone, setTimeZone] = useState(column?.display_timezone || '');
+  const updateColumnMutation = useUpdateColumn();
+
+  if (!isOpen || !column) return null;
+
+  const errorMessage = (error) => error?.response?.data?.error || error?.message;
+  const isDatetime = column.column_type === 'datetime';
+  const presets = FORMAT_PRESETS[column.column_type] || [];
+
+  // The current moment, shown with the settings being edited
+  const now = new Date();
+  const sample = {
+    datetime: now.toISOString(),
+    date: now.toISOString().slice(0, 10),
+    time: now.toTimeString().slice(0, 8)
+  }[column.column_type];
+  const preview = formatDateValue({
+    ...column,
+    display_format: format.trim() || null,
+    display_timezone: timeZone || null
+  }, sample);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const changes = { display_format: format.trim() || null };
+    if (isDatetime) changes.display_timezone = timeZone || null;
+    updateColumnMutation.mutate({ columnId: column.id, changes }, { onSuccess: onClose });
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content column-format-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Format of {column.column_name}</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        <form className="modal-form" onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="display-format">Display format</label>
+            <input
+              id="display-format"
+              list="display-format-presets"
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              placeholder="Default"
+              maxLength={64}
+              disabled={updateColumnMutation.isPending}
+            />
+            <datalist id="display-format-presets">
+              {presets.map(preset => <option key={preset} value={preset} />)}
+            </datalist>
+            <div className="form-hint">
+              YYYY year, MM month, DD day, HH hour (hh with A for AM/PM), mm minutes, ss seconds.
+              Leave it empty for the default.
+            </div>
+          </div>
+
+          {isDatetime && (
+            <div className="form-group">
+              <label htmlFor="display-timezone">Timezone</label>
+              <select
+                id="display-timezone"
+                value={timeZone}
+                onChange={(e) => setTimeZone(e.target.value)}
+                disabled={updateColumnMutation.isPending}
+              >
+                <option value="">Each viewer's own</option>
+                {timeZoneNames().map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+              <div className="form-hint">Cells are shown and edited on this clock.</div>
+            </div>
+          )}
+
+          <p className="format-preview">
+            Preview: <strong>{preview}</strong>
+          </p>
+
+          {updateColumnMutation.error && (
+            <div className="error-message">{errorMessage(updateColumnMutation.error)}</div>
+          )}
+
+          <div className="modal-actions">
+            <button type="button" className="btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn-primary" disabled={updateColumnMutation.isPending}>
+              {updateColumnMutation.isPending ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnFormatModal;
@@ -0,0 +1,224 @@
+import React, { useState } from 'react';
+import { useAddOption, useUpdateOption, useUpdateColumn } from '../hooks/useApi';
+import { OPTION_COLORS } from '../utils/selectOptions';
+import './ColumnAddModal.css';
+import './ColumnOptionsModal.css';
+
+// Add, rename, recolor, reorder and archive the options of a select column.
+// Each change is saved as it is made and can be undone. Archived options
+// stay listed so they can be brought back.
+const ColumnOptionsModal = ({ isOpen, column, onClose }) => {
+  const [newLabel, setNewLabel] = useState('');
+  const [newColor, setNewColor] = useState(null);
+  // Option whose color palette is open ('new' for the option being added)
+  const [paletteFor, setPaletteFor] = useState(null);
+  const [error, setError] = useState('');
+  const addMutation = useAddOption();
+  const updateMutation = useUpdateOption();
+  const updateColumnMutation = useUpdateColumn();
+
+  if (!isOpen || !column) return null;
+
+  const options = column.options || [];
+  const errorMessage = (err) => err?.response?.data?.error || err?.message;
+
+  const updateOption = (option, changes, onError) => {
+    setError('');
+    updateMutation.mutate({ columnId: column.id, optionId: option.id, changes }, {
+      onError: (err) => {
+        setError(errorMessage(err));
+        if (onError) onError();
+      }
+    });
+  };
+
+  // Save the label typed over an option's label; an empty label puts it back
+  const handleRename = (option, input) => {
+    const label = input.value.trim();
+    if (label === option.label) return;
+    if (label === '') {
+      input.value = option.label;
+      return;
+    }
+    updateOption(option, { label }, () => {
+      input.value = option.label;
+    });
+  };
+
+  const handleLabelKeyDown = (e, option) => {
+    if (e.key === 'Enter') {
+      e.target.blur();
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      e.target.value = option.label;
+      e.target.blur();
+    }
+  };
+
+  const handleAllowNewOptions = (allowed) => {
+    setError('');
+    updateColumnMutation.mutate({ columnId: column.id, changes: { allow_new_options: allowed } }, {
+      onError: (err) => setError(errorMessage(err))
+    });
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const label = newLabel.trim();
+    if (!label) return;
+    setError('');
+    addMutation.mutate({ columnId: column.id, label, color: newColor }, {
+      onSuccess: () => {
+        setNewLabel('');
+        setNewColor(null);
+      },
+      onError: (err) => setError(errorMessage(err))
+    });
+  };
+
+  const renderPalette = (selected, onPick) => (
+    <div className="option-palette">
+      <button
+        type="button"
+        className={`option-swatch ${!selected ? 'selected' : ''}`}
+        onClick={() => onPick(null)}
+        title="No color"
+        aria-label="No color"
+      />
+      {OPTION_COLORS.map(color => (
+        <button
+          key={color.value}
+          type="button"
+          className={`option-swatch ${selected === color.value ? 'selected' : ''}`}
+          style={{ background: color.value }}
+          onClick={() => onPick(color.value)}
+          title={color.name}
+          aria-label={color.name}
+        />
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content column-options-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Options of {column.column_name}</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        <div className="modal-form">
+          {options.length === 0 ? (
+            <p className="form-hint">No options yet.</p>
+          ) : (
+            <ul className="options-list">
+              {options.map((option, index) => {
+                const archived = option.is_active === false;
+                return (
+                  <li key={option.id} className={`options-row ${archived ? 'archived' : ''}`}>
+                    <div className="options-row-main">
+                      <button
+                        type="button"
+                        className="option-swatch"
+                        style={{ background: option.color || undefined }}
+                        onClick={() => setPaletteFor(paletteFor === option.id ? null : option.id)}
+                        title="Change color"
+                        aria-label={`Color of ${option.label}`}
+                      />
+                      <input
+                        key={option.label}
+                        className="option-label-input"
+                        defaultValue={option.label}
+                        maxLength={500}
+                        aria-label={`Label of ${option.label}`}
+                        onKeyDown={(e) => handleLabelKeyDown(e, option)}
+                        onBlur={(e) => handleRename(option, e.target)}
+                      />
+                      {archived && <span className="option-archived-tag">Archived</span>}
+                      <button
+                        type="button"
+                        className="option-move"
+                        onClick={() => updateOption(option, { display_order: index })}
+                        disabled={index === 0}
+                        aria-label={`Move ${option.label} up`}
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        className="option-move"
+                        onClick={() => updateOption(option, { display_order: index + 2 })}
+                        disabled={index === options.length - 1}
+                        aria-label={`Move ${option.label} down`}
+                      >
+                        ↓
+                      </button>
+                      <button
+                        type="button"
+                        className="option-archive"
+                        onClick={() => updateOption(option, { is_active: archived })}
+                      >
+                        {archived ? 'Restore' : 'Archive'}
+                      </button>
+                    </div>
+                    {paletteFor === option.id && renderPalette(option.color, (color) => {
+                      setPaletteFor(null);
+                      if (color !== (option.color || null)) updateOption(option, { color });
+                    })}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+          <div className="form-hint">
+            Archived options are no longer offered in cells; the cells that already have one keep it.
+          </div>
+
+          <form className="options-add" onSubmit={handleAdd}>
+            <button
+              type="button"
+              className="option-swatch"
+              style={{ background: newColor || undefined }}
+              onClick={() => setPaletteFor(paletteFor === 'new' ? null : 'new')}
+              title="Change color"
+              aria-label="Color of the new option"
+            />
+            <input
+              value={newLabel}
+              onChange={(e) => setNewLabel(e.target.value)}
+              placeholder="New option"
+              maxLength={500}
+              aria-label="New option"
+            />
+            <button type="submit" className="btn-primary" disabled={!newLabel.trim() || addMutation.isPending}>
+              Add
+            </button>
+          </form>
+          {paletteFor === 'new' && renderPalette(newColor, (color) => {
+            setPaletteFor(null);
+            setNewColor(color);
+          })}
+
+          <label className="options-setting">
+            <input
+              type="checkbox"
+              checked={Boolean(column.allow_new_options)}
+              onChange={(e) => handleAllowNewOptions(e.target.checked)}
+            />
+            Let people add options by typing them in a cell
+          </label>
+
+          {error && <div className="error-message">{error}</div>}
+
+          <div className="modal-actions">
+            <button type="button" className="btn-primary" onClick={onClose}>
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnOptionsModal;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { useConvertColumnPreview, useConvertColumn } from '../hooks/useApi';
+import { COLUMN_CONVERSIONS } from '../utils/columnEdit';
+import './ColumnAddModal.css';
+import './ConvertColumnModal.css';
+
+const TYPE_LABELS = {
+  text: 'Text',
+  number: 'Number',
+  datetime: 'Date/Time',
+  date: 'Date',
+  time: 'Time',
+  boolean: 'Checkbox',
+  single_select: 'Single Select',
+  multi_select: 'Multi Select'
+};
+
+// Change a column's type. Picking a type previews the conversion (a dry run
+// on the server): how many cells convert, which options get created and
+// which cells cannot be converted, before anything changes.
+// It is mounted per column (keyed by its id), so state starts afresh.
+const ConvertColumnModal = ({ isOpen, column, onClose }) => {
+  const targetTypes = (column && COLUMN_CONVERSIONS[column.column_type]) || [];
+  const [columnType, setColumnType] = useState(targetTypes[0] || '');
+  const previewMutation = useConvertColumnPreview();
+  const convertMutation = useConvertColumn();
+  const { mutate: runPreview } = previewMutation;
+  const columnId = column?.id;
+
+  const errorMessage = (error) => error?.response?.data?.error || error?.message;
+
+  useEffect(() => {
+    if (isOpen && columnId && columnType) {
+      runPreview({ columnId, columnType });
+    }
+  }, [isOpen, columnId, columnType, runPreview]);
+
+  if (!isOpen || !column) return null;
+
+  const report = previewMutation.data;
+  const handleConvert = () => {
+    convertMutation.mutate({ columnId: column.id, columnType, clearFailed: report.failed > 0 }, {
+      onSuccess: onClose
+    });
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content convert-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Change Type of {column.column_name}</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        <div className="modal-form">
+          {targetTypes.length === 0 ? (
+            <p className="convert-summary">
+              A {TYPE_LABELS[column.column_type] || column.column_type} column cannot be converted to another type.
+            </p>
+          ) : (
+            <div className="form-group">
+              <label htmlFor="convert-type">
+                From {TYPE_LABELS[column.column_type]} to
+              </label>
+              <select
+                id="convert-type"
+                value={columnType}
+                onChange={(e) => setColumnType(e.target.value)}
+                disabled={convertMutation.isPending}
+              >
+                {targetTypes.map(type => (
+                  <option key={type} value={type}>{TYPE_LABELS[type]}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {previewMutation.isPending && <p className="convert-summary">Checking the values...</p>}
+
+          {report && !previewMutation.isPending && (
+            <>
+              <p className="convert-summary">
+                {report.converted} of {report.cells} {report.cells === 1 ? 'cell' : 'cells'} will be converted.
+              </p>
+              {report.new_options.length > 0 && (
+                <div className="form-hint">
+                  {report.new_options.length} {report.new_options.length === 1 ? 'option' : 'options'} will be
+                  created: {report.new_options.slice(0, 10).join(', ')}
+                  {report.new_options.length > 10 && `, …and ${report.new_options.length - 10} more`}
+                </div>
+              )}
+              {report.failed > 0 && (
+                <div className="convert-failures">
+                  <h4>
+                    {report.failed} {report.failed === 1 ? 'cell' : 'cells'} cannot be converted and will be emptied
+                  </h4>
+                  <ul>
+                    {report.failures.map(failure => (
+                      <li key={failure.row_id}>
+                        {failure.row_number ? `Row ${failure.row_number}` : 'Deleted row'}: {failure.error}
+                      </li>
+                    ))}
+                  </ul>
+                  {report.failed > report.failures.length && (
+                    <div className="form-hint">…and {report.failed - report.failures.length} more</div>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+
+          {(previewMutation.error || convertMutation.error) && (
+            <div className="error-message">
+              {errorMessage(previewMutation.error || convertMutation.error)}
+            </div>
+          )}
+
+          <div className="modal-actions">
+            <button type="button" className="btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn-primary"
+              onClick={handleConvert}
+              disabled={!report || previewMutation.isPending || convertMutation.isPending}
+            >
+              {convertMutation.isPending ? 'Converting...' : 'Change Type'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConvertColumnModal;
@@ -0,0 +1,59 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { exportApi } from '../api/endpoints';
+import { useSheetId } from '../hooks/useSheetId';
+import './ExportButton.css';
+
+const EXPORT_FORMATS = [
+  { format: 'csv', label: 'CSV (.csv)' },
+  { format: 'tsv', label: 'Tab separated (.tsv)' },
+  { format: 'json', label: 'JSON (.json)' },
+  { format: 'xlsx', label: 'Excel (.xlsx)' }
+];
+
+const ExportButton = () => {
+  const sheetId = useSheetId();
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close the menu when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  return (
+    <div className="export-container" ref={containerRef}>
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="export-btn"
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+      >
+        Export ▾
+      </button>
+      {isOpen && (
+        <div className="export-menu" role="menu">
+          {EXPORT_FORMATS.map(({ format, label }) => (
+            <a
+              key={format}
+              role="menuitem"
+              href={exportApi.getExportUrl(sheetId, format)}
+              download
+              onClick={() => setIsOpen(false)}
+            >
+              {label}
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportButton;
@@ -0,0 +1,291 @@
+import React, { useState } from 'react';
+import { useColumns, useImportPreview, useImportFile } from '../hooks/useApi';
+import './ColumnAddModal.css';
+import './ImportModal.css';
+
+const COLUMN_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'datetime', label: 'Date/Time' },
+  { value: 'date', label: 'Date' },
+  { value: 'time', label: 'Time' },
+  { value: 'boolean', label: 'Checkbox' },
+  { value: 'single_select', label: 'Single Select' },
+  { value: 'multi_select', label: 'Multi Select' }
+];
+
+// How many row errors to list before summarizing the rest
+const MAX_LISTED_ERRORS = 20;
+
+// Turn the plan returned by the server back into a request mapping
+const toMapping = (planColumns) => planColumns.reduce((mapping, entry) => {
+  if (entry.action === 'map') {
+    mapping[entry.header] = { action: 'map', column_id: entry.column_id };
+  } else if (entry.action === 'create') {
+    mapping[entry.header] = { action: 'create', column_type: entry.column_type };
+  } else {
+    mapping[entry.header] = { action: 'skip' };
+  }
+  return mapping;
+}, {});
+
+const RowErrors = ({ errors }) => {
+  if (!errors || errors.length === 0) return null;
+  return (
+    <div className="import-errors">
+      <h4>{errors.length} row{errors.length === 1 ? '' : 's'} will be skipped</h4>
+      <ul>
+        {errors.slice(0, MAX_LISTED_ERRORS).map(rowError => (
+          <li key={rowError.row}>
+            Row {rowError.row}: {rowError.errors.map(cellError => `${cellError.column}: ${cellError.error}`).join('; ')}
+          </li>
+        ))}
+      </ul>
+      {errors.length > MAX_LISTED_ERRORS && (
+        <div className="form-hint">…and {errors.length - MAX_LISTED_ERRORS} more</div>
+      )}
+    </div>
+  );
+};
+
+const ImportModal = ({ isOpen, onClose, onSuccess }) => {
+  const [file, setFile] = useState(null);
+  const [delimiter, setDelimiter] = useState(',');
+  const [mapping, setMapping] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const { data: columns } = useColumns();
+  const isWorkbook = file !== null && /\.xlsx$/i.test(file.name);
+  const previewMutation = useImportPreview();
+  const importMutation = useImportFile();
+
+  const errorMessage = (error) => error?.response?.data?.error || error?.message;
+
+  const reset = () => {
+    setFile(null);
+    setDelimiter(',');
+    setMapping(null);
+    setPreview(null);
+    setResult(null);
+    previewMutation.reset();
+    importMutation.reset();
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const runPreview = (nextMapping) => {
+    previewMutation.mutate({ file, mapping: nextMapping, delimiter }, {
+      onSuccess: (data) => {
+        setPreview(data);
+        setMapping(toMapping(data.columns));
+      }
+    });
+  };
+
+  const handlePreview = (e) => {
+    e.preventDefault();
+    if (!file) {
+      alert('Choose a CSV or Excel file to import');
+      return;
+    }
+    runPreview(null);
+  };
+
+  const handleMappingChange = (header, target) => {
+    let entry;
+    if (target === 'skip') {
+      entry = { action: 'skip' };
+    } else if (target === 'create') {
+      entry = { action: 'create', column_type: 'text' };
+    } else {
+      entry = { action: 'map', column_id: parseInt(target.replace('map:', ''), 10) };
+    }
+    runPreview({ ...mapping, [header]: entry });
+  };
+
+  const handleTypeChange = (header, columnType) => {
+    runPreview({ ...mapping, [header]: { action: 'create', column_type: columnType } });
+  };
+
+  const handleImport = () => {
+    importMutation.mutate({ file, mapping, delimiter }, {
+      onSuccess: (data) => {
+        setResult(data);
+        if (onSuccess) onSuccess(data);
+      }
+    });
+  };
+
+  if (!isOpen) return null;
+
+  const targetValue = (entry) => (entry.action === 'map' ? `map:${entry.column_id}` : entry.action);
+  const importableColumns = (columns || []).filter(column => column.column_type !== 'formula');
+
+  return (
+    <div className="modal-overlay" onClick={handleClose}>
+      <div className="modal-content import-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Import Data</h2>
+          <button className="modal-close" onClick={handleClose}>×</button>
+        </div>
+
+        {result ? (
+          <div className="modal-form">
+            <p className="import-result">
+              Imported {result.imported_rows} of {result.total_rows} rows.
+            </p>
+            <RowErrors errors={result.errors} />
+            <div className="modal-actions">
+              <button type="button" className="btn-primary" onClick={handleClose}>
+                Done
+              </button>
+            </div>
+          </div>
+        ) : !preview ? (
+          <form className="modal-form" onSubmit={handlePreview}>
+            <div className="form-group">
+              <label htmlFor="import-file">File</label>
+              <input
+                id="import-file"
+                type="file"
+                accept=".csv,.tsv,.txt,.xlsx,text/csv"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+              />
+              <div className="form-hint">
+                CSV or Excel (.xlsx). The first row must contain the column headers. Headers
+                matching an existing column are imported into it; the others become new columns.
+                From a workbook, the first sheet is read up to the first empty row.
+              </div>
+            </div>
+
+            {!isWorkbook && (
+              <div className="form-group">
+                <label htmlFor="csv-delimiter">Delimiter</label>
+                <select
+                  id="csv-delimiter"
+                  value={delimiter}
+                  onChange={(e) => setDelimiter(e.target.value)}
+                >
+                  <option value=",">Comma (,)</option>
+                  <option value=";">Semicolon (;)</option>
+                  <option value="tab">Tab</option>
+                </select>
+              </div>
+            )}
+
+            {previewMutation.error && (
+              <div className="error-message">{errorMessage(previewMutation.error)}</div>
+            )}
+
+            <div className="modal-actions">
+              <button type="button" className="btn-secondary" onClick={handleClose}>
+                Cancel
+              </button>
+              <button type="submit" className="btn-primary" disabled={previewMutation.isPending}>
+                {previewMutation.isPending ? 'Reading...' : 'Preview'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="modal-form">
+            <table className="import-mapping">
+              <thead>
+                <tr>
+                  <th>File column</th>
+                  <th>Import into</th>
+                  <th>Type</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.columns.map(entry => (
+                  <tr key={entry.header}>
+                    <td>{entry.header}</td>
+                    <td>
+                      <select
+                        aria-label={`Import ${entry.header} into`}
+                        value={targetValue(entry)}
+                        onChange={(e) => handleMappingChange(entry.header, e.target.value)}
+                        disabled={previewMutation.isPending}
+                      >
+                        <option value="create">New column</option>
+                        {importableColumns.map(column => (
+                          <option key={column.id} value={`map:${column.id}`}>{column.column_name}</option>
+                        ))}
+                        <option value="skip">Don't import</option>
+                      </select>
+                    </td>
+                    <td>
+                      {entry.action === 'create' ? (
+                        <select
+                          aria-label={`Type of ${entry.header}`}
+                          value={entry.column_type}
+                          onChange={(e) => handleTypeChange(entry.header, e.target.value)}
+                          disabled={previewMutation.isPending}
+                        >
+                          {COLUMN_TYPES.map(type => (
+                            <option key={type.value} value={type.value}>{type.label}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className="form-hint">{entry.column_type || '—'}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="import-preview">
+              <table>
+                <thead>
+                  <tr>
+                    {preview.headers.map(header => <th key={header}>{header}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.preview.map((record, rowIndex) => (
+                    <tr key={rowIndex}>
+                      {preview.headers.map((header, index) => <td key={header}>{record[index]}</td>)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <p className="import-result">
+              {preview.valid_rows} of {preview.total_rows} rows are ready to import.
+              {preview.ignored_rows > 0 && ` ${preview.ignored_rows} blank or summary rows were left out.`}
+            </p>
+            <RowErrors errors={preview.errors} />
+
+            {(previewMutation.error || importMutation.error) && (
+              <div className="error-message">
+                {errorMessage(previewMutation.error || importMutation.error)}
+              </div>
+            )}
+
+            <div className="modal-actions">
+              <button type="button" className="btn-secondary" onClick={reset}>
+                Back
+              </button>
+              <button
+                type="button"
+                className="btn-primary"
+                onClick={handleImport}
+                disabled={importMutation.isPending || previewMutation.isPending || preview.valid_rows === 0}
+              >
+                {importMutation.isPending ? 'Importing...' : `Import ${preview.valid_rows} Rows`}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportModal;
@@ -1,15 +1,37 @@
-import React, { useState, useEffect } from 'react';
-import { useUpdateCell } from '../hooks/useApi';
+import React, { useState, useEffect, useRef } from 'react';
+import { useUpdateCell, useAddOption } from '../hooks/useApi';
+import CellHistoryPopover from './CellHistoryPopover';
+import MultiSelectPicker from './MultiSelectPicker';
+import OptionChip from './OptionChip';
+import { offeredOptions, selectedOptions } from '../utils/selectOptions';
+import { DATE_TYPES, formatDateValue, toDateTimeInput, fromDateTimeInput } from '../utils/dateTime';
 import './InlineCell.css';
 
-const InlineCell = ({ row, column, value }) => {
+// Column types whose editor starts with the character typed on the active cell
+const TYPED_EDIT_TYPES = ['text', 'number'];
+
+// Text an editor starts from. Datetimes are edited on the wall clock of the
+// column's timezone.
+const editText = (type, value, timeZone) => {
+  if (type === 'datetime') return value ? toDateTimeInput(value, timeZone) : '';
+  return String(value ?? '');
+};
+
+// `editRequest` ({ text }) starts editing from the keyboard, with `text`
+// replacing the value when it is not null. `onEditEnd(move)` reports how
+// editing ended: 'down' (Enter), 'next' or 'previous' (Tab, Shift+Tab) or
+// null (Escape).
+const InlineCell = ({ row, column, value, formulaError, editRequest, onEditEnd }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editValue, setEditValue] = useState('');
   const [displayValue, setDisplayValue] = useState('');
   const [error, setError] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
   
   const updateCellMutation = useUpdateCell();
-
+  const addOptionMutation = useAddOption();
+  const handledEditRequest = useRef(null);
+  const checkboxRef = useRef(null);
 
   // Initialize display value
   useEffect(() => {
@@ -20,24 +42,44 @@ const InlineCell = ({ row, column, value }) => {
       setDisplayValue('');
       setEditValue('');
     }
-  }, [value, column.column_type]);
+  }, [value, column.column_type, column.display_format, column.display_timezone]);
+
+  // Start editing when the table asks (Enter, F2 or typing on the active cell)
+  useEffect(() => {
+    if (!editRequest || editRequest === handledEditRequest.current) return;
+    handledEditRequest.current = editRequest;
+    if (column.column_type === 'formula') return;
+
+    setIsEditing(true);
+    if (column.column_type === 'multi_select' || column.column_type === 'boolean') return;
+    if (editRequest.text !== null && TYPED_EDIT_TYPES.includes(column.column_type)) {
+      setEditValue(editRequest.text);
+    } else {
+      setEditValue(editText(column.column_type, value, column.display_timezone));
+    }
+  }, [editRequest, column.column_type, column.display_timezone, value]);
+
+  // Editing a checkbox from the keyboard focuses it; Space or Enter toggles it
+  useEffect(() => {
+    if (isEditing && column.column_type === 'boolean' && checkboxRef.current) {
+      checkboxRef.current.focus();
+    }
+  }, [isEditing, column.column_type]);
+
+  const endEdit = (move) => {
+    if (onEditEnd) onEditEnd(move);
+  };
 
   const formatDisplayValue = (val, type) => {
     if (val === null || val === undefined) return '';
     
     switch (type) {
       case 'datetime':
-        return new Date(val).toLocaleString();
+      case 'date':
+      case 'time':
+        return formatDateValue(column, val);
       case 'multi_select':
-        if (Array.isArray(val) && val.length > 0) {
-          // Convert option IDs to skill names
-          const skillNames = val.map(id => {
-            const option = column.options?.find(opt => opt.id === id);
-            return option ? option.label : id;
-          });
-          return skillNames.join(', ');
-        }
-        return 'Click to select skills';
+        return Array.isArray(val) ? selectedOptions(column, val).map(option => option.label).join(', ') : '';
       case 'single_select':
         // Find the option label for the selected value
         if (!column.options || column.options.length === 0) {
@@ -49,31 +91,85 @@ const InlineCell = ({ row, column, value }) => {
           parseInt(opt.id) === parseInt(val)
         );
         return option ? option.label : String(val);
+      case 'formula':
+        if (typeof val === 'boolean') {
+          return val ? 'TRUE' : 'FALSE';
+        }
+        return String(val);
       default:
         return String(val);
     }
   };
 
   const handleCellClick = () => {
+    // The checkbox saves on its own click
+    if (column.column_type === 'boolean') return;
     if (column.column_type === 'multi_select') {
-      // For multi-select, toggle editing mode
-      setIsEditing(!isEditing);
+      // The picker opens over the cell
+      setIsEditing(true);
       return;
     }
     setIsEditing(true);
-    setEditValue(String(value || ''));
+    setEditValue(editText(column.column_type, value, column.display_timezone));
   };
 
-  const handleMultiSelectBlur = () => {
-    // Auto-save multi-select when clicking elsewhere
+  const handleMultiSelectClose = (move) => {
     setIsEditing(false);
+    endEdit(move);
   };
 
   const handleKeyDown = (e) => {
     if (e.key === 'Enter') {
-      handleSave();
+      if (handleSave()) endEdit('down');
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      if (handleSave()) endEdit(e.shiftKey ? 'previous' : 'next');
+    } else if (e.key === 'Escape') {
+      handleCancel();
+      endEdit(null);
+    }
+  };
+
+  // Save the flipped value at once; the checkbox shows it while it saves
+  const handleToggle = () => {
+    const checked = editValue !== true;
+    setError('');
+    setEditValue(checked);
+    updateCellMutation.mutate({
+      row_id: row.id,
+      column_id: column.id,
+      data_type: 'boolean',
+      value: checked
+    }, {
+      onError: (error) => {
+        setEditValue(value === true);
+        setError(getErrorMessage(error));
+      }
+    });
+  };
+
+  const handleCheckboxKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleToggle();
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      setIsEditing(false);
+      endEdit(e.shiftKey ? 'previous' : 'next');
+    } else if (e.key === 'Escape') {
+      setIsEditing(false);
+      endEdit(null);
+    }
+  };
+
+  const handleSelectKeyDown = (e) => {
+    if (e.key === 'Tab') {
+      e.preventDefault();
+      setIsEditing(false);
+      endEdit(e.shiftKey ? 'previous' : 'next');
     } else if (e.key === 'Escape') {
       handleCancel();
+      endEdit(null);
     }
   };
 
@@ -81,6 +177,7 @@ const InlineCell = ({ row, column, value }) => {
     handleSave();
   };
 
+  // Returns false when the value is invalid and the editor stays open
   const handleSave = () => {
     // Clear any previous errors
     setError('');
@@ -89,10 +186,15 @@ const InlineCell = ({ row, column, value }) => {
     const validationError = validateInput(editValue, column.column_type);
     if (validationError) {
       setError(validationError);
-      return;
+      return false;
     }
     
-    if (editValue !== value) {
+    // A date or time left as it was is not saved, so the stored instant
+    // never moves
+    const changed = DATE_TYPES.includes(column.column_type)
+      ? editValue !== editText(column.column_type, value, column.display_timezone)
+      : editValue !== value;
+    if (changed) {
       updateCellMutation.mutate({
         row_id: row.id,
         column_id: column.id,
@@ -100,7 +202,7 @@ const InlineCell = ({ row, column, value }) => {
         value: parseValue(editValue, column.column_type)
       }, {
         onSuccess: () => {
-          setDisplayValue(formatDisplayValue(editValue, column.column_type));
+          setDisplayValue(formatDisplayValue(parseValue(editValue, column.column_type), column.column_type));
           setIsEditing(false);
           setError('');
         },
@@ -112,6 +214,7 @@ const InlineCell = ({ row, column, value }) => {
     } else {
       setIsEditing(false);
     }
+    return true;
   };
 
   const handleSelectChange = (newValue) => {
@@ -135,8 +238,32 @@ const InlineCell = ({ row, column, value }) => {
     });
   };
 
+  // Put back a value from the cell history
+  const handleRestore = (restoredValue, historyId) => {
+    setError('');
+    updateCellMutation.mutate({
+      row_id: row.id,
+      column_id: column.id,
+      data_type: column.column_type,
+      value: restoredValue,
+      history_id: historyId
+    }, {
+      onSuccess: () => {
+        setShowHistory(false);
+      },
+      onError: (error) => {
+        setError(getErrorMessage(error));
+      }
+    });
+  };
+
+  const toggleHistory = (e) => {
+    e.stopPropagation();
+    setShowHistory(open => !open);
+  };
+
   const handleCancel = () => {
-    setEditValue(String(value || ''));
+    setEditValue(editText(column.column_type, value, column.display_timezone));
     setIsEditing(false);
     setError('');
   };
@@ -153,16 +280,26 @@ const InlineCell = ({ row, column, value }) => {
         }
         break;
       case 'datetime':
-        if (isNaN(Date.parse(val))) {
+        if (fromDateTimeInput(val, column.display_timezone) === null) {
           return 'Invalid date';
         }
         // Additional validation for reasonable date range
-        const date = new Date(val);
+        const date = new Date(fromDateTimeInput(val, column.display_timezone));
         const currentYear = new Date().getFullYear();
         if (date.getFullYear() < 1900 || date.getFullYear() > currentYear + 10) {
           return 'Invalid date';
         }
         break;
+      case 'date':
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(val)) {
+          return 'Invalid date';
+        }
+        break;
+      case 'time':
+        if (!/^\d{2}:\d{2}(:\d{2})?$/.test(val)) {
+          return 'Invalid time';
+        }
+        break;
       case 'text':
         if (typeof val !== 'string') {
           return 'Please enter text';
@@ -187,7 +324,10 @@ const InlineCell = ({ row, column, value }) => {
       case 'number':
         return parseFloat(val) || 0;
       case 'datetime':
-        return new Date(val).toISOString();
+        return fromDateTimeInput(val, column.display_timezone);
+      case 'date':
+      case 'time':
+        return val === '' ? null : val;
       case 'single_select':
         return parseInt(val) || 0;
       default:
@@ -195,25 +335,46 @@ const InlineCell = ({ row, column, value }) => {
     }
   };
 
-  const handleMultiSelectChange = (optionId, checked) => {
-    const currentValues = Array.isArray(value) ? [...value] : [];
-    let newValues;
-    
-    if (checked) {
-      newValues = [...currentValues, optionId];
-    } else {
-      newValues = currentValues.filter(id => id !== optionId);
-    }
-    
+  // Save the options chosen in the picker
+  const handleMultiSelectCommit = (newValues) => {
+    setError('');
     updateCellMutation.mutate({
       row_id: row.id,
       column_id: column.id,
       data_type: 'multi_select',
       value: newValues
+    }, {
+      onError: (error) => setError(getErrorMessage(error))
     });
   };
 
+  // Add a label typed in the picker as a new option. Resolves to the
+  // option, or null when it could not be added.
+  const handleCreateOption = (label) => {
+    setError('');
+    return addOptionMutation.mutateAsync({ columnId: column.id, label })
+      .then(({ option }) => option)
+      .catch(error => {
+        setError(getErrorMessage(error));
+        return null;
+      });
+  };
+
+  // Select cells show their options as chips
+  const renderChips = () => {
+    const ids = Array.isArray(value) ? value : [value];
+    const options = selectedOptions(column, ids);
+    if (options.length === 0) return null;
+    return (
+      <span className="option-chips cell-value">
+        {options.map(option => <OptionChip key={option.id} option={option} />)}
+      </span>
+    );
+  };
+
   const renderInput = () => {
+    // Archived options are only listed for the cells that hold them
+    const options = offeredOptions(column, Array.isArray(value) ? value : [value]);
     switch (column.column_type) {
       case 'text':
         return (
@@ -265,7 +426,7 @@ const InlineCell = ({ row, column, value }) => {
         return (
           <input
             type="datetime-local"
-            value={editValue ? new Date(editValue).toISOString().slice(0, 16) : ''}
+            value={editValue}
             onChange={(e) => {
               setEditValue(e.target.value);
               // Real-time validation for datetime
@@ -284,18 +445,38 @@ const InlineCell = ({ row, column, value }) => {
           />
         );
       
+      case 'date':
+      case 'time':
+        return (
+          <input
+            type={column.column_type}
+            step={column.column_type === 'time' ? 1 : undefined}
+            value={editValue}
+            onChange={(e) => {
+              setEditValue(e.target.value);
+              setError(validateInput(e.target.value, column.column_type) || '');
+            }}
+            onKeyDown={handleKeyDown}
+            onBlur={handleBlur}
+            className={`cell-input datetime-input ${error ? 'error' : ''}`}
+            aria-label={`Edit ${column.column_name}`}
+            autoFocus
+          />
+        );
+      
       case 'single_select':
         return (
           <select
             value={editValue}
             onChange={(e) => handleSelectChange(e.target.value)}
+            onKeyDown={handleSelectKeyDown}
             className="cell-select"
             aria-label={`Edit ${column.column_name}`}
             autoFocus
           >
             <option value="">Select...</option>
-            {column.options && column.options.length > 0 ? (
-              column.options.map(option => (
+            {options.length > 0 ? (
+              options.map(option => (
                 <option key={option.id} value={option.id}>
                   {option.label}
                 </option>
@@ -308,35 +489,13 @@ const InlineCell = ({ row, column, value }) => {
       
       case 'multi_select':
         return (
-          <div className="multi-select-container" onBlur={handleMultiSelectBlur}>
-            <div className="multi-select-header">
-              <span className="multi-select-title">Select Skills:</span>
-              <button 
-                type="button" 
-                className="multi-select-close"
-                onClick={() => setIsEditing(false)}
-              >
-                ✓ Done
-              </button>
-            </div>
-            {column.options && column.options.length > 0 ? (
-              column.options.map(option => {
-                const isSelected = Array.isArray(value) && value.includes(option.id);
-                return (
-                  <label key={option.id} className="multi-select-option">
-                    <input
-                      type="checkbox"
-                      checked={isSelected}
-                      onChange={(e) => handleMultiSelectChange(option.id, e.target.checked)}
-                    />
-                    {option.label}
-                  </label>
-                );
-              })
-            ) : (
-              <div className="no-options">No options available</div>
-            )}
-          </div>
+          <MultiSelectPicker
+            column={column}
+            value={value}
+            onCommit={handleMultiSelectCommit}
+            onCreate={column.allow_new_options ? handleCreateOption : null}
+            onClose={handleMultiSelectClose}
+          />
         );
       
       default:
@@ -344,7 +503,28 @@ const InlineCell = ({ row, column, value }) => {
     }
   };
 
-  if (isEditing && column.column_type !== 'multi_select') {
+  // Formula cells are computed by the server and never editable
+  if (column.column_type === 'formula') {
+    return (
+      <div className="inline-cell-container">
+        <div
+          className={`cell-content formula-cell ${formulaError ? 'error' : ''}`}
+          title={column.formula || undefined}
+          aria-readonly="true"
+        >
+          {formulaError ? (
+            <span className="formula-error">{formulaError}</span>
+          ) : (
+            <span className={displayValue ? 'cell-value' : 'empty-cell'}>
+              {displayValue}
+            </span>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  if (isEditing && column.column_type !== 'multi_select' && column.column_type !== 'boolean') {
     return (
       <div className="cell-editing">
         {renderInput()}
@@ -358,14 +538,21 @@ const InlineCell = ({ row, column, value }) => {
         className={`cell-content ${column.column_type === 'multi_select' ? 'multi-select-cell' : ''} ${error ? 'error' : ''}`}
         onClick={handleCellClick}
       >
-        {column.column_type === 'multi_select' ? (
-          isEditing ? (
-            <div className="multi-select-display">
-              {renderInput()}
-            </div>
-          ) : (
-            <span className={displayValue ? 'cell-value' : 'empty-cell'}>
-              {displayValue || 'Click to select skills'}
+        {column.column_type === 'boolean' ? (
+          <input
+            ref={checkboxRef}
+            type="checkbox"
+            className="cell-checkbox"
+            checked={editValue === true}
+            onChange={handleToggle}
+            onKeyDown={handleCheckboxKeyDown}
+            onBlur={() => setIsEditing(false)}
+            aria-label={column.column_name}
+          />
+        ) : column.column_type === 'multi_select' || (column.column_type === 'single_select' && column.options?.length > 0) ? (
+          renderChips() || (
+            <span className="empty-cell">
+              {column.column_type === 'multi_select' ? `Click to choose ${column.column_name}` : 'Click to edit'}
             </span>
           )
         ) : (
@@ -374,6 +561,27 @@ const InlineCell = ({ row, column, value }) => {
           </span>
         )}
       </div>
+      {isEditing && column.column_type === 'multi_select' && renderInput()}
+      {!isEditing && (
+        <button
+          type="button"
+          className="cell-history-btn"
+          onClick={toggleHistory}
+          title="Show history"
+          aria-label={`Show history of ${column.column_name}`}
+        >
+          🕘
+        </button>
+      )}
+      {showHistory && (
+        <CellHistoryPopover
+          row={row}
+          column={column}
+          onRestore={handleRestore}
+          onClose={() => setShowHistory(false)}
+          isRestoring={updateCellMutation.isPending}
+        />
+      )}
       {error && (
         <div className="cell-error">
           {error}
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import OptionChip from './OptionChip';
+import {
+  offeredOptions,
+  selectedOptions,
+  matchingOptions,
+  canCreateOption,
+  sameOptionIds,
+  withAllOptions
+} from '../utils/selectOptions';
+import './MultiSelectPicker.css';
+
+// Editor for a multi_select value: the chosen options as chips and a search
+// box listing the options still to choose. Changes are kept in a draft and
+// `onCommit(ids)` is called once, with the new option ids, when the editor
+// is left with Done, Tab or by moving the focus elsewhere; Escape drops the
+// draft. With `onCreate(label)`, which resolves to the new option (or null
+// when it could not be added), a label no option has can be added as a new
+// option. `onClose(move)` then reports how the editor was left: 'next' or
+// 'previous' (Tab, Shift+Tab) or null.
+const MultiSelectPicker = ({ column, value, onCommit, onCreate, onClose }) => {
+  const initial = Array.isArray(value) ? value : [];
+  const [draft, setDraft] = useState(initial);
+  const [query, setQuery] = useState('');
+  const [highlighted, setHighlighted] = useState(0);
+
+  const chosen = selectedOptions(column, draft);
+  const matches = matchingOptions(
+    offeredOptions(column).filter(option => !draft.includes(option.id)),
+    query
+  );
+  const creatable = Boolean(onCreate) && canCreateOption(column, query);
+  // The list entries: the matching options, then "Create" when possible
+  const entryCount = matches.length + (creatable ? 1 : 0);
+  const active = Math.min(highlighted, entryCount - 1);
+
+  const finish = (move) => {
+    if (!sameOptionIds(draft, initial)) onCommit(draft);
+    onClose(move);
+  };
+
+  const choose = (index) => {
+    if (index < matches.length) {
+      setDraft([...draft, matches[index].id]);
+    } else if (creatable) {
+      onCreate(query.trim()).then(option => {
+        if (option) setDraft(current => [...current, option.id]);
+      });
+    }
+    setQuery('');
+    setHighlighted(0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(Math.min(active + 1, entryCount - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(Math.max(active - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (active >= 0) choose(active);
+    } else if (e.key === 'Backspace' && query === '' && draft.length > 0) {
+      setDraft(draft.slice(0, -1));
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      finish(e.shiftKey ? 'previous' : 'next');
+    } else if (e.key === 'Escape') {
+      onClose(null);
+    }
+  };
+
+  const handleBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) finish(null);
+  };
+
+  // Buttons keep the focus in the search box, so the editor stays open
+  const keepFocus = (e) => e.preventDefault();
+
+  return (
+    <div
+      className="multi-select-picker"
+      onBlur={handleBlur}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="picker-header">
+        <span className="picker-title">{column.column_name}</span>
+        <button
+          type="button"
+          className="picker-action"
+          onMouseDown={keepFocus}
+          onClick={() => setDraft(withAllOptions(column, draft))}
+        >
+          Select all
+        </button>
+        <button
+          type="button"
+          className="picker-action"
+          onMouseDown={keepFocus}
+          onClick={() => setDraft([])}
+          disabled={draft.length === 0}
+        >
+          Clear
+        </button>
+        <button
+          type="button"
+          className="picker-done"
+          onMouseDown={keepFocus}
+          onClick={() => finish(null)}
+        >
+          Done
+        </button>
+      </div>
+      <div className="picker-field">
+        {chosen.map(option => (
+          <OptionChip
+            key={option.id}
+            option={option}
+            onRemove={() => setDraft(draft.filter(id => id !== option.id))}
+          />
+        ))}
+        <input
+          className="picker-search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setHighlighted(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder={chosen.length === 0 ? `Find ${column.column_name}...` : ''}
+          aria-label={`Find ${column.column_name}`}
+          autoFocus
+        />
+      </div>
+      <ul className="picker-list" role="listbox" aria-label={column.column_name}>
+        {matches.map((option, index) => (
+          <li
+            key={option.id}
+            role="option"
+            aria-selected={index === active}
+            className={`picker-entry ${index === active ? 'highlighted' : ''}`}
+            onMouseDown={keepFocus}
+            onMouseEnter={() => setHighlighted(index)}
+            onClick={() => choose(index)}
+          >
+            <OptionChip option={option} />
+          </li>
+        ))}
+        {creatable && (
+          <li
+            role="option"
+            aria-selected={active === matches.length}
+            className={`picker-entry picker-create ${active === matches.length ? 'highlighted' : ''}`}
+            onMouseDown={keepFocus}
+            onMouseEnter={() => setHighlighted(matches.length)}
+            onClick={() => choose(matches.length)}
+          >
+            Create "{query.trim()}"
+          </li>
+        )}
+        {entryCount === 0 && (
+          <li className="picker-empty">
+            {query.trim() ? 'No matching options' : 'No more options'}
+          </li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+export default MultiSelectPicker;
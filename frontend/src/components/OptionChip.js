@@ -0,0 +1,29 @@
+import React from 'react';
+import { optionColor } from '../utils/selectOptions';
+import './OptionChip.css';
+
+// An option of a select column shown as a chip in its color. With
+// `onRemove` the chip has a × button that drops it.
+const OptionChip = ({ option, onRemove }) => (
+  <span
+    className={`option-chip ${option.is_active === false ? 'archived' : ''}`}
+    style={{ background: optionColor(option) }}
+    title={option.is_active === false ? `${option.label} (archived)` : option.label}
+  >
+    <span className="option-chip-label">{option.label}</span>
+    {onRemove && (
+      <button
+        type="button"
+        className="option-chip-remove"
+        // Keep the focus in the editor the chip is in
+        onMouseDown={(e) => e.preventDefault()}
+        onClick={onRemove}
+        aria-label={`Remove ${option.label}`}
+      >
+        ×
+      </button>
+    )}
+  </span>
+);
+
+export default OptionChip;
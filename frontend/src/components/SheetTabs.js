@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { useCreateSheet, useRenameSheet, useDuplicateSheet, useDeleteSheet } from '../hooks/useApi';
+import DeleteConfirmModal from './DeleteConfirmModal';
+import './SheetTabs.css';
+
+// First free "Sheet N" name
+export const nextSheetName = (sheets) => {
+  const names = new Set(sheets.map(sheet => sheet.name.toLowerCase()));
+  let n = sheets.length + 1;
+  while (names.has(`sheet ${n}`)) n++;
+  return `Sheet ${n}`;
+};
+
+const errorMessage = (error, fallback) => error?.response?.data?.error || fallback;
+
+const SheetTabs = ({ sheets = [], activeSheetId, onSelect }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+  const [sheetToDelete, setSheetToDelete] = useState(null);
+
+  const createSheetMutation = useCreateSheet();
+  const renameSheetMutation = useRenameSheet();
+  const duplicateSheetMutation = useDuplicateSheet();
+  const deleteSheetMutation = useDeleteSheet();
+
+  const handleAdd = async () => {
+    try {
+      const sheet = await createSheetMutation.mutateAsync({ name: nextSheetName(sheets) });
+      onSelect(sheet.id);
+    } catch (error) {
+      console.error('Create sheet error:', error);
+      alert(errorMessage(error, 'Failed to add sheet. Please try again.'));
+    }
+  };
+
+  const startRename = (sheet) => {
+    setEditingId(sheet.id);
+    setDraftName(sheet.name);
+  };
+
+  const finishRename = async () => {
+    const sheet = sheets.find(s => s.id === editingId);
+    const name = draftName.trim();
+    setEditingId(null);
+    if (!sheet || name === '' || name === sheet.name) return;
+
+    try {
+      await renameSheetMutation.mutateAsync({ id: sheet.id, name });
+    } catch (error) {
+      console.error('Rename sheet error:', error);
+      alert(errorMessage(error, 'Failed to rename sheet. Please try again.'));
+    }
+  };
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      finishRename();
+    } else if (e.key === 'Escape') {
+      setEditingId(null);
+    }
+  };
+
+  const handleDuplicate = async (sheet) => {
+    try {
+      const copy = await duplicateSheetMutation.mutateAsync(sheet.id);
+      onSelect(copy.id);
+    } catch (error) {
+      console.error('Duplicate sheet error:', error);
+      alert(errorMessage(error, 'Failed to duplicate sheet. Please try again.'));
+    }
+  };
+
+  const confirmDelete = async () => {
+    const sheet = sheetToDelete;
+    try {
+      await deleteSheetMutation.mutateAsync(sheet.id);
+      setSheetToDelete(null);
+      if (sheet.id === activeSheetId) {
+        // Move to the neighbouring tab
+        const index = sheets.findIndex(s => s.id === sheet.id);
+        const remaining = sheets.filter(s => s.id !== sheet.id);
+        const next = remaining[Math.min(index, remaining.length - 1)];
+        if (next) onSelect(next.id);
+      }
+    } catch (error) {
+      console.error('Delete sheet error:', error);
+      setSheetToDelete(null);
+      alert(errorMessage(error, 'Failed to delete sheet. Please try again.'));
+    }
+  };
+
+  return (
+    <div className="sheet-tabs">
+      <div className="sheet-tab-list" role="tablist">
+        {sheets.map(sheet => {
+          const isActive = sheet.id === activeSheetId;
+          return (
+            <div key={sheet.id} className={`sheet-tab ${isActive ? 'active' : ''}`}>
+              {editingId === sheet.id ? (
+                <input
+                  className="sheet-tab-input"
+                  value={draftName}
+                  onChange={(e) => setDraftName(e.target.value)}
+                  onBlur={finishRename}
+                  onKeyDown={handleRenameKeyDown}
+                  aria-label="Sheet name"
+                  maxLength={255}
+                  autoFocus
+                />
+              ) : (
+                <button
+                  className="sheet-tab-name"
+                  role="tab"
+                  aria-selected={isActive}
+                  onClick={() => onSelect(sheet.id)}
+                  onDoubleClick={() => startRename(sheet)}
+                  title="Double-click to rename"
+                >
+                  {sheet.name}
+                </button>
+              )}
+              {isActive && editingId !== sheet.id && (
+                <span className="sheet-tab-actions">
+                  <button
+                    className="sheet-tab-action"
+                    onClick={() => handleDuplicate(sheet)}
+                    disabled={duplicateSheetMutation.isPending}
+                    title="Duplicate sheet"
+                    aria-label={`Duplicate ${sheet.name}`}
+                  >
+                    ⧉
+                  </button>
+                  {sheets.length > 1 && (
+                    <button
+                      className="sheet-tab-action"
+                      onClick={() => setSheetToDelete(sheet)}
+                      title="Delete sheet"
+                      aria-label={`Delete ${sheet.name}`}
+                    >
+                      ×
+                    </button>
+                  )}
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <button
+        className="sheet-tab-add"
+        onClick={handleAdd}
+        disabled={createSheetMutation.isPending}
+        title="Add sheet"
+        aria-label="Add sheet"
+      >
+        +
+      </button>
+
+      <DeleteConfirmModal
+        isOpen={sheetToDelete !== null}
+        onClose={() => setSheetToDelete(null)}
+        onConfirm={confirmDelete}
+        title="Delete Sheet"
+        message="Are you sure you want to delete this sheet? Its columns and rows will no longer be shown."
+        itemName={sheetToDelete?.name}
+        itemType="Sheet"
+        isLoading={deleteSheetMutation.isPending}
+      />
+    </div>
+  );
+};
+
+export default SheetTabs;
@@ -1,7 +1,10 @@
 import React from 'react';
+import { formatDateValue } from '../utils/dateTime';
 import './SummaryRow.css';
 
-const SummaryRow = ({ columns, summary }) => {
+// `spaceBefore` and `spaceAfter` are the widths of the columns left out
+// before and after `columns` when the table renders only those in view
+const SummaryRow = ({ columns, summary, spaceBefore = 0, spaceAfter = 0 }) => {
   if (!columns || columns.length === 0) {
     return (
       <tr className="summary-row">
@@ -46,12 +49,36 @@ const SummaryRow = ({ columns, summary }) => {
         return (
           <div className="summary-content">
             <div className="summary-stat">
-              {new Date(summaryData).toLocaleString()}
+              {formatDateValue(column, summaryData)}
             </div>
             <div className="summary-text">(closest to now)</div>
           </div>
         );
       
+      case 'date':
+        return (
+          <div className="summary-content">
+            <div className="summary-stat">{formatDateValue(column, summaryData)}</div>
+            <div className="summary-text">(closest to today)</div>
+          </div>
+        );
+      
+      case 'time':
+        return (
+          <div className="summary-content">
+            <div className="summary-stat">Earliest: {formatDateValue(column, summaryData.earliest)}</div>
+            <div className="summary-stat">Latest: {formatDateValue(column, summaryData.latest)}</div>
+          </div>
+        );
+      
+      case 'boolean':
+        return (
+          <div className="summary-content">
+            <div className="summary-stat">Checked: {summaryData.checked} of {summaryData.total}</div>
+            <div className="summary-text">({summaryData.percentage}%)</div>
+          </div>
+        );
+      
       case 'single_select':
         if (!summaryData.most_frequent) {
           return <span className="summary-empty">No data</span>;
@@ -82,11 +109,13 @@ const SummaryRow = ({ columns, summary }) => {
   return (
     <tr className="summary-row">
       <td className="summary-header">Summary</td>
+      {spaceBefore > 0 && <td className="virtual-spacer" style={{ width: spaceBefore }} />}
       {columns.map(column => (
         <td key={column.id} className="summary-cell">
           {renderSummaryValue(column)}
         </td>
       ))}
+      {spaceAfter > 0 && <td className="virtual-spacer" style={{ width: spaceAfter }} />}
     </tr>
   );
 };
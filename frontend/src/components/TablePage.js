@@ -1,18 +1,111 @@
-import React, { useState, useEffect } from 'react';
-import { useColumns, useRows, useSummary } from '../hooks/useApi';
-import { columnsApi, rowsApi } from '../api/endpoints';
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  useColumns,
+  useRowChunks,
+  useSummary,
+  useDeleteColumn,
+  useDeleteRow,
+  useUndoRedo,
+  useRealtime,
+  usePasteCells,
+  useMoveRows,
+  useUpdateColumn
+} from '../hooks/useApi';
+import { useSheetId } from '../hooks/useSheetId';
 import ColumnAddModal from './ColumnAddModal';
+import ImportModal from './ImportModal';
+import ConvertColumnModal from './ConvertColumnModal';
+import ColumnOptionsModal from './ColumnOptionsModal';
+import ColumnFormatModal from './ColumnFormatModal';
 import AddRowButton from './AddRowButton';
+import ExportButton from './ExportButton';
 import InlineCell from './InlineCell';
 import SummaryRow from './SummaryRow';
 import DeleteConfirmModal from './DeleteConfirmModal';
+import { toggleSort, serializeSort } from '../utils/sort';
+import { getUndoShortcut } from '../utils/undoManager';
+import { presenceColor } from '../utils/realtime';
+import { parseTsv, formatTsv } from '../utils/tsv';
+import { dropPlacement } from '../utils/rowMove';
+import { columnDropSide, columnDropPlace } from '../utils/columnEdit';
+import { DATE_TYPES } from '../utils/dateTime';
+import {
+  normalizeRange,
+  isInRange,
+  ARROW_MOVES,
+  moveCell,
+  extendSelection,
+  rangeToText,
+  planPaste
+} from '../utils/cellRange';
+import {
+  ROW_HEIGHT,
+  ROW_HEADER_WIDTH,
+  ROW_OVERSCAN,
+  COLUMN_OVERSCAN,
+  columnWidth,
+  clampColumnWidth,
+  itemOffsets,
+  visibleRange,
+  visibleRangeOf,
+  revealOffset,
+  revealSpan
+} from '../utils/virtualWindow';
 import './TablePage.css';
 
+// Column types GET /rows can sort on
+const SORTABLE_TYPES = ['text', 'number', 'datetime', 'date', 'time', 'boolean', 'single_select'];
+// Column types with options to edit
+const SELECT_TYPES = ['single_select', 'multi_select'];
+
+// Most cells pasted at once (the limit of PATCH /cells/batch)
+const MAX_PASTE_CELLS = 5000;
+
+// Keyboard and clipboard events inside these belong to the field
+const isEditableTarget = (target) => Boolean(target) &&
+  (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+
 const TablePage = () => {
-  const [currentPage, setCurrentPage] = useState(1);
-  const [pageSize] = useState(10);
+  const sheetId = useSheetId();
+  const tableContainerRef = useRef(null);
+  // Scroll position and size of the table container; decides which rows and
+  // columns are rendered
+  const [viewport, setViewport] = useState({
+    scrollTop: 0,
+    scrollLeft: 0,
+    width: window.innerWidth,
+    height: window.innerHeight,
+    headerHeight: 0
+  });
   const [showColumnModal, setShowColumnModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
   const [showScrollToTop, setShowScrollToTop] = useState(false);
+  const [sort, setSort] = useState([]); // [{ columnId, direction }], primary key first
+  // Selected range: { anchor, focus } as { row, column } indexes into the shown rows and columns
+  const [selection, setSelection] = useState(null);
+  const [isSelecting, setIsSelecting] = useState(false);
+  // Cell being edited from the keyboard: { row, column, text }
+  const [editRequest, setEditRequest] = useState(null);
+  // Rows being dragged by their handle: { rowIds, top } where top is the
+  // index of the first, and where they would drop: { before | after: rowId }
+  const [draggedRows, setDraggedRows] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  // Column header being renamed (its id), column being dragged to a new
+  // place and where it would drop ({ columnId, side: 'before' | 'after' }),
+  // and column being resized with its width so far ({ columnId, width })
+  const [renamingColumnId, setRenamingColumnId] = useState(null);
+  const [draggedColumnId, setDraggedColumnId] = useState(null);
+  const [columnDrop, setColumnDrop] = useState(null);
+  const [resizing, setResizing] = useState(null);
+  // Column whose type is being changed
+  const [convertingColumn, setConvertingColumn] = useState(null);
+  // Select column whose options are being edited
+  const [optionsColumnId, setOptionsColumnId] = useState(null);
+  // Date or time column whose display format is being set
+  const [formattingColumn, setFormattingColumn] = useState(null);
+  // Sort before the last header click, put back when the click turns out to
+  // be the start of a double-click
+  const sortBeforeClickRef = useRef(sort);
   const [deleteModal, setDeleteModal] = useState({
     isOpen: false,
     type: null, // 'column' or 'row'
@@ -25,8 +118,40 @@ const TablePage = () => {
   
   // Fetch data
   const { data: columns, isLoading: columnsLoading, error: columnsError, refetch: refetchColumns } = useColumns();
-  const { data: rowsData, isLoading: rowsLoading, error: rowsError } = useRows(currentPage, pageSize);
+  const optionsColumn = (columns || []).find(column => column.id === optionsColumnId);
+  const rowsQuery = { sort: serializeSort(sort) };
+  // Rows are fetched in chunks as they scroll into view
+  const rowWindow = visibleRange(
+    viewport.scrollTop,
+    viewport.height - viewport.headerHeight,
+    ROW_HEIGHT,
+    Infinity,
+    ROW_OVERSCAN
+  );
+  const {
+    total: rowCount,
+    getRow,
+    loadRows,
+    isLoading: rowsLoading,
+    error: rowsError
+  } = useRowChunks(rowWindow.start, rowWindow.end, rowsQuery);
   const { data: summary, isLoading: summaryLoading, error: summaryError, refetch: refetchSummary } = useSummary();
+  const deleteColumnMutation = useDeleteColumn();
+  const deleteRowMutation = useDeleteRow();
+  const { canUndo, canRedo, undoLabel, redoLabel, undo, redo } = useUndoRedo();
+  // Other people's changes arrive live; `peers` are their active cells
+  const { peers, setActiveCell } = useRealtime();
+  const pasteCellsMutation = usePasteCells();
+  const moveRowsMutation = useMoveRows();
+  const updateColumnMutation = useUpdateColumn();
+
+  // Columns are as wide as saved, or as far as they have been dragged
+  const shownColumnWidth = (column) => (
+    resizing && resizing.columnId === column.id ? resizing.width : columnWidth(column)
+  );
+  const columnOffsets = itemOffsets((columns || []).map(shownColumnWidth));
+  const columnOffsetsRef = useRef(columnOffsets);
+  columnOffsetsRef.current = columnOffsets;
 
   // Debug logging
   console.log('=== COLUMN DEBUG INFO ===');
@@ -66,7 +191,8 @@ const TablePage = () => {
     setTimeout(async () => {
       try {
         console.log('Making direct API call as fallback...');
-        const response = await fetch('http://localhost:3001/api/columns');
+        const columnsPath = sheetId ? `/sheets/${sheetId}/columns` : '/columns';
+        const response = await fetch(`http://localhost:3001/api${columnsPath}`);
         const data = await response.json();
         console.log('Direct API fallback result:', data.length, 'columns');
         if (data.length > (columns?.length || 0)) {
@@ -77,7 +203,7 @@ const TablePage = () => {
         console.error('Direct API fallback error:', error);
       }
     }, 2000);
-  }, [refetchColumns, refetchSummary, columns?.length]);
+  }, [refetchColumns, refetchSummary, columns?.length, sheetId]);
 
   // Function to update scroll to top button
   const updateScrollToTopButton = (container) => {
@@ -87,7 +213,7 @@ const TablePage = () => {
 
   // Function to scroll to top
   const scrollToTop = () => {
-    const tableContainer = document.querySelector('.table-container');
+    const tableContainer = tableContainerRef.current;
     if (tableContainer) {
       tableContainer.scrollTo({
         top: 0,
@@ -97,6 +223,119 @@ const TablePage = () => {
     }
   };
 
+  // Sorting: click sorts by a column, shift-click adds a secondary key
+  const handleSortClick = (e, column) => {
+    if (!SORTABLE_TYPES.includes(column.column_type) || e.detail > 1) return;
+    sortBeforeClickRef.current = sort;
+    setSort(prev => toggleSort(prev, column.id, e.shiftKey));
+    scrollToTop();
+  };
+
+  // Double-clicking a column name renames it. The first click of the
+  // double-click sorted by the column, so that is undone.
+  const startRenamingColumn = (e, column) => {
+    e.stopPropagation();
+    if (SORTABLE_TYPES.includes(column.column_type)) setSort(sortBeforeClickRef.current);
+    setRenamingColumnId(column.id);
+  };
+
+  const finishRenamingColumn = (column, name) => {
+    setRenamingColumnId(null);
+    if (name.trim() === '' || name.trim() === column.column_name) return;
+    updateColumnMutation.mutate({ columnId: column.id, changes: { name: name.trim() } }, {
+      onError: (error) => alert(error?.response?.data?.error || 'Failed to rename the column. Please try again.')
+    });
+  };
+
+  // Enter saves and Escape cancels, both through the blur that saves
+  const handleRenameKeyDown = (e, column) => {
+    if (e.key === 'Enter' || e.key === 'Escape') {
+      e.preventDefault();
+      if (e.key === 'Escape') e.target.value = column.column_name;
+      e.target.blur();
+    }
+  };
+
+  // Columns are moved by dragging their header onto another one
+  const handleColumnDragStart = (e, column) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', column.column_name);
+    setDraggedColumnId(column.id);
+  };
+
+  const handleColumnDragOver = (e, column) => {
+    if (draggedColumnId === null || draggedColumnId === column.id) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const rect = e.currentTarget.getBoundingClientRect();
+    const side = columnDropSide(e.clientX - rect.left, rect.width);
+    if (!columnDrop || columnDrop.columnId !== column.id || columnDrop.side !== side) {
+      setColumnDrop({ columnId: column.id, side });
+    }
+  };
+
+  const handleColumnDragEnd = () => {
+    setDraggedColumnId(null);
+    setColumnDrop(null);
+  };
+
+  const handleColumnDrop = (e, column) => {
+    e.preventDefault();
+    const fromIndex = columns.findIndex(existing => existing.id === draggedColumnId);
+    const targetIndex = columns.findIndex(existing => existing.id === column.id);
+    if (fromIndex !== -1 && targetIndex !== -1 && columnDrop) {
+      const place = columnDropPlace(fromIndex, targetIndex, columnDrop.side);
+      if (place !== null) {
+        updateColumnMutation.mutate({ columnId: draggedColumnId, changes: { display_order: place } });
+        // The selection is by column index, which the move changes
+        setSelection(null);
+      }
+    }
+    handleColumnDragEnd();
+  };
+
+  // Dragging the right border of a header resizes the column; the width is
+  // saved when the mouse is let go
+  const startColumnResize = (e, column) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = columnWidth(column);
+    const widthAt = (event) => clampColumnWidth(startWidth + event.clientX - startX);
+
+    const handleMouseMove = (event) => setResizing({ columnId: column.id, width: widthAt(event) });
+    const handleMouseUp = (event) => {
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+      const width = widthAt(event);
+      if (width !== startWidth) {
+        updateColumnMutation.mutate({ columnId: column.id, changes: { width } });
+      }
+      setResizing(null);
+    };
+    setResizing({ columnId: column.id, width: startWidth });
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+  };
+
+  const getAriaSort = (column) => {
+    const key = sort.find(k => k.columnId === column.id);
+    if (!key) return undefined;
+    return key.direction === 'asc' ? 'ascending' : 'descending';
+  };
+
+  const renderSortIndicator = (column) => {
+    const index = sort.findIndex(key => key.columnId === column.id);
+    if (index === -1) return null;
+    return (
+      <span className="sort-indicator">
+        {sort[index].direction === 'asc' ? '▲' : '▼'}
+        {sort.length > 1 && <sup>{index + 1}</sup>}
+      </span>
+    );
+  };
+
   // Delete functions
   const handleDeleteColumn = (column) => {
     setDeleteModal({
@@ -116,20 +355,77 @@ const TablePage = () => {
     });
   };
 
+  // Rows can be dragged to a new place while they are shown in row order.
+  // Dragging a row of the selection moves all the selected rows.
+  const canMoveRows = sort.length === 0;
+
+  const handleRowDragStart = (e, row, rowIndex) => {
+    const bounds = selection && normalizeRange(selection);
+    let dragged = { rowIds: [row.id], top: rowIndex };
+    if (bounds && rowIndex >= bounds.top && rowIndex <= bounds.bottom) {
+      const rows = [];
+      for (let index = bounds.top; index <= bounds.bottom; index += 1) {
+        rows.push(getRow(index));
+      }
+      // Rows of the selection that were never loaded cannot be moved
+      if (rows.every(Boolean)) {
+        dragged = { rowIds: rows.map(selected => selected.id), top: bounds.top };
+      }
+    }
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', dragged.rowIds.join(','));
+    setDraggedRows(dragged);
+  };
+
+  const handleRowDragOver = (e, row) => {
+    if (!draggedRows || draggedRows.rowIds.includes(row.id)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const rect = e.currentTarget.getBoundingClientRect();
+    const placement = dropPlacement(row.id, e.clientY - rect.top, rect.height);
+    if (!dropTarget || dropTarget.before !== placement.before || dropTarget.after !== placement.after) {
+      setDropTarget(placement);
+    }
+  };
+
+  const handleRowDragEnd = () => {
+    setDraggedRows(null);
+    setDropTarget(null);
+  };
+
+  const handleRowDrop = (e, rowIndex) => {
+    e.preventDefault();
+    if (!draggedRows || !dropTarget) {
+      handleRowDragEnd();
+      return;
+    }
+    const { rowIds, top } = draggedRows;
+    moveRowsMutation.mutate({ rowIds, placement: dropTarget });
+
+    // Keep the moved selection selected where it lands
+    if (selection && rowIds.length > 1) {
+      const dropIndex = dropTarget.before ? rowIndex : rowIndex + 1;
+      const newTop = top < dropIndex ? dropIndex - rowIds.length : dropIndex;
+      const shift = newTop - top;
+      setSelection({
+        anchor: { ...selection.anchor, row: selection.anchor.row + shift },
+        focus: { ...selection.focus, row: selection.focus.row + shift }
+      });
+    }
+    handleRowDragEnd();
+  };
+
   const confirmDelete = async () => {
     if (!deleteModal.item) return;
 
     setDeleteModal(prev => ({ ...prev, isLoading: true }));
 
     try {
+      // Both can be undone with Ctrl+Z
       if (deleteModal.type === 'column') {
-        await columnsApi.deleteColumn(deleteModal.item.id);
-        await refetchColumns();
-        await refetchSummary();
+        await deleteColumnMutation.mutateAsync(deleteModal.item.id);
       } else if (deleteModal.type === 'row') {
-        await rowsApi.deleteRow(deleteModal.item.id);
-        // Refresh the current page
-        window.location.reload();
+        await deleteRowMutation.mutateAsync(deleteModal.item.id);
       }
       
       setDeleteModal({
@@ -145,6 +441,259 @@ const TablePage = () => {
     }
   };
 
+  // Undo/redo, from the toolbar buttons or Ctrl+Z / Ctrl+Shift+Z
+  const runUndoRedo = async (action) => {
+    try {
+      await (action === 'undo' ? undo() : redo());
+    } catch (error) {
+      console.error(`${action} error:`, error);
+      alert(`Failed to ${action}. The data may have changed since.`);
+    }
+  };
+
+  useEffect(() => {
+    const handleUndoKeyDown = (e) => {
+      const action = getUndoShortcut(e);
+      if (!action) return;
+      // Leave text fields their own undo
+      const target = e.target;
+      if (target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable)) {
+        return;
+      }
+      e.preventDefault();
+      runUndoRedo(action);
+    };
+    document.addEventListener('keydown', handleUndoKeyDown);
+    return () => document.removeEventListener('keydown', handleUndoKeyDown);
+  });
+
+  // Range selection: drag across cells, Shift+click or Shift+arrows to extend.
+  // The anchor is the active cell the keyboard moves and edits.
+  const selectCell = (cell) => {
+    setSelection({ anchor: cell, focus: cell });
+    const row = getRow(cell.row);
+    const column = columns?.[cell.column];
+    if (row && column) setActiveCell(row.id, column.id);
+  };
+
+  const handleCellMouseDown = (e, rowIndex, columnIndex) => {
+    if (e.button !== 0 || isEditableTarget(e.target)) return;
+    const cell = { row: rowIndex, column: columnIndex };
+    if (e.shiftKey && selection) {
+      e.preventDefault();
+      setSelection({ anchor: selection.anchor, focus: cell });
+      return;
+    }
+    setSelection({ anchor: cell, focus: cell });
+    setIsSelecting(true);
+  };
+
+  const handleCellMouseEnter = (rowIndex, columnIndex) => {
+    if (!isSelecting) return;
+    setSelection(prev => prev && { anchor: prev.anchor, focus: { row: rowIndex, column: columnIndex } });
+  };
+
+  useEffect(() => {
+    if (!isSelecting) return undefined;
+    const stopSelecting = () => setIsSelecting(false);
+    document.addEventListener('mouseup', stopSelecting);
+    return () => document.removeEventListener('mouseup', stopSelecting);
+  }, [isSelecting]);
+
+  // Indexes change meaning with the sort or sheet
+  useEffect(() => {
+    setSelection(null);
+    setEditRequest(null);
+  }, [sort, sheetId]);
+
+  // Keep the cell the keyboard moves to in view. It may not be rendered yet,
+  // so its position is worked out from the row height and column widths.
+  useEffect(() => {
+    const tableContainer = tableContainerRef.current;
+    if (!selection || !tableContainer) return;
+    const { row, column } = selection.focus;
+    const thead = tableContainer.querySelector('thead');
+    const scrollTop = revealOffset(
+      tableContainer.scrollTop,
+      tableContainer.clientHeight,
+      row,
+      ROW_HEIGHT,
+      thead ? thead.offsetHeight : 0
+    );
+    const offsets = columnOffsetsRef.current;
+    const scrollLeft = revealSpan(
+      tableContainer.scrollLeft,
+      tableContainer.clientWidth,
+      offsets[column] || 0,
+      offsets[column + 1] || 0,
+      ROW_HEADER_WIDTH
+    );
+    if (scrollTop !== tableContainer.scrollTop || scrollLeft !== tableContainer.scrollLeft) {
+      tableContainer.scrollTo({ top: scrollTop, left: scrollLeft });
+    }
+  }, [selection]);
+
+  // Editing ended in the cell at rowIndex, columnIndex; Enter and Tab move on
+  const handleEditEnd = (rowIndex, columnIndex, move) => {
+    setEditRequest(null);
+    if (move) {
+      selectCell(moveCell({ row: rowIndex, column: columnIndex }, move, rowCount, columns?.length || 0));
+    }
+  };
+
+  // Write a planned paste (see planPaste) at the top-left of the selection
+  const writePlan = async (plan, bounds, label) => {
+    try {
+      // The paste may run onto rows that have not been scrolled into view
+      const targetRows = await loadRows(bounds.top, bounds.top + plan.rowCount);
+      await pasteCellsMutation.mutateAsync({
+        cells: plan.cells,
+        rowCount: plan.rowCount,
+        rowIds: targetRows.map(row => row.id),
+        label
+      });
+    } catch (error) {
+      console.error('Paste error:', error);
+      alert(error?.response?.data?.error || 'Failed to save. Please try again.');
+    }
+  };
+
+  // Paste clipboard text at the top-left of the selection
+  const pasteText = async (text) => {
+    const matrix = parseTsv(text);
+    if (!selection || matrix.length === 0) return;
+    const bounds = normalizeRange(selection);
+    const plan = planPaste(matrix, bounds, columns);
+
+    if (plan.cells.length > MAX_PASTE_CELLS) {
+      alert(`Paste at most ${MAX_PASTE_CELLS} cells at a time.`);
+      return;
+    }
+    if (plan.errors.length > 0) {
+      const details = plan.errors.slice(0, 5)
+        .map(error => `Row ${error.rowOffset + 1}, ${error.column}: ${error.message}`)
+        .join('\n');
+      const more = plan.errors.length > 5 ? `\n…and ${plan.errors.length - 5} more` : '';
+      if (!window.confirm(`${plan.errors.length} cells cannot be pasted:\n${details}${more}\n\nPaste the other cells?`)) {
+        return;
+      }
+    }
+    if (plan.cells.length === 0) return;
+
+    await writePlan(plan, bounds, `Paste ${plan.cells.length} cells`);
+  };
+
+  // Delete clears every cell of the selection
+  const clearSelection = async () => {
+    const bounds = normalizeRange(selection);
+    const plan = planPaste([['']], bounds, columns);
+    if (plan.cells.length === 0) return;
+    await writePlan(plan, bounds, `Clear ${plan.cells.length} cells`);
+  };
+
+  // Keyboard navigation: arrows, Tab and Page Up/Down move the active cell,
+  // Enter or F2 edits it, typing starts editing with the typed character and
+  // Delete clears
+  const handleTableKeyDown = (e) => {
+    if (isEditableTarget(e.target) || e.defaultPrevented) return;
+    if (showColumnModal || showImportModal || convertingColumn || optionsColumn || formattingColumn || deleteModal.isOpen) return;
+    // Let focused buttons handle their own activation keys
+    if (e.target.tagName === 'BUTTON' && (e.key === 'Enter' || e.key === ' ')) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const columnCount = columns?.length || 0;
+    if (rowCount === 0 || columnCount === 0) return;
+
+    if (!selection) {
+      if (ARROW_MOVES[e.key] || e.key === 'Tab') {
+        e.preventDefault();
+        selectCell({ row: 0, column: 0 });
+      }
+      return;
+    }
+
+    const active = selection.anchor;
+    const moveTo = (move) => {
+      e.preventDefault();
+      selectCell(moveCell(active, move, rowCount, columnCount));
+    };
+
+    if (ARROW_MOVES[e.key]) {
+      if (e.shiftKey) {
+        e.preventDefault();
+        setSelection(prev => extendSelection(prev, e.key, rowCount, columnCount));
+      } else {
+        moveTo(ARROW_MOVES[e.key]);
+      }
+    } else if (e.key === 'Tab') {
+      moveTo(e.shiftKey ? 'previous' : 'next');
+    } else if (e.key === 'Home' || e.key === 'End') {
+      moveTo(e.key === 'Home' ? 'home' : 'end');
+    } else if (e.key === 'PageUp' || e.key === 'PageDown') {
+      e.preventDefault();
+      const pageRows = Math.max(1, Math.floor((viewport.height - viewport.headerHeight) / ROW_HEIGHT));
+      const step = e.key === 'PageDown' ? pageRows : -pageRows;
+      selectCell({ row: Math.max(0, Math.min(rowCount - 1, active.row + step)), column: active.column });
+    } else if (e.key === 'Enter' || e.key === 'F2') {
+      e.preventDefault();
+      setSelection({ anchor: active, focus: active });
+      setEditRequest({ ...active, text: null });
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      clearSelection();
+    } else if (e.key === 'Escape') {
+      setSelection({ anchor: active, focus: active });
+    } else if (e.key.length === 1) {
+      // A printable character replaces the value, as in other spreadsheets
+      e.preventDefault();
+      setSelection({ anchor: active, focus: active });
+      setEditRequest({ ...active, text: e.key });
+    }
+  };
+
+  useEffect(() => {
+    document.addEventListener('keydown', handleTableKeyDown);
+    if (!selection) {
+      return () => document.removeEventListener('keydown', handleTableKeyDown);
+    }
+
+    // Copy the selection as TSV, which Excel and Google Sheets paste as cells
+    const handleCopy = (e) => {
+      if (isEditableTarget(e.target)) return;
+      e.preventDefault();
+      const bounds = normalizeRange(selection);
+      const rows = [];
+      for (let index = bounds.top; index <= Math.min(bounds.bottom, rowCount - 1); index += 1) {
+        rows.push(getRow(index));
+      }
+      if (rows.every(Boolean)) {
+        e.clipboardData.setData('text/plain', formatTsv(rangeToText(bounds, rows, columns || [])));
+        return;
+      }
+      // Part of the selection was never scrolled into view: load it first
+      loadRows(bounds.top, bounds.bottom + 1)
+        .then(loaded => navigator.clipboard.writeText(formatTsv(rangeToText(bounds, loaded, columns || []))))
+        .catch(error => {
+          console.error('Copy error:', error);
+          alert('Failed to copy. Please try again.');
+        });
+    };
+
+    const handlePaste = (e) => {
+      if (isEditableTarget(e.target)) return;
+      e.preventDefault();
+      pasteText(e.clipboardData.getData('text/plain'));
+    };
+
+    document.addEventListener('copy', handleCopy);
+    document.addEventListener('paste', handlePaste);
+    return () => {
+      document.removeEventListener('keydown', handleTableKeyDown);
+      document.removeEventListener('copy', handleCopy);
+      document.removeEventListener('paste', handlePaste);
+    };
+  });
+
   const cancelDelete = () => {
     setDeleteModal({
       isOpen: false,
@@ -158,66 +707,30 @@ const TablePage = () => {
   useEffect(() => {
     // Wait for DOM to be ready and ensure table container exists
     const initializeScrolling = () => {
-      const tableContainer = document.querySelector('.table-container');
+      const tableContainer = tableContainerRef.current;
       if (!tableContainer) {
-        // Retry after a short delay if container not found
-        setTimeout(initializeScrolling, 100);
+        // Not rendered while loading; this runs again once it is
         return;
       }
 
-      // Ensure the table container can scroll to show all content
-      const ensureFullScroll = () => {
-        // Force a reflow to ensure proper scroll dimensions
-        const table = tableContainer.querySelector('.spreadsheet-table');
-        if (table) {
-          // Calculate width based on number of columns (150px per column)
-          const columnCount = columns?.length || 10;
-          const calculatedWidth = Math.max(columnCount * 150, 2000); // Minimum 2000px for unlimited columns
-          
-          // Ensure table has proper dimensions for full scrolling
-          table.style.minHeight = '600px'; // 10 rows * 60px = 600px
-          table.style.minWidth = `${calculatedWidth}px`;
-          table.style.width = `${calculatedWidth}px`;
-          table.style.height = 'auto';
-          
-          // Force reflow to update dimensions
-          void tableContainer.offsetHeight;
-          void table.offsetHeight;
-          
-          // Ensure container can scroll to full extent
-          const maxScrollLeft = tableContainer.scrollWidth - tableContainer.clientWidth;
-          const maxScrollTop = tableContainer.scrollHeight - tableContainer.clientHeight;
-          
-          console.log('Scroll dimensions for', columnCount, 'columns:', {
-            scrollWidth: tableContainer.scrollWidth,
-            scrollHeight: tableContainer.scrollHeight,
-            clientWidth: tableContainer.clientWidth,
-            clientHeight: tableContainer.clientHeight,
-            maxScrollLeft,
-            maxScrollTop,
-            calculatedWidth
-          });
-        }
+      // Which rows and columns to render follows from the scroll position
+      const measureViewport = () => {
+        const thead = tableContainer.querySelector('thead');
+        const next = {
+          scrollTop: tableContainer.scrollTop,
+          scrollLeft: tableContainer.scrollLeft,
+          width: tableContainer.clientWidth,
+          height: tableContainer.clientHeight,
+          headerHeight: thead ? thead.offsetHeight : 0
+        };
+        setViewport(prev => (Object.keys(next).every(key => prev[key] === next[key]) ? prev : next));
       };
 
-      // Call ensureFullScroll when columns change
-      ensureFullScroll();
+      measureViewport();
       
       // Update scroll to top button
       updateScrollToTopButton(tableContainer);
 
-      // Debug function to check scroll dimensions
-      const debugScrollDimensions = () => {
-        console.log('Table Container Dimensions:');
-        console.log('- Client Height:', tableContainer.clientHeight);
-        console.log('- Scroll Height:', tableContainer.scrollHeight);
-        console.log('- Max Scroll Top:', tableContainer.scrollHeight - tableContainer.clientHeight);
-        console.log('- Can reach bottom:', tableContainer.scrollHeight > tableContainer.clientHeight);
-      };
-
-      // Debug scroll dimensions after a short delay
-      setTimeout(debugScrollDimensions, 500);
-
       // Robust mouse wheel and touchpad scrolling
       const handleWheel = (e) => {
         e.preventDefault();
@@ -240,79 +753,6 @@ const TablePage = () => {
         tableContainer.scrollTop = newScrollTop;
       };
 
-      // Keyboard scrolling
-      const handleKeyDown = (e) => {
-        // Check if we're in an input field
-        if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') {
-          return; // Don't interfere with form inputs
-        }
-
-        // Only handle arrow keys and navigation keys
-        const navigationKeys = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown'];
-        if (!navigationKeys.includes(e.key)) {
-          return;
-        }
-
-        e.preventDefault();
-        
-        // Enhanced scroll amounts for better navigation
-        const cellScrollAmount = 150; // Distance for cell-by-cell navigation
-        const pageScrollAmount = Math.max(tableContainer.clientWidth, tableContainer.clientHeight) * 0.8;
-        
-        let newScrollLeft = tableContainer.scrollLeft;
-        let newScrollTop = tableContainer.scrollTop;
-        
-        switch (e.key) {
-          case 'ArrowLeft':
-            newScrollLeft = Math.max(0, newScrollLeft - cellScrollAmount);
-            break;
-          case 'ArrowRight':
-            newScrollLeft = Math.min(
-              tableContainer.scrollWidth - tableContainer.clientWidth,
-              newScrollLeft + cellScrollAmount
-            );
-            break;
-          case 'ArrowUp':
-            newScrollTop = Math.max(0, newScrollTop - cellScrollAmount);
-            break;
-          case 'ArrowDown':
-            newScrollTop = Math.min(
-              tableContainer.scrollHeight - tableContainer.clientHeight,
-              newScrollTop + cellScrollAmount
-            );
-            break;
-          case 'Home':
-            newScrollLeft = 0;
-            newScrollTop = 0;
-            break;
-          case 'End':
-            newScrollLeft = tableContainer.scrollWidth - tableContainer.clientWidth;
-            newScrollTop = tableContainer.scrollHeight - tableContainer.clientHeight;
-            break;
-          case 'PageUp':
-            newScrollLeft = Math.max(0, newScrollLeft - pageScrollAmount);
-            newScrollTop = Math.max(0, newScrollTop - pageScrollAmount);
-            break;
-          case 'PageDown':
-            newScrollLeft = Math.min(
-              tableContainer.scrollWidth - tableContainer.clientWidth,
-              newScrollLeft + pageScrollAmount
-            );
-            newScrollTop = Math.min(
-              tableContainer.scrollHeight - tableContainer.clientHeight,
-              newScrollTop + pageScrollAmount
-            );
-            break;
-        }
-        
-        // Apply smooth scrolling
-        tableContainer.scrollTo({
-          left: newScrollLeft,
-          top: newScrollTop,
-          behavior: 'smooth'
-        });
-      };
-
       // Touch events for touchpad gestures
       let touchStartX = 0;
       let touchStartY = 0;
@@ -352,14 +792,23 @@ const TablePage = () => {
         }
       };
 
-      // Scroll event handler to update scroll to top button
+      // Scroll event handler to update scroll to top button and, once per
+      // frame, the rendered rows and columns
+      let frame = null;
       const handleScroll = () => {
         updateScrollToTopButton(tableContainer);
+        if (frame === null) {
+          frame = requestAnimationFrame(() => {
+            frame = null;
+            measureViewport();
+          });
+        }
       };
 
       // Resize observer to update scroll to top button when container size changes
       const resizeObserver = new ResizeObserver(() => {
         updateScrollToTopButton(tableContainer);
+        measureViewport();
       });
       resizeObserver.observe(tableContainer);
 
@@ -368,26 +817,7 @@ const TablePage = () => {
       tableContainer.addEventListener('touchstart', handleTouchStart, { passive: true });
       tableContainer.addEventListener('touchmove', handleTouchMove, { passive: false });
       tableContainer.addEventListener('scroll', handleScroll, { passive: true });
-      
-      // Add keyboard event listener to document
-      document.addEventListener('keydown', handleKeyDown);
-      
-      // Debug: Log when keyboard events are attached
-      console.log('Keyboard scrolling events attached to document');
-      
-      // Test keyboard scrolling
-      const testKeyboardScrolling = () => {
-        console.log('Testing keyboard scrolling...');
-        console.log('Table container found:', !!tableContainer);
-        console.log('Table container scroll dimensions:');
-        console.log('- scrollWidth:', tableContainer.scrollWidth);
-        console.log('- scrollHeight:', tableContainer.scrollHeight);
-        console.log('- clientWidth:', tableContainer.clientWidth);
-        console.log('- clientHeight:', tableContainer.clientHeight);
-      };
-      
-      // Test after a short delay
-      setTimeout(testKeyboardScrolling, 1000);
+
 
       // Cleanup function for this initialization
       const cleanup = () => {
@@ -395,7 +825,7 @@ const TablePage = () => {
         tableContainer.removeEventListener('touchstart', handleTouchStart);
         tableContainer.removeEventListener('touchmove', handleTouchMove);
         tableContainer.removeEventListener('scroll', handleScroll);
-        document.removeEventListener('keydown', handleKeyDown);
+        if (frame !== null) cancelAnimationFrame(frame);
         resizeObserver.disconnect();
       };
 
@@ -410,41 +840,12 @@ const TablePage = () => {
     return () => {
       if (cleanup) cleanup();
     };
-  }, [columns, columns?.length, showColumnModal]); // Re-run when columns change or modal state changes
-
-  // Additional effect to ensure scrolling works after data loads
-  useEffect(() => {
-    if (!columnsLoading && !rowsLoading && columns && columns.length > 0) {
-      // Force re-initialization of scrolling after data loads
-      const timer = setTimeout(() => {
-        const tableContainer = document.querySelector('.table-container');
-        if (tableContainer) {
-          console.log('Re-initializing scrolling after data load...');
-          updateScrollToTopButton(tableContainer);
-          
-          // Force a reflow to ensure proper dimensions
-          const table = tableContainer.querySelector('.spreadsheet-table');
-          if (table) {
-            const columnCount = columns.length;
-            const calculatedWidth = Math.max(columnCount * 150, 2000);
-            table.style.minWidth = `${calculatedWidth}px`;
-            table.style.width = `${calculatedWidth}px`;
-            
-            // Force reflow
-            void tableContainer.offsetHeight;
-            void table.offsetHeight;
-          }
-        }
-      }, 500);
-      
-      return () => clearTimeout(timer);
-    }
-  }, [columnsLoading, rowsLoading, columns]);
+  }, [columns, columns?.length, showColumnModal, rowsLoading, summaryLoading]); // Re-run when the table (re)appears
 
   // Handle window resize to ensure scrolling works properly
   useEffect(() => {
     const handleResize = () => {
-      const tableContainer = document.querySelector('.table-container');
+      const tableContainer = tableContainerRef.current;
       if (tableContainer) {
         // Update scroll to top button after resize
         setTimeout(() => {
@@ -457,6 +858,10 @@ const TablePage = () => {
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
+  const selectionBounds = selection && normalizeRange(selection);
+  const rowStart = Math.min(rowWindow.start, rowCount);
+  const rowEnd = Math.min(rowWindow.end, rowCount);
+
   // Loading state
   if (columnsLoading || rowsLoading || summaryLoading) {
     return (
@@ -491,6 +896,12 @@ const TablePage = () => {
             >
               + Add Column
             </button>
+            <button 
+              onClick={() => setShowImportModal(true)} 
+              className="import-btn"
+            >
+              Import
+            </button>
           </div>
         </div>
         <div className="no-data">
@@ -501,10 +912,39 @@ const TablePage = () => {
           isOpen={showColumnModal} 
           onClose={() => setShowColumnModal(false)} 
         />
+        <ImportModal 
+          isOpen={showImportModal} 
+          onClose={() => setShowImportModal(false)} 
+        />
       </div>
     );
   }
 
+  // Only the rows and columns in view are rendered; spacers take the place
+  // of the rest so the scrollbars cover the whole sheet
+  const columnWindow = visibleRangeOf(
+    viewport.scrollLeft,
+    viewport.width - ROW_HEADER_WIDTH,
+    columnOffsets,
+    COLUMN_OVERSCAN
+  );
+  const visibleColumns = columns.slice(columnWindow.start, columnWindow.end);
+  const tableWidth = columnOffsets[columns.length];
+  const spaceBefore = columnOffsets[columnWindow.start];
+  const spaceAfter = tableWidth - columnOffsets[columnWindow.end];
+  const cellsPerRow = 1 + visibleColumns.length + (spaceBefore > 0 ? 1 : 0) + (spaceAfter > 0 ? 1 : 0);
+  const rowIndexes = Array.from({ length: rowEnd - rowStart }, (_, offset) => rowStart + offset);
+
+  const renderSpacerCell = (width) => width > 0 && (
+    <td className="virtual-spacer" style={{ width }} />
+  );
+
+  const renderSpacerRow = (rowsSkipped) => rowsSkipped > 0 && (
+    <tr className="virtual-spacer-row" style={{ height: rowsSkipped * ROW_HEIGHT }}>
+      <td className="virtual-spacer" colSpan={cellsPerRow} />
+    </tr>
+  );
+
   return (
     <div className="table-page">
       <div className="table-header">
@@ -535,24 +975,127 @@ const TablePage = () => {
           >
             + Add Column
           </button>
+          <button 
+            onClick={() => setShowImportModal(true)} 
+            className="import-btn"
+          >
+            Import
+          </button>
+          <ExportButton />
           <AddRowButton />
+          <div className="undo-redo-group">
+            <button
+              onClick={() => runUndoRedo('undo')}
+              className="undo-btn"
+              disabled={!canUndo}
+              title={undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)'}
+              aria-label="Undo"
+            >
+              ↶
+            </button>
+            <button
+              onClick={() => runUndoRedo('redo')}
+              className="undo-btn"
+              disabled={!canRedo}
+              title={redoLabel ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)'}
+              aria-label="Redo"
+            >
+              ↷
+            </button>
+          </div>
           <div className="pagination-info">
-            Page {currentPage} of {rowsData?.pagination?.pages || 1}
+            {rowCount} {rowCount === 1 ? 'row' : 'rows'}
           </div>
         </div>
       </div>
 
-        <div className="table-container" data-columns={columns?.length || 0}>
-          <table className="spreadsheet-table">
+        <div className="table-container" data-columns={columns?.length || 0} ref={tableContainerRef}>
+          <table
+            className={`spreadsheet-table ${isSelecting ? 'selecting' : ''}`}
+            style={{ width: ROW_HEADER_WIDTH + tableWidth }}
+          >
           <thead>
             <tr>
               <th className="row-header">Row</th>
-              {columns?.map(column => (
-                <th key={column.id} className="column-header">
+              {spaceBefore > 0 && <th className="virtual-spacer" style={{ width: spaceBefore }} />}
+              {visibleColumns.map(column => (
+                <th
+                  key={column.id}
+                  className={[
+                    'column-header',
+                    draggedColumnId === column.id ? 'dragging' : '',
+                    columnDrop && columnDrop.columnId === column.id ? `drop-${columnDrop.side}` : ''
+                  ].filter(Boolean).join(' ')}
+                  style={{ width: shownColumnWidth(column) }}
+                  aria-sort={getAriaSort(column)}
+                  onDragOver={(e) => handleColumnDragOver(e, column)}
+                  onDrop={(e) => handleColumnDrop(e, column)}
+                >
                   <div className="column-header-content">
-                    <div className="column-info">
-                      <div className="column-name">{column.column_name}</div>
-                      <div className="column-type">{column.column_type}</div>
+                    <div
+                      className={`column-info ${SORTABLE_TYPES.includes(column.column_type) ? 'sortable' : ''}`}
+                      onClick={(e) => handleSortClick(e, column)}
+                      draggable={renamingColumnId !== column.id}
+                      onDragStart={(e) => handleColumnDragStart(e, column)}
+                      onDragEnd={handleColumnDragEnd}
+                      title="Click to sort, Shift+click to add a secondary sort, double-click the name to rename, drag to move"
+                    >
+                      {renamingColumnId === column.id ? (
+                        <input
+                          className="column-rename-input"
+                          defaultValue={column.column_name}
+                          aria-label={`Rename column ${column.column_name}`}
+                          maxLength={255}
+                          autoFocus
+                          onFocus={(e) => e.target.select()}
+                          onClick={(e) => e.stopPropagation()}
+                          onKeyDown={(e) => handleRenameKeyDown(e, column)}
+                          onBlur={(e) => finishRenamingColumn(column, e.target.value)}
+                        />
+                      ) : (
+                        <div className="column-name" onDoubleClick={(e) => startRenamingColumn(e, column)}>
+                          {column.column_name}{renderSortIndicator(column)}
+                        </div>
+                      )}
+                      <button
+                        type="button"
+                        className="column-type"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setConvertingColumn(column);
+                        }}
+                        title="Change the column type"
+                      >
+                        {column.column_type}
+                      </button>
+                      {SELECT_TYPES.includes(column.column_type) && (
+                        <button
+                          type="button"
+                          className="column-options-btn"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setOptionsColumnId(column.id);
+                          }}
+                          title="Edit the options"
+                          aria-label={`Edit the options of ${column.column_name}`}
+                        >
+                          ☰
+                        </button>
+                      )}
+                      {DATE_TYPES.includes(column.column_type) && (
+                        <button
+                          type="button"
+                          className="column-options-btn"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setFormattingColumn(column);
+                          }}
+                          title="Set the display format"
+                          aria-label={`Set the display format of ${column.column_name}`}
+                        >
+                          ⚙
+                        </button>
+                      )}
                     </div>
                     <button 
                       className="delete-column-btn"
@@ -563,68 +1106,134 @@ const TablePage = () => {
                       ×
                     </button>
                   </div>
+                  <div
+                    className={`column-resize-handle ${resizing && resizing.columnId === column.id ? 'active' : ''}`}
+                    onMouseDown={(e) => startColumnResize(e, column)}
+                    onClick={(e) => e.stopPropagation()}
+                    title="Drag to resize"
+                    aria-hidden="true"
+                  />
                 </th>
               ))}
+              {spaceAfter > 0 && <th className="virtual-spacer" style={{ width: spaceAfter }} />}
             </tr>
+            <SummaryRow
+              columns={visibleColumns}
+              summary={summary}
+              spaceBefore={spaceBefore}
+              spaceAfter={spaceAfter}
+            />
           </thead>
           <tbody>
-            <SummaryRow columns={columns} summary={summary} />
-            {rowsData?.rows?.map(row => (
-              <tr key={row.id} className={`data-row ${row.row_number === 1 ? 'new-row' : ''}`}>
-                <td className="row-number-cell">
-                  <div className="row-number-content">
-                    <span className="row-number">{row.row_number}</span>
-                    <button 
-                      className="delete-row-btn"
-                      onClick={() => handleDeleteRow(row)}
-                      title={`Delete row ${row.row_number}`}
-                      aria-label={`Delete row ${row.row_number}`}
-                    >
-                      ×
-                    </button>
-                  </div>
-                </td>
-                {columns?.map(column => {
-                  const cell = row.cells.find(c => c.column_id === column.id);
-                  return (
-                    <td key={column.id} className="data-cell">
-                      <InlineCell 
-                        row={row} 
-                        column={column} 
-                        value={cell?.value} 
-                      />
+            {renderSpacerRow(rowStart)}
+            {rowIndexes.map(rowIndex => {
+              const row = getRow(rowIndex);
+              if (!row) {
+                // Its chunk is still loading
+                return (
+                  <tr key={`loading-${rowIndex}`} className="data-row loading-row">
+                    <td className="row-number-cell">
+                      <span className="row-number">{rowIndex + 1}</span>
                     </td>
-                  );
-                })}
-              </tr>
-            ))}
+                    {renderSpacerCell(spaceBefore)}
+                    {visibleColumns.map(column => <td key={column.id} className="data-cell" />)}
+                    {renderSpacerCell(spaceAfter)}
+                  </tr>
+                );
+              }
+              return (
+                <tr
+                  key={row.id}
+                  className={[
+                    'data-row',
+                    row.row_number === 1 ? 'new-row' : '',
+                    draggedRows && draggedRows.rowIds.includes(row.id) ? 'dragging' : '',
+                    dropTarget && dropTarget.before === row.id ? 'drop-before' : '',
+                    dropTarget && dropTarget.after === row.id ? 'drop-after' : ''
+                  ].filter(Boolean).join(' ')}
+                  onDragOver={(e) => handleRowDragOver(e, row)}
+                  onDrop={(e) => handleRowDrop(e, rowIndex)}
+                >
+                  <td className="row-number-cell">
+                    <div className="row-number-content">
+                      {canMoveRows && (
+                        <span
+                          className="row-drag-handle"
+                          draggable
+                          onDragStart={(e) => handleRowDragStart(e, row, rowIndex)}
+                          onDragEnd={handleRowDragEnd}
+                          title="Drag to move the row (or the selected rows)"
+                          aria-label={`Move row ${row.row_number}`}
+                        >
+                          ⋮⋮
+                        </span>
+                      )}
+                      <span className="row-number">{row.row_number}</span>
+                      <button 
+                        className="delete-row-btn"
+                        onClick={() => handleDeleteRow(row)}
+                        title={`Delete row ${row.row_number}`}
+                        aria-label={`Delete row ${row.row_number}`}
+                      >
+                        ×
+                      </button>
+                    </div>
+                  </td>
+                  {renderSpacerCell(spaceBefore)}
+                  {visibleColumns.map((column, visibleIndex) => {
+                    const columnIndex = columnWindow.start + visibleIndex;
+                    const cell = row.cells.find(c => c.column_id === column.id);
+                    const cellPeers = peers.filter(peer => peer.row_id === row.id && peer.column_id === column.id);
+                    const isSelected = selectionBounds && isInRange(selectionBounds, rowIndex, columnIndex);
+                    const isActive = selection && selection.anchor.row === rowIndex && selection.anchor.column === columnIndex;
+                    const isEditRequested = editRequest && editRequest.row === rowIndex && editRequest.column === columnIndex;
+                    return (
+                      <td
+                        key={column.id}
+                        className={`data-cell ${cellPeers.length > 0 ? 'has-presence' : ''} ${isSelected ? 'in-selection' : ''} ${isActive ? 'active-cell' : ''}`}
+                        style={cellPeers.length > 0 ? { boxShadow: `inset 0 0 0 2px ${presenceColor(cellPeers[0].client_id)}` } : undefined}
+                        onMouseDown={(e) => handleCellMouseDown(e, rowIndex, columnIndex)}
+                        onMouseEnter={() => handleCellMouseEnter(rowIndex, columnIndex)}
+                        onClickCapture={(e) => {
+                          // Shift+click extends the selection rather than editing the cell
+                          if (e.shiftKey) e.stopPropagation();
+                        }}
+                        onClick={() => setActiveCell(row.id, column.id)}
+                      >
+                        {cellPeers.length > 0 && (
+                          <div className="presence-tags">
+                            {cellPeers.map(peer => (
+                              <span
+                                key={peer.client_id}
+                                className="presence-tag"
+                                style={{ backgroundColor: presenceColor(peer.client_id) }}
+                              >
+                                {peer.name}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                        <InlineCell 
+                          row={row} 
+                          column={column} 
+                          value={cell?.value} 
+                          formulaError={cell?.error}
+                          editRequest={isEditRequested ? editRequest : null}
+                          onEditEnd={(move) => handleEditEnd(rowIndex, columnIndex, move)}
+                        />
+                      </td>
+                    );
+                  })}
+                  {renderSpacerCell(spaceAfter)}
+                </tr>
+              );
+            })}
+            {renderSpacerRow(rowCount - rowEnd)}
           </tbody>
         </table>
         
         </div>
 
-      {rowsData?.pagination && rowsData.pagination.pages > 1 && (
-        <div className="pagination">
-          <button
-            onClick={() => setCurrentPage(prev => Math.max(1, prev - 1))}
-            disabled={currentPage === 1}
-            className="pagination-btn"
-          >
-            Previous
-          </button>
-          <span className="pagination-info">
-            {currentPage} of {rowsData.pagination.pages}
-          </span>
-          <button
-            onClick={() => setCurrentPage(prev => Math.min(rowsData.pagination.pages, prev + 1))}
-            disabled={currentPage === rowsData.pagination.pages}
-            className="pagination-btn"
-          >
-            Next
-          </button>
-        </div>
-      )}
-
       <ColumnAddModal 
         isOpen={showColumnModal} 
         onClose={() => setShowColumnModal(false)}
@@ -634,6 +1243,39 @@ const TablePage = () => {
         }}
       />
       
+      <ImportModal 
+        isOpen={showImportModal} 
+        onClose={() => setShowImportModal(false)}
+        onSuccess={scrollToTop}
+      />
+      
+      {convertingColumn && (
+        <ConvertColumnModal
+          key={convertingColumn.id}
+          isOpen
+          column={convertingColumn}
+          onClose={() => setConvertingColumn(null)}
+        />
+      )}
+      
+      {optionsColumn && (
+        <ColumnOptionsModal
+          key={optionsColumn.id}
+          isOpen
+          column={optionsColumn}
+          onClose={() => setOptionsColumnId(null)}
+        />
+      )}
+      
+      {formattingColumn && (
+        <ColumnFormatModal
+          key={formattingColumn.id}
+          isOpen
+          column={formattingColumn}
+          onClose={() => setFormattingColumn(null)}
+        />
+      )}
+      
       {/* Scroll to top button */}
       <button 
         className={`scroll-to-top ${showScrollToTop ? '' : 'hidden'}`}
@@ -651,8 +1293,8 @@ const TablePage = () => {
         onConfirm={confirmDelete}
         title={deleteModal.type === 'column' ? 'Delete Column' : 'Delete Row'}
         message={deleteModal.type === 'column' 
-          ? 'Are you sure you want to delete this column? This will permanently remove the column and all its data.'
-          : 'Are you sure you want to delete this row? This will permanently remove the row and all its data.'
+          ? 'Are you sure you want to delete this column? This will remove the column and all its data. You can undo this with Ctrl+Z.'
+          : 'Are you sure you want to delete this row? This will remove the row and all its data. You can undo this with Ctrl+Z.'
         }
         itemName={deleteModal.item?.column_name || `Row ${deleteModal.item?.row_number}`}
         itemType={deleteModal.type === 'column' ? 'Column' : 'Row'}
@@ -0,0 +1,83 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import CellHistoryPopover from '../CellHistoryPopover';
+
+const mockUseCellHistory = jest.fn();
+
+jest.mock('../../hooks/useApi', () => ({
+  useCellHistory: (...args) => mockUseCellHistory(...args)
+}));
+
+const history = [
+  {
+    id: 2,
+    column_type: 'single_select',
+    old_value: 10,
+    new_value: 11,
+    old_display: 'Engineering',
+    new_display: 'Sales',
+    actor: 'Ada',
+    changed_at: '2024-01-15T10:00:00.000Z'
+  },
+  {
+    id: 1,
+    column_type: 'single_select',
+    old_value: null,
+    new_value: 10,
+    old_display: null,
+    new_display: 'Engineering',
+    actor: 'Grace',
+    changed_at: '2024-01-14T10:00:00.000Z'
+  }
+];
+
+describe('CellHistoryPopover Component', () => {
+  const row = { id: 'uuid-1' };
+  const column = { id: 4, column_name: 'Department', column_type: 'single_select' };
+  const onRestore = jest.fn();
+  const onClose = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should load the history of the cell', () => {
+    mockUseCellHistory.mockReturnValue({ data: history, isLoading: false, error: null });
+    render(<CellHistoryPopover row={row} column={column} onRestore={onRestore} onClose={onClose} />);
+
+    expect(mockUseCellHistory).toHaveBeenCalledWith('uuid-1', 4);
+    expect(screen.getByRole('dialog', { name: 'History of Department' })).toBeInTheDocument();
+    expect(screen.getByText('Sales')).toBeInTheDocument();
+    expect(screen.getByText('(empty)')).toBeInTheDocument();
+    expect(screen.getByText(/Grace/)).toBeInTheDocument();
+  });
+
+  it('should restore the value a change replaced', () => {
+    mockUseCellHistory.mockReturnValue({ data: history, isLoading: false, error: null });
+    render(<CellHistoryPopover row={row} column={column} onRestore={onRestore} onClose={onClose} />);
+
+    const restoreButtons = screen.getAllByText('Restore');
+    fireEvent.click(restoreButtons[0]);
+    expect(onRestore).toHaveBeenCalledWith(10, 2);
+
+    fireEvent.click(restoreButtons[1]);
+    expect(onRestore).toHaveBeenCalledWith(null, 1);
+  });
+
+  it('should say when there are no changes', () => {
+    mockUseCellHistory.mockReturnValue({ data: [], isLoading: false, error: null });
+    render(<CellHistoryPopover row={row} column={column} onRestore={onRestore} onClose={onClose} />);
+
+    expect(screen.getByText('No changes yet')).toBeInTheDocument();
+  });
+
+  it('should close on Escape and on clicks outside', () => {
+    mockUseCellHistory.mockReturnValue({ data: [], isLoading: false, error: null });
+    render(<CellHistoryPopover row={row} column={column} onRestore={onRestore} onClose={onClose} />);
+
+    fireEvent.keyDown(document, { key: 'Escape' });
+    fireEvent.mouseDown(document.body);
+
+    expect(onClose).toHaveBeenCalledTimes(2);
+  });
+});
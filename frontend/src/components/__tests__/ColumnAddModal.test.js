@@ -108,6 +108,20 @@ describe('ColumnAddModal Component', () => {
 
       expect(screen.queryByText('Options')).not.toBeInTheDocument();
     });
+
+    it('should show formula input for formula type', async () => {
+      const user = userEvent.setup();
+      
+      render(<ColumnAddModal {...defaultProps} />, { wrapper: createWrapper() });
+
+      expect(screen.queryByLabelText('Formula')).not.toBeInTheDocument();
+
+      const typeSelect = screen.getByLabelText('Column Type');
+      await user.selectOptions(typeSelect, 'formula');
+
+      expect(screen.getByLabelText('Formula')).toBeInTheDocument();
+      expect(screen.queryByText('Options')).not.toBeInTheDocument();
+    });
   });
 
   describe('Options Management', () => {
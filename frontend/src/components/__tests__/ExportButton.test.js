@@ -0,0 +1,44 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ExportButton from '../ExportButton';
+
+jest.mock('../../api/endpoints', () => ({
+  exportApi: {
+    getExportUrl: (sheetId, format) => `http://localhost:3001/api/export?format=${format}`
+  }
+}));
+
+describe('ExportButton Component', () => {
+  it('should open a menu with one download link per format', () => {
+    render(<ExportButton />);
+
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByText('Export ▾'));
+
+    const links = screen.getAllByRole('menuitem');
+    expect(links).toHaveLength(4);
+    expect(links[0]).toHaveAttribute('href', expect.stringMatching(/\/export\?format=csv$/));
+    expect(links[1]).toHaveAttribute('href', expect.stringMatching(/\/export\?format=tsv$/));
+    expect(links[2]).toHaveAttribute('href', expect.stringMatching(/\/export\?format=json$/));
+    expect(links[3]).toHaveAttribute('href', expect.stringMatching(/\/export\?format=xlsx$/));
+    expect(links[0]).toHaveAttribute('download');
+  });
+
+  it('should close the menu after choosing a format', () => {
+    render(<ExportButton />);
+
+    fireEvent.click(screen.getByText('Export ▾'));
+    fireEvent.click(screen.getByText('CSV (.csv)'));
+
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument();
+  });
+
+  it('should close the menu when clicking outside', () => {
+    render(<ExportButton />);
+
+    fireEvent.click(screen.getByText('Export ▾'));
+    fireEvent.mouseDown(document.body);
+
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument();
+  });
+});
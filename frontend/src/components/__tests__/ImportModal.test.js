@@ -0,0 +1,135 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ImportModal from '../ImportModal';
+
+const mockPreview = jest.fn();
+const mockImport = jest.fn();
+
+jest.mock('../../hooks/useApi', () => ({
+  useColumns: () => ({
+    data: [
+      { id: 1, column_name: 'Name', column_type: 'text', options: [] },
+      { id: 2, column_name: 'Bonus', column_type: 'formula', options: [] }
+    ]
+  }),
+  useImportPreview: () => ({ mutate: mockPreview, reset: jest.fn(), isPending: false, error: null }),
+  useImportFile: () => ({ mutate: mockImport, reset: jest.fn(), isPending: false, error: null })
+}));
+
+const previewResponse = {
+  success: true,
+  dry_run: true,
+  total_rows: 3,
+  valid_rows: 2,
+  headers: ['Name', 'City'],
+  preview: [['Ada', 'Paris'], ['Alan', 'London'], ['Grace', '']],
+  columns: [
+    { header: 'Name', action: 'map', column_id: 1, column_name: 'Name', column_type: 'text', new_options: [] },
+    { header: 'City', action: 'create', column_id: null, column_name: 'City', column_type: 'single_select', new_options: ['Paris', 'London'] }
+  ],
+  errors: [{ row: 3, errors: [{ column: 'City', value: 'x', error: "'x' is not an option of City" }] }]
+};
+
+describe('ImportModal Component', () => {
+  const defaultProps = {
+    isOpen: true,
+    onClose: jest.fn(),
+    onSuccess: jest.fn()
+  };
+
+  const choosePreviewedFile = () => {
+    mockPreview.mockImplementation((variables, { onSuccess }) => onSuccess(previewResponse));
+    render(<ImportModal {...defaultProps} />);
+
+    const file = new File(['Name,City\nAda,Paris'], 'people.csv', { type: 'text/csv' });
+    fireEvent.change(screen.getByLabelText('File'), { target: { files: [file] } });
+    fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+    return file;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should not render when closed', () => {
+    render(<ImportModal {...defaultProps} isOpen={false} />);
+
+    expect(screen.queryByText('Import Data')).not.toBeInTheDocument();
+  });
+
+  it('should request a preview of the chosen file', () => {
+    const file = choosePreviewedFile();
+
+    expect(mockPreview).toHaveBeenCalledWith(
+      { file, mapping: null, delimiter: ',' },
+      expect.any(Object)
+    );
+    expect(screen.getByText('2 of 3 rows are ready to import.')).toBeInTheDocument();
+    expect(screen.getByText("Row 3: City: 'x' is not an option of City")).toBeInTheDocument();
+  });
+
+  it('should offer existing columns except formulas as targets', () => {
+    choosePreviewedFile();
+
+    const target = screen.getByLabelText('Import Name into');
+    expect(target.value).toBe('map:1');
+    expect(screen.queryByRole('option', { name: 'Bonus' })).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Type of City').value).toBe('single_select');
+  });
+
+  it('should preview again when the mapping changes', () => {
+    const file = choosePreviewedFile();
+
+    fireEvent.change(screen.getByLabelText('Import City into'), { target: { value: 'skip' } });
+
+    expect(mockPreview).toHaveBeenLastCalledWith(
+      {
+        file,
+        mapping: {
+          Name: { action: 'map', column_id: 1 },
+          City: { action: 'skip' }
+        },
+        delimiter: ','
+      },
+      expect.any(Object)
+    );
+  });
+
+  it('should import with the previewed mapping and show the result', () => {
+    const file = choosePreviewedFile();
+    mockImport.mockImplementation((variables, { onSuccess }) => onSuccess({
+      success: true,
+      total_rows: 3,
+      imported_rows: 2,
+      skipped_rows: 1,
+      columns: previewResponse.columns,
+      errors: previewResponse.errors
+    }));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Import 2 Rows' }));
+
+    expect(mockImport).toHaveBeenCalledWith(
+      {
+        file,
+        mapping: {
+          Name: { action: 'map', column_id: 1 },
+          City: { action: 'create', column_type: 'single_select' }
+        },
+        delimiter: ','
+      },
+      expect.any(Object)
+    );
+    expect(screen.getByText('Imported 2 of 3 rows.')).toBeInTheDocument();
+    expect(defaultProps.onSuccess).toHaveBeenCalled();
+  });
+
+  it('should hide the delimiter for Excel workbooks', () => {
+    render(<ImportModal {...defaultProps} />);
+
+    expect(screen.getByLabelText('Delimiter')).toBeInTheDocument();
+    const workbook = new File(['x'], 'people.xlsx');
+    fireEvent.change(screen.getByLabelText('File'), { target: { files: [workbook] } });
+
+    expect(screen.queryByLabelText('Delimiter')).not.toBeInTheDocument();
+  });
+});
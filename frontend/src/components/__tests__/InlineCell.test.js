@@ -9,10 +9,16 @@ jest.mock('../../api/endpoints', () => ({
   updateCell: jest.fn()
 }));
 
-// Mock the useUpdateCell hook
+// Mock the useUpdateCell and useAddOption hooks
+const mockUpdateCell = jest.fn();
 jest.mock('../../hooks/useApi', () => ({
   useUpdateCell: () => ({
-    mutate: jest.fn(),
+    mutate: mockUpdateCell,
+    isPending: false,
+    error: null
+  }),
+  useAddOption: () => ({
+    mutateAsync: jest.fn(),
     isPending: false,
     error: null
   })
@@ -202,6 +208,101 @@ describe('InlineCell Component', () => {
       const input = screen.getByDisplayValue('2024-01-15T10:30');
       expect(input).toHaveAttribute('type', 'datetime-local');
     });
+
+    it('should edit on the clock of the column timezone and keep the instant', async () => {
+      const user = userEvent.setup();
+      const column = { ...dateTimeColumn, display_format: 'DD/MM/YYYY HH:mm', display_timezone: 'America/New_York' };
+
+      render(
+        <InlineCell row={mockRow} column={column} value="2024-01-15T10:30:00.000Z" />,
+        { wrapper: createWrapper() }
+      );
+
+      await user.click(screen.getByText('15/01/2024 05:30'));
+      const input = screen.getByDisplayValue('2024-01-15T05:30');
+      fireEvent.blur(input);
+      expect(mockUpdateCell).not.toHaveBeenCalled();
+
+      await user.click(screen.getByText('15/01/2024 05:30'));
+      fireEvent.change(screen.getByDisplayValue('2024-01-15T05:30'), { target: { value: '2024-01-15T06:00' } });
+      fireEvent.blur(screen.getByDisplayValue('2024-01-15T06:00'));
+      expect(mockUpdateCell).toHaveBeenCalledWith(
+        expect.objectContaining({ data_type: 'datetime', value: '2024-01-15T11:00:00.000Z' }),
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('Date and Time Columns', () => {
+    it('should show a date with the column format and save it as written', async () => {
+      const user = userEvent.setup();
+      const column = { ...mockColumn, column_name: 'Birthday', column_type: 'date', display_format: 'DD/MM/YYYY' };
+
+      render(
+        <InlineCell row={mockRow} column={column} value="2024-03-01" />,
+        { wrapper: createWrapper() }
+      );
+
+      await user.click(screen.getByText('01/03/2024'));
+      const input = screen.getByDisplayValue('2024-03-01');
+      expect(input).toHaveAttribute('type', 'date');
+      fireEvent.change(input, { target: { value: '2024-03-02' } });
+      fireEvent.blur(input);
+      expect(mockUpdateCell).toHaveBeenCalledWith(
+        expect.objectContaining({ data_type: 'date', value: '2024-03-02' }),
+        expect.any(Object)
+      );
+    });
+
+    it('should show a time without its seconds when it has none', () => {
+      const column = { ...mockColumn, column_name: 'Shift', column_type: 'time' };
+
+      render(
+        <InlineCell row={mockRow} column={column} value="09:30:00" />,
+        { wrapper: createWrapper() }
+      );
+
+      expect(screen.getByText('09:30')).toBeInTheDocument();
+    });
+  });
+
+  describe('Boolean Column', () => {
+    const booleanColumn = { ...mockColumn, column_name: 'Remote', column_type: 'boolean' };
+
+    it('should show the value as a checkbox', () => {
+      render(
+        <InlineCell 
+          row={mockRow} 
+          column={booleanColumn} 
+          value={true} 
+        />,
+        { wrapper: createWrapper() }
+      );
+
+      expect(screen.getByRole('checkbox', { name: 'Remote' })).toBeChecked();
+    });
+
+    it('should save the flipped value in one click', async () => {
+      const user = userEvent.setup();
+      
+      render(
+        <InlineCell 
+          row={mockRow} 
+          column={booleanColumn} 
+          value={null} 
+        />,
+        { wrapper: createWrapper() }
+      );
+
+      await user.click(screen.getByRole('checkbox', { name: 'Remote' }));
+
+      expect(screen.getByRole('checkbox', { name: 'Remote' })).toBeChecked();
+      expect(mockUpdateCell).toHaveBeenCalledTimes(1);
+      expect(mockUpdateCell).toHaveBeenCalledWith(
+        expect.objectContaining({ data_type: 'boolean', value: true }),
+        expect.anything()
+      );
+    });
   });
 
   describe('Single Select Column', () => {
@@ -275,15 +376,16 @@ describe('InlineCell Component', () => {
   describe('Multi Select Column', () => {
     const multiSelectColumn = {
       ...mockColumn,
+      column_name: 'Skills',
       column_type: 'multi_select',
       options: [
-        { id: 1, label: 'JavaScript', value: 'javascript' },
-        { id: 2, label: 'Python', value: 'python' },
-        { id: 3, label: 'React', value: 'react' }
+        { id: 1, label: 'JavaScript', value: 'javascript', color: '#bfdbfe' },
+        { id: 2, label: 'Python', value: 'python', color: null },
+        { id: 3, label: 'React', value: 'react', color: '#bbf7d0' }
       ]
     };
 
-    it('should render selected options as comma-separated list', () => {
+    it('should render selected options as chips', () => {
       render(
         <InlineCell 
           row={mockRow} 
@@ -293,7 +395,9 @@ describe('InlineCell Component', () => {
         { wrapper: createWrapper() }
       );
 
-      expect(screen.getByText('JavaScript, React')).toBeInTheDocument();
+      expect(screen.getByText('JavaScript')).toBeInTheDocument();
+      expect(screen.getByText('React')).toBeInTheDocument();
+      expect(screen.queryByText('Python')).not.toBeInTheDocument();
     });
 
     it('should show empty state for no selections', () => {
@@ -306,10 +410,10 @@ describe('InlineCell Component', () => {
         { wrapper: createWrapper() }
       );
 
-      expect(screen.getByText('Click to select skills')).toBeInTheDocument();
+      expect(screen.getByText('Click to choose Skills')).toBeInTheDocument();
     });
 
-    it('should toggle edit mode on click', async () => {
+    it('should open a picker with the options still to choose', async () => {
       const user = userEvent.setup();
       
       render(
@@ -323,11 +427,30 @@ describe('InlineCell Component', () => {
 
       await user.click(screen.getByText('JavaScript'));
       
-      expect(screen.getByText('Select Skills:')).toBeInTheDocument();
-      expect(screen.getByText('✓ Done')).toBeInTheDocument();
+      expect(screen.getByLabelText('Find Skills')).toHaveFocus();
+      expect(screen.getByLabelText('Remove JavaScript')).toBeInTheDocument();
+      expect(screen.getAllByRole('option').map(option => option.textContent)).toEqual(['Python', 'React']);
     });
 
-    it('should show checkboxes for options', async () => {
+    it('should filter the options by the search text', async () => {
+      const user = userEvent.setup();
+      
+      render(
+        <InlineCell 
+          row={mockRow} 
+          column={multiSelectColumn} 
+          value={[]} 
+        />,
+        { wrapper: createWrapper() }
+      );
+
+      await user.click(screen.getByText('Click to choose Skills'));
+      await user.type(screen.getByLabelText('Find Skills'), 'py');
+
+      expect(screen.getAllByRole('option').map(option => option.textContent)).toEqual(['Python']);
+    });
+
+    it('should save the chosen options once, on Done', async () => {
       const user = userEvent.setup();
       
       render(
@@ -340,17 +463,47 @@ describe('InlineCell Component', () => {
       );
 
       await user.click(screen.getByText('JavaScript'));
+      await user.click(screen.getByRole('option', { name: 'Python' }));
+      await user.click(screen.getByRole('option', { name: 'React' }));
+      expect(mockUpdateCell).not.toHaveBeenCalled();
+
+      await user.click(screen.getByRole('button', { name: 'Done' }));
+
+      expect(mockUpdateCell).toHaveBeenCalledTimes(1);
+      expect(mockUpdateCell).toHaveBeenCalledWith(
+        expect.objectContaining({ data_type: 'multi_select', value: [1, 2, 3] }),
+        expect.anything()
+      );
+      expect(screen.queryByLabelText('Find Skills')).not.toBeInTheDocument();
+    });
+
+    it('should select all options and clear them', async () => {
+      const user = userEvent.setup();
       
-      const javascriptCheckbox = screen.getByLabelText('JavaScript');
-      const pythonCheckbox = screen.getByLabelText('Python');
-      const reactCheckbox = screen.getByLabelText('React');
+      render(
+        <InlineCell 
+          row={mockRow} 
+          column={multiSelectColumn} 
+          value={[3]} 
+        />,
+        { wrapper: createWrapper() }
+      );
+
+      await user.click(screen.getByText('React'));
+      await user.click(screen.getByRole('button', { name: 'Select all' }));
+      expect(screen.queryAllByRole('option')).toHaveLength(0);
 
-      expect(javascriptCheckbox).toBeChecked();
-      expect(pythonCheckbox).not.toBeChecked();
-      expect(reactCheckbox).not.toBeChecked();
+      await user.click(screen.getByRole('button', { name: 'Clear' }));
+      expect(screen.getAllByRole('option')).toHaveLength(3);
+
+      await user.click(screen.getByRole('button', { name: 'Done' }));
+      expect(mockUpdateCell).toHaveBeenCalledWith(
+        expect.objectContaining({ value: [] }),
+        expect.anything()
+      );
     });
 
-    it('should handle checkbox changes', async () => {
+    it('should not save when nothing changed', async () => {
       const user = userEvent.setup();
       
       render(
@@ -363,17 +516,41 @@ describe('InlineCell Component', () => {
       );
 
       await user.click(screen.getByText('JavaScript'));
+      await user.click(screen.getByRole('option', { name: 'Python' }));
+      await user.click(screen.getByLabelText('Remove Python'));
+      await user.click(screen.getByRole('button', { name: 'Done' }));
+
+      expect(mockUpdateCell).not.toHaveBeenCalled();
+    });
+
+    it('should offer to create an option only when the column allows it', async () => {
+      const user = userEvent.setup();
       
-      const pythonCheckbox = screen.getByLabelText('Python');
-      await user.click(pythonCheckbox);
+      const { rerender } = render(
+        <InlineCell 
+          row={mockRow} 
+          column={multiSelectColumn} 
+          value={[]} 
+        />,
+        { wrapper: createWrapper() }
+      );
 
-      // Should save and update display
-      await waitFor(() => {
-        expect(screen.getByText('JavaScript, Python')).toBeInTheDocument();
-      });
+      await user.click(screen.getByText('Click to choose Skills'));
+      await user.type(screen.getByLabelText('Find Skills'), 'Go');
+      expect(screen.queryByText('Create "Go"')).not.toBeInTheDocument();
+      expect(screen.getByText('No matching options')).toBeInTheDocument();
+
+      rerender(
+        <InlineCell 
+          row={mockRow} 
+          column={{ ...multiSelectColumn, allow_new_options: true }} 
+          value={[]} 
+        />
+      );
+      expect(screen.getByText('Create "Go"')).toBeInTheDocument();
     });
 
-    it('should close on Done button click', async () => {
+    it('should drop the changes on Escape', async () => {
       const user = userEvent.setup();
       
       render(
@@ -386,10 +563,66 @@ describe('InlineCell Component', () => {
       );
 
       await user.click(screen.getByText('JavaScript'));
-      await user.click(screen.getByText('✓ Done'));
+      await user.click(screen.getByRole('option', { name: 'Python' }));
+      await user.keyboard('{Escape}');
 
-      // Should close edit mode
-      expect(screen.queryByText('Select Skills:')).not.toBeInTheDocument();
+      expect(screen.queryByLabelText('Find Skills')).not.toBeInTheDocument();
+      expect(mockUpdateCell).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Formula Column', () => {
+    const formulaColumn = {
+      id: 6,
+      column_name: 'Bonus',
+      column_type: 'formula',
+      formula: '=[Salary] * 0.1'
+    };
+
+    it('should render the computed value', () => {
+      render(
+        <InlineCell 
+          row={mockRow} 
+          column={formulaColumn} 
+          value={5000} 
+        />,
+        { wrapper: createWrapper() }
+      );
+
+      expect(screen.getByText('5000')).toBeInTheDocument();
+      expect(screen.getByTitle('=[Salary] * 0.1')).toBeInTheDocument();
+    });
+
+    it('should not enter edit mode on click', async () => {
+      const user = userEvent.setup();
+      
+      render(
+        <InlineCell 
+          row={mockRow} 
+          column={formulaColumn} 
+          value={5000} 
+        />,
+        { wrapper: createWrapper() }
+      );
+
+      await user.click(screen.getByText('5000'));
+
+      expect(screen.queryByRole('textbox')).not.toBeInTheDocument();
+      expect(screen.queryByRole('spinbutton')).not.toBeInTheDocument();
+    });
+
+    it('should show the formula error code', () => {
+      render(
+        <InlineCell 
+          row={mockRow} 
+          column={formulaColumn} 
+          value={null} 
+          formulaError="#DIV/0!"
+        />,
+        { wrapper: createWrapper() }
+      );
+
+      expect(screen.getByText('#DIV/0!')).toBeInTheDocument();
     });
   });
 
@@ -469,4 +702,72 @@ describe('InlineCell Component', () => {
       expect(input).toHaveFocus();
     });
   });
+
+  describe('Keyboard editing from the table', () => {
+    it('should start editing with the typed character', () => {
+      render(
+        <InlineCell 
+          row={mockRow} 
+          column={mockColumn} 
+          value="John Doe" 
+          editRequest={{ row: 0, column: 0, text: 'J' }}
+        />,
+        { wrapper: createWrapper() }
+      );
+
+      expect(screen.getByDisplayValue('J')).toHaveFocus();
+    });
+
+    it('should keep the value when editing starts with Enter or F2', () => {
+      render(
+        <InlineCell 
+          row={mockRow} 
+          column={mockColumn} 
+          value="John Doe" 
+          editRequest={{ row: 0, column: 0, text: null }}
+        />,
+        { wrapper: createWrapper() }
+      );
+
+      expect(screen.getByDisplayValue('John Doe')).toBeInTheDocument();
+    });
+
+    const renderEditing = (onEditEnd) => render(
+      <InlineCell 
+        row={mockRow} 
+        column={mockColumn} 
+        value="John Doe" 
+        editRequest={{ row: 0, column: 0, text: null }}
+        onEditEnd={onEditEnd}
+      />,
+      { wrapper: createWrapper() }
+    );
+
+    it('should move down after Enter', () => {
+      const onEditEnd = jest.fn();
+      renderEditing(onEditEnd);
+
+      fireEvent.keyDown(screen.getByDisplayValue('John Doe'), { key: 'Enter' });
+      expect(onEditEnd).toHaveBeenCalledWith('down');
+    });
+
+    it('should move across after Tab and Shift+Tab', () => {
+      const onEditEnd = jest.fn();
+      renderEditing(onEditEnd);
+
+      fireEvent.keyDown(screen.getByDisplayValue('John Doe'), { key: 'Tab' });
+      expect(onEditEnd).toHaveBeenLastCalledWith('next');
+    });
+
+    it('should cancel on Escape without moving', () => {
+      const onEditEnd = jest.fn();
+      renderEditing(onEditEnd);
+
+      const input = screen.getByDisplayValue('John Doe');
+      fireEvent.change(input, { target: { value: 'Jane' } });
+      fireEvent.keyDown(input, { key: 'Escape' });
+      expect(onEditEnd).toHaveBeenCalledWith(null);
+      expect(screen.getByText('John Doe')).toBeInTheDocument();
+    });
+  });
 });
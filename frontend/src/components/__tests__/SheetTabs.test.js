@@ -0,0 +1,104 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import SheetTabs, { nextSheetName } from '../SheetTabs';
+
+const mockCreate = jest.fn();
+const mockRename = jest.fn();
+const mockDuplicate = jest.fn();
+const mockDelete = jest.fn();
+
+jest.mock('../../hooks/useApi', () => ({
+  useCreateSheet: () => ({ mutateAsync: mockCreate, isPending: false }),
+  useRenameSheet: () => ({ mutateAsync: mockRename, isPending: false }),
+  useDuplicateSheet: () => ({ mutateAsync: mockDuplicate, isPending: false }),
+  useDeleteSheet: () => ({ mutateAsync: mockDelete, isPending: false })
+}));
+
+const sheets = [
+  { id: 1, name: 'Sheet 1' },
+  { id: 2, name: 'Budget' }
+];
+
+describe('SheetTabs Component', () => {
+  const onSelect = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should render a tab per sheet with the active one selected', () => {
+    render(<SheetTabs sheets={sheets} activeSheetId={2} onSelect={onSelect} />);
+
+    const tabs = screen.getAllByRole('tab');
+    expect(tabs).toHaveLength(2);
+    expect(tabs[0]).toHaveAttribute('aria-selected', 'false');
+    expect(tabs[1]).toHaveAttribute('aria-selected', 'true');
+
+    fireEvent.click(tabs[0]);
+    expect(onSelect).toHaveBeenCalledWith(1);
+  });
+
+  it('should add a sheet with the next free name and select it', async () => {
+    mockCreate.mockResolvedValue({ id: 3, name: 'Sheet 3' });
+    render(<SheetTabs sheets={sheets} activeSheetId={1} onSelect={onSelect} />);
+
+    fireEvent.click(screen.getByLabelText('Add sheet'));
+
+    expect(mockCreate).toHaveBeenCalledWith({ name: 'Sheet 3' });
+    await waitFor(() => expect(onSelect).toHaveBeenCalledWith(3));
+  });
+
+  it('should rename a sheet on double-click and Enter', () => {
+    render(<SheetTabs sheets={sheets} activeSheetId={1} onSelect={onSelect} />);
+
+    fireEvent.doubleClick(screen.getByText('Budget'));
+    const input = screen.getByLabelText('Sheet name');
+    fireEvent.change(input, { target: { value: 'Forecast' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(mockRename).toHaveBeenCalledWith({ id: 2, name: 'Forecast' });
+  });
+
+  it('should cancel a rename on Escape', () => {
+    render(<SheetTabs sheets={sheets} activeSheetId={1} onSelect={onSelect} />);
+
+    fireEvent.doubleClick(screen.getByText('Budget'));
+    fireEvent.keyDown(screen.getByLabelText('Sheet name'), { key: 'Escape' });
+
+    expect(mockRename).not.toHaveBeenCalled();
+    expect(screen.getByText('Budget')).toBeInTheDocument();
+  });
+
+  it('should duplicate the active sheet and select the copy', async () => {
+    mockDuplicate.mockResolvedValue({ id: 4, name: 'Budget (copy)' });
+    render(<SheetTabs sheets={sheets} activeSheetId={2} onSelect={onSelect} />);
+
+    fireEvent.click(screen.getByLabelText('Duplicate Budget'));
+
+    expect(mockDuplicate).toHaveBeenCalledWith(2);
+    await waitFor(() => expect(onSelect).toHaveBeenCalledWith(4));
+  });
+
+  it('should delete the active sheet after confirmation and select a neighbour', async () => {
+    mockDelete.mockResolvedValue({ success: true });
+    render(<SheetTabs sheets={sheets} activeSheetId={2} onSelect={onSelect} />);
+
+    fireEvent.click(screen.getByLabelText('Delete Budget'));
+    fireEvent.click(screen.getByText('Delete'));
+
+    expect(mockDelete).toHaveBeenCalledWith(2);
+    await waitFor(() => expect(onSelect).toHaveBeenCalledWith(1));
+  });
+
+  it('should not offer to delete the only sheet', () => {
+    render(<SheetTabs sheets={[sheets[0]]} activeSheetId={1} onSelect={onSelect} />);
+
+    expect(screen.queryByLabelText('Delete Sheet 1')).not.toBeInTheDocument();
+  });
+
+  it('should pick the first unused Sheet N name', () => {
+    expect(nextSheetName([{ name: 'Sheet 1' }, { name: 'Sheet 2' }])).toBe('Sheet 3');
+    expect(nextSheetName([{ name: 'Sheet 1' }, { name: 'sheet 2' }, { name: 'Sheet 3' }])).toBe('Sheet 4');
+    expect(nextSheetName([{ name: 'Budget' }, { name: 'Sheet 2' }])).toBe('Sheet 3');
+  });
+});
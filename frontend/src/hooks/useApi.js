@@ -1,14 +1,92 @@
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { columnsApi, rowsApi, cellApi, summaryApi } from '../api/endpoints';
+import { useState, useEffect, useRef, useCallback, useSyncExternalStore } from 'react';
+import { useQuery, useQueries, useMutation, useQueryClient } from '@tanstack/react-query';
+import { sheetsApi, columnsApi, rowsApi, cellApi, summaryApi, importApi } from '../api/endpoints';
+import { connectRealtime } from '../api/realtime';
+import { undoManager } from '../utils/undoManager';
+import { applyRealtimeEvent, applyPresenceEvent } from '../utils/realtime';
+import { chunksForRange } from '../utils/virtualWindow';
+import { moveRowsInCache, undoMovePlacements } from '../utils/rowMove';
+import { applyColumnChanges, undoColumnChanges } from '../utils/columnEdit';
+import { undoOptionChanges } from '../utils/selectOptions';
+import { useSheetId } from './useSheetId';
+
+// Refetch everything shown for a sheet after an undo or redo
+const invalidateSheetData = (queryClient, sheetId) => {
+  ['columns', 'rows', 'summary', 'history'].forEach(key => {
+    queryClient.invalidateQueries({ queryKey: [key, sheetId] });
+  });
+};
+
+// Sheets hooks
+export const useSheets = () => {
+  return useQuery({
+    queryKey: ['sheets'],
+    queryFn: async () => {
+      const response = await sheetsApi.getSheets();
+      return response.data || [];
+    },
+    staleTime: 30000, // Cache for 30 seconds
+  });
+};
+
+export const useCreateSheet = () => {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: (data) => sheetsApi.createSheet(data).then(response => response.data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sheets'] });
+    },
+  });
+};
+
+export const useRenameSheet = () => {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ id, name }) => sheetsApi.renameSheet(id, { name }).then(response => response.data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sheets'] });
+    },
+  });
+};
+
+export const useDuplicateSheet = () => {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: (id) => sheetsApi.duplicateSheet(id).then(response => response.data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sheets'] });
+    },
+  });
+};
+
+export const useDeleteSheet = () => {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: (id) => sheetsApi.deleteSheet(id).then(response => response.data),
+    onSuccess: (data, id) => {
+      queryClient.invalidateQueries({ queryKey: ['sheets'] });
+      // Drop the deleted sheet's data
+      ['columns', 'rows', 'summary'].forEach(key => {
+        queryClient.removeQueries({ queryKey: [key, id] });
+      });
+    },
+  });
+};
 
 // Columns hooks
 export const useColumns = () => {
+  const sheetId = useSheetId();
+  
   return useQuery({
-    queryKey: ['columns'],
+    queryKey: ['columns', sheetId],
     queryFn: async () => {
       console.log('Fetching columns from API...');
       try {
-        const response = await columnsApi.getColumns();
+        const response = await columnsApi.getColumns(sheetId);
         console.log('Columns API response:', response.data);
         console.log('Number of columns received:', response.data?.length);
         return response.data || [];
@@ -36,68 +114,585 @@ export const useColumns = () => {
 
 export const useCreateColumn = () => {
   const queryClient = useQueryClient();
+  const sheetId = useSheetId();
   
   return useMutation({
-    mutationFn: columnsApi.createColumn,
+    mutationFn: (data) => columnsApi.createColumn(sheetId, data),
     onSuccess: (data) => {
+      const columnId = data.data.id;
+      undoManager.push({
+        label: `Add column ${data.data.column_name}`,
+        undo: () => columnsApi.deleteColumn(sheetId, columnId).then(() => invalidateSheetData(queryClient, sheetId)),
+        redo: () => columnsApi.restoreColumn(sheetId, columnId).then(() => invalidateSheetData(queryClient, sheetId)),
+      });
+      
       console.log('Column created, invalidating cache...');
       // Invalidate and refetch columns
-      queryClient.invalidateQueries({ queryKey: ['columns'] });
-      queryClient.invalidateQueries({ queryKey: ['summary'] });
+      queryClient.invalidateQueries({ queryKey: ['columns', sheetId] });
+      queryClient.invalidateQueries({ queryKey: ['summary', sheetId] });
       // Force refetch
-      queryClient.refetchQueries({ queryKey: ['columns'] });
-      queryClient.refetchQueries({ queryKey: ['summary'] });
+      queryClient.refetchQueries({ queryKey: ['columns', sheetId] });
+      queryClient.refetchQueries({ queryKey: ['summary', sheetId] });
     },
   });
 };
 
 export const useAddColumn = useCreateColumn;
 
+// Rename, move or resize a column ({ columnId, changes }, see
+// utils/columnEdit). The cached columns change right away and go back if the
+// server refuses; undo puts back the values that were replaced.
+export const useUpdateColumn = () => {
+  const queryClient = useQueryClient();
+  const sheetId = useSheetId();
+  
+  const update = ({ columnId, changes }) => columnsApi.updateColumn(sheetId, columnId, changes);
+  
+  return useMutation({
+    mutationFn: update,
+    onMutate: async ({ columnId, changes }) => {
+      await queryClient.cancelQueries({ queryKey: ['columns', sheetId] });
+      const previousColumns = queryClient.getQueryData(['columns', sheetId]);
+      if (previousColumns) {
+        queryClient.setQueryData(['columns', sheetId], applyColumnChanges(previousColumns, columnId, changes));
+      }
+      return { previousColumns };
+    },
+    onError: (error, variables, context) => {
+      if (context?.previousColumns) {
+        queryClient.setQueryData(['columns', sheetId], context.previousColumns);
+      }
+    },
+    onSuccess: (response, variables, context) => {
+      const undoChanges = context?.previousColumns &&
+        undoColumnChanges(context.previousColumns, variables.columnId, variables.changes);
+      if (!undoChanges) return;
+      let label = 'Resize column';
+      if (variables.changes.name !== undefined) label = `Rename column ${undoChanges.name}`;
+      else if (variables.changes.display_order !== undefined) label = 'Move column';
+      else if (variables.changes.allow_new_options !== undefined) label = 'Change column setting';
+      else if (variables.changes.display_format !== undefined) label = 'Change column format';
+      undoManager.push({
+        label,
+        undo: () => update({ columnId: variables.columnId, changes: undoChanges })
+          .then(() => invalidateSheetData(queryClient, sheetId)),
+        redo: () => update(variables).then(() => invalidateSheetData(queryClient, sheetId)),
+      });
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['columns', sheetId] });
+    },
+  });
+};
+
+// Preview converting a column to another type ({ columnId, columnType }).
+// Nothing is changed; resolves to the report of what would happen.
+export const useConvertColumnPreview = () => {
+  const sheetId = useSheetId();
+  
+  return useMutation({
+    mutationFn: ({ columnId, columnType }) => columnsApi
+      .updateColumn(sheetId, columnId, { column_type: columnType, dry_run: true })
+      .then(response => response.data.conversion),
+  });
+};
+
+// Convert a column to another type ({ columnId, columnType, clearFailed }),
+// converting its values. With clearFailed the cells that cannot be converted
+// are emptied. This cannot be undone.
+export const useConvertColumn = () => {
+  const queryClient = useQueryClient();
+  const sheetId = useSheetId();
+  
+  return useMutation({
+    mutationFn: ({ columnId, columnType, clearFailed = false }) => columnsApi
+      .updateColumn(sheetId, columnId, { column_type: columnType, clear_failed: clearFailed })
+      .then(response => response.data),
+    onSuccess: () => {
+      invalidateSheetData(queryClient, sheetId);
+    },
+  });
+};
+
+// Put a column returned by the server in place of the cached one. Option
+// labels show in the summaries too.
+const replaceCachedColumn = (queryClient, sheetId, column) => {
+  const columns = queryClient.getQueryData(['columns', sheetId]);
+  if (columns) {
+    queryClient.setQueryData(['columns', sheetId], columns.map(existing => (existing.id === column.id ? column : existing)));
+  }
+  queryClient.invalidateQueries({ queryKey: ['summary', sheetId] });
+};
+
+// Add an option to a select column ({ columnId, label, color }). Resolves to
+// the column with the new option as `option`; undo archives the option.
+export const useAddOption = () => {
+  const queryClient = useQueryClient();
+  const sheetId = useSheetId();
+  
+  const setActive = (columnId, optionId, isActive) => columnsApi
+    .updateOption(sheetId, columnId, optionId, { is_active: isActive })
+    .then(response => replaceCachedColumn(queryClient, sheetId, response.data));
+  
+  return useMutation({
+    mutationFn: ({ columnId, label, color = null }) => columnsApi
+      .addOption(sheetId, columnId, { label, color })
+      .then(response => response.data),
+    onSuccess: ({ option, ...column }) => {
+      replaceCachedColumn(queryClient, sheetId, column);
+      undoManager.push({
+        label: `Add option ${option.label}`,
+        undo: () => setActive(column.id, option.id, false),
+        redo: () => setActive(column.id, option.id, true),
+      });
+    },
+  });
+};
+
+// Rename, recolor, move or archive an option ({ columnId, optionId, changes },
+// see utils/selectOptions). Undo puts back the values that were replaced.
+export const useUpdateOption = () => {
+  const queryClient = useQueryClient();
+  const sheetId = useSheetId();
+  
+  const update = ({ columnId, optionId, changes }) => columnsApi
+    .updateOption(sheetId, columnId, optionId, changes)
+    .then(response => {
+      replaceCachedColumn(queryClient, sheetId, response.data);
+      return response.data;
+    });
+  
+  return useMutation({
+    mutationFn: update,
+    onMutate: ({ columnId, optionId, changes }) => {
+      const columns = queryClient.getQueryData(['columns', sheetId]);
+      const column = columns && columns.find(existing => existing.id === columnId);
+      return { undoChanges: column ? undoOptionChanges(column, optionId, changes) : null };
+    },
+    onSuccess: (column, variables, context) => {
+      const undoChanges = context?.undoChanges;
+      if (!undoChanges) return;
+      let label = 'Recolor option';
+      if (variables.changes.label !== undefined) label = `Rename option ${undoChanges.label}`;
+      else if (variables.changes.is_active !== undefined) label = variables.changes.is_active ? 'Restore option' : 'Archive option';
+      else if (variables.changes.display_order !== undefined) label = 'Move option';
+      undoManager.push({
+        label,
+        undo: () => update({ ...variables, changes: undoChanges }),
+        redo: () => update(variables),
+      });
+    },
+  });
+};
+
+// Delete a column; undo restores it with its data
+export const useDeleteColumn = () => {
+  const queryClient = useQueryClient();
+  const sheetId = useSheetId();
+  
+  return useMutation({
+    mutationFn: (columnId) => columnsApi.deleteColumn(sheetId, columnId),
+    onSuccess: (response, columnId) => {
+      invalidateSheetData(queryClient, sheetId);
+      undoManager.push({
+        label: 'Delete column',
+        undo: () => columnsApi.restoreColumn(sheetId, columnId).then(() => invalidateSheetData(queryClient, sheetId)),
+        redo: () => columnsApi.deleteColumn(sheetId, columnId).then(() => invalidateSheetData(queryClient, sheetId)),
+      });
+    },
+  });
+};
+
 // Rows hooks
-export const useRows = (page = 1, limit = 10) => {
+// query: { filters, sort } as accepted by rowsApi.getRows
+export const useRows = (page = 1, limit = 10, query = {}) => {
+  const sheetId = useSheetId();
+  
   return useQuery({
-    queryKey: ['rows', page, limit],
+    queryKey: ['rows', sheetId, page, limit, query],
+    queryFn: async () => {
+      const response = await rowsApi.getRows(sheetId, page, limit, query);
+      return response.data;
+    },
+    staleTime: 2 * 60 * 1000, // 2 minutes
+  });
+};
+
+// Rows fetched per request while scrolling
+export const ROWS_CHUNK_SIZE = 100;
+
+// Chunks loaded at once by loadRows
+const CHUNK_FETCH_CONCURRENCY = 4;
+
+// Rows of the sheet fetched in chunks of ROWS_CHUNK_SIZE as they scroll into
+// view: the rows from `start` to `end` (exclusive) are loaded, plus the first
+// chunk for the row count. Chunks are cached as pages of GET /rows
+// (['rows', sheetId, page, ROWS_CHUNK_SIZE, query]), so mutations and live
+// updates keep them current like any other rows query. Returns
+//   total     - number of rows
+//   getRow    - row at an index, or undefined while its chunk loads
+//   loadRows  - async (start, end) => the rows in that range, fetching the
+//               chunks not loaded yet
+export const useRowChunks = (start, end, query = {}) => {
+  const sheetId = useSheetId();
+  const queryClient = useQueryClient();
+  
+  const chunkQuery = (chunk) => ({
+    queryKey: ['rows', sheetId, chunk + 1, ROWS_CHUNK_SIZE, query],
     queryFn: async () => {
-      const response = await rowsApi.getRows(page, limit);
+      const response = await rowsApi.getRows(sheetId, chunk + 1, ROWS_CHUNK_SIZE, query);
       return response.data;
     },
     staleTime: 2 * 60 * 1000, // 2 minutes
   });
+  
+  const firstChunk = useQuery(chunkQuery(0));
+  const total = firstChunk.data?.pagination?.total ?? firstChunk.data?.rows?.length ?? 0;
+  const chunks = chunksForRange(Math.min(start, total), Math.min(end, total), ROWS_CHUNK_SIZE)
+    .filter(chunk => chunk > 0);
+  const chunkResults = useQueries({ queries: chunks.map(chunkQuery) });
+  
+  const chunkData = { 0: firstChunk.data };
+  chunks.forEach((chunk, index) => {
+    chunkData[chunk] = chunkResults[index].data;
+  });
+  
+  const getRow = (index) => chunkData[Math.floor(index / ROWS_CHUNK_SIZE)]?.rows?.[index % ROWS_CHUNK_SIZE];
+  
+  const loadRows = async (from, to) => {
+    const needed = chunksForRange(from, Math.min(to, total), ROWS_CHUNK_SIZE);
+    const loaded = {};
+    for (let i = 0; i < needed.length; i += CHUNK_FETCH_CONCURRENCY) {
+      const batch = needed.slice(i, i + CHUNK_FETCH_CONCURRENCY);
+      const results = await Promise.all(batch.map(chunk => queryClient.fetchQuery(chunkQuery(chunk))));
+      batch.forEach((chunk, index) => {
+        loaded[chunk] = results[index];
+      });
+    }
+    const rows = [];
+    for (let index = from; index < Math.min(to, total); index += 1) {
+      const row = loaded[Math.floor(index / ROWS_CHUNK_SIZE)]?.rows?.[index % ROWS_CHUNK_SIZE];
+      if (!row) break;
+      rows.push(row);
+    }
+    return rows;
+  };
+  
+  return {
+    total,
+    getRow,
+    loadRows,
+    isLoading: firstChunk.isLoading,
+    error: firstChunk.error || chunkResults.find(result => result.error)?.error || null,
+  };
 };
 
 export const useCreateRow = () => {
   const queryClient = useQueryClient();
+  const sheetId = useSheetId();
   
   return useMutation({
-    mutationFn: rowsApi.createRow,
-    onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['rows'] });
+    mutationFn: (placement) => rowsApi.createRow(sheetId, placement),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['rows', sheetId] });
+      
+      const rowId = response.data.id;
+      undoManager.push({
+        label: 'Add row',
+        undo: () => rowsApi.deleteRow(sheetId, rowId).then(() => invalidateSheetData(queryClient, sheetId)),
+        redo: () => rowsApi.restoreRow(sheetId, rowId).then(() => invalidateSheetData(queryClient, sheetId)),
+      });
     },
   });
 };
 
 export const useAddRow = useCreateRow;
 
+// Move rows next to another row ({ rowIds, placement }, see utils/rowMove).
+// The cached rows move right away and go back if the server refuses.
+export const useMoveRows = () => {
+  const queryClient = useQueryClient();
+  const sheetId = useSheetId();
+  
+  const move = ({ rowIds, placement }) => rowsApi.moveRows(sheetId, rowIds, placement);
+  
+  return useMutation({
+    mutationFn: move,
+    onMutate: async ({ rowIds, placement }) => {
+      await queryClient.cancelQueries({ queryKey: ['rows', sheetId] });
+      const previousRows = queryClient.getQueriesData({ queryKey: ['rows', sheetId] });
+      moveRowsInCache(queryClient, sheetId, rowIds, placement);
+      return { previousRows };
+    },
+    onError: (error, variables, context) => {
+      context?.previousRows.forEach(([queryKey, data]) => queryClient.setQueryData(queryKey, data));
+    },
+    onSuccess: (response, variables) => {
+      const undoMoves = undoMovePlacements(response.data.rows);
+      undoManager.push({
+        label: variables.rowIds.length === 1 ? 'Move row' : `Move ${variables.rowIds.length} rows`,
+        undo: async () => {
+          for (const undoMove of undoMoves) {
+            await move(undoMove);
+          }
+          invalidateSheetData(queryClient, sheetId);
+        },
+        redo: () => move(variables).then(() => invalidateSheetData(queryClient, sheetId)),
+      });
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['rows', sheetId] });
+    },
+  });
+};
+
+// Delete a row; undo restores it with its values at the same position
+export const useDeleteRow = () => {
+  const queryClient = useQueryClient();
+  const sheetId = useSheetId();
+  
+  return useMutation({
+    mutationFn: (rowId) => rowsApi.deleteRow(sheetId, rowId),
+    onSuccess: (response, rowId) => {
+      invalidateSheetData(queryClient, sheetId);
+      undoManager.push({
+        label: 'Delete row',
+        undo: () => rowsApi.restoreRow(sheetId, rowId).then(() => invalidateSheetData(queryClient, sheetId)),
+        redo: () => rowsApi.deleteRow(sheetId, rowId).then(() => invalidateSheetData(queryClient, sheetId)),
+      });
+    },
+  });
+};
+
 // Cell hooks
 export const useUpdateCell = () => {
   const queryClient = useQueryClient();
+  const sheetId = useSheetId();
+  
+  return useMutation({
+    mutationFn: (data) => cellApi.updateCell(sheetId, data),
+    onSuccess: (response, data) => {
+      queryClient.invalidateQueries({ queryKey: ['rows', sheetId] });
+      queryClient.invalidateQueries({ queryKey: ['summary', sheetId] });
+      queryClient.invalidateQueries({ queryKey: ['history', sheetId] });
+      
+      // The server returns the value it replaced, which undo writes back
+      const previousValue = response.data.previous_value;
+      if (previousValue === undefined || JSON.stringify(previousValue) === JSON.stringify(data.value)) {
+        return;
+      }
+      // Each write names the history entry it reverts, so archived options
+      // the cell held before it can be written back
+      let revertedId = response.data.history_id;
+      const writeValue = (value) => cellApi.updateCell(sheetId, { ...data, value, history_id: revertedId })
+        .then((written) => {
+          revertedId = written.data.history_id;
+          invalidateSheetData(queryClient, sheetId);
+        });
+      undoManager.push({
+        label: 'Edit cell',
+        undo: () => writeValue(previousValue),
+        redo: () => writeValue(data.value),
+      });
+    },
+  });
+};
+
+// Paste a block of values in one batch update. `cells` are
+// [{ rowOffset, column_id, data_type, value }] with rowOffset counted from the
+// first target row; the targets are `rowIds` (the existing rows from the paste
+// on), followed by new rows appended at the bottom when the paste runs past
+// them. `label` names the change in the undo history.
+export const usePasteCells = () => {
+  const queryClient = useQueryClient();
+  const sheetId = useSheetId();
+  
+  return useMutation({
+    mutationFn: async ({ cells, rowCount, rowIds, label }) => {
+      const targetIds = rowIds.slice(0, rowCount);
+      let createdIds = [];
+      if (targetIds.length < rowCount) {
+        const response = await rowsApi.appendRows(sheetId, rowCount - targetIds.length);
+        createdIds = response.data.rows.map(row => row.id);
+      }
+      
+      const rowIdsByOffset = [...targetIds, ...createdIds];
+      const batch = cells.map(({ rowOffset, ...cell }) => ({ ...cell, row_id: rowIdsByOffset[rowOffset] }));
+      const response = await cellApi.updateCells(sheetId, batch);
+      return { batch, createdIds, results: response.data.results, label };
+    },
+    onSuccess: ({ batch, createdIds, results, label }) => {
+      invalidateSheetData(queryClient, sheetId);
+      
+      const previousByIndex = {};
+      results.forEach(result => {
+        previousByIndex[result.index] = result.previous_value;
+      });
+      const previous = batch.map((cell, index) => ({ ...cell, value: previousByIndex[index] ?? null }));
+      
+      // Each write names the history entries it reverts, so archived options
+      // the cells held before them can be written back
+      let revertedIds = {};
+      const writeCells = async (cellsToWrite) => {
+        const response = await cellApi.updateCells(
+          sheetId,
+          cellsToWrite.map((cell, index) => ({ ...cell, history_id: revertedIds[index] ?? null }))
+        );
+        revertedIds = {};
+        response.data.results.forEach(result => {
+          revertedIds[result.index] = result.history_id;
+        });
+      };
+      results.forEach(result => {
+        revertedIds[result.index] = result.history_id;
+      });
+      
+      // Rows are deleted bottom first and restored top first so each one
+      // goes back to the same row number
+      undoManager.push({
+        label: label || `Paste ${batch.length} cells`,
+        undo: async () => {
+          await writeCells(previous);
+          for (const rowId of [...createdIds].reverse()) {
+            await rowsApi.deleteRow(sheetId, rowId);
+          }
+          invalidateSheetData(queryClient, sheetId);
+        },
+        redo: async () => {
+          for (const rowId of createdIds) {
+            await rowsApi.restoreRow(sheetId, rowId);
+          }
+          await writeCells(batch);
+          invalidateSheetData(queryClient, sheetId);
+        },
+      });
+    },
+  });
+};
+
+// Undo/redo state for buttons and shortcuts: { canUndo, canRedo, undoLabel,
+// redoLabel, isRunning, undo, redo }
+export const useUndoRedo = () => {
+  const state = useSyncExternalStore(undoManager.subscribe, undoManager.getState);
+  return { ...state, undo: undoManager.undo, redo: undoManager.redo };
+};
+
+// Realtime hooks
+// Keep the sheet's cached data up to date with other people's changes while
+// mounted. Returns the other clients' active cells as `peers`
+// ([{ client_id, name, row_id, column_id }]) and setActiveCell(rowId, columnId)
+// to share ours.
+export const useRealtime = () => {
+  const queryClient = useQueryClient();
+  const sheetId = useSheetId();
+  const [peers, setPeers] = useState({});
+  const connectionRef = useRef(null);
+  
+  useEffect(() => {
+    // The legacy routes have no sheet id to subscribe to
+    if (!sheetId) return undefined;
+    
+    let hasOpened = false;
+    const connection = connectRealtime(sheetId, {
+      onOpen: () => {
+        // Changes made while we were disconnected were missed
+        if (hasOpened) {
+          invalidateSheetData(queryClient, sheetId);
+        }
+        hasOpened = true;
+      },
+      onMessage: (message) => {
+        if (['welcome', 'presence', 'presence.left'].includes(message.type)) {
+          setPeers(prev => applyPresenceEvent(prev, message));
+        } else {
+          applyRealtimeEvent(queryClient, sheetId, message);
+        }
+      },
+    });
+    connectionRef.current = connection;
+    
+    return () => {
+      connection.close();
+      connectionRef.current = null;
+      setPeers({});
+    };
+  }, [queryClient, sheetId]);
+  
+  const setActiveCell = useCallback((rowId, columnId) => {
+    if (connectionRef.current) {
+      connectionRef.current.setPresence(rowId, columnId);
+    }
+  }, []);
+  
+  return { peers: Object.values(peers), setActiveCell };
+};
+
+// History hooks
+// Changes to one cell, newest first. Only fetched while `enabled`
+export const useCellHistory = (rowId, columnId, { enabled = true } = {}) => {
+  const sheetId = useSheetId();
+  
+  return useQuery({
+    queryKey: ['history', sheetId, 'cell', rowId, columnId],
+    queryFn: async () => {
+      const response = await cellApi.getCellHistory(sheetId, rowId, columnId);
+      return response.data.history;
+    },
+    enabled: enabled && Boolean(rowId) && Boolean(columnId),
+    staleTime: 0, // Always show the latest changes when opened
+  });
+};
+
+export const useRowHistory = (rowId, { enabled = true } = {}) => {
+  const sheetId = useSheetId();
+  
+  return useQuery({
+    queryKey: ['history', sheetId, 'row', rowId],
+    queryFn: async () => {
+      const response = await rowsApi.getRowHistory(sheetId, rowId);
+      return response.data.history;
+    },
+    enabled: enabled && Boolean(rowId),
+    staleTime: 0,
+  });
+};
+
+// Import hooks
+// Preview (dry run) an import without touching the cache
+export const useImportPreview = () => {
+  const sheetId = useSheetId();
+  
+  return useMutation({
+    mutationFn: ({ file, mapping, delimiter }) =>
+      importApi.importFile(sheetId, file, { mapping, delimiter, dryRun: true }).then(response => response.data),
+  });
+};
+
+export const useImportFile = () => {
+  const queryClient = useQueryClient();
+  const sheetId = useSheetId();
   
   return useMutation({
-    mutationFn: cellApi.updateCell,
+    mutationFn: ({ file, mapping, delimiter }) =>
+      importApi.importFile(sheetId, file, { mapping, delimiter }).then(response => response.data),
     onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['rows'] });
-      queryClient.invalidateQueries({ queryKey: ['summary'] });
+      // An import can add columns as well as rows
+      queryClient.invalidateQueries({ queryKey: ['columns', sheetId] });
+      queryClient.invalidateQueries({ queryKey: ['rows', sheetId] });
+      queryClient.invalidateQueries({ queryKey: ['summary', sheetId] });
     },
   });
 };
 
 // Summary hooks
 export const useSummary = () => {
+  const sheetId = useSheetId();
+  
   return useQuery({
-    queryKey: ['summary'],
+    queryKey: ['summary', sheetId],
     queryFn: async () => {
       try {
-        const response = await summaryApi.getSummary();
+        const response = await summaryApi.getSummary(sheetId);
         return response.data.summaries; // Extract summaries array from API response
       } catch (error) {
         console.error('Error fetching summary:', error);
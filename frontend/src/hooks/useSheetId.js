@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react';
+
+// Id of the sheet the table shows, provided by App. The data hooks scope
+// their requests and query keys by it; outside a provider it is null and
+// requests go to the un-nested routes (the first sheet)
+export const SheetContext = createContext(null);
+
+export const useSheetId = () => useContext(SheetContext);
@@ -0,0 +1,69 @@
+import { normalizeRange, isInRange, moveCell, extendSelection, rangeToText, planPaste } from '../cellRange';
+
+describe('cellRange', () => {
+  const columns = [
+    { id: 1, column_name: 'Name', column_type: 'text' },
+    { id: 2, column_name: 'Price', column_type: 'number' },
+    { id: 3, column_name: 'Total', column_type: 'formula' }
+  ];
+  const rows = [
+    { id: 'a', cells: [{ column_id: 1, value: 'Apple' }, { column_id: 2, value: 3 }, { column_id: 3, value: 6 }] },
+    { id: 'b', cells: [{ column_id: 1, value: 'Pear' }, { column_id: 3, value: null, error: '#VALUE!' }] }
+  ];
+
+  it('should normalize a selection dragged up and left', () => {
+    const bounds = normalizeRange({ anchor: { row: 3, column: 2 }, focus: { row: 1, column: 0 } });
+    expect(bounds).toEqual({ top: 1, bottom: 3, left: 0, right: 2 });
+    expect(isInRange(bounds, 2, 1)).toBe(true);
+    expect(isInRange(bounds, 4, 1)).toBe(false);
+  });
+
+  it('should extend the focus with arrow keys inside the table', () => {
+    const selection = { anchor: { row: 0, column: 0 }, focus: { row: 0, column: 0 } };
+    expect(extendSelection(selection, 'ArrowDown', 2, 3).focus).toEqual({ row: 1, column: 0 });
+    expect(extendSelection(selection, 'ArrowUp', 2, 3)).toEqual(selection);
+    expect(extendSelection(selection, 'Enter', 2, 3)).toBe(selection);
+  });
+
+  it('should move the active cell and wrap Tab across rows', () => {
+    expect(moveCell({ row: 0, column: 2 }, 'right', 2, 3)).toEqual({ row: 0, column: 2 });
+    expect(moveCell({ row: 0, column: 2 }, 'next', 2, 3)).toEqual({ row: 1, column: 0 });
+    expect(moveCell({ row: 1, column: 0 }, 'previous', 2, 3)).toEqual({ row: 0, column: 2 });
+    expect(moveCell({ row: 1, column: 2 }, 'next', 2, 3)).toEqual({ row: 1, column: 2 });
+    expect(moveCell({ row: 1, column: 1 }, 'home', 2, 3)).toEqual({ row: 1, column: 0 });
+    expect(moveCell({ row: 1, column: 1 }, 'down', 2, 3)).toEqual({ row: 1, column: 1 });
+  });
+
+  it('should copy the selected cells as text', () => {
+    const bounds = { top: 4, bottom: 5, left: 0, right: 2 };
+    expect(rangeToText(bounds, rows, columns)).toEqual([['Apple', '3', '6'], ['Pear', '', '#VALUE!']]);
+  });
+
+  it('should plan a paste from the top-left of the selection', () => {
+    const plan = planPaste([['Kiwi', '2'], ['Plum', 'x'], ['Fig', '1', '9']], { top: 1, bottom: 1, left: 0, right: 0 }, columns);
+
+    expect(plan.cells).toEqual([
+      { rowOffset: 0, column_id: 1, data_type: 'text', value: 'Kiwi' },
+      { rowOffset: 0, column_id: 2, data_type: 'number', value: 2 },
+      { rowOffset: 1, column_id: 1, data_type: 'text', value: 'Plum' },
+      { rowOffset: 2, column_id: 1, data_type: 'text', value: 'Fig' },
+      { rowOffset: 2, column_id: 2, data_type: 'number', value: 1 }
+    ]);
+    expect(plan.rowCount).toBe(3);
+    expect(plan.errors).toEqual([{ rowOffset: 1, column: 'Price', message: "'x' is not a number" }]);
+    // The formula column is not pasted into
+    expect(plan.skipped).toBe(1);
+  });
+
+  it('should fill the whole selection with a single value', () => {
+    const plan = planPaste([['5']], { top: 0, bottom: 2, left: 1, right: 1 }, columns);
+    expect(plan.cells.map(cell => [cell.rowOffset, cell.value])).toEqual([[0, 5], [1, 5], [2, 5]]);
+    expect(plan.rowCount).toBe(3);
+  });
+
+  it('should drop cells past the last column', () => {
+    const plan = planPaste([['a', 'b', 'c']], { top: 0, bottom: 0, left: 2, right: 2 }, columns);
+    expect(plan.cells).toEqual([]);
+    expect(plan.skipped).toBe(3);
+  });
+});
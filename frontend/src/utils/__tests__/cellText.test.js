@@ -0,0 +1,76 @@
+import { formatCellText, coerceCellText } from '../cellText';
+
+describe('cellText', () => {
+  const status = {
+    column_name: 'Status',
+    column_type: 'single_select',
+    options: [
+      { id: 1, label: 'Open' },
+      { id: 2, label: 'Closed' },
+      { id: 3, label: 'Old', is_active: false }
+    ]
+  };
+  const tags = { ...status, column_name: 'Tags', column_type: 'multi_select' };
+
+  describe('formatCellText', () => {
+    it('should show option labels for select columns', () => {
+      expect(formatCellText(status, 2)).toBe('Closed');
+      expect(formatCellText(tags, [1, 2])).toBe('Open, Closed');
+    });
+
+    it('should format datetimes as ISO 8601', () => {
+      expect(formatCellText({ column_type: 'datetime' }, '2024-03-01T10:00:00Z')).toBe('2024-03-01T10:00:00.000Z');
+    });
+
+    it('should show formula errors and booleans', () => {
+      expect(formatCellText({ column_type: 'formula' }, null, '#DIV/0!')).toBe('#DIV/0!');
+      expect(formatCellText({ column_type: 'formula' }, true)).toBe('TRUE');
+      expect(formatCellText({ column_type: 'boolean' }, false)).toBe('FALSE');
+    });
+
+    it('should return empty text for empty cells', () => {
+      expect(formatCellText({ column_type: 'text' }, null)).toBe('');
+    });
+  });
+
+  describe('coerceCellText', () => {
+    it('should parse numbers with separators and currency', () => {
+      expect(coerceCellText({ column_type: 'number' }, '$1,234.5')).toBe(1234.5);
+      expect(() => coerceCellText({ column_name: 'Price', column_type: 'number' }, 'abc')).toThrow("'abc' is not a number");
+    });
+
+    it('should normalize dates to ISO 8601', () => {
+      expect(coerceCellText({ column_type: 'datetime' }, '2024-03-01T10:00:00Z')).toBe('2024-03-01T10:00:00.000Z');
+      expect(() => coerceCellText({ column_type: 'datetime' }, 'soon')).toThrow('not a valid date');
+    });
+
+    it('should read dates and times as written', () => {
+      expect(coerceCellText({ column_type: 'date' }, '2024-03-01T23:30:00-08:00')).toBe('2024-03-01');
+      expect(coerceCellText({ column_type: 'time' }, '2:05 pm')).toBe('14:05:00');
+      expect(() => coerceCellText({ column_type: 'date' }, '2024-02-30')).toThrow("'2024-02-30' is not a valid date");
+      expect(() => coerceCellText({ column_type: 'time' }, '25:00')).toThrow('not a valid time');
+    });
+
+    it('should read yes/no words as booleans', () => {
+      expect(coerceCellText({ column_type: 'boolean' }, 'TRUE')).toBe(true);
+      expect(coerceCellText({ column_type: 'boolean' }, 'no')).toBe(false);
+      expect(() => coerceCellText({ column_type: 'boolean' }, 'maybe')).toThrow("'maybe' is not true or false");
+    });
+
+    it('should resolve option labels to ids', () => {
+      expect(coerceCellText(status, 'closed')).toBe(2);
+      expect(() => coerceCellText(status, 'Old')).toThrow("'Old' is not an option of Status");
+      expect(() => coerceCellText(status, '2')).toThrow("'2' is not an option of Status");
+      expect(coerceCellText(tags, 'Open; Closed, open')).toEqual([1, 2]);
+      expect(() => coerceCellText(tags, 'Open, Maybe')).toThrow("'Maybe' not an option of Tags");
+    });
+
+    it('should clear the cell for empty text', () => {
+      expect(coerceCellText({ column_type: 'number' }, '  ')).toBeNull();
+    });
+
+    it('should keep text as pasted', () => {
+      expect(coerceCellText({ column_type: 'text' }, ' padded ')).toBe(' padded ');
+    });
+  });
+});
@@ -0,0 +1,43 @@
+import { applyColumnChanges, undoColumnChanges, columnDropSide, columnDropPlace } from '../columnEdit';
+
+describe('columnEdit', () => {
+  const columns = [
+    { id: 1, column_name: 'Name', display_order: 1, width: null },
+    { id: 2, column_name: 'Salary', display_order: 2, width: 200 },
+    { id: 5, column_name: 'Level', display_order: 4, width: null }
+  ];
+  const names = (list) => list.map(column => `${column.display_order}:${column.column_name}`);
+
+  it('should rename and resize a column', () => {
+    const changed = applyColumnChanges(columns, 2, { name: ' Pay ', width: 320 });
+
+    expect(changed[1]).toMatchObject({ id: 2, column_name: 'Pay', width: 320 });
+    expect(changed[0]).toBe(columns[0]);
+  });
+
+  it('should move a column and number the columns by place', () => {
+    expect(names(applyColumnChanges(columns, 5, { display_order: 1 }))).toEqual(['1:Level', '2:Name', '3:Salary']);
+    expect(names(applyColumnChanges(columns, 1, { display_order: 9 }))).toEqual(['1:Salary', '2:Level', '3:Name']);
+  });
+
+  it('should undo only the fields that changed', () => {
+    expect(undoColumnChanges(columns, 5, { display_order: 1, name: 'Grade' })).toEqual({ display_order: 3, name: 'Level' });
+    expect(undoColumnChanges(columns, 1, { width: 250 })).toEqual({ width: null });
+    expect(undoColumnChanges(columns, 2, { allow_new_options: true })).toEqual({ allow_new_options: false });
+    expect(undoColumnChanges(columns, 1, { display_format: 'DD/MM/YYYY', display_timezone: 'UTC' }))
+      .toEqual({ display_format: null, display_timezone: null });
+    expect(undoColumnChanges(columns, 9, { width: 250 })).toBeNull();
+  });
+
+  it('should place a dropped column before or after the target', () => {
+    expect(columnDropSide(20, 100)).toBe('before');
+    expect(columnDropSide(80, 100)).toBe('after');
+    // Dragging the first of four columns onto either side of the third
+    expect(columnDropPlace(0, 2, 'after')).toBe(3);
+    expect(columnDropPlace(0, 2, 'before')).toBe(2);
+    expect(columnDropPlace(3, 0, 'before')).toBe(1);
+    // Next to itself it stays put
+    expect(columnDropPlace(1, 2, 'before')).toBeNull();
+    expect(columnDropPlace(2, 1, 'after')).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+import { formatDateValue, toDateTimeInput, fromDateTimeInput } from '../dateTime';
+
+describe('dateTime', () => {
+  const start = { column_name: 'Start', column_type: 'datetime' };
+  const birthday = { column_name: 'Birthday', column_type: 'date' };
+  const shift = { column_name: 'Shift', column_type: 'time' };
+
+  describe('formatDateValue', () => {
+    it('should show datetimes with the format in the column timezone', () => {
+      const column = { ...start, display_format: 'DD/MM/YYYY HH:mm', display_timezone: 'Asia/Tokyo' };
+
+      expect(formatDateValue(column, '2024-01-15T20:30:00.000Z')).toBe('16/01/2024 05:30');
+      expect(formatDateValue({ ...column, display_format: 'hh:mm A' }, '2024-01-15T04:05:00Z')).toBe('01:05 PM');
+    });
+
+    it('should show dates and times as written', () => {
+      expect(formatDateValue(birthday, '2024-03-01')).toBe('2024-03-01');
+      expect(formatDateValue({ ...birthday, display_format: 'DD.MM.YYYY' }, '2024-03-01')).toBe('01.03.2024');
+      expect(formatDateValue(shift, '09:30:00')).toBe('09:30');
+      expect(formatDateValue(shift, '09:30:15')).toBe('09:30:15');
+      expect(formatDateValue({ ...shift, display_format: 'hh:mm A' }, '00:15:00')).toBe('12:15 AM');
+      expect(formatDateValue(shift, null)).toBe('');
+    });
+  });
+
+  describe('datetime inputs', () => {
+    it('should edit an instant on the wall clock of the timezone', () => {
+      expect(toDateTimeInput('2024-07-01T12:00:00.000Z', 'America/New_York')).toBe('2024-07-01T08:00');
+      expect(fromDateTimeInput('2024-07-01T08:00', 'America/New_York')).toBe('2024-07-01T12:00:00.000Z');
+      expect(fromDateTimeInput('2024-01-15T08:00', 'America/New_York')).toBe('2024-01-15T13:00:00.000Z');
+      expect(fromDateTimeInput('not a date', 'UTC')).toBeNull();
+    });
+
+    it('should give back the same instant when the value is not changed', () => {
+      const values = ['2024-03-10T06:59:30.000Z', '2024-11-03T05:30:00.000Z', '2024-06-30T23:45:00.000Z'];
+      [null, 'America/New_York', 'Asia/Kolkata', 'UTC'].forEach(timeZone => {
+        values.forEach(value => {
+          expect(fromDateTimeInput(toDateTimeInput(value, timeZone), timeZone)).toBe(value);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import { QueryClient } from '@tanstack/react-query';
+import { applyRealtimeEvent, applyPresenceEvent, presenceColor } from '../realtime';
+
+describe('realtime cache updates', () => {
+  const makeRow = (id, rowNumber, cells = []) => ({ id, row_number: rowNumber, cells });
+  const makePage = (rows, total, page = 1, limit = 3) => ({
+    rows,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  });
+  const pageKey = (page, query = {}) => ['rows', 7, page, 3, query];
+
+  let queryClient;
+  beforeEach(() => {
+    queryClient = new QueryClient();
+  });
+
+  const isStale = (queryKey) => queryClient.getQueryState(queryKey).isInvalidated;
+
+  it('should replace an updated row', () => {
+    queryClient.setQueryData(pageKey(1), makePage([makeRow('a', 1), makeRow('b', 2)], 2));
+    const updated = makeRow('b', 2, [{ column_id: 1, data_type: 'text', value: 'Hi' }]);
+
+    applyRealtimeEvent(queryClient, 7, { type: 'row.updated', row: updated });
+
+    expect(queryClient.getQueryData(pageKey(1)).rows[1]).toEqual(updated);
+    expect(isStale(pageKey(1))).toBe(false);
+  });
+
+  it('should mark sorted pages stale when a row changes', () => {
+    const sortedKey = pageKey(1, { sort: '1:asc' });
+    queryClient.setQueryData(sortedKey, makePage([makeRow('a', 1)], 1));
+
+    applyRealtimeEvent(queryClient, 7, { type: 'row.updated', row: makeRow('a', 1) });
+
+    expect(isStale(sortedKey)).toBe(true);
+  });
+
+  it('should insert a new row at the top of the first page', () => {
+    queryClient.setQueryData(pageKey(1), makePage([makeRow('a', 1), makeRow('b', 2), makeRow('c', 3)], 4));
+    queryClient.setQueryData(pageKey(2), makePage([makeRow('d', 4)], 4, 2));
+
+    applyRealtimeEvent(queryClient, 7, { type: 'row.created', row: makeRow('new', 1) });
+
+    const first = queryClient.getQueryData(pageKey(1));
+    expect(first.rows.map(row => [row.id, row.row_number])).toEqual([['new', 1], ['a', 2], ['b', 3]]);
+    expect(first.pagination).toMatchObject({ total: 5, pages: 2 });
+    expect(isStale(pageKey(1))).toBe(false);
+    expect(isStale(pageKey(2))).toBe(true);
+  });
+
+  it('should refetch rows after rows are moved', () => {
+    queryClient.setQueryData(pageKey(1), makePage([makeRow('a', 1), makeRow('b', 2)], 2));
+
+    applyRealtimeEvent(queryClient, 7, { type: 'rows.moved', rows: [{ id: 'a', row_number: 2 }] });
+
+    expect(isStale(pageKey(1))).toBe(true);
+  });
+
+  it('should remove a deleted row and renumber the rows after it', () => {
+    queryClient.setQueryData(pageKey(1), makePage([makeRow('a', 1), makeRow('b', 2)], 2));
+
+    applyRealtimeEvent(queryClient, 7, { type: 'row.deleted', row_id: 'a', row_number: 1 });
+
+    const data = queryClient.getQueryData(pageKey(1));
+    expect(data.rows).toEqual([makeRow('b', 1)]);
+    expect(data.pagination.total).toBe(1);
+    // Last page: nothing moves up from a later page
+    expect(isStale(pageKey(1))).toBe(false);
+  });
+
+  it('should only update the total on pages before a deleted row', () => {
+    queryClient.setQueryData(pageKey(1), makePage([makeRow('a', 1), makeRow('b', 2), makeRow('c', 3)], 5));
+
+    applyRealtimeEvent(queryClient, 7, { type: 'row.deleted', row_id: 'e', row_number: 5 });
+
+    expect(queryClient.getQueryData(pageKey(1)).rows).toHaveLength(3);
+    expect(queryClient.getQueryData(pageKey(1)).pagination.total).toBe(4);
+    expect(isStale(pageKey(1))).toBe(false);
+  });
+
+  it('should add and remove columns in display order', () => {
+    queryClient.setQueryData(['columns', 7], [{ id: 1, display_order: 1 }, { id: 3, display_order: 3 }]);
+
+    applyRealtimeEvent(queryClient, 7, { type: 'column.created', column: { id: 2, display_order: 2 } });
+    expect(queryClient.getQueryData(['columns', 7]).map(column => column.id)).toEqual([1, 2, 3]);
+
+    applyRealtimeEvent(queryClient, 7, { type: 'column.deleted', column_id: 1 });
+    expect(queryClient.getQueryData(['columns', 7]).map(column => column.id)).toEqual([2, 3]);
+  });
+
+  it('should update a resized column in place and refetch after a rename', () => {
+    queryClient.setQueryData(['columns', 7], [
+      { id: 1, column_name: 'Name', display_order: 1, width: null },
+      { id: 2, column_name: 'Salary', display_order: 2, width: null }
+    ]);
+
+    applyRealtimeEvent(queryClient, 7, { type: 'column.updated', column: { id: 2, column_name: 'Salary', display_order: 2, width: 240 } });
+    expect(queryClient.getQueryData(['columns', 7])[1].width).toBe(240);
+    expect(isStale(['columns', 7])).toBe(false);
+
+    applyRealtimeEvent(queryClient, 7, { type: 'column.updated', column: { id: 2, column_name: 'Pay', display_order: 2, width: 240 } });
+    expect(queryClient.getQueryData(['columns', 7])[1].column_name).toBe('Pay');
+    expect(isStale(['columns', 7])).toBe(true);
+  });
+
+  it('should leave other sheets alone', () => {
+    queryClient.setQueryData(['rows', 8, 1, 3, {}], makePage([makeRow('a', 1)], 1));
+
+    applyRealtimeEvent(queryClient, 7, { type: 'row.deleted', row_id: 'a', row_number: 1 });
+
+    expect(queryClient.getQueryData(['rows', 8, 1, 3, {}]).rows).toHaveLength(1);
+  });
+});
+
+describe('presence', () => {
+  it('should track the other clients\' active cells', () => {
+    let peers = applyPresenceEvent({}, {
+      type: 'welcome',
+      presence: [{ client_id: 'a', name: 'Ada', row_id: 'r1', column_id: 1 }]
+    });
+    peers = applyPresenceEvent(peers, { type: 'presence', client_id: 'b', name: 'Bob', row_id: 'r2', column_id: 2 });
+    peers = applyPresenceEvent(peers, { type: 'presence', client_id: 'a', name: 'Ada', row_id: null, column_id: null });
+
+    expect(Object.keys(peers)).toEqual(['b']);
+
+    peers = applyPresenceEvent(peers, { type: 'presence.left', client_id: 'b' });
+    expect(peers).toEqual({});
+  });
+
+  it('should give each client a stable color', () => {
+    expect(presenceColor('tab-1')).toBe(presenceColor('tab-1'));
+    expect(presenceColor('tab-1')).toMatch(/^#[0-9a-f]{6}$/);
+  });
+});
@@ -0,0 +1,69 @@
+import { QueryClient } from '@tanstack/react-query';
+import { moveRows, moveRowsInCache, undoMovePlacements, dropPlacement } from '../rowMove';
+
+describe('rowMove', () => {
+  const makeRows = (ids, firstNumber = 1) => ids.map((id, index) => ({ id, row_number: firstNumber + index, cells: [] }));
+  const order = (rows) => rows.map(row => `${row.row_number}:${row.id}`);
+
+  it('should move a row after another and renumber the rows between', () => {
+    const moved = moveRows(makeRows(['a', 'b', 'c', 'd']), ['a'], { after: 'c' });
+
+    expect(order(moved)).toEqual(['1:b', '2:c', '3:a', '4:d']);
+  });
+
+  it('should move a block in its current order', () => {
+    const moved = moveRows(makeRows(['a', 'b', 'c', 'd', 'e'], 11), ['d', 'e'], { before: 'b' });
+
+    expect(order(moved)).toEqual(['11:a', '12:d', '13:e', '14:b', '15:c']);
+  });
+
+  it('should refuse moves it cannot show', () => {
+    const rows = makeRows(['a', 'b']);
+
+    expect(moveRows(rows, ['a'], { after: 'a' })).toBeNull();
+    expect(moveRows(rows, ['a'], { after: 'x' })).toBeNull();
+    expect(moveRows(rows, ['a', 'x'], { after: 'b' })).toBeNull();
+  });
+
+  it('should move rows across cached pages', () => {
+    const queryClient = new QueryClient();
+    const pageKey = (page, query = {}) => ['rows', 7, page, 2, query];
+    queryClient.setQueryData(pageKey(1), { rows: makeRows(['a', 'b']) });
+    queryClient.setQueryData(pageKey(2), { rows: makeRows(['c', 'd'], 3) });
+    queryClient.setQueryData(pageKey(1, { sort: '1:asc' }), { rows: makeRows(['d', 'c']) });
+
+    moveRowsInCache(queryClient, 7, ['a'], { after: 'c' });
+
+    expect(order(queryClient.getQueryData(pageKey(1)).rows)).toEqual(['1:b', '2:c']);
+    expect(order(queryClient.getQueryData(pageKey(2)).rows)).toEqual(['3:a', '4:d']);
+    // Sorted pages do not show row order
+    expect(order(queryClient.getQueryData(pageKey(1, { sort: '1:asc' })).rows)).toEqual(['1:d', '2:c']);
+  });
+
+  it('should leave pages alone when a page in between is not cached', () => {
+    const queryClient = new QueryClient();
+    const pageKey = (page) => ['rows', 7, page, 2, {}];
+    queryClient.setQueryData(pageKey(1), { rows: makeRows(['a', 'b']) });
+    queryClient.setQueryData(pageKey(3), { rows: makeRows(['e', 'f'], 5) });
+
+    moveRowsInCache(queryClient, 7, ['a'], { after: 'e' });
+
+    expect(order(queryClient.getQueryData(pageKey(1)).rows)).toEqual(['1:a', '2:b']);
+  });
+
+  it('should undo a move block by block', () => {
+    expect(undoMovePlacements([
+      { id: 'a', previous_row_id: null },
+      { id: 'b', previous_row_id: 'a' },
+      { id: 'd', previous_row_id: 'c' }
+    ])).toEqual([
+      { rowIds: ['a', 'b'], placement: { at: 'top' } },
+      { rowIds: ['d'], placement: { after: 'c' } }
+    ]);
+  });
+
+  it('should drop above a row on its top half', () => {
+    expect(dropPlacement('a', 10, 44)).toEqual({ before: 'a' });
+    expect(dropPlacement('a', 30, 44)).toEqual({ after: 'a' });
+  });
+});
@@ -0,0 +1,68 @@
+import {
+  offeredOptions,
+  selectedOptions,
+  matchingOptions,
+  canCreateOption,
+  sameOptionIds,
+  withAllOptions,
+  undoOptionChanges
+} from '../selectOptions';
+
+describe('selectOptions', () => {
+  const column = {
+    id: 4,
+    column_name: 'Department',
+    column_type: 'single_select',
+    options: [
+      { id: 1, label: 'Engineering', color: '#bfdbfe', is_active: true },
+      { id: 2, label: 'Legal', color: null, is_active: false },
+      { id: 3, label: 'Sales', color: null, is_active: true }
+    ]
+  };
+  const labels = (options) => options.map(option => option.label);
+
+  it('should offer active options and the archived ones a cell holds', () => {
+    expect(labels(offeredOptions(column))).toEqual(['Engineering', 'Sales']);
+    expect(labels(offeredOptions(column, ['2']))).toEqual(['Engineering', 'Legal', 'Sales']);
+    expect(offeredOptions({ ...column, options: undefined })).toEqual([]);
+  });
+
+  it('should list the options a cell holds in its order', () => {
+    expect(labels(selectedOptions(column, [3, 1]))).toEqual(['Sales', 'Engineering']);
+    expect(selectedOptions(column, [7, null])).toEqual([{ id: 7, label: '7', color: null }]);
+  });
+
+  it('should find options by part of their label', () => {
+    expect(labels(matchingOptions(column.options, ' ENG'))).toEqual(['Engineering']);
+    expect(labels(matchingOptions(column.options, ''))).toHaveLength(3);
+  });
+
+  it('should only create options the column allows and does not have', () => {
+    const open = { ...column, allow_new_options: true };
+
+    expect(canCreateOption(open, 'Support')).toBe(true);
+    expect(canCreateOption(open, ' sales ')).toBe(false);
+    expect(canCreateOption(open, 'Legal')).toBe(true);
+    expect(canCreateOption(open, '  ')).toBe(false);
+    expect(canCreateOption(column, 'Support')).toBe(false);
+  });
+
+  it('should compare option ids in any order', () => {
+    expect(sameOptionIds([1, 3], [3, 1])).toBe(true);
+    expect(sameOptionIds([1], [1, 3])).toBe(false);
+    expect(sameOptionIds([], [])).toBe(true);
+  });
+
+  it('should select every active option and keep the chosen ones', () => {
+    expect(withAllOptions(column, [])).toEqual([1, 3]);
+    expect(withAllOptions(column, [2, 3])).toEqual([2, 3, 1]);
+  });
+
+  it('should undo only the fields that changed', () => {
+    expect(undoOptionChanges(column, 3, { label: 'Sales EMEA', display_order: 1 }))
+      .toEqual({ label: 'Sales', display_order: 3 });
+    expect(undoOptionChanges(column, 2, { is_active: true, color: '#fecaca' }))
+      .toEqual({ is_active: false, color: null });
+    expect(undoOptionChanges(column, 9, { label: 'Ops' })).toBeNull();
+  });
+});
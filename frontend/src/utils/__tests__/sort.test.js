@@ -0,0 +1,53 @@
+import { toggleSort, serializeSort } from '../sort';
+
+describe('sort helpers', () => {
+  describe('toggleSort', () => {
+    it('should cycle a single column through asc, desc and unsorted', () => {
+      const asc = toggleSort([], 1);
+      expect(asc).toEqual([{ columnId: 1, direction: 'asc' }]);
+
+      const desc = toggleSort(asc, 1);
+      expect(desc).toEqual([{ columnId: 1, direction: 'desc' }]);
+
+      expect(toggleSort(desc, 1)).toEqual([]);
+    });
+
+    it('should replace the sort on a plain click of another column', () => {
+      const sort = [{ columnId: 1, direction: 'desc' }, { columnId: 2, direction: 'asc' }];
+
+      expect(toggleSort(sort, 3)).toEqual([{ columnId: 3, direction: 'asc' }]);
+      expect(toggleSort(sort, 1)).toEqual([{ columnId: 1, direction: 'asc' }]);
+    });
+
+    it('should add secondary keys on shift-click', () => {
+      const sort = toggleSort([{ columnId: 1, direction: 'desc' }], 2, true);
+
+      expect(sort).toEqual([
+        { columnId: 1, direction: 'desc' },
+        { columnId: 2, direction: 'asc' }
+      ]);
+    });
+
+    it('should flip and then remove a key on repeated shift-clicks', () => {
+      const sort = [{ columnId: 1, direction: 'asc' }, { columnId: 2, direction: 'asc' }];
+
+      const flipped = toggleSort(sort, 2, true);
+      expect(flipped).toEqual([
+        { columnId: 1, direction: 'asc' },
+        { columnId: 2, direction: 'desc' }
+      ]);
+
+      expect(toggleSort(flipped, 2, true)).toEqual([{ columnId: 1, direction: 'asc' }]);
+    });
+  });
+
+  describe('serializeSort', () => {
+    it('should join keys as id:direction', () => {
+      expect(serializeSort([
+        { columnId: 7, direction: 'desc' },
+        { columnId: 1, direction: 'asc' }
+      ])).toBe('7:desc,1:asc');
+      expect(serializeSort([])).toBe('');
+    });
+  });
+});
@@ -0,0 +1,31 @@
+import { parseTsv, formatTsv } from '../tsv';
+
+describe('tsv', () => {
+  it('should parse tab-separated rows', () => {
+    expect(parseTsv('a\tb\nc\td\n')).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+
+  it('should keep empty cells', () => {
+    expect(parseTsv('a\t\tc\r\n\tb')).toEqual([['a', '', 'c'], ['', 'b']]);
+  });
+
+  it('should parse quoted cells with line breaks, tabs and quotes', () => {
+    expect(parseTsv('"line 1\nline 2"\t"say ""hi"""\n"a\tb"')).toEqual([
+      ['line 1\nline 2', 'say "hi"'],
+      ['a\tb']
+    ]);
+  });
+
+  it('should treat quotes inside a cell as text', () => {
+    expect(parseTsv('5" screen\tx')).toEqual([['5" screen', 'x']]);
+  });
+
+  it('should return no rows for empty text', () => {
+    expect(parseTsv('')).toEqual([]);
+  });
+
+  it('should round-trip through formatTsv', () => {
+    const rows = [['plain', 'with\ttab'], ['multi\nline', 'say "hi"'], ['', null]];
+    expect(parseTsv(formatTsv(rows))).toEqual([['plain', 'with\ttab'], ['multi\nline', 'say "hi"'], ['', '']]);
+  });
+});
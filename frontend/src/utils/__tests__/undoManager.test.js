@@ -0,0 +1,95 @@
+import { createUndoManager, getUndoShortcut } from '../undoManager';
+
+describe('undo manager', () => {
+  const makeEntry = (log, name) => ({
+    label: name,
+    undo: jest.fn(async () => { log.push(`undo ${name}`); }),
+    redo: jest.fn(async () => { log.push(`redo ${name}`); })
+  });
+
+  it('should undo and redo entries in order', async () => {
+    const log = [];
+    const manager = createUndoManager();
+    manager.push(makeEntry(log, 'a'));
+    manager.push(makeEntry(log, 'b'));
+
+    await manager.undo();
+    await manager.undo();
+    await manager.redo();
+
+    expect(log).toEqual(['undo b', 'undo a', 'redo a']);
+    expect(manager.getState()).toMatchObject({ canUndo: true, canRedo: true, undoLabel: 'a', redoLabel: 'b' });
+  });
+
+  it('should clear the redo stack when a new entry is pushed', async () => {
+    const log = [];
+    const manager = createUndoManager();
+    manager.push(makeEntry(log, 'a'));
+    await manager.undo();
+
+    manager.push(makeEntry(log, 'b'));
+
+    expect(manager.getState().canRedo).toBe(false);
+    expect(await manager.redo()).toBe(false);
+  });
+
+  it('should keep at most `limit` entries', async () => {
+    const log = [];
+    const manager = createUndoManager({ limit: 2 });
+    ['a', 'b', 'c'].forEach(name => manager.push(makeEntry(log, name)));
+
+    await manager.undo();
+    await manager.undo();
+    await manager.undo();
+
+    expect(log).toEqual(['undo c', 'undo b']);
+  });
+
+  it('should drop an entry whose inverse fails', async () => {
+    const manager = createUndoManager();
+    manager.push({ label: 'a', undo: () => Promise.reject(new Error('gone')), redo: jest.fn() });
+
+    await expect(manager.undo()).rejects.toThrow('gone');
+    expect(manager.getState()).toMatchObject({ canUndo: false, canRedo: false, isRunning: false });
+  });
+
+  it('should ignore requests while an operation is running', async () => {
+    const manager = createUndoManager();
+    let finish;
+    const slow = { label: 'slow', undo: () => new Promise(resolve => { finish = resolve; }), redo: jest.fn() };
+    const log = [];
+    manager.push(makeEntry(log, 'a'));
+    manager.push(slow);
+
+    const running = manager.undo();
+    expect(manager.getState().isRunning).toBe(true);
+    expect(await manager.undo()).toBe(false);
+
+    finish();
+    await running;
+    expect(log).toEqual([]);
+    expect(manager.getState().undoLabel).toBe('a');
+  });
+
+  it('should notify subscribers of changes', () => {
+    const manager = createUndoManager();
+    const listener = jest.fn();
+    const unsubscribe = manager.subscribe(listener);
+
+    manager.push(makeEntry([], 'a'));
+    unsubscribe();
+    manager.clear();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  describe('getUndoShortcut', () => {
+    it('should map Ctrl+Z and Ctrl+Shift+Z', () => {
+      expect(getUndoShortcut({ key: 'z', ctrlKey: true })).toBe('undo');
+      expect(getUndoShortcut({ key: 'Z', ctrlKey: true, shiftKey: true })).toBe('redo');
+      expect(getUndoShortcut({ key: 'z', metaKey: true })).toBe('undo');
+      expect(getUndoShortcut({ key: 'z' })).toBeNull();
+      expect(getUndoShortcut({ key: 'y', ctrlKey: true })).toBeNull();
+    });
+  });
+});
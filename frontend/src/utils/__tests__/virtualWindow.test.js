@@ -0,0 +1,62 @@
+import {
+  visibleRange,
+  itemOffsets,
+  visibleRangeOf,
+  revealOffset,
+  revealSpan,
+  chunksForRange,
+  columnWidth,
+  clampColumnWidth
+} from '../virtualWindow';
+
+describe('virtualWindow', () => {
+  it('should find the items in view with overscan', () => {
+    // 44px rows, scrolled past 10 rows, 440px tall viewport
+    expect(visibleRange(440, 440, 44, 50000, 5)).toEqual({ start: 5, end: 26 });
+  });
+
+  it('should clamp the range to the item count', () => {
+    expect(visibleRange(0, 440, 44, 3, 5)).toEqual({ start: 0, end: 3 });
+    expect(visibleRange(4400, 440, 44, 20, 5)).toEqual({ start: 20, end: 20 });
+  });
+
+  it('should handle an unmeasured viewport', () => {
+    expect(visibleRange(0, 0, 44, 100, 2)).toEqual({ start: 0, end: 3 });
+  });
+
+  it('should scroll just enough to reveal an item below sticky content', () => {
+    // Viewport of 500px with a 100px sticky header leaves 400px for rows
+    expect(revealOffset(0, 500, 3, 44, 100)).toBe(0);
+    expect(revealOffset(0, 500, 10, 44, 100)).toBe(84);
+    expect(revealOffset(880, 500, 5, 44, 100)).toBe(220);
+  });
+
+  it('should find the columns in view when their widths differ', () => {
+    const offsets = itemOffsets([100, 300, 150, 150, 200]);
+    expect(offsets).toEqual([0, 100, 400, 550, 700, 900]);
+    // 300px viewport scrolled 250px in shows columns 1 to 3
+    expect(visibleRangeOf(250, 300, offsets)).toEqual({ start: 1, end: 4 });
+    expect(visibleRangeOf(250, 300, offsets, 2)).toEqual({ start: 0, end: 5 });
+    expect(visibleRangeOf(0, 0, itemOffsets([]), 2)).toEqual({ start: 0, end: 0 });
+  });
+
+  it('should reveal an item of any width', () => {
+    expect(revealSpan(0, 500, 400, 700, 80)).toBe(280);
+    expect(revealSpan(500, 500, 100, 400, 80)).toBe(100);
+    expect(revealSpan(200, 500, 300, 500, 80)).toBe(200);
+  });
+
+  it('should use the saved column width within the allowed range', () => {
+    expect(columnWidth({ width: 240 })).toBe(240);
+    expect(columnWidth({ width: null })).toBe(150);
+    expect(clampColumnWidth(10)).toBe(60);
+    expect(clampColumnWidth(180.4)).toBe(180);
+    expect(clampColumnWidth(5000)).toBe(1000);
+  });
+
+  it('should list the chunks holding a range of rows', () => {
+    expect(chunksForRange(95, 205, 100)).toEqual([0, 1, 2]);
+    expect(chunksForRange(100, 200, 100)).toEqual([1]);
+    expect(chunksForRange(10, 10, 100)).toEqual([]);
+  });
+});
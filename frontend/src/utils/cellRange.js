@@ -0,0 +1,120 @@
+// Rectangular cell selection for TablePage. A selection is
+// { anchor, focus } where each is { row, column }: indexes into the rows
+// and columns as shown. The anchor is where the selection started and is the
+// active cell; the focus is the corner that moves with the mouse or
+// Shift+arrow keys.
+import { formatCellText, coerceCellText } from './cellText';
+
+// Top, bottom, left and right indexes covered by a selection (inclusive)
+export const normalizeRange = ({ anchor, focus }) => ({
+  top: Math.min(anchor.row, focus.row),
+  bottom: Math.max(anchor.row, focus.row),
+  left: Math.min(anchor.column, focus.column),
+  right: Math.max(anchor.column, focus.column)
+});
+
+export const isInRange = (bounds, row, column) => (
+  row >= bounds.top && row <= bounds.bottom && column >= bounds.left && column <= bounds.right
+);
+
+// Move named by each arrow key
+export const ARROW_MOVES = {
+  ArrowUp: 'up',
+  ArrowDown: 'down',
+  ArrowLeft: 'left',
+  ArrowRight: 'right'
+};
+
+// The cell one move away, staying inside the table. Moves are 'up', 'down',
+// 'left', 'right', 'next' and 'previous' (Tab and Shift+Tab, which wrap to
+// the following or preceding row) and 'home' and 'end' (ends of the row).
+export const moveCell = (cell, move, rowCount, columnCount) => {
+  const clamp = (value, count) => Math.max(0, Math.min(count - 1, value));
+  const at = (row, column) => ({ row: clamp(row, rowCount), column: clamp(column, columnCount) });
+  const { row, column } = cell;
+
+  switch (move) {
+    case 'up':
+      return at(row - 1, column);
+    case 'down':
+      return at(row + 1, column);
+    case 'left':
+      return at(row, column - 1);
+    case 'right':
+      return at(row, column + 1);
+    case 'next':
+      if (column < columnCount - 1) return at(row, column + 1);
+      return row < rowCount - 1 ? at(row + 1, 0) : at(row, column);
+    case 'previous':
+      if (column > 0) return at(row, column - 1);
+      return row > 0 ? at(row - 1, columnCount - 1) : at(row, column);
+    case 'home':
+      return at(row, 0);
+    case 'end':
+      return at(row, columnCount - 1);
+    default:
+      return cell;
+  }
+};
+
+// Move the focus one cell for an arrow key, staying inside the table.
+// Returns the selection unchanged for any other key.
+export const extendSelection = (selection, key, rowCount, columnCount) => {
+  const move = ARROW_MOVES[key];
+  if (!move) return selection;
+  return {
+    anchor: selection.anchor,
+    focus: moveCell(selection.focus, move, rowCount, columnCount)
+  };
+};
+
+// The selected cells as rows of text, ready for formatTsv. `rows` are the
+// selected rows, top to bottom.
+export const rangeToText = (bounds, rows, columns) => rows
+  .map(row => columns.slice(bounds.left, bounds.right + 1).map(column => {
+    const cell = row.cells.find(c => c.column_id === column.id);
+    return formatCellText(column, cell?.value, cell?.error);
+  }));
+
+// Work out what pasting rows of text at the top-left of the selection
+// writes. A single value fills the whole selection. Returns
+//   cells     - [{ rowOffset, column_id, data_type, value }], rowOffset counted
+//               from the selection's first row
+//   rowCount  - number of rows the paste covers
+//   errors    - [{ rowOffset, column, message }] for text a column cannot hold
+//   skipped   - cells dropped because they run past the last column or
+//               land on a formula column
+export const planPaste = (text, bounds, columns) => {
+  let values = text;
+  const isSingleValue = text.length === 1 && text[0].length === 1;
+  if (isSingleValue && (bounds.bottom > bounds.top || bounds.right > bounds.left)) {
+    const row = Array(bounds.right - bounds.left + 1).fill(text[0][0]);
+    values = Array.from({ length: bounds.bottom - bounds.top + 1 }, () => row);
+  }
+
+  const cells = [];
+  const errors = [];
+  let skipped = 0;
+
+  values.forEach((line, rowOffset) => {
+    line.forEach((cellText, columnOffset) => {
+      const column = columns[bounds.left + columnOffset];
+      if (!column || column.column_type === 'formula') {
+        skipped += 1;
+        return;
+      }
+      try {
+        cells.push({
+          rowOffset,
+          column_id: column.id,
+          data_type: column.column_type,
+          value: coerceCellText(column, cellText)
+        });
+      } catch (error) {
+        errors.push({ rowOffset, column: column.column_name, message: error.message });
+      }
+    });
+  });
+
+  return { cells, rowCount: values.length, errors, skipped };
+};
@@ -0,0 +1,115 @@
+// Convert cell values to and from plain text for the clipboard. Pasted text
+// is coerced with the same rules as imports on the server
+// (backend/utils/cellValues.js), so a copied range pastes back unchanged.
+
+import { parseDateText, parseTimeText } from './dateTime';
+
+// Separators accepted between multi_select labels
+const MULTI_SELECT_SEPARATOR = /[;,|]/;
+
+// Text read as a checked or unchecked boolean cell (case-insensitive)
+const TRUE_WORDS = ['true', 'yes', 'y', '1', 'x', 'checked'];
+const FALSE_WORDS = ['false', 'no', 'n', '0', 'unchecked'];
+
+const activeOptions = (column) => (column.options || []).filter(option => option.is_active !== false);
+
+// Find an option by label (case-insensitive), never by id, as on the server
+const findOption = (column, raw) => {
+  const lowered = String(raw).trim().toLowerCase();
+  return activeOptions(column).find(option => option.label.toLowerCase() === lowered);
+};
+
+const optionLabel = (column, id) => {
+  const option = (column.options || []).find(opt => String(opt.id) === String(id));
+  return option ? option.label : String(id);
+};
+
+// Text copied for a cell: option labels for select columns, ISO 8601 for
+// datetimes, dates and times as stored, TRUE or FALSE for booleans and the result (or error code) for
+// formulas
+export const formatCellText = (column, value, formulaError) => {
+  if (formulaError) return formulaError;
+  if (value === null || value === undefined) return '';
+
+  switch (column.column_type) {
+    case 'datetime':
+      return new Date(value).toISOString();
+    case 'single_select':
+      return optionLabel(column, value);
+    case 'multi_select':
+      return Array.isArray(value) ? value.map(id => optionLabel(column, id)).join(', ') : '';
+    case 'boolean':
+    case 'formula':
+      if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+      return String(value);
+    default:
+      return String(value);
+  }
+};
+
+// Convert pasted text to the value stored in the column: numbers parsed,
+// datetimes normalized to ISO 8601, dates to YYYY-MM-DD, times to
+// HH:mm:ss and option labels resolved to ids. Empty text
+// becomes null (clear the cell). Throws an Error describing text the column
+// cannot hold.
+export const coerceCellText = (column, raw) => {
+  const text = String(raw === null || raw === undefined ? '' : raw).trim();
+  if (text === '') return null;
+
+  switch (column.column_type) {
+    case 'text':
+      return String(raw);
+    case 'number': {
+      // Allow thousands separators and a leading currency symbol
+      const cleaned = text.replace(/^[$€£]/, '').replace(/,/g, '');
+      const value = cleaned === '' ? NaN : Number(cleaned);
+      if (isNaN(value)) {
+        throw new Error(`'${text}' is not a number`);
+      }
+      return value;
+    }
+    case 'datetime':
+      if (isNaN(Date.parse(text))) {
+        throw new Error(`'${text}' is not a valid date`);
+      }
+      return new Date(text).toISOString();
+    case 'date': {
+      const value = parseDateText(text);
+      if (value === null) {
+        throw new Error(`'${text}' is not a valid date`);
+      }
+      return value;
+    }
+    case 'time': {
+      const value = parseTimeText(text);
+      if (value === null) {
+        throw new Error(`'${text}' is not a valid time`);
+      }
+      return value;
+    }
+    case 'boolean': {
+      const lowered = text.toLowerCase();
+      if (!TRUE_WORDS.includes(lowered) && !FALSE_WORDS.includes(lowered)) {
+        throw new Error(`'${text}' is not true or false`);
+      }
+      return TRUE_WORDS.includes(lowered);
+    }
+    case 'single_select': {
+      const option = findOption(column, text);
+      if (!option) {
+        throw new Error(`'${text}' is not an option of ${column.column_name}`);
+      }
+      return option.id;
+    }
+    case 'multi_select': {
+      const labels = text.split(MULTI_SELECT_SEPARATOR).map(label => label.trim()).filter(Boolean);
+      const unknown = labels.filter(label => !findOption(column, label));
+      if (unknown.length > 0) {
+        throw new Error(`${unknown.map(label => `'${label}'`).join(', ')} not an option of ${column.column_name}`);
+      }
+      return Array.from(new Set(labels.map(label => findOption(column, label).id)));
+    }
+    default:
+      throw new Error(`${column.column_name} cannot be edited`);
+  }
+};
@@ -0,0 +1,70 @@
+// Renaming, moving and resizing columns from the table header
+// (PATCH /columns/:id). Changes are { name, display_order, width,
+// allow_new_options, display_format, display_timezone }, any of them;
+// display_order is the column's 1-based place among the columns.
+
+// The types a column can be converted to, by its type (as the server allows)
+export const COLUMN_CONVERSIONS = {
+  text: ['number', 'single_select'],
+  number: ['text'],
+  datetime: ['text'],
+  date: ['text'],
+  time: ['text'],
+  single_select: ['multi_select']
+};
+
+// The columns with the changes made to one of them, as the server makes
+// them: a moved column shifts the ones in between and every column is
+// numbered by its place
+export const applyColumnChanges = (columns, columnId, changes) => {
+  const changed = columns.map(column => {
+    if (column.id !== columnId) return column;
+    return {
+      ...column,
+      ...(changes.name !== undefined && { column_name: changes.name.trim() }),
+      ...(changes.width !== undefined && { width: changes.width }),
+      ...(changes.allow_new_options !== undefined && { allow_new_options: changes.allow_new_options }),
+      ...(changes.display_format !== undefined && { display_format: changes.display_format }),
+      ...(changes.display_timezone !== undefined && { display_timezone: changes.display_timezone })
+    };
+  });
+  if (changes.display_order === undefined) return changed;
+
+  const moving = changed.find(column => column.id === columnId);
+  if (!moving) return changed;
+  const others = changed.filter(column => column.id !== columnId);
+  const place = Math.min(changes.display_order, others.length + 1);
+  return [...others.slice(0, place - 1), moving, ...others.slice(place - 1)]
+    .map((column, index) => (column.display_order === index + 1
+      ? column
+      : { ...column, display_order: index + 1 }));
+};
+
+// The changes that put a column back as it was before `changes`
+export const undoColumnChanges = (columns, columnId, changes) => {
+  const index = columns.findIndex(column => column.id === columnId);
+  if (index === -1) return null;
+  const column = columns[index];
+  return {
+    ...(changes.name !== undefined && { name: column.column_name }),
+    ...(changes.display_order !== undefined && { display_order: index + 1 }),
+    ...(changes.width !== undefined && { width: column.width ?? null }),
+    ...(changes.allow_new_options !== undefined && { allow_new_options: Boolean(column.allow_new_options) }),
+    ...(changes.display_format !== undefined && { display_format: column.display_format ?? null }),
+    ...(changes.display_timezone !== undefined && { display_timezone: column.display_timezone ?? null })
+  };
+};
+
+// Which side of a column header a column dropped on it goes: before it on
+// its left half, after it otherwise
+export const columnDropSide = (offsetX, width) => (offsetX < width / 2 ? 'before' : 'after');
+
+// The 1-based place a column dragged from `fromIndex` takes when dropped on
+// `side` of the column at `targetIndex`. Null when the column would stay
+// where it is.
+export const columnDropPlace = (fromIndex, targetIndex, side) => {
+  // Index of the target once the dragged column is taken out
+  const target = targetIndex > fromIndex ? targetIndex - 1 : targetIndex;
+  const place = (side === 'before' ? target : target + 1) + 1;
+  return place === fromIndex + 1 ? null : place;
+};
@@ -0,0 +1,170 @@
+// Showing and editing datetime, date and time cells. Datetimes are instants
+// (ISO 8601), shown and edited as the wall clock of the column's
+// display_timezone (the viewer's own when it has none). Dates (YYYY-MM-DD)
+// and times (HH:mm:ss) have no timezone and are shown as written.
+// display_format is built from the tokens the server accepts
+// (backend/utils/dateTimes.js), e.g. DD/MM/YYYY HH:mm.
+
+export const DATE_TYPES = ['datetime', 'date', 'time'];
+
+const FORMAT_TOKENS = /YYYY|MM|DD|HH|hh|mm|ss|A/g;
+
+// Formats offered in the column settings, by column type
+export const FORMAT_PRESETS = {
+  datetime: ['YYYY-MM-DD HH:mm', 'DD/MM/YYYY HH:mm', 'MM/DD/YYYY hh:mm A', 'YYYY-MM-DD HH:mm:ss'],
+  date: ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY'],
+  time: ['HH:mm', 'HH:mm:ss', 'hh:mm A']
+};
+
+const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+// Year, month, day, hour, minute and second of an instant on the wall clock
+// of `timeZone` (the viewer's when null)
+export const wallClock = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || undefined,
+    hour12: false,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find(entry => entry.type === type).value);
+  return {
+    year: part('year'),
+    month: part('month'),
+    day: part('day'),
+    // Some engines write midnight as 24
+    hour: part('hour') % 24,
+    minute: part('minute'),
+    second: part('second')
+  };
+};
+
+// Write clock parts with a display format
+export const applyDisplayFormat = (format, { year, month, day, hour, minute, second }) =>
+  format.replace(FORMAT_TOKENS, (token) => {
+    switch (token) {
+      case 'YYYY': return pad(year, 4);
+      case 'MM': return pad(month);
+      case 'DD': return pad(day);
+      case 'HH': return pad(hour);
+      case 'hh': return pad(hour % 12 === 0 ? 12 : hour % 12);
+      case 'mm': return pad(minute);
+      case 'ss': return pad(second);
+      default: return hour < 12 ? 'AM' : 'PM';
+    }
+  });
+
+const DATE_VALUE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_VALUE = /^(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const INPUT_VALUE = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+// Text shown for a datetime, date or time value of a column
+export const formatDateValue = (column, value) => {
+  if (value === null || value === undefined || value === '') return '';
+  const format = column.display_format;
+
+  switch (column.column_type) {
+    case 'datetime': {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) return String(value);
+      const timeZone = column.display_timezone || undefined;
+      return format ? applyDisplayFormat(format, wallClock(date, timeZone)) : date.toLocaleString(undefined, { timeZone });
+    }
+    case 'date': {
+      const match = String(value).match(DATE_VALUE);
+      if (!match || !format) return String(value);
+      const [, year, month, day] = match.map(Number);
+      return applyDisplayFormat(format, { year, month, day, hour: 0, minute: 0, second: 0 });
+    }
+    case 'time': {
+      const match = String(value).match(TIME_VALUE);
+      if (!match) return String(value);
+      const [hour, minute, second] = [match[1], match[2], match[3] || 0].map(Number);
+      if (!format) return second ? `${match[1]}:${match[2]}:${pad(second)}` : `${match[1]}:${match[2]}`;
+      return applyDisplayFormat(format, { year: 0, month: 0, day: 0, hour, minute, second });
+    }
+    default:
+      return String(value);
+  }
+};
+
+// The calendar date in pasted text, or null, read as the server reads
+// imports: ISO dates and datetimes keep the date as written, other text is
+// read as a local date
+export const parseDateText = (text) => {
+  const iso = String(text).trim().match(/^(\d{4}-\d{2}-\d{2})(?:[ T]|$)/);
+  if (iso) {
+    const [year, month, day] = iso[1].split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? iso[1] : null;
+  }
+  const parsed = new Date(text);
+  if (isNaN(parsed.getTime())) return null;
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+};
+
+// The time of day in pasted text as HH:mm:ss, or null. Accepts 24-hour
+// times, times with AM/PM and ISO datetimes, whose time is taken as written.
+export const parseTimeText = (text) => {
+  const trimmed = String(text).trim();
+  const clock = trimmed.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([ap])\.?m\.?)?$/i);
+  if (clock) {
+    let hour = Number(clock[1]);
+    const minute = Number(clock[2]);
+    const second = Number(clock[3] || 0);
+    const meridiem = clock[4] ? clock[4].toLowerCase() : null;
+    if (meridiem) {
+      if (hour < 1 || hour > 12) return null;
+      hour = (hour % 12) + (meridiem === 'p' ? 12 : 0);
+    }
+    if (hour > 23 || minute > 59 || second > 59) return null;
+    return `${pad(hour)}:${pad(minute)}:${pad(second)}`;
+  }
+  const iso = trimmed.match(/^\d{4}-\d{2}-\d{2}T([01]\d|2[0-3]):([0-5]\d):([0-5]\d)/);
+  return iso ? `${iso[1]}:${iso[2]}:${iso[3]}` : null;
+};
+
+// Value of a datetime-local input for an instant: its wall clock in
+// `timeZone`, with seconds only when it has them
+export const toDateTimeInput = (value, timeZone) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return '';
+  const clock = wallClock(date, timeZone);
+  const text = applyDisplayFormat('YYYY-MM-DDTHH:mm', clock);
+  return clock.second ? `${text}:${pad(clock.second)}` : text;
+};
+
+// The instant (ISO 8601) a datetime-local input value names on the wall
+// clock of `timeZone`, or null when it is not a date and time
+export const fromDateTimeInput = (text, timeZone) => {
+  const match = String(text || '').match(INPUT_VALUE);
+  if (!match) return null;
+  const [year, month, day, hour, minute, second] = match.slice(1).map(number => Number(number || 0));
+  if (!timeZone) {
+    const date = new Date(year, month - 1, day, hour, minute, second);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  // The offset of the timezone at an instant, in milliseconds
+  const offsetAt = (time) => {
+    const clock = wallClock(new Date(time), timeZone);
+    return Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute, clock.second) - time;
+  };
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (isNaN(asUtc)) return null;
+  // The offset may change in between (daylight saving time), so take the
+  // offset at the first guess and check it once more
+  let time = asUtc - offsetAt(asUtc);
+  const offset = offsetAt(time);
+  if (asUtc - offset !== time) time = asUtc - offset;
+  return new Date(time).toISOString();
+};
+
+// IANA timezones offered in the column settings
+export const timeZoneNames = () => (typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : ['UTC', 'America/New_York', 'America/Los_Angeles', 'Europe/London', 'Europe/Paris', 'Asia/Tokyo', 'Australia/Sydney']);
@@ -0,0 +1,229 @@
+// Apply live updates from other clients (see api/realtime.js) to the React
+// Query cache. Changes are patched into the cached data where the result is
+// certain; queries that would need the server to get right are only marked
+// stale, so they refetch the next time they are used instead of right away.
+
+// Rows queries without filters or sort list rows by row_number, so rows can
+// be inserted and removed in place
+const isPlainRowsQuery = (queryKey) => {
+  const { filters, sort } = queryKey[4] || {};
+  return !sort && Object.keys(filters || {}).length === 0;
+};
+
+const pageRange = (queryKey) => {
+  const page = queryKey[2];
+  const limit = queryKey[3];
+  return { first: (page - 1) * limit + 1, last: page * limit, limit };
+};
+
+const withTotal = (data, total) => ({
+  ...data,
+  pagination: data.pagination && {
+    ...data.pagination,
+    total,
+    pages: Math.ceil(total / data.pagination.limit)
+  }
+});
+
+const markStale = (queryClient, queryKey) => {
+  queryClient.invalidateQueries({ queryKey, exact: true, refetchType: 'none' });
+};
+
+const forEachRowsQuery = (queryClient, sheetId, callback) => {
+  queryClient.getQueriesData({ queryKey: ['rows', sheetId] }).forEach(([queryKey, data]) => {
+    if (data && data.rows) {
+      callback(queryKey, data);
+    }
+  });
+};
+
+// A row's values changed
+const updateRow = (queryClient, sheetId, row) => {
+  forEachRowsQuery(queryClient, sheetId, (queryKey, data) => {
+    if (data.rows.some(existing => existing.id === row.id)) {
+      queryClient.setQueryData(queryKey, {
+        ...data,
+        rows: data.rows.map(existing => (existing.id === row.id ? row : existing))
+      });
+    }
+    // The row may now match (or stop matching) the filters, or sort elsewhere
+    if (!isPlainRowsQuery(queryKey)) {
+      markStale(queryClient, queryKey);
+    }
+  });
+};
+
+// A row was added at row.row_number; the rows from there on move down one
+const insertRow = (queryClient, sheetId, row) => {
+  forEachRowsQuery(queryClient, sheetId, (queryKey, data) => {
+    if (data.rows.some(existing => existing.id === row.id)) return;
+    const { first, last, limit } = pageRange(queryKey);
+    const total = (data.pagination ? data.pagination.total : data.rows.length) + 1;
+
+    if (!isPlainRowsQuery(queryKey) || row.row_number < first) {
+      // The page's first row now comes from the page before
+      markStale(queryClient, queryKey);
+    } else if (row.row_number > last) {
+      queryClient.setQueryData(queryKey, withTotal(data, total));
+    } else {
+      const rows = [
+        ...data.rows.map(existing => (existing.row_number >= row.row_number
+          ? { ...existing, row_number: existing.row_number + 1 }
+          : existing)),
+        row
+      ].sort((a, b) => a.row_number - b.row_number);
+      queryClient.setQueryData(queryKey, withTotal({ ...data, rows: rows.slice(0, limit) }, total));
+    }
+  });
+};
+
+// A row was deleted; the rows after it move up one
+const removeRow = (queryClient, sheetId, rowId, rowNumber) => {
+  forEachRowsQuery(queryClient, sheetId, (queryKey, data) => {
+    const { first, last } = pageRange(queryKey);
+    const onPage = data.rows.some(existing => existing.id === rowId);
+    const total = data.pagination ? data.pagination.total : data.rows.length;
+
+    if (isPlainRowsQuery(queryKey) && rowNumber > last) {
+      queryClient.setQueryData(queryKey, withTotal(data, total - 1));
+      return;
+    }
+
+    if (onPage) {
+      const rows = data.rows
+        .filter(existing => existing.id !== rowId)
+        .map(existing => (existing.row_number > rowNumber
+          ? { ...existing, row_number: existing.row_number - 1 }
+          : existing));
+      queryClient.setQueryData(queryKey, withTotal({ ...data, rows }, total - 1));
+    }
+
+    // Rows from later pages now belong on this one
+    const isLastPage = total <= last;
+    if (!isPlainRowsQuery(queryKey) || rowNumber < first || (onPage && !isLastPage)) {
+      markStale(queryClient, queryKey);
+    }
+  });
+};
+
+const byDisplayOrder = (a, b) => (a.display_order - b.display_order) || (a.id - b.id);
+
+const addColumn = (queryClient, sheetId, column) => {
+  queryClient.setQueryData(['columns', sheetId], columns => {
+    if (!columns || columns.some(existing => existing.id === column.id)) return columns;
+    return [...columns, column].sort(byDisplayOrder);
+  });
+};
+
+const updateColumn = (queryClient, sheetId, column) => {
+  const columns = queryClient.getQueryData(['columns', sheetId]);
+  const cached = columns && columns.find(existing => existing.id === column.id);
+  if (!cached) return;
+  queryClient.setQueryData(['columns', sheetId], columns
+    .map(existing => (existing.id === column.id ? column : existing))
+    .sort(byDisplayOrder));
+  // A move renumbers the columns in between and a rename rewrites the
+  // formulas that refer to the column
+  if (cached.display_order !== column.display_order || cached.column_name !== column.column_name) {
+    queryClient.invalidateQueries({ queryKey: ['columns', sheetId] });
+  }
+  // A new type converted the values
+  if (cached.column_type !== column.column_type) {
+    ['rows', 'summary', 'history'].forEach(key => {
+      queryClient.invalidateQueries({ queryKey: [key, sheetId] });
+    });
+  }
+};
+
+const removeColumn = (queryClient, sheetId, columnId) => {
+  const columns = queryClient.getQueryData(['columns', sheetId]);
+  queryClient.setQueryData(['columns', sheetId], columns && columns.filter(column => column.id !== columnId));
+  // Formulas that used the column now evaluate differently
+  if (columns && columns.some(column => column.column_type === 'formula')) {
+    queryClient.invalidateQueries({ queryKey: ['rows', sheetId] });
+  }
+};
+
+// Apply one data event to the cached queries of the sheet. Presence
+// messages are handled by applyPresenceEvent instead.
+export const applyRealtimeEvent = (queryClient, sheetId, event) => {
+  switch (event.type) {
+    case 'row.updated':
+      updateRow(queryClient, sheetId, event.row);
+      queryClient.invalidateQueries({ queryKey: ['history', sheetId] });
+      break;
+    case 'row.created':
+    case 'row.restored':
+      insertRow(queryClient, sheetId, event.row);
+      break;
+    case 'row.deleted':
+      removeRow(queryClient, sheetId, event.row_id, event.row_number);
+      break;
+    case 'column.created':
+      addColumn(queryClient, sheetId, event.column);
+      break;
+    case 'column.restored':
+      addColumn(queryClient, sheetId, event.column);
+      // Cached rows have no values for it
+      queryClient.invalidateQueries({ queryKey: ['rows', sheetId] });
+      break;
+    case 'column.updated':
+      updateColumn(queryClient, sheetId, event.column);
+      break;
+    case 'column.deleted':
+      removeColumn(queryClient, sheetId, event.column_id);
+      break;
+    case 'rows.moved':
+      // Every row between the old and new place is renumbered
+      queryClient.invalidateQueries({ queryKey: ['rows', sheetId] });
+      break;
+    case 'sheet.reloaded':
+      ['columns', 'rows', 'history'].forEach(key => {
+        queryClient.invalidateQueries({ queryKey: [key, sheetId] });
+      });
+      break;
+    default:
+      return;
+  }
+  // Summaries are computed by the server
+  queryClient.invalidateQueries({ queryKey: ['summary', sheetId] });
+};
+
+// Update the other clients' active cells, kept as { [client_id]: presence },
+// from a 'welcome', 'presence' or 'presence.left' message
+export const applyPresenceEvent = (peers, message) => {
+  switch (message.type) {
+    case 'welcome':
+      return Object.fromEntries(message.presence.map(presence => [presence.client_id, presence]));
+    case 'presence': {
+      const { [message.client_id]: previous, ...others } = peers;
+      if (!message.row_id || !message.column_id) return others;
+      return {
+        ...others,
+        [message.client_id]: {
+          client_id: message.client_id,
+          name: message.name,
+          row_id: message.row_id,
+          column_id: message.column_id
+        }
+      };
+    }
+    case 'presence.left': {
+      const { [message.client_id]: left, ...others } = peers;
+      return others;
+    }
+    default:
+      return peers;
+  }
+};
+
+const PRESENCE_COLORS = ['#e11d48', '#2563eb', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+
+// Color of a client's cursor; the same client always gets the same color
+export const presenceColor = (clientId) => {
+  let hash = 0;
+  for (const char of String(clientId)) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return PRESENCE_COLORS[hash % PRESENCE_COLORS.length];
+};
@@ -0,0 +1,93 @@
+// Moving rows by drag and drop (PATCH /rows/:id/position). A placement is
+// { before: rowId } or { after: rowId }, or { at: 'top' } to undo a move of
+// the first row.
+
+// The rows in their new order after moving the rows in `movedIds` (kept in
+// the order they are in now) next to the placement's row. Rows are numbered
+// on from the first row's number. Returns null when the rows to move or the
+// placement's row are not all in `rows`, or the placement's row is one of
+// those moved.
+export const moveRows = (rows, movedIds, placement) => {
+  const targetId = placement.before || placement.after;
+  const moving = new Set(movedIds);
+  if (rows.length === 0 || moving.has(targetId)) return null;
+
+  const block = rows.filter(row => moving.has(row.id));
+  const rest = rows.filter(row => !moving.has(row.id));
+  const targetIndex = rest.findIndex(row => row.id === targetId);
+  if (block.length !== moving.size || targetIndex === -1) return null;
+
+  const insertAt = placement.before ? targetIndex : targetIndex + 1;
+  const firstNumber = rows[0].row_number;
+  return [...rest.slice(0, insertAt), ...block, ...rest.slice(insertAt)]
+    .map((row, index) => (row.row_number === firstNumber + index
+      ? row
+      : { ...row, row_number: firstNumber + index }));
+};
+
+// Move rows in the cached pages of plain (unsorted, unfiltered) rows
+// queries, so the table shows the move before the server answers. Pages are
+// only changed when every page from the first to the last row involved is
+// cached; the others are left for the refetch after the move.
+export const moveRowsInCache = (queryClient, sheetId, movedIds, placement) => {
+  const targetId = placement.before || placement.after;
+  const involved = new Set([...movedIds, targetId]);
+
+  // Pages of the same size and query, by page number
+  const groups = new Map();
+  queryClient.getQueriesData({ queryKey: ['rows', sheetId] }).forEach(([queryKey, data]) => {
+    const { filters, sort } = queryKey[4] || {};
+    if (!data || !data.rows || sort || Object.keys(filters || {}).length > 0) return;
+    const groupKey = JSON.stringify([queryKey[3], queryKey[4]]);
+    if (!groups.has(groupKey)) groups.set(groupKey, new Map());
+    groups.get(groupKey).set(queryKey[2], { queryKey, data });
+  });
+
+  groups.forEach(pages => {
+    const pageNumbers = [...pages.keys()].filter(page => (
+      pages.get(page).data.rows.some(row => involved.has(row.id))
+    ));
+    if (pageNumbers.length === 0) return;
+    const firstPage = Math.min(...pageNumbers);
+    const lastPage = Math.max(...pageNumbers);
+
+    const span = [];
+    for (let page = firstPage; page <= lastPage; page += 1) {
+      if (!pages.has(page)) return;
+      span.push(pages.get(page));
+    }
+    const moved = moveRows(span.flatMap(({ data }) => data.rows), movedIds, placement);
+    if (!moved) return;
+
+    let offset = 0;
+    span.forEach(({ queryKey, data }) => {
+      queryClient.setQueryData(queryKey, { ...data, rows: moved.slice(offset, offset + data.rows.length) });
+      offset += data.rows.length;
+    });
+  });
+};
+
+// The moves that put rows back where they were, given the rows a move
+// returned ({ id, previous_row_id } in order). Rows that followed each other
+// go back as one block after the row the first of them followed.
+export const undoMovePlacements = (movedRows) => {
+  const moves = [];
+  movedRows.forEach((row, index) => {
+    const previousMove = moves[moves.length - 1];
+    if (index > 0 && row.previous_row_id === movedRows[index - 1].id) {
+      previousMove.rowIds.push(row.id);
+      return;
+    }
+    moves.push({
+      rowIds: [row.id],
+      placement: row.previous_row_id ? { after: row.previous_row_id } : { at: 'top' }
+    });
+  });
+  return moves;
+};
+
+// Where rows dropped on a row go: above it when dropped on its top half,
+// below it otherwise
+export const dropPlacement = (rowId, offsetY, rowHeight) => (
+  offsetY < rowHeight / 2 ? { before: rowId } : { after: rowId }
+);
@@ -0,0 +1,76 @@
+// Options of select columns (POST /columns/:id/options and
+// PATCH /columns/:id/options/:optionId). A column's options include the
+// archived ones (is_active false): they are no longer offered in the cell
+// editors, but the cells that hold them keep showing their label.
+
+// Colors an option can be given. New options get one of them from the
+// server (backend/utils/selectOptions.js).
+export const OPTION_COLORS = [
+  { name: 'Gray', value: '#e5e7eb' },
+  { name: 'Red', value: '#fecaca' },
+  { name: 'Orange', value: '#fed7aa' },
+  { name: 'Yellow', value: '#fef08a' },
+  { name: 'Green', value: '#bbf7d0' },
+  { name: 'Teal', value: '#99f6e4' },
+  { name: 'Blue', value: '#bfdbfe' },
+  { name: 'Purple', value: '#ddd6fe' },
+  { name: 'Pink', value: '#fbcfe8' }
+];
+
+// Chip color of an option without one
+export const DEFAULT_OPTION_COLOR = '#e5e7eb';
+
+export const optionColor = (option) => option.color || DEFAULT_OPTION_COLOR;
+
+// The options offered when editing a cell: the active ones, and the archived
+// ones among `selected` (option ids) so the cell can keep or drop them
+export const offeredOptions = (column, selected = []) => {
+  const ids = selected.map(String);
+  return (column.options || []).filter(option => option.is_active !== false || ids.includes(String(option.id)));
+};
+
+// The options a select cell holds (option ids) in the order given. An id
+// the column has no option for shows as itself.
+export const selectedOptions = (column, ids) => ids
+  .filter(id => id !== null && id !== undefined && id !== '')
+  .map(id => (column.options || []).find(option => String(option.id) === String(id)) ||
+    { id, label: String(id), color: null });
+
+// The options whose label contains `query`, case-insensitively
+export const matchingOptions = (options, query) => {
+  const lowered = query.trim().toLowerCase();
+  return options.filter(option => option.label.toLowerCase().includes(lowered));
+};
+
+// Whether typing `label` in a cell may create it as a new option: the column
+// allows it and no active option has the label (case-insensitively)
+export const canCreateOption = (column, label) => {
+  const lowered = label.trim().toLowerCase();
+  return Boolean(column.allow_new_options) && lowered !== '' &&
+    !offeredOptions(column).some(option => option.label.toLowerCase() === lowered);
+};
+
+// Whether two lists of option ids hold the same options, in any order
+export const sameOptionIds = (a, b) => a.length === b.length && a.every(id => b.includes(id));
+
+// `ids` with every active option of the column added, in the column's order
+// after the ones already chosen
+export const withAllOptions = (column, ids) => [
+  ...ids,
+  ...offeredOptions(column).map(option => option.id).filter(id => !ids.includes(id))
+];
+
+// The changes that put an option back as it was before `changes`
+// ({ label, color, display_order, is_active }, any of them)
+export const undoOptionChanges = (column, optionId, changes) => {
+  const options = column.options || [];
+  const index = options.findIndex(option => option.id === optionId);
+  if (index === -1) return null;
+  const option = options[index];
+  return {
+    ...(changes.label !== undefined && { label: option.label }),
+    ...(changes.color !== undefined && { color: option.color ?? null }),
+    ...(changes.display_order !== undefined && { display_order: index + 1 }),
+    ...(changes.is_active !== undefined && { is_active: option.is_active !== false })
+  };
+};
@@ -0,0 +1,31 @@
+// Helpers for the multi-column sort state used by TablePage.
+// The state is an ordered array of { columnId, direction } keys; the first
+// entry is the primary sort.
+
+// Plain click: sort by this column alone, cycling asc -> desc -> unsorted.
+// Shift-click (additive): add the column as a secondary key, or cycle its
+// direction in place, removing it after desc.
+export const toggleSort = (sort, columnId, additive = false) => {
+  const existing = sort.find(key => key.columnId === columnId);
+
+  if (!additive) {
+    if (sort.length === 1 && existing) {
+      return existing.direction === 'asc' ? [{ columnId, direction: 'desc' }] : [];
+    }
+    return [{ columnId, direction: 'asc' }];
+  }
+
+  if (!existing) {
+    return [...sort, { columnId, direction: 'asc' }];
+  }
+  if (existing.direction === 'asc') {
+    return sort.map(key => (key.columnId === columnId ? { ...key, direction: 'desc' } : key));
+  }
+  return sort.filter(key => key.columnId !== columnId);
+};
+
+// Serialize for GET /rows?sort=, using column ids so names containing
+// commas or colons stay unambiguous
+export const serializeSort = (sort) => sort
+  .map(key => `${key.columnId}:${key.direction}`)
+  .join(',');
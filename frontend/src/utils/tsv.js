@@ -0,0 +1,75 @@
+// Tab-separated text as copied from (and pasted into) Excel and Google
+// Sheets. Cells are separated by tabs and rows by line breaks; a cell that
+// contains a tab, line break or quote is wrapped in double quotes with inner
+// quotes doubled.
+
+const NEEDS_QUOTES = /[\t\r\n"]/;
+
+// Parse clipboard text into rows of cell strings. A trailing line break
+// (which both spreadsheets add) does not start an extra row.
+export const parseTsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let i = 0;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    rows.push(row);
+    row = [];
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      i += 1;
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      // Quotes only mean something at the start of a cell
+      inQuotes = true;
+    } else if (char === '\t') {
+      endCell();
+    } else if (char === '\r' || char === '\n') {
+      endRow();
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+    } else {
+      cell += char;
+    }
+    i += 1;
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+};
+
+const quoteCell = (cell) => {
+  const text = cell === null || cell === undefined ? '' : String(cell);
+  return NEEDS_QUOTES.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format rows of cell strings as clipboard text
+export const formatTsv = (rows) => rows
+  .map(row => row.map(quoteCell).join('\t'))
+  .join('\n');
@@ -0,0 +1,94 @@
+// Undo/redo history for the operations the table performs through the API.
+// Each entry is { label, undo, redo } where undo and redo are async functions
+// that apply the inverse and the original operation again. Operations run
+// one at a time; undo or redo requested while one is running is ignored.
+
+export const DEFAULT_UNDO_LIMIT = 100;
+
+export const createUndoManager = ({ limit = DEFAULT_UNDO_LIMIT } = {}) => {
+  let undoStack = [];
+  let redoStack = [];
+  let isRunning = false;
+  const listeners = new Set();
+
+  // Snapshot handed to subscribers; replaced on every change so React can
+  // compare it by identity
+  let state = { canUndo: false, canRedo: false, undoLabel: null, redoLabel: null, isRunning: false };
+
+  const notify = () => {
+    state = {
+      canUndo: undoStack.length > 0 && !isRunning,
+      canRedo: redoStack.length > 0 && !isRunning,
+      undoLabel: undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null,
+      redoLabel: redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null,
+      isRunning
+    };
+    listeners.forEach(listener => listener());
+  };
+
+  // Record an operation that has just been done. A new operation makes the
+  // undone ones unreachable, so the redo stack is cleared.
+  const push = (entry) => {
+    undoStack = [...undoStack, entry].slice(-limit);
+    redoStack = [];
+    notify();
+  };
+
+  // Run the newest entry's undo (or redo) and move it to the other stack.
+  // An entry that fails is dropped: the data no longer matches it.
+  const run = async (direction) => {
+    const source = direction === 'undo' ? undoStack : redoStack;
+    if (isRunning || source.length === 0) return false;
+
+    const entry = source[source.length - 1];
+    if (direction === 'undo') {
+      undoStack = undoStack.slice(0, -1);
+    } else {
+      redoStack = redoStack.slice(0, -1);
+    }
+    isRunning = true;
+    notify();
+
+    try {
+      await entry[direction]();
+      if (direction === 'undo') {
+        redoStack = [...redoStack, entry];
+      } else {
+        undoStack = [...undoStack, entry];
+      }
+      return true;
+    } finally {
+      isRunning = false;
+      notify();
+    }
+  };
+
+  const undo = () => run('undo');
+  const redo = () => run('redo');
+
+  const clear = () => {
+    undoStack = [];
+    redoStack = [];
+    notify();
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const getState = () => state;
+
+  return { push, undo, redo, clear, subscribe, getState };
+};
+
+// Shared by the data hooks and the keyboard shortcuts in TablePage
+export const undoManager = createUndoManager();
+
+// Ctrl+Z undoes, Ctrl+Shift+Z redoes (Cmd on macOS). Returns 'undo', 'redo'
+// or null for any other key.
+export const getUndoShortcut = (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return null;
+  if (e.key !== 'z' && e.key !== 'Z') return null;
+  return e.shiftKey ? 'redo' : 'undo';
+};
@@ -0,0 +1,91 @@
+// Windowed rendering for TablePage. Rows have a fixed height and columns a
+// known width, so which of them are on screen and where a cell sits follow
+// from the scroll position alone; only those (plus a few extra for smooth
+// scrolling) are rendered, with spacers standing in for the rest.
+
+export const ROW_HEIGHT = 44;
+export const COLUMN_WIDTH = 150;
+export const ROW_HEADER_WIDTH = 80;
+
+// Widths a column can be resized to (as PATCH /columns/:id accepts)
+export const MIN_COLUMN_WIDTH = 60;
+export const MAX_COLUMN_WIDTH = 1000;
+
+// Width of a column as shown: its saved width, or the default
+export const columnWidth = (column) => column.width || COLUMN_WIDTH;
+
+export const clampColumnWidth = (width) => (
+  Math.round(Math.max(MIN_COLUMN_WIDTH, Math.min(MAX_COLUMN_WIDTH, width)))
+);
+
+// Extra rows and columns rendered beyond each edge of the viewport
+export const ROW_OVERSCAN = 10;
+export const COLUMN_OVERSCAN = 2;
+
+// Items from `start` (inclusive) to `end` (exclusive) that show in a viewport
+// of `viewportSize` scrolled to `offset`, widened by `overscan` on each side
+// and clamped to `count` items
+export const visibleRange = (offset, viewportSize, itemSize, count, overscan = 0) => {
+  const first = Math.floor(Math.max(0, offset) / itemSize);
+  const visibleCount = Math.ceil(Math.max(0, viewportSize) / itemSize) + 1;
+  return {
+    start: Math.max(0, Math.min(count, first - overscan)),
+    end: Math.max(0, Math.min(count, first + visibleCount + overscan))
+  };
+};
+
+// Where each of a list of items of varying size starts, plus where the last
+// one ends: item i spans offsets[i] to offsets[i + 1]
+export const itemOffsets = (sizes) => {
+  const offsets = [0];
+  sizes.forEach(size => offsets.push(offsets[offsets.length - 1] + size));
+  return offsets;
+};
+
+// visibleRange for items of varying size, given their itemOffsets
+export const visibleRangeOf = (offset, viewportSize, offsets, overscan = 0) => {
+  const count = offsets.length - 1;
+  // Index of the item holding `position` (count when past the end)
+  const itemAt = (position) => {
+    let low = 0;
+    let high = count;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (offsets[middle + 1] <= position) low = middle + 1; else high = middle;
+    }
+    return low;
+  };
+  const first = itemAt(Math.max(0, offset));
+  const last = itemAt(Math.max(0, offset) + Math.max(0, viewportSize));
+  return {
+    start: Math.max(0, first - overscan),
+    end: Math.min(count, last + 1 + overscan)
+  };
+};
+
+// Scroll offset that brings the item from `itemStart` to `itemEnd` fully into
+// view, or `offset` when it already is. `leading` is the size of sticky
+// content covering the start of the viewport (the header rows, or the
+// row-number column).
+export const revealSpan = (offset, viewportSize, itemStart, itemEnd, leading = 0) => {
+  const visibleSize = viewportSize - leading;
+  if (itemStart < offset) return itemStart;
+  if (itemEnd > offset + visibleSize) return itemEnd - visibleSize;
+  return offset;
+};
+
+// revealSpan for the item at `index` of items sized `itemSize`
+export const revealOffset = (offset, viewportSize, index, itemSize, leading = 0) => (
+  revealSpan(offset, viewportSize, index * itemSize, (index + 1) * itemSize, leading)
+);
+
+// Indexes of the fixed-size chunks holding the rows from `start` to `end`
+// (exclusive)
+export const chunksForRange = (start, end, chunkSize) => {
+  const chunks = [];
+  if (end <= start) return chunks;
+  for (let chunk = Math.floor(start / chunkSize); chunk <= Math.floor((end - 1) / chunkSize); chunk += 1) {
+    chunks.push(chunk);
+  }
+  return chunks;
+};